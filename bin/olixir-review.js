@@ -0,0 +1,190 @@
+#!/usr/bin/env -S node --disable-warning=MODULE_TYPELESS_PACKAGE_JSON
+// bin/olixir-review.js
+import crypto from 'crypto';
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { FORMATS, failsThreshold, formatHuman, formatJson, formatSarif } from '../lib/cli/formats.js';
+import { resolveFiles } from '../lib/cli/files.js';
+import { mapWithConcurrency } from '../lib/concurrency.js';
+import { DEFAULT_CHECKLIST_ID, getChecklist } from '../lib/checklists/store.js';
+import { extractDocument } from '../lib/extract/index.js';
+import { DEFAULT_PROFILE_ID, getProfile } from '../lib/profiles/store.js';
+import { validateProfile } from '../lib/profiles/schema.js';
+import { reviewWithCache } from '../lib/review/cache.js';
+import { SEVERITIES } from '../lib/review/schema.js';
+import { selectRulepacks } from '../lib/rulepacks/index.js';
+
+// Exit codes: 0 when no finding reaches --fail-on, 1 when one does, and 2
+// when the review itself could not run (bad options, unreadable files, or
+// a model failure with --require-model).
+const EXIT_FINDINGS = 1;
+const EXIT_ERROR = 2;
+
+const TEXT_EXTENSIONS = ['txt', 'md', 'markdown', 'html', 'htm'];
+
+const USAGE = `Usage: olixir-review [options] <file|folder|glob>...
+
+Reviews documents with the same pipeline as the web app: rule-based checks
+plus the model selected by LLM_PROVIDER. Folders are searched for .txt,
+.md, .html, .docx and .pdf files; quote globs so the shell does not
+expand them (e.g. "content/**/*.md").
+
+Options:
+  -f, --format <human|json|sarif>  Output format (default: human)
+  -o, --output <file>              Write the report to a file instead of stdout
+      --fail-on <LOW|MEDIUM|HIGH|never>
+                                   Exit 1 when a finding is at or above this
+                                   severity (default: HIGH)
+  -p, --profile <id[@version]>     Brand profile from the profile store
+                                   (default: ${DEFAULT_PROFILE_ID})
+      --profile-file <file>        Brand profile from a JSON file instead
+  -k, --checklist <id[@version]>   Review checklist from the checklist store
+                                   (default: ${DEFAULT_CHECKLIST_ID})
+  -m, --markets <codes>            Comma-separated markets, e.g. IN,EU
+      --rulepacks <ids>            Comma-separated rulepacks within the markets
+      --keyword <text>             Target keyword for the SEO analysis
+  -c, --concurrency <n>            Files reviewed at once (default: 2)
+      --force                      Ignore cached reviews
+      --require-model              Exit 2 if the model step did not run
+  -h, --help                       Show this help
+`;
+
+class UsageError extends Error {}
+
+const list = (value) => value ? value.split(',').map((item) => item.trim()).filter(Boolean) : undefined;
+
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', short: 'f', default: 'human' },
+      output: { type: 'string', short: 'o' },
+      'fail-on': { type: 'string', default: 'HIGH' },
+      profile: { type: 'string', short: 'p' },
+      'profile-file': { type: 'string' },
+      checklist: { type: 'string', short: 'k' },
+      markets: { type: 'string', short: 'm' },
+      rulepacks: { type: 'string' },
+      keyword: { type: 'string' },
+      concurrency: { type: 'string', short: 'c', default: '2' },
+      force: { type: 'boolean', default: false },
+      'require-model': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  const failOn = values['fail-on'].toUpperCase();
+  if (!FORMATS.includes(values.format)) {
+    throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+  }
+  if (failOn !== 'NEVER' && !SEVERITIES.includes(failOn)) {
+    throw new UsageError(`--fail-on must be one of ${SEVERITIES.join(', ')} or never`);
+  }
+  const concurrency = Number.parseInt(values.concurrency, 10);
+  if (!(concurrency > 0)) throw new UsageError('--concurrency must be a positive number');
+  if (values.profile && values['profile-file']) {
+    throw new UsageError('Use either --profile or --profile-file, not both');
+  }
+
+  return { ...values, failOn, concurrency, patterns: positionals };
+}
+
+async function loadProfile({ profile, 'profile-file': profileFile }) {
+  if (profileFile) {
+    const { data, errors } = validateProfile(JSON.parse(fs.readFileSync(profileFile, 'utf8')));
+    if (!data) throw new UsageError(`Invalid profile in ${profileFile}: ${errors.join('; ')}`);
+    // Named after its contents, so editing the file invalidates cached reviews.
+    const digest = crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex').slice(0, 12);
+    return { id: `file-${digest}`, version: 1, ...data };
+  }
+
+  const [id, version] = (profile || DEFAULT_PROFILE_ID).split('@');
+  const found = await getProfile(id, Number.parseInt(version, 10) || undefined);
+  if (!found) throw new UsageError(`Brand profile "${profile}" does not exist`);
+  return found;
+}
+
+async function loadChecklist({ checklist }) {
+  const [id, version] = (checklist || DEFAULT_CHECKLIST_ID).split('@');
+  const found = await getChecklist(id, Number.parseInt(version, 10) || undefined);
+  if (!found) throw new UsageError(`Checklist "${checklist}" does not exist`);
+  return found;
+}
+
+// Review one file. Failures are reported per file rather than stopping
+// the run, so one corrupt upload does not hide findings in the rest.
+async function reviewFile(file, { profile, checklist, selection, keyword, force }) {
+  try {
+    const buffer = fs.readFileSync(file);
+    const { content, page } = await extractDocument({ filename: file, buffer });
+    if (!content.trim()) return { file, error: 'No text found' };
+
+    const review = await reviewWithCache({
+      content,
+      filename: file,
+      profile,
+      checklist,
+      markets: selection.markets,
+      rulepacks: selection.rulepacks,
+      keyword,
+      page,
+      force,
+    });
+    const extension = file.toLowerCase().split('.').pop();
+    return { file, content, source: TEXT_EXTENSIONS.includes(extension) ? buffer.toString('utf8') : null, review };
+  } catch (error) {
+    return { file, error: error.message };
+  }
+}
+
+async function main(argv) {
+  const options = parseOptions(argv);
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (options.patterns.length === 0) throw new UsageError('No files given');
+
+  const { files, unmatched } = resolveFiles(options.patterns);
+  if (unmatched.length > 0) throw new UsageError(`No reviewable files match ${unmatched.map((pattern) => `"${pattern}"`).join(', ')}`);
+
+  const selection = selectRulepacks({ markets: list(options.markets), rulepacks: list(options.rulepacks) });
+  if (selection.errors.length > 0) throw new UsageError(selection.errors.join('; '));
+  const profile = await loadProfile(options);
+  const checklist = await loadChecklist(options);
+
+  const results = await mapWithConcurrency(files, options.concurrency, (file) =>
+    reviewFile(file, { profile, checklist, selection, keyword: options.keyword, force: options.force })
+  );
+
+  const { version } = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+  const toFile = Boolean(options.output);
+  const report = {
+    human: () => formatHuman(results, { color: !toFile && process.stdout.isTTY && !process.env.NO_COLOR }),
+    json: () => formatJson(results, { failOn: options.failOn }),
+    sarif: () => formatSarif(results, { version }),
+  }[options.format]();
+
+  if (toFile) fs.writeFileSync(options.output, report);
+  else process.stdout.write(report);
+
+  if (results.some((result) => result.error)) return EXIT_ERROR;
+  if (options['require-model'] && results.some((result) => result.review.model.status !== 'ok')) {
+    console.error('olixir-review: the model step did not run for every file; only rule-based checks were applied.');
+    return EXIT_ERROR;
+  }
+  return failsThreshold(results, options.failOn) ? EXIT_FINDINGS : 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    const usage = error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS');
+    console.error(`olixir-review: ${error.message}`);
+    if (usage) console.error('Run olixir-review --help for usage.');
+    process.exitCode = EXIT_ERROR;
+  }
+);
@@ -0,0 +1,76 @@
+// components/AnnotatedDocument.js
+import { useEffect, useMemo, useRef } from 'react';
+import { severityRank } from '../lib/review/schema.js';
+import { highlightStyle } from './findingStyles.js';
+
+// Cut the document at every finding boundary. Each segment lists the
+// findings that cover it, most severe first, so overlapping findings still
+// get one highlight each.
+function buildSegments(content, findings) {
+  const boundaries = new Set([0, content.length]);
+  for (const finding of findings) {
+    boundaries.add(finding.start);
+    boundaries.add(finding.end);
+  }
+  const points = [...boundaries].filter((point) => point >= 0 && point <= content.length).sort((a, b) => a - b);
+
+  const segments = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const start = points[i];
+    const end = points[i + 1];
+    const covering = findings
+      .filter((finding) => finding.start <= start && finding.end >= end)
+      .sort((a, b) => severityRank(b.severity) - severityRank(a.severity));
+    segments.push({ start, end, findings: covering });
+  }
+  return segments;
+}
+
+export default function AnnotatedDocument({ content, findings, activeId, onSelect }) {
+  const segments = useMemo(() => buildSegments(content, findings), [content, findings]);
+  const highlightRefs = useRef({});
+
+  useEffect(() => {
+    highlightRefs.current[activeId]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [activeId]);
+
+  // The first segment of each finding is its scroll target.
+  const anchored = new Set();
+
+  return (
+    <div style={{
+      whiteSpace: 'pre-wrap',
+      fontSize: '14px',
+      lineHeight: '1.8',
+      color: '#1f2937'
+    }}>
+      {segments.map((segment) => {
+        const text = content.slice(segment.start, segment.end);
+        if (segment.findings.length === 0) return <span key={segment.start}>{text}</span>;
+
+        const active = segment.findings.find((finding) => finding.id === activeId);
+        const shown = active || segment.findings[0];
+        const anchors = segment.findings.filter((finding) => !anchored.has(finding.id));
+        anchors.forEach((finding) => anchored.add(finding.id));
+
+        return (
+          <mark
+            key={segment.start}
+            ref={(element) => {
+              anchors.forEach((finding) => { highlightRefs.current[finding.id] = element; });
+            }}
+            title={segment.findings.map((finding) => finding.explanation).join('\n')}
+            onClick={() => {
+              // Clicking again cycles through overlapping findings.
+              const index = segment.findings.findIndex((finding) => finding.id === activeId);
+              onSelect(segment.findings[(index + 1) % segment.findings.length].id);
+            }}
+            style={{ color: 'inherit', ...highlightStyle(shown, Boolean(active)) }}
+          >
+            {text}
+          </mark>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+// components/FindingWorkflow.js
+import { useState } from 'react';
+import { RESOLUTIONS, RESOLUTION_LABELS, WRITER_RESOLUTIONS } from '../lib/workflow/workflow.js';
+import { useSession } from './session.js';
+
+const smallInputStyle = {
+  width: '100%',
+  padding: '6px 8px',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  fontSize: '13px',
+  fontFamily: 'inherit',
+  boxSizing: 'border-box'
+};
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  borderRadius: '6px',
+  border: '1px solid #d1d5db',
+  background: 'white',
+  fontSize: '12px',
+  fontWeight: '500',
+  cursor: 'pointer'
+};
+
+// Resolution and comment thread for one finding in the approval workflow.
+export default function FindingWorkflow({ finding, workflow, onResolve, onComment }) {
+  const resolution = workflow.resolutions[finding.id];
+  const comments = workflow.comments[finding.id] || [];
+  const [state, setState] = useState(resolution?.state || '');
+  const [justification, setJustification] = useState(resolution?.justification || '');
+  const [comment, setComment] = useState('');
+  const locked = workflow.status === 'published';
+  const { can } = useSession();
+  const canSignOff = can('workflow:approve');
+  const resolutions = canSignOff ? RESOLUTIONS : WRITER_RESOLUTIONS;
+
+  return (
+    <div
+      onClick={(event) => event.stopPropagation()}
+      style={{ marginTop: '10px', paddingTop: '10px', borderTop: '1px dashed #e5e7eb', cursor: 'default' }}
+    >
+      {resolution ? (
+        <div style={{ color: '#065f46' }}>
+          <strong>{RESOLUTION_LABELS[resolution.state]}</strong>
+          {resolution.actor && ` by ${resolution.actor}`} · {new Date(resolution.at).toLocaleString()}
+          {resolution.justification && <div style={{ color: '#374151' }}>“{resolution.justification}”</div>}
+          {!locked && canSignOff && (
+            <button onClick={() => onResolve(finding.id, null)} style={{ ...smallButtonStyle, marginTop: '6px' }}>
+              Reopen
+            </button>
+          )}
+        </div>
+      ) : !locked && (
+        <div style={{ display: 'grid', gap: '6px' }}>
+          <select value={state} onChange={(event) => setState(event.target.value)} style={smallInputStyle}>
+            <option value="">Resolve as...</option>
+            {resolutions.map((value) => (
+              <option key={value} value={value}>{RESOLUTION_LABELS[value]}</option>
+            ))}
+          </select>
+          {state && (
+            <input
+              value={justification}
+              onChange={(event) => setJustification(event.target.value)}
+              placeholder={state === 'accepted_risk' ? 'Justification (required)' : 'Note (optional)'}
+              style={smallInputStyle}
+            />
+          )}
+          {state && (
+            <button
+              onClick={() => onResolve(finding.id, state, justification)}
+              disabled={state === 'accepted_risk' && !justification.trim()}
+              style={{ ...smallButtonStyle, justifySelf: 'start' }}
+            >
+              Save resolution
+            </button>
+          )}
+        </div>
+      )}
+
+      <div style={{ marginTop: '10px' }}>
+        {comments.map((entry) => (
+          <div key={entry.id} style={{ marginBottom: '6px', padding: '6px 8px', background: '#f9fafb', borderRadius: '6px' }}>
+            <div style={{ fontSize: '11px', color: '#6b7280' }}>
+              {entry.actor || 'Anonymous'} · {new Date(entry.at).toLocaleString()}
+            </div>
+            <div style={{ whiteSpace: 'pre-wrap' }}>{entry.text}</div>
+          </div>
+        ))}
+        <div style={{ display: 'flex', gap: '6px' }}>
+          <input
+            value={comment}
+            onChange={(event) => setComment(event.target.value)}
+            placeholder="Add a comment"
+            style={smallInputStyle}
+          />
+          <button
+            onClick={async () => {
+              if (await onComment(finding.id, comment)) setComment('');
+            }}
+            disabled={!comment.trim()}
+            style={smallButtonStyle}
+          >
+            Post
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,261 @@
+// components/FindingsPanel.js
+import { useEffect, useRef, useState } from 'react';
+import { describeLocation } from '../lib/document/structure.js';
+import { RESOLUTION_LABELS } from '../lib/workflow/workflow.js';
+import FindingWorkflow from './FindingWorkflow.js';
+import { SEVERITY_ICONS, categoryColor } from './findingStyles.js';
+
+const actionButtonStyle = {
+  padding: '4px 10px',
+  borderRadius: '6px',
+  border: '1px solid #d1d5db',
+  background: 'white',
+  fontSize: '12px',
+  fontWeight: '500',
+  cursor: 'pointer'
+};
+
+const DECISION_BADGES = {
+  accepted: { label: 'Accepted', background: '#d1fae5', color: '#065f46' },
+  edited: { label: 'Edited', background: '#dbeafe', color: '#1e40af' },
+  rejected: { label: 'Rejected', background: '#f3f4f6', color: '#6b7280' },
+};
+
+export default function FindingsPanel({
+  findings,
+  labels = {},
+  activeId,
+  onSelect,
+  decisions = {},
+  conflicts = [],
+  onDecide,
+  workflow,
+  onResolve,
+  onComment,
+}) {
+  const itemRefs = useRef({});
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => {
+    itemRefs.current[activeId]?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }, [activeId]);
+
+  if (findings.length === 0) {
+    return (
+      <p style={{ margin: 0, fontSize: '14px', color: '#059669', fontWeight: '500' }}>
+        ✅ No issues found
+      </p>
+    );
+  }
+
+  return findings.map((finding) => {
+    const active = finding.id === activeId;
+    const decision = decisions[finding.id];
+    const badge = DECISION_BADGES[decision?.status];
+    const resolution = workflow?.resolutions[finding.id];
+    const commentCount = workflow?.comments[finding.id]?.length || 0;
+    const decide = (event, value) => {
+      event.stopPropagation();
+      onDecide(finding.id, value);
+    };
+
+    return (
+      <div
+        key={finding.id}
+        ref={(element) => { itemRefs.current[finding.id] = element; }}
+        onClick={() => onSelect(finding.id)}
+        style={{
+          padding: '12px 14px',
+          marginBottom: '10px',
+          background: active ? categoryColor(finding.category, 0.08) : 'white',
+          borderRadius: '10px',
+          border: `1px solid ${active ? categoryColor(finding.category) : '#e5e7eb'}`,
+          borderLeft: `4px solid ${categoryColor(finding.category)}`,
+          fontSize: '13px',
+          lineHeight: '1.6',
+          color: '#374151',
+          cursor: 'pointer'
+        }}
+      >
+        <div style={{ fontWeight: '600', marginBottom: '4px' }}>
+          {SEVERITY_ICONS[finding.severity]}{' '}
+          {labels[finding.category] || finding.category} · {finding.severity}
+          {finding.source === 'rule' && (
+            <span style={{
+              marginLeft: '8px',
+              padding: '2px 8px',
+              borderRadius: '999px',
+              background: '#ede9fe',
+              color: '#5b21b6',
+              fontSize: '11px'
+            }}>
+              Rule
+            </span>
+          )}
+          {badge && (
+            <span style={{
+              marginLeft: '8px',
+              padding: '2px 8px',
+              borderRadius: '999px',
+              background: badge.background,
+              color: badge.color,
+              fontSize: '11px'
+            }}>
+              {badge.label}
+            </span>
+          )}
+          {resolution && (
+            <span style={{
+              marginLeft: '8px',
+              padding: '2px 8px',
+              borderRadius: '999px',
+              background: '#d1fae5',
+              color: '#065f46',
+              fontSize: '11px'
+            }}>
+              {RESOLUTION_LABELS[resolution.state]}
+            </span>
+          )}
+          {commentCount > 0 && (
+            <span style={{ marginLeft: '8px', fontSize: '11px', color: '#6b7280' }}>💬 {commentCount}</span>
+          )}
+        </div>
+        {finding.location && (
+          <div style={{ fontSize: '12px', color: '#6b7280' }}>
+            📍 {describeLocation(finding.location)}
+          </div>
+        )}
+        {finding.citations?.map((citation) => (
+          <div key={citation.clause} style={{ fontSize: '12px', color: '#92400e' }}>
+            ⚖️ {citation.reference}{active && `: ${citation.title}`}
+          </div>
+        ))}
+        {finding.facts?.map((fact) => (
+          <div key={fact.id} style={{
+            fontSize: '12px',
+            color: '#0f766e',
+            overflow: 'hidden',
+            textOverflow: 'ellipsis',
+            whiteSpace: active ? 'normal' : 'nowrap'
+          }}>
+            📦 {fact.productName}, {fact.label.toLowerCase()}: {fact.value}
+          </div>
+        ))}
+        <div style={{
+          fontStyle: 'italic',
+          overflow: 'hidden',
+          textOverflow: 'ellipsis',
+          whiteSpace: active ? 'normal' : 'nowrap'
+        }}>
+          “{finding.quote}”
+        </div>
+        {active && (
+          <>
+            <div style={{ marginTop: '6px' }}>{finding.explanation}</div>
+            {finding.suggestion && (
+              <div style={{ marginTop: '6px', color: '#059669' }}>
+                <strong>Suggest:</strong> {finding.suggestion}
+              </div>
+            )}
+            {finding.approvedClaim && (
+              <div style={{ marginTop: '4px', fontSize: '12px', color: '#065f46' }}>
+                ✅ Approved wording: {finding.approvedClaim.substantiation}
+                {finding.approvedClaim.approvedOn && ` · approved ${finding.approvedClaim.approvedOn}`}
+                {finding.approvedClaim.approvedBy && ` by ${finding.approvedClaim.approvedBy}`}
+                {` · ${finding.approvedClaim.markets.join(', ')}`}
+              </div>
+            )}
+            {decision?.status === 'edited' && (
+              <div style={{ marginTop: '6px', color: '#1e40af' }}>
+                <strong>Your rewrite:</strong> {decision.replacement || '(remove text)'}
+              </div>
+            )}
+            {conflicts.includes(finding.id) && (
+              <div style={{ marginTop: '6px', color: '#b91c1c' }}>
+                Overlaps another accepted rewrite and will not be applied.
+              </div>
+            )}
+
+            {onDecide && editing?.id === finding.id && (
+              <div onClick={(event) => event.stopPropagation()} style={{ marginTop: '8px' }}>
+                <textarea
+                  value={editing.text}
+                  onChange={(event) => setEditing({ id: finding.id, text: event.target.value })}
+                  rows={3}
+                  style={{
+                    width: '100%',
+                    padding: '8px',
+                    border: '1px solid #d1d5db',
+                    borderRadius: '6px',
+                    fontSize: '13px',
+                    fontFamily: 'inherit'
+                  }}
+                />
+                <div style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+                  <button
+                    onClick={(event) => {
+                      decide(event, { status: 'edited', replacement: editing.text });
+                      setEditing(null);
+                    }}
+                    style={{ ...actionButtonStyle, background: '#1e40af', borderColor: '#1e40af', color: 'white' }}
+                  >
+                    Save rewrite
+                  </button>
+                  <button onClick={() => setEditing(null)} style={actionButtonStyle}>
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {onDecide && editing?.id !== finding.id && (
+              <div style={{ display: 'flex', gap: '6px', marginTop: '8px' }}>
+                {finding.suggestion && (
+                  <button
+                    onClick={(event) => decide(event, { status: 'accepted' })}
+                    style={{ ...actionButtonStyle, color: '#065f46' }}
+                  >
+                    ✓ Accept
+                  </button>
+                )}
+                <button
+                  onClick={(event) => {
+                    event.stopPropagation();
+                    setEditing({
+                      id: finding.id,
+                      text: decision?.status === 'edited' ? decision.replacement : (finding.suggestion || finding.quote)
+                    });
+                  }}
+                  style={{ ...actionButtonStyle, color: '#1e40af' }}
+                >
+                  ✎ Edit
+                </button>
+                <button
+                  onClick={(event) => decide(event, { status: 'rejected' })}
+                  style={{ ...actionButtonStyle, color: '#6b7280' }}
+                >
+                  ✕ Reject
+                </button>
+                {decision && (
+                  <button onClick={(event) => decide(event, null)} style={actionButtonStyle}>
+                    Undo
+                  </button>
+                )}
+              </div>
+            )}
+
+            {workflow && (
+              <FindingWorkflow
+                key={`${finding.id}-${resolution?.at || 'open'}`}
+                finding={finding}
+                workflow={workflow}
+                onResolve={onResolve}
+                onComment={onComment}
+              />
+            )}
+          </>
+        )}
+      </div>
+    );
+  });
+}
@@ -0,0 +1,132 @@
+// components/Layout.js
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { useEffect } from 'react';
+import { useSession } from './session.js';
+
+const NAV_LINKS = [
+  { href: '/', label: 'Review' },
+  { href: '/history', label: 'History', match: ['/history', '/reviews'] },
+  { href: '/batches', label: 'Batches' },
+  { href: '/profiles', label: 'Brand profiles' },
+  { href: '/checklists', label: 'Checklists' },
+  { href: '/catalogue', label: 'Catalogue' },
+  { href: '/claims', label: 'Approved claims' },
+  { href: '/account', label: 'Account' },
+];
+
+// Page chrome shared by every page: gradient background, header and nav.
+// Pages are for signed-in users unless `requireAuth` is false; anyone else
+// is sent to the login page and brought back afterwards.
+export default function Layout({ title = 'Olixir Document Review System', requireAuth = true, children }) {
+  const router = useRouter();
+  const session = useSession();
+  const signedOut = requireAuth && !session.loading && !session.user;
+
+  useEffect(() => {
+    if (signedOut) router.replace(`/login?next=${encodeURIComponent(router.asPath)}`);
+  }, [signedOut, router]);
+
+  const signOut = async () => {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    await session.refresh();
+  };
+
+  return (
+    <>
+      <Head>
+        <title>{title}</title>
+        <meta name="description" content="AI-powered document review for Olixir content" />
+      </Head>
+
+      <div style={{
+        minHeight: '100vh',
+        background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+        fontFamily: "'Inter', -apple-system, BlinkMacSystemFont, sans-serif",
+        margin: 0,
+        padding: 0
+      }}>
+        {/* Header */}
+        <div style={{
+          background: 'rgba(255, 255, 255, 0.95)',
+          backdropFilter: 'blur(10px)',
+          borderBottom: '1px solid rgba(255, 255, 255, 0.2)',
+          padding: '20px 0',
+          textAlign: 'center',
+          boxShadow: '0 4px 20px rgba(0, 0, 0, 0.1)'
+        }}>
+          <h1 style={{
+            margin: '0 0 10px 0',
+            fontSize: '2.5rem',
+            fontWeight: '700',
+            background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+            WebkitBackgroundClip: 'text',
+            WebkitTextFillColor: 'transparent',
+            letterSpacing: '-0.02em'
+          }}>
+            Olixir Document Review System
+          </h1>
+          <p style={{
+            margin: 0,
+            fontSize: '1.1rem',
+            color: '#6b7280',
+            fontWeight: '400'
+          }}>
+            AI-powered content analysis for compliance and quality assurance
+          </p>
+          <nav style={{
+            display: 'flex',
+            justifyContent: 'center',
+            gap: '24px',
+            marginTop: '15px',
+            fontSize: '14px',
+            fontWeight: '500'
+          }}>
+            {session.user && NAV_LINKS.map((link) => {
+              const active = link.href === '/'
+                ? router.pathname === '/'
+                : (link.match || [link.href]).some((path) => router.pathname.startsWith(path));
+              return (
+                <Link
+                  key={link.href}
+                  href={link.href}
+                  style={{
+                    color: active ? '#667eea' : '#6b7280',
+                    textDecoration: 'none',
+                    borderBottom: `2px solid ${active ? '#667eea' : 'transparent'}`,
+                    paddingBottom: '4px'
+                  }}
+                >
+                  {link.label}
+                </Link>
+              );
+            })}
+            {session.user && (
+              <span style={{ color: '#6b7280' }}>
+                {session.user.name} ({session.user.roleLabel}) ·{' '}
+                <button
+                  onClick={signOut}
+                  style={{ background: 'none', border: 'none', padding: 0, color: '#667eea', cursor: 'pointer', font: 'inherit' }}
+                >
+                  Sign out
+                </button>
+              </span>
+            )}
+          </nav>
+        </div>
+
+        {/* Main Content */}
+        <div style={{
+          maxWidth: '1200px',
+          margin: '0 auto',
+          padding: '40px 20px'
+        }}>
+          {requireAuth && !session.user
+            ? <p style={{ textAlign: 'center', color: 'white' }}>Loading…</p>
+            : children}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,190 @@
+// components/ReviewWorkspace.js
+import { useMemo, useState } from 'react';
+import { applyDecisions } from '../lib/document/revise.js';
+import { reviewSections } from '../lib/review/schema.js';
+import AnnotatedDocument from './AnnotatedDocument.js';
+import FindingsPanel from './FindingsPanel.js';
+import RevisionPanel from './RevisionPanel.js';
+import SeoPanel from './SeoPanel.js';
+import { SEVERITY_ICONS, categoryColor } from './findingStyles.js';
+
+const paneStyle = {
+  background: 'linear-gradient(135deg, #f8fafc 0%, #f1f5f9 100%)',
+  padding: '20px',
+  borderRadius: '15px',
+  border: '1px solid #e2e8f0',
+  maxHeight: '600px',
+  overflow: 'auto'
+};
+
+const tabStyle = (selected) => ({
+  padding: '8px 16px',
+  border: 'none',
+  borderBottom: `3px solid ${selected ? '#667eea' : 'transparent'}`,
+  background: 'none',
+  color: selected ? '#1f2937' : '#6b7280',
+  fontSize: '14px',
+  fontWeight: '600',
+  cursor: 'pointer'
+});
+
+// The reviewed document with findings highlighted in place, next to a list
+// of the findings. Selecting either side scrolls the other to match. When
+// `onDecisionsChange` is given, each suggested rewrite can be accepted,
+// edited or rejected, and the revised draft is shown and exportable. With a
+// `workflow`, findings can also be resolved and commented on. `checklist`
+// is the review's checklist, whose sections make up the legend. With `seo`,
+// the SEO and readability analysis is a second tab beside the findings.
+export default function ReviewWorkspace({
+  content,
+  findings,
+  checklist,
+  filename,
+  decisions = {},
+  onDecisionsChange,
+  workflow,
+  onResolve,
+  onComment,
+  seo,
+}) {
+  const [activeId, setActiveId] = useState(null);
+  const [tab, setTab] = useState('annotated');
+  const [sideTab, setSideTab] = useState('findings');
+  const active = findings.find((finding) => finding.id === activeId);
+  const revision = useMemo(() => applyDecisions(content, findings, decisions), [content, findings, decisions]);
+  const sections = useMemo(() => reviewSections({ checklist, findings }), [checklist, findings]);
+  const labels = Object.fromEntries(sections.map((section) => [section.id, section.label]));
+
+  // A highlight clicked while the SEO tab is open brings its finding back.
+  const selectHighlight = (id) => {
+    setActiveId(id);
+    setSideTab('findings');
+  };
+
+  const decide = onDecisionsChange && ((id, decision) => {
+    const next = { ...decisions };
+    if (decision) next[id] = decision;
+    else delete next[id];
+    onDecisionsChange(next);
+  });
+
+  return (
+    <div>
+      {decide && (
+        <div style={{ display: 'flex', gap: '4px', marginBottom: '15px', borderBottom: '1px solid #e5e7eb' }}>
+          <button onClick={() => setTab('annotated')} style={tabStyle(tab === 'annotated')}>
+            Annotated document
+          </button>
+          <button onClick={() => setTab('revision')} style={tabStyle(tab === 'revision')}>
+            Revised draft ({revision.changes.length})
+          </button>
+        </div>
+      )}
+
+      {tab === 'revision' && decide ? (
+        <RevisionPanel content={content} revision={revision} filename={filename} />
+      ) : (
+        <>
+          {/* Legend */}
+          <div style={{
+            display: 'flex',
+            flexWrap: 'wrap',
+            gap: '12px',
+            marginBottom: '15px',
+            fontSize: '12px',
+            color: '#4b5563'
+          }}>
+            {sections.map((section) => (
+              <span key={section.id} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                <span style={{
+                  width: '12px',
+                  height: '12px',
+                  borderRadius: '3px',
+                  background: categoryColor(section.id, 0.35),
+                  border: `1px solid ${categoryColor(section.id)}`
+                }} />
+                {section.label}
+              </span>
+            ))}
+            <span>· Stronger shading means higher severity</span>
+          </div>
+
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: '2fr 1fr',
+            gap: '20px'
+          }}>
+            <div style={{ ...paneStyle, position: 'relative', paddingTop: 0 }}>
+              {/* Selected finding */}
+              <div style={{
+                position: 'sticky',
+                top: 0,
+                zIndex: 1,
+                margin: '0 -20px 15px',
+                padding: '12px 20px',
+                background: active ? categoryColor(active.category, 0.12) : '#f8fafc',
+                backdropFilter: 'blur(6px)',
+                borderBottom: '1px solid #e2e8f0',
+                fontSize: '13px',
+                lineHeight: '1.6',
+                color: '#374151',
+                minHeight: '24px'
+              }}>
+                {active ? (
+                  <>
+                    <strong>
+                      {SEVERITY_ICONS[active.severity]} {labels[active.category] || active.category} · {active.severity}
+                    </strong>
+                    <div>{active.explanation}</div>
+                    {active.suggestion && (
+                      <div style={{ color: '#059669' }}>
+                        <strong>Replace with:</strong> {active.suggestion}
+                      </div>
+                    )}
+                  </>
+                ) : (
+                  <span style={{ color: '#6b7280' }}>Click a highlight to see the explanation and suggested replacement.</span>
+                )}
+              </div>
+              <AnnotatedDocument
+                content={content}
+                findings={findings}
+                activeId={activeId}
+                onSelect={selectHighlight}
+              />
+            </div>
+
+            <div style={paneStyle}>
+              {seo && (
+                <div style={{ display: 'flex', gap: '4px', margin: '-8px 0 15px 0', borderBottom: '1px solid #e5e7eb' }}>
+                  <button onClick={() => setSideTab('findings')} style={tabStyle(sideTab === 'findings')}>
+                    Compliance ({findings.length})
+                  </button>
+                  <button onClick={() => setSideTab('seo')} style={tabStyle(sideTab === 'seo')}>
+                    SEO{seo.score !== null && ` (${seo.score})`}
+                  </button>
+                </div>
+              )}
+              {seo && sideTab === 'seo' ? (
+                <SeoPanel seo={seo} />
+              ) : (
+                <FindingsPanel
+                  findings={findings}
+                  labels={labels}
+                  activeId={activeId}
+                  onSelect={setActiveId}
+                  decisions={decisions}
+                  conflicts={revision.conflicts}
+                  onDecide={decide}
+                  workflow={workflow}
+                  onResolve={onResolve}
+                  onComment={onComment}
+                />
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+// components/RevisionPanel.js
+import { trackedChanges } from '../lib/document/revise.js';
+import { markdownToPlainText } from '../lib/document/plainText.js';
+import { baseName, downloadBlob } from '../lib/download.js';
+
+const exportButtonStyle = {
+  padding: '8px 14px',
+  background: 'linear-gradient(135deg, #3b82f6 0%, #2563eb 100%)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  fontSize: '13px',
+  fontWeight: '500',
+  cursor: 'pointer'
+};
+
+// Tracked-changes view of the accepted rewrites, plus exports of the
+// revised draft.
+export default function RevisionPanel({ content, revision, filename }) {
+  const segments = trackedChanges(content, revision.changes);
+  const name = baseName(filename);
+
+  const exportDocx = async (tracked) => {
+    // docx is only needed when exporting, so keep it out of the page bundle.
+    const { revisedDocx, trackedChangesDocx } = await import('../lib/document/docx.js');
+    const blob = tracked
+      ? await trackedChangesDocx(content, revision.changes)
+      : await revisedDocx(revision.text);
+    downloadBlob(blob, tracked ? `${name}_tracked.docx` : `revised_${name}.docx`);
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '15px' }}>
+        <button
+          onClick={() => downloadBlob(new Blob([revision.text], { type: 'text/markdown' }), `revised_${name}.md`)}
+          style={exportButtonStyle}
+        >
+          💾 Markdown
+        </button>
+        <button
+          onClick={() => downloadBlob(new Blob([markdownToPlainText(revision.text)], { type: 'text/plain' }), `revised_${name}.txt`)}
+          style={exportButtonStyle}
+        >
+          📄 Plain text
+        </button>
+        <button onClick={() => exportDocx(false)} style={exportButtonStyle}>
+          📝 Word (.docx)
+        </button>
+        <button onClick={() => exportDocx(true)} style={exportButtonStyle}>
+          🔀 Word with tracked changes
+        </button>
+      </div>
+
+      <div style={{
+        fontSize: '12px',
+        color: '#6b7280',
+        marginBottom: '10px'
+      }}>
+        {revision.changes.length} change(s) applied
+        {revision.conflicts.length > 0 && `, ${revision.conflicts.length} skipped because they overlap`}
+      </div>
+
+      <div style={{
+        background: 'linear-gradient(135deg, #f8fafc 0%, #f1f5f9 100%)',
+        padding: '20px',
+        borderRadius: '15px',
+        border: '1px solid #e2e8f0',
+        maxHeight: '500px',
+        overflow: 'auto',
+        whiteSpace: 'pre-wrap',
+        fontSize: '14px',
+        lineHeight: '1.8',
+        color: '#1f2937'
+      }}>
+        {segments.map((segment, i) => {
+          if (segment.type === 'delete') {
+            return <del key={i} style={{ background: '#fee2e2', color: '#991b1b' }}>{segment.text}</del>;
+          }
+          if (segment.type === 'insert') {
+            return <ins key={i} style={{ background: '#d1fae5', color: '#065f46', textDecoration: 'none' }}>{segment.text}</ins>;
+          }
+          return <span key={i}>{segment.text}</span>;
+        })}
+      </div>
+    </div>
+  );
+}
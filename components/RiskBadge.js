@@ -0,0 +1,26 @@
+// components/RiskBadge.js
+
+export const RISK_COLORS = {
+  HIGH: { background: '#fef2f2', border: '#fca5a5', color: '#dc2626' },
+  MEDIUM: { background: '#fffbeb', border: '#fcd34d', color: '#d97706' },
+  LOW: { background: '#f0fdf4', border: '#86efac', color: '#059669' },
+};
+
+export default function RiskBadge({ level }) {
+  const colors = RISK_COLORS[level] || RISK_COLORS.LOW;
+  return (
+    <span style={{
+      display: 'inline-block',
+      padding: '2px 10px',
+      borderRadius: '999px',
+      background: colors.background,
+      border: `1px solid ${colors.border}`,
+      color: colors.color,
+      fontSize: '12px',
+      fontWeight: '600',
+      whiteSpace: 'nowrap'
+    }}>
+      {level}
+    </span>
+  );
+}
@@ -0,0 +1,109 @@
+// components/SeoPanel.js
+
+const STATUS_STYLES = {
+  pass: { icon: '✅', color: '#065f46' },
+  warn: { icon: '⚠️', color: '#92400e' },
+  fail: { icon: '❌', color: '#b91c1c' },
+  skip: { icon: '➖', color: '#9ca3af' },
+};
+
+function scoreColor(score) {
+  if (score >= 80) return '#059669';
+  if (score >= 50) return '#d97706';
+  return '#dc2626';
+}
+
+const sectionTitleStyle = {
+  margin: '16px 0 8px 0',
+  fontSize: '12px',
+  fontWeight: '600',
+  color: '#6b7280',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em'
+};
+
+function Distribution({ title, buckets }) {
+  const largest = Math.max(1, ...buckets.map((bucket) => bucket.count));
+  return (
+    <div style={{ marginBottom: '10px' }}>
+      <div style={{ fontSize: '12px', fontWeight: '600', color: '#374151', marginBottom: '4px' }}>{title}</div>
+      {buckets.map((bucket) => (
+        <div key={bucket.label} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', color: '#4b5563' }}>
+          <span style={{ width: '100px', flexShrink: 0 }}>{bucket.label}</span>
+          <div style={{ flex: 1, height: '8px', background: '#e5e7eb', borderRadius: '999px', overflow: 'hidden' }}>
+            <div style={{ width: `${(bucket.count / largest) * 100}%`, height: '100%', background: '#667eea' }} />
+          </div>
+          <span style={{ width: '28px', textAlign: 'right' }}>{bucket.count}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// The locally computed SEO and readability analysis of a review: the
+// overall score, each check by group, and the sentence and paragraph
+// length distributions.
+export default function SeoPanel({ seo }) {
+  const groups = [...new Set(seo.checks.map((check) => check.group))];
+  const { readability } = seo;
+
+  return (
+    <div style={{ fontSize: '13px', lineHeight: '1.5', color: '#374151' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '14px' }}>
+        <div style={{
+          width: '64px',
+          height: '64px',
+          borderRadius: '50%',
+          border: `5px solid ${seo.score === null ? '#d1d5db' : scoreColor(seo.score)}`,
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          fontSize: '20px',
+          fontWeight: '700',
+          color: seo.score === null ? '#6b7280' : scoreColor(seo.score),
+          flexShrink: 0
+        }}>
+          {seo.score ?? '–'}
+        </div>
+        <div>
+          <div style={{ fontWeight: '600' }}>SEO and readability score</div>
+          <div style={{ fontSize: '12px', color: '#6b7280' }}>
+            {seo.words} words · {readability.sentences} sentences · {readability.paragraphs} paragraphs
+            {readability.readingEase !== null && ` · reading ease ${readability.readingEase}`}
+            {seo.keyword && ` · keyword “${seo.keyword}”`}
+          </div>
+        </div>
+      </div>
+
+      {groups.map((group) => (
+        <div key={group}>
+          <h4 style={sectionTitleStyle}>{group}</h4>
+          {seo.checks.filter((check) => check.group === group).map((check) => (
+            <div key={check.id} style={{ display: 'flex', gap: '8px', marginBottom: '6px' }}>
+              <span>{STATUS_STYLES[check.status].icon}</span>
+              <div>
+                <strong style={{ color: STATUS_STYLES[check.status].color }}>{check.label}</strong>
+                <div style={{ fontSize: '12px', color: check.status === 'skip' ? '#9ca3af' : '#4b5563' }}>{check.message}</div>
+              </div>
+            </div>
+          ))}
+        </div>
+      ))}
+
+      <h4 style={sectionTitleStyle}>Lengths</h4>
+      <Distribution title={`Sentences (average ${readability.averageSentenceWords} words)`} buckets={seo.sentenceLengths} />
+      <Distribution title={`Paragraphs (average ${readability.averageParagraphWords} words)`} buckets={seo.paragraphLengths} />
+
+      {seo.headings.length > 0 && (
+        <>
+          <h4 style={sectionTitleStyle}>Headings</h4>
+          {seo.headings.map((heading, i) => (
+            <div key={i} style={{ paddingLeft: `${(heading.level - 1) * 12}px`, fontSize: '12px', color: '#4b5563' }}>
+              <span style={{ color: '#9ca3af', marginRight: '6px' }}>H{heading.level}</span>{heading.text}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
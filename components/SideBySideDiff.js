@@ -0,0 +1,115 @@
+// components/SideBySideDiff.js
+import { Fragment, useState } from 'react';
+
+const CONTEXT_LINES = 2;
+
+const ROW_BACKGROUNDS = {
+  removed: { left: '#fef2f2', right: '#f9fafb' },
+  added: { left: '#f9fafb', right: '#f0fdf4' },
+  changed: { left: '#fef2f2', right: '#f0fdf4' },
+  same: { left: 'white', right: 'white' },
+};
+
+const cellStyle = {
+  padding: '2px 8px',
+  fontFamily: 'ui-monospace, SFMono-Regular, Menlo, monospace',
+  fontSize: '12px',
+  lineHeight: '1.6',
+  whiteSpace: 'pre-wrap',
+  wordBreak: 'break-word',
+  verticalAlign: 'top'
+};
+
+const numberStyle = {
+  ...cellStyle,
+  width: '1%',
+  color: '#9ca3af',
+  textAlign: 'right',
+  userSelect: 'none'
+};
+
+function LineText({ side }) {
+  if (!side) return null;
+  if (!side.segments) return side.text;
+  return side.segments.map((segment, i) => (
+    <span
+      key={i}
+      style={segment.type === 'delete'
+        ? { background: '#fecaca', textDecoration: 'line-through' }
+        : segment.type === 'insert' ? { background: '#bbf7d0' } : undefined}
+    >
+      {segment.text}
+    </span>
+  ));
+}
+
+// Runs of unchanged lines longer than the context around them are folded
+// into a single "show N unchanged lines" row.
+function foldRows(rows) {
+  const changed = rows.map((row) => row.type !== 'same');
+  const near = (index) => changed.slice(Math.max(0, index - CONTEXT_LINES), index + CONTEXT_LINES + 1).some(Boolean);
+
+  const items = [];
+  rows.forEach((row, index) => {
+    if (row.type !== 'same' || near(index)) {
+      items.push({ row, index });
+      return;
+    }
+    const last = items[items.length - 1];
+    if (last?.fold) last.fold.push(row);
+    else items.push({ fold: [row], index });
+  });
+  return items;
+}
+
+// Two revisions of a document side by side, with changed words marked.
+export default function SideBySideDiff({ rows }) {
+  const [expanded, setExpanded] = useState({});
+
+  if (rows.every((row) => row.type === 'same')) {
+    return <p style={{ margin: 0, fontSize: '14px', color: '#6b7280' }}>The text is unchanged.</p>;
+  }
+
+  return (
+    <table style={{ width: '100%', borderCollapse: 'collapse', tableLayout: 'fixed' }}>
+      <colgroup>
+        <col style={{ width: '40px' }} />
+        <col />
+        <col style={{ width: '40px' }} />
+        <col />
+      </colgroup>
+      <tbody>
+        {foldRows(rows).map((item) => {
+          if (item.fold && !expanded[item.index]) {
+            return (
+              <tr key={item.index}>
+                <td colSpan={4} style={{ ...cellStyle, textAlign: 'center', background: '#f3f4f6' }}>
+                  <button
+                    onClick={() => setExpanded({ ...expanded, [item.index]: true })}
+                    style={{ border: 'none', background: 'none', color: '#667eea', cursor: 'pointer', fontSize: '12px' }}
+                  >
+                    ⋯ Show {item.fold.length} unchanged line{item.fold.length === 1 ? '' : 's'}
+                  </button>
+                </td>
+              </tr>
+            );
+          }
+
+          const rowsToShow = item.fold || [item.row];
+          return (
+            <Fragment key={item.index}>
+              {rowsToShow.map((row, i) => (
+                <tr key={i} style={{ borderBottom: '1px solid #f3f4f6' }}>
+                  <td style={{ ...numberStyle, background: ROW_BACKGROUNDS[row.type].left }}>{row.left?.number}</td>
+                  <td style={{ ...cellStyle, background: ROW_BACKGROUNDS[row.type].left }}><LineText side={row.left} /></td>
+                  <td style={{ ...numberStyle, background: ROW_BACKGROUNDS[row.type].right }}>{row.right?.number}</td>
+                  <td style={{ ...cellStyle, background: ROW_BACKGROUNDS[row.type].right }}><LineText side={row.right} /></td>
+                </tr>
+              ))}
+            </Fragment>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
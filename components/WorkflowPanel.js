@@ -0,0 +1,134 @@
+// components/WorkflowPanel.js
+import { useState } from 'react';
+import { SIGN_OFF_STATUSES, STATUS_LABELS, TRANSITIONS, unresolvedFindings } from '../lib/workflow/workflow.js';
+import { useSession } from './session.js';
+import { inputStyle, labelStyle, secondaryButtonStyle } from './styles.js';
+
+export const STATUS_COLORS = {
+  draft: { background: '#f3f4f6', color: '#374151' },
+  in_review: { background: '#dbeafe', color: '#1e40af' },
+  changes_requested: { background: '#fef3c7', color: '#92400e' },
+  approved: { background: '#d1fae5', color: '#065f46' },
+  published: { background: '#ede9fe', color: '#5b21b6' },
+};
+
+const ACTION_LABELS = {
+  draft: '↩️ Back to draft',
+  in_review: '📨 Submit for review',
+  changes_requested: '✏️ Request changes',
+  approved: '✅ Approve',
+  published: '🚀 Mark published',
+};
+
+export function StatusBadge({ status }) {
+  const colors = STATUS_COLORS[status] || STATUS_COLORS.draft;
+  return (
+    <span style={{
+      display: 'inline-block',
+      padding: '2px 10px',
+      borderRadius: '999px',
+      fontSize: '12px',
+      fontWeight: '600',
+      whiteSpace: 'nowrap',
+      ...colors
+    }}>
+      {STATUS_LABELS[status] || status}
+    </span>
+  );
+}
+
+// Status, reviewers and sign-off history of a stored review.
+export default function WorkflowPanel({ review, onTransition, onReviewersChange }) {
+  const { workflow } = review;
+  const { can } = useSession();
+  const canSignOff = can('workflow:approve');
+  const actions = TRANSITIONS[workflow.status].filter((status) => canSignOff || !SIGN_OFF_STATUSES.includes(status));
+  const [note, setNote] = useState('');
+  const [reviewers, setReviewers] = useState(workflow.reviewers.join(', '));
+  const blocking = unresolvedFindings(review);
+
+  const move = async (status) => {
+    if (await onTransition(status, note)) setNote('');
+  };
+
+  return (
+    <div style={{
+      padding: '20px',
+      marginBottom: '20px',
+      borderRadius: '15px',
+      border: '1px solid #e2e8f0',
+      background: 'linear-gradient(135deg, #f8fafc 0%, #f1f5f9 100%)'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '15px' }}>
+        <strong style={{ color: '#1f2937' }}>Approval status:</strong>
+        <StatusBadge status={workflow.status} />
+        {blocking.length > 0 && (
+          <span style={{ fontSize: '13px', color: '#b91c1c' }}>
+            {blocking.length} unresolved HIGH finding{blocking.length === 1 ? '' : 's'} block approval
+          </span>
+        )}
+      </div>
+
+      {canSignOff ? (
+        <div style={{ marginBottom: '15px' }}>
+          <label style={labelStyle}>Reviewers (comma-separated):</label>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <input value={reviewers} onChange={(event) => setReviewers(event.target.value)} style={inputStyle} />
+            <button
+              onClick={() => onReviewersChange(reviewers.split(',').map((name) => name.trim()).filter(Boolean))}
+              style={secondaryButtonStyle}
+            >
+              Assign
+            </button>
+          </div>
+        </div>
+      ) : (
+        <p style={{ margin: '0 0 15px 0', fontSize: '13px', color: '#374151' }}>
+          Reviewers: {workflow.reviewers.join(', ') || 'none assigned'}
+        </p>
+      )}
+
+      {actions.length > 0 && (
+        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center' }}>
+          <input
+            value={note}
+            onChange={(event) => setNote(event.target.value)}
+            placeholder="Note for the history (optional)"
+            style={{ ...inputStyle, flex: '1 1 240px', width: 'auto' }}
+          />
+          {actions.map((status) => (
+            <button
+              key={status}
+              onClick={() => move(status)}
+              disabled={status === 'approved' && blocking.length > 0}
+              title={status === 'approved' && blocking.length > 0 ? 'Resolve every HIGH finding first' : undefined}
+              style={{
+                ...secondaryButtonStyle,
+                opacity: status === 'approved' && blocking.length > 0 ? 0.5 : 1
+              }}
+            >
+              {ACTION_LABELS[status]}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {workflow.history.length > 0 && (
+        <details style={{ marginTop: '15px', fontSize: '13px', color: '#374151' }}>
+          <summary style={{ cursor: 'pointer' }}>History ({workflow.history.length})</summary>
+          <ul style={{ margin: '8px 0 0 0', paddingLeft: '20px' }}>
+            {[...workflow.history].reverse().map((entry, i) => (
+              <li key={i}>
+                {new Date(entry.at).toLocaleString()} · {entry.actor || 'Anonymous'}:{' '}
+                {entry.action === 'status' && `${STATUS_LABELS[entry.from]} → ${STATUS_LABELS[entry.to]}`}
+                {entry.action === 'reviewers' && `assigned ${entry.reviewers.join(', ') || 'nobody'}`}
+                {entry.action === 'resolution' && `${entry.state ? `resolved ${entry.findingId} as ${entry.state.replace('_', ' ')}` : `reopened ${entry.findingId}`}`}
+                {entry.note && ` (“${entry.note}”)`}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+// components/findingStyles.js
+
+// RGB per built-in category; highlights use them at an opacity set by
+// severity. Checklist sections with other ids get a palette colour picked
+// from their id, so a section keeps its colour across reviews.
+export const CATEGORY_COLORS = {
+  proofreading: '59, 130, 246',
+  unsubstantiated_claim: '239, 68, 68',
+  ux: '139, 92, 246',
+  packaging: '249, 115, 22',
+  regulatory: '217, 119, 6',
+  factual: '13, 148, 136',
+};
+
+const SECTION_PALETTE = [
+  '16, 185, 129',
+  '236, 72, 153',
+  '14, 165, 233',
+  '132, 204, 22',
+  '168, 85, 247',
+  '244, 63, 94',
+  '20, 184, 166',
+  '234, 179, 8',
+];
+
+function paletteColor(id) {
+  const hash = [...String(id)].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 0);
+  return SECTION_PALETTE[hash % SECTION_PALETTE.length];
+}
+
+const SEVERITY_ALPHA = {
+  HIGH: 0.35,
+  MEDIUM: 0.22,
+  LOW: 0.12,
+};
+
+export const SEVERITY_ICONS = {
+  HIGH: '🚨',
+  MEDIUM: '⚠️',
+  LOW: 'ℹ️',
+};
+
+export function categoryColor(category, alpha = 1) {
+  return `rgba(${CATEGORY_COLORS[category] || paletteColor(category)}, ${alpha})`;
+}
+
+export function highlightStyle(finding, active) {
+  return {
+    background: categoryColor(finding.category, active ? 0.5 : SEVERITY_ALPHA[finding.severity] || 0.2),
+    borderBottom: `2px solid ${categoryColor(finding.category)}`,
+    outline: active ? `2px solid ${categoryColor(finding.category)}` : 'none',
+    borderRadius: '3px',
+    cursor: 'pointer',
+  };
+}
@@ -0,0 +1,39 @@
+// components/session.js
+import { createContext, useCallback, useContext, useEffect, useState } from 'react';
+
+const SessionContext = createContext(null);
+
+// Loads /api/auth/session once for the whole app. `refresh` re-reads it
+// after signing in or out.
+export function SessionProvider({ children }) {
+  const [session, setSession] = useState({ loading: true, user: null, setupRequired: false, sso: null });
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await fetch('/api/auth/session');
+      const data = await response.json();
+      setSession({ loading: false, user: data.user || null, setupRequired: Boolean(data.setupRequired), sso: data.sso || null, error: data.message });
+    } catch (error) {
+      setSession({ loading: false, user: null, setupRequired: false, sso: null, error: error.message });
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const can = useCallback(
+    (permission) => Boolean(session.user?.permissions.includes(permission)),
+    [session.user]
+  );
+
+  return (
+    <SessionContext.Provider value={{ ...session, refresh, can }}>
+      {children}
+    </SessionContext.Provider>
+  );
+}
+
+export function useSession() {
+  return useContext(SessionContext);
+}
@@ -0,0 +1,74 @@
+// components/styles.js
+
+// Inline styles shared across pages, matching the home page's look.
+export const cardStyle = {
+  background: 'rgba(255, 255, 255, 0.95)',
+  backdropFilter: 'blur(10px)',
+  borderRadius: '20px',
+  padding: '30px',
+  boxShadow: '0 8px 32px rgba(0, 0, 0, 0.1)',
+  border: '1px solid rgba(255, 255, 255, 0.2)'
+};
+
+export const cardTitleStyle = {
+  margin: '0 0 25px 0',
+  fontSize: '1.5rem',
+  fontWeight: '600',
+  color: '#1f2937',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '10px'
+};
+
+export const labelStyle = {
+  display: 'block',
+  marginBottom: '6px',
+  fontWeight: '500',
+  fontSize: '14px',
+  color: '#374151'
+};
+
+export const inputStyle = {
+  width: '100%',
+  padding: '10px 12px',
+  border: '2px solid #e5e7eb',
+  borderRadius: '10px',
+  fontSize: '14px',
+  fontFamily: 'inherit',
+  outline: 'none',
+  background: '#fefefe',
+  boxSizing: 'border-box'
+};
+
+export const primaryButtonStyle = {
+  padding: '12px 20px',
+  background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '12px',
+  fontSize: '14px',
+  fontWeight: '600',
+  cursor: 'pointer'
+};
+
+export const secondaryButtonStyle = {
+  padding: '10px 16px',
+  background: 'white',
+  color: '#374151',
+  border: '2px solid #e5e7eb',
+  borderRadius: '10px',
+  fontSize: '14px',
+  fontWeight: '500',
+  cursor: 'pointer'
+};
+
+export const messageStyle = (success) => ({
+  backgroundColor: success ? '#d1fae5' : '#fef2f2',
+  color: success ? '#065f46' : '#dc2626',
+  padding: '12px 15px',
+  borderRadius: '10px',
+  marginBottom: '20px',
+  border: `1px solid ${success ? '#a7f3d0' : '#fecaca'}`,
+  fontSize: '14px',
+  fontWeight: '500'
+});
@@ -0,0 +1,12 @@
+// lib/auth/errors.js
+
+// Raised for invalid account changes and failed sign-ins. `status` is the
+// HTTP status the API responds with.
+export class AuthError extends Error {
+  constructor(message, { code = 'invalid_request', status = 400 } = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.status = status;
+  }
+}
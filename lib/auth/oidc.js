@@ -0,0 +1,173 @@
+// lib/auth/oidc.js
+import crypto from 'crypto';
+import { AuthError } from './errors.js';
+import { ROLES } from './roles.js';
+import { seal, unseal } from './session.js';
+import { createUser, findUserByOidcSubject, getUser } from './users.js';
+
+// Optional single sign-on with any OpenID Connect provider (authorization
+// code flow with PKCE). Enabled when OIDC_ISSUER, OIDC_CLIENT_ID and a
+// redirect URI (OIDC_REDIRECT_URI, or APP_URL) are set.
+const STATE_TTL_SECONDS = 600;
+const DISCOVERY_TIMEOUT_MS = 10000;
+
+const discoveryCache = new Map();
+
+export const OIDC_STATE_COOKIE = 'olixir_oidc';
+
+export function oidcConfig(env = process.env) {
+  const redirectUri = env.OIDC_REDIRECT_URI || (env.APP_URL && `${env.APP_URL.replace(/\/$/, '')}/api/auth/oidc/callback`);
+  if (!env.OIDC_ISSUER || !env.OIDC_CLIENT_ID || !redirectUri) return null;
+
+  return {
+    issuer: env.OIDC_ISSUER.replace(/\/$/, ''),
+    clientId: env.OIDC_CLIENT_ID,
+    clientSecret: env.OIDC_CLIENT_SECRET,
+    redirectUri,
+    scopes: env.OIDC_SCOPES || 'openid profile email',
+    label: env.OIDC_LABEL || 'Single sign-on',
+    defaultRole: ROLES.includes(env.OIDC_DEFAULT_ROLE) ? env.OIDC_DEFAULT_ROLE : 'writer',
+    autoCreate: env.OIDC_AUTO_CREATE !== 'false',
+  };
+}
+
+async function discover(issuer) {
+  if (!discoveryCache.has(issuer)) {
+    const request = fetch(`${issuer}/.well-known/openid-configuration`, { signal: AbortSignal.timeout(DISCOVERY_TIMEOUT_MS) })
+      .then((response) => {
+        if (!response.ok) throw new Error(`Discovery failed with status ${response.status}`);
+        return response.json();
+      });
+    discoveryCache.set(issuer, request);
+    request.catch(() => discoveryCache.delete(issuer));
+  }
+  return discoveryCache.get(issuer);
+}
+
+const randomString = () => crypto.randomBytes(32).toString('base64url');
+
+// Where to send the browser to sign in, and the sealed state to keep in a
+// short-lived cookie until the provider redirects back.
+export async function beginSignIn(config, { next = '/' } = {}) {
+  const metadata = await discover(config.issuer);
+  const state = randomString();
+  const nonce = randomString();
+  const verifier = randomString();
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: challenge,
+    code_challenge_method: 'S256',
+  }).toString();
+
+  return {
+    url: url.toString(),
+    stateCookie: seal({ state, nonce, verifier, next: next.startsWith('/') && !next.startsWith('//') ? next : '/' }, STATE_TTL_SECONDS),
+    maxAge: STATE_TTL_SECONDS,
+  };
+}
+
+function decodeJwtPayload(token) {
+  const [, payload] = (token || '').split('.');
+  if (!payload) throw new AuthError('The identity provider returned no ID token', { status: 502 });
+  return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+}
+
+async function exchangeCode(config, metadata, { code, verifier }) {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: verifier,
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  if (config.clientSecret) {
+    const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (methods.includes('client_secret_basic')) {
+      const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.set('client_secret', config.clientSecret);
+    }
+  }
+
+  const response = await fetch(metadata.token_endpoint, {
+    method: 'POST',
+    headers,
+    body,
+    signal: AbortSignal.timeout(DISCOVERY_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new AuthError(`The identity provider rejected the sign-in (status ${response.status})`, { status: 502 });
+  }
+  return response.json();
+}
+
+// The ID token comes straight from the token endpoint over TLS, which
+// OpenID Connect Core (3.1.3.7) accepts in place of checking its
+// signature; the issuer, audience, expiry and nonce are still checked.
+function validateClaims(config, metadata, claims, nonce) {
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (claims.iss !== metadata.issuer) throw new AuthError('ID token issuer does not match', { status: 401 });
+  if (!audiences.includes(config.clientId)) throw new AuthError('ID token was issued for another client', { status: 401 });
+  if (!(claims.exp > Date.now() / 1000)) throw new AuthError('ID token has expired', { status: 401 });
+  if (claims.nonce !== nonce) throw new AuthError('ID token nonce does not match', { status: 401 });
+  if (!claims.sub) throw new AuthError('ID token has no subject', { status: 401 });
+}
+
+async function availableUsername(claims) {
+  const base = (claims.preferred_username || claims.email?.split('@')[0] || 'user')
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 56) || 'user';
+
+  for (let suffix = 0; suffix < 100; suffix++) {
+    const candidate = suffix === 0 ? base.padEnd(2, '0') : `${base}-${suffix}`;
+    if (!(await getUser(candidate))) return candidate;
+  }
+  throw new AuthError('Could not choose a username for this account', { code: 'conflict', status: 409 });
+}
+
+// Finish the sign-in after the provider redirects back: check the state,
+// redeem the code and find (or create) the matching local account.
+export async function completeSignIn(config, { query, stateCookie }) {
+  const saved = unseal(stateCookie);
+  if (!saved || !query.state || saved.state !== query.state) {
+    throw new AuthError('The sign-in request expired or was tampered with. Please try again.', { status: 400 });
+  }
+  if (query.error) {
+    throw new AuthError(`The identity provider returned an error: ${query.error_description || query.error}`, { status: 401 });
+  }
+
+  const metadata = await discover(config.issuer);
+  const tokens = await exchangeCode(config, metadata, { code: query.code, verifier: saved.verifier });
+  const claims = decodeJwtPayload(tokens.id_token);
+  validateClaims(config, metadata, claims, saved.nonce);
+
+  const subject = `${claims.iss}|${claims.sub}`;
+  let user = await findUserByOidcSubject(subject);
+  if (!user) {
+    if (!config.autoCreate) {
+      throw new AuthError('No account is linked to this identity. Ask an admin to create one.', { code: 'forbidden', status: 403 });
+    }
+    user = await createUser({
+      username: await availableUsername(claims),
+      name: claims.name || claims.email,
+      role: config.defaultRole,
+      oidcSubject: subject,
+    });
+  }
+  if (user.disabled) throw new AuthError('This account is disabled', { code: 'forbidden', status: 403 });
+
+  return { user, next: saved.next };
+}
@@ -0,0 +1,33 @@
+// lib/auth/passwords.js
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const COST = 16384;
+const BLOCK_SIZE = 8;
+const PARALLELISM = 1;
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Stored as "scrypt$N$r$p$salt$hash" so the parameters can be raised later
+// without invalidating existing hashes.
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N: COST, r: BLOCK_SIZE, p: PARALLELISM });
+  return ['scrypt', COST, BLOCK_SIZE, PARALLELISM, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, expected] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+  const expectedBuffer = Buffer.from(expected, 'base64');
+  const hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedBuffer.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+  return crypto.timingSafeEqual(hash, expectedBuffer);
+}
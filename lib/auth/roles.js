@@ -0,0 +1,43 @@
+// lib/auth/roles.js
+
+export const ROLES = ['writer', 'reviewer', 'admin'];
+
+export const ROLE_LABELS = {
+  writer: 'Writer',
+  reviewer: 'Compliance reviewer',
+  admin: 'Admin',
+};
+
+// What each role may do. Roles are cumulative: a reviewer can do
+// everything a writer can, and an admin everything a reviewer can.
+const ROLE_PERMISSIONS = {
+  writer: [
+    'reviews:read',
+    'reviews:submit',
+    'workflow:submit',
+  ],
+  reviewer: [
+    'workflow:approve',
+    'claims:edit',
+  ],
+  admin: [
+    'reviews:delete',
+    'batches:manage',
+    'profiles:edit',
+    'checklists:edit',
+    'catalogue:edit',
+    'users:manage',
+  ],
+};
+
+export const PERMISSIONS = Object.values(ROLE_PERMISSIONS).flat();
+
+export function permissionsFor(role) {
+  const index = ROLES.indexOf(role);
+  if (index === -1) return [];
+  return ROLES.slice(0, index + 1).flatMap((name) => ROLE_PERMISSIONS[name]);
+}
+
+export function can(user, permission) {
+  return Boolean(user) && permissionsFor(user.role).includes(permission);
+}
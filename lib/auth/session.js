@@ -0,0 +1,78 @@
+// lib/auth/session.js
+import crypto from 'crypto';
+import { AuthError } from './errors.js';
+
+// Sessions are stateless: the cookie carries the username, the account's
+// session version and the expiry, signed with AUTH_SECRET. Every request
+// re-reads the account, so disabling it or changing its password (which
+// raises the version) ends its sessions.
+export const SESSION_COOKIE = 'olixir_session';
+
+const SESSION_TTL_SECONDS = (Number.parseInt(process.env.SESSION_TTL_HOURS, 10) || 24 * 7) * 3600;
+
+let devSecret = null;
+
+function secret() {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+  if (process.env.NODE_ENV === 'production') {
+    throw new AuthError('AUTH_SECRET is not set', { code: 'not_configured', status: 500 });
+  }
+  if (!devSecret) {
+    console.warn('AUTH_SECRET is not set; using a random secret. Sessions end when the server restarts.');
+    devSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return devSecret;
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', secret()).update(data).digest('base64url');
+}
+
+// Signed, expiring value for a cookie. Not encrypted: do not seal secrets.
+export function seal(value, ttlSeconds) {
+  const data = Buffer.from(JSON.stringify({ ...value, exp: Math.floor(Date.now() / 1000) + ttlSeconds })).toString('base64url');
+  return `${data}.${sign(data)}`;
+}
+
+export function unseal(sealed) {
+  if (typeof sealed !== 'string') return null;
+  const [data, signature] = sealed.split('.');
+  if (!data || !signature) return null;
+
+  const expected = Buffer.from(sign(data));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const value = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    return value.exp > Date.now() / 1000 ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+export function cookie(name, value, { maxAge, path = '/' } = {}) {
+  return [
+    `${name}=${value}`,
+    `Path=${path}`,
+    'HttpOnly',
+    'SameSite=Lax',
+    process.env.NODE_ENV === 'production' ? 'Secure' : null,
+    maxAge !== undefined ? `Max-Age=${maxAge}` : null,
+  ].filter(Boolean).join('; ');
+}
+
+export function sessionCookie(user) {
+  return cookie(SESSION_COOKIE, seal({ sub: user.id, ver: user.sessionVersion || 0 }, SESSION_TTL_SECONDS), { maxAge: SESSION_TTL_SECONDS });
+}
+
+export function clearedSessionCookie() {
+  return cookie(SESSION_COOKIE, '', { maxAge: 0 });
+}
+
+// The username and session version of the request's session cookie, or
+// null.
+export function readSession(req) {
+  const session = unseal(req.cookies?.[SESSION_COOKIE]);
+  return session?.sub ? { userId: session.sub, version: session.ver || 0 } : null;
+}
@@ -0,0 +1,76 @@
+// lib/auth/tokens.js
+import crypto from 'crypto';
+import { collection } from '../storage/store.js';
+import { AuthError } from './errors.js';
+import { getUser } from './users.js';
+
+// API tokens for programmatic callers, sent as "Authorization: Bearer
+// olx_<id>_<secret>". Only a SHA-256 hash of the secret is stored; the
+// full token is shown once, when it is created. A token acts with its
+// owner's role.
+const tokens = collection('tokens');
+
+const TOKEN_PATTERN = /^olx_([a-f0-9]{16})_([A-Za-z0-9_-]{43})$/;
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+export function publicToken(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    createdAt: record.createdAt,
+    lastUsedAt: record.lastUsedAt || null,
+  };
+}
+
+export async function createToken(userId, name) {
+  const label = typeof name === 'string' ? name.trim() : '';
+  if (!label) throw new AuthError('Tokens need a "name" describing where they are used');
+
+  const id = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const record = await tokens.insert({
+    id,
+    userId,
+    name: label.slice(0, 100),
+    hash: hashSecret(secret),
+    createdAt: new Date().toISOString(),
+  });
+  return { token: `olx_${id}_${secret}`, record };
+}
+
+export async function listTokens(userId) {
+  return (await tokens.list())
+    .filter((record) => record.userId === userId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function revokeToken(userId, id) {
+  const record = await tokens.get(id);
+  if (!record || record.userId !== userId) return false;
+  return tokens.remove(id);
+}
+
+// The user a bearer token belongs to, or null.
+export async function authenticateToken(value) {
+  const match = TOKEN_PATTERN.exec(value || '');
+  if (!match) return null;
+
+  const record = await tokens.get(match[1]);
+  if (!record) return null;
+  const expected = Buffer.from(record.hash, 'hex');
+  const actual = Buffer.from(hashSecret(match[2]), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  const user = await getUser(record.userId);
+  if (!user || user.disabled) return null;
+
+  if (!record.lastUsedAt || Date.now() - Date.parse(record.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+    tokens.update(record.id, (current) => ({ ...current, lastUsedAt: new Date().toISOString() }))
+      .catch((error) => console.error('Failed to record token use:', error));
+  }
+  return { ...user, tokenId: record.id };
+}
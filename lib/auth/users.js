@@ -0,0 +1,137 @@
+// lib/auth/users.js
+import { collection } from '../storage/store.js';
+import { AuthError } from './errors.js';
+import { MIN_PASSWORD_LENGTH, hashPassword, verifyPassword } from './passwords.js';
+import { ROLES } from './roles.js';
+
+// Local accounts. The record id is the lower-cased username.
+// `sessionVersion` is sealed into session cookies and raised when the
+// password changes, which ends every session signed in with the old one.
+const users = collection('users');
+
+// Holds one record once first-run setup has created an account.
+const setup = collection('setup');
+const SETUP_MARKER_ID = 'first-admin';
+
+const USERNAME_PATTERN = /^[a-z0-9_-]{2,64}$/;
+
+// Compared against when the username does not exist, so a failed sign-in
+// takes as long whether or not the account is real.
+let dummyHash = null;
+
+function normalizeUsername(username) {
+  return typeof username === 'string' ? username.trim().toLowerCase() : '';
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) throw new AuthError(`"role" must be one of ${ROLES.join(', ')}`);
+}
+
+// The account as the API returns it: never the password hash.
+export function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    name: user.name,
+    role: user.role,
+    disabled: Boolean(user.disabled),
+    oidc: Boolean(user.oidcSubject),
+    createdAt: user.createdAt,
+  };
+}
+
+export async function countUsers() {
+  return (await users.list()).length;
+}
+
+export async function listUsers() {
+  return (await users.list()).sort((a, b) => a.username.localeCompare(b.username));
+}
+
+export async function getUser(id) {
+  return users.get(normalizeUsername(id));
+}
+
+export async function findUserByOidcSubject(subject) {
+  return (await users.list()).find((user) => user.oidcSubject === subject) || null;
+}
+
+function validateNewUser({ username, password, role, oidcSubject }) {
+  const id = normalizeUsername(username);
+  if (!USERNAME_PATTERN.test(id)) {
+    throw new AuthError('Usernames are 2-64 characters: letters, digits, "-" and "_"');
+  }
+  validateRole(role);
+  if (!oidcSubject) validatePassword(password);
+  return id;
+}
+
+export async function createUser({ username, name, password, role = 'writer', oidcSubject }) {
+  const id = validateNewUser({ username, password, role, oidcSubject });
+
+  const now = new Date().toISOString();
+  const record = await users.upsert(id, async (current) => {
+    if (current) throw new AuthError(`User "${id}" already exists`, { code: 'conflict', status: 409 });
+    return {
+      username: id,
+      name: (typeof name === 'string' && name.trim()) || id,
+      role,
+      passwordHash: password ? await hashPassword(password) : null,
+      oidcSubject: oidcSubject || undefined,
+      sessionVersion: 0,
+      createdAt: now,
+      updatedAt: now,
+    };
+  });
+  return record;
+}
+
+// The first account, as an admin, or null once any account exists.
+// Concurrent first-run requests race to create the setup marker, so only
+// one of them creates an account.
+export async function createFirstAdmin({ username, name, password }) {
+  if ((await countUsers()) > 0) return null;
+  validateNewUser({ username, password, role: 'admin' });
+
+  if (!(await setup.create({ id: SETUP_MARKER_ID, username: normalizeUsername(username), createdAt: new Date().toISOString() }))) {
+    return null;
+  }
+  try {
+    return await createUser({ username, name, password, role: 'admin' });
+  } catch (error) {
+    await setup.remove(SETUP_MARKER_ID);
+    throw error;
+  }
+}
+
+export async function updateUser(id, { name, role, password, disabled }) {
+  if (role !== undefined) validateRole(role);
+  if (password !== undefined) validatePassword(password);
+  const passwordHash = password !== undefined ? await hashPassword(password) : undefined;
+
+  return users.update(normalizeUsername(id), (current) => ({
+    ...current,
+    ...(typeof name === 'string' && name.trim() && { name: name.trim() }),
+    ...(role !== undefined && { role }),
+    ...(passwordHash && { passwordHash, sessionVersion: (current.sessionVersion || 0) + 1 }),
+    ...(disabled !== undefined && { disabled: Boolean(disabled) }),
+    updatedAt: new Date().toISOString(),
+  }));
+}
+
+// The user for a username/password pair, or null.
+export async function authenticate(username, password) {
+  const user = await getUser(username);
+  if (!user?.passwordHash || user.disabled) {
+    dummyHash = dummyHash || await hashPassword('not-a-real-password');
+    await verifyPassword(String(password || ''), dummyHash);
+    return null;
+  }
+  return (await verifyPassword(String(password || ''), user.passwordHash)) ? user : null;
+}
@@ -0,0 +1,68 @@
+// lib/auth/withAuth.js
+import { AuthError } from './errors.js';
+import { ROLE_LABELS, can } from './roles.js';
+import { readSession } from './session.js';
+import { authenticateToken } from './tokens.js';
+import { getUser, publicUser } from './users.js';
+
+// The signed-in user for a request: an API token in the Authorization
+// header (the user then has a `tokenId`), or else the session cookie.
+// Disabled accounts, and sessions from before a password change, are
+// treated as signed out.
+export async function currentUser(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    const user = await authenticateToken(header.slice('Bearer '.length).trim());
+    return user && { ...publicUser(user), tokenId: user.tokenId };
+  }
+
+  const session = readSession(req);
+  if (!session) return null;
+  const user = await getUser(session.userId);
+  if (!user || user.disabled || (user.sessionVersion || 0) !== session.version) return null;
+  return publicUser(user);
+}
+
+// Wrap an API route so it only runs for signed-in users holding
+// `permission` (see roles.js). `permission` may be a function of the
+// request for routes whose methods need different permissions. With
+// `sessionOnly`, API tokens are refused, so a token cannot be used to
+// manage tokens. The user is available to the handler as `req.user`.
+export function withAuth(handler, { permission, sessionOnly = false } = {}) {
+  return async function authenticated(req, res) {
+    let user;
+    try {
+      user = await currentUser(req);
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(error.status).json({ error: 'Authentication unavailable', message: error.message });
+      }
+      throw error;
+    }
+
+    if (!user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Sign in, or send an API token as "Authorization: Bearer <token>"'
+      });
+    }
+
+    if (sessionOnly && user.tokenId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'API tokens cannot be used here. Sign in to the app instead.'
+      });
+    }
+
+    const required = typeof permission === 'function' ? permission(req) : permission;
+    if (required && !can(user, required)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `${ROLE_LABELS[user.role] || user.role} accounts cannot do this (requires "${required}")`
+      });
+    }
+
+    req.user = user;
+    return handler(req, res);
+  };
+}
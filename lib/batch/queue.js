@@ -0,0 +1,196 @@
+// lib/batch/queue.js
+import { getChecklist } from '../checklists/store.js';
+import { getProfile } from '../profiles/store.js';
+import { DAY_MS, consume, getRateLimitStore, reviewWindows } from '../ratelimit/index.js';
+import { reviewWithCache } from '../review/cache.js';
+import { countBySeverity, saveReview } from '../reviews/store.js';
+import { getRulepack } from '../rulepacks/index.js';
+import { getBatch, getPendingContent, listBatches, updateBatch, updateDocument } from './store.js';
+
+// Batches are worked through in this server process, oldest first, with
+// at most BATCH_CONCURRENCY documents in flight across all batches. This
+// needs a long-running server: on serverless hosts work stops when the
+// request that started it ends. Unfinished work resumes after a restart
+// the next time the batch API is used.
+const CONCURRENCY = Number.parseInt(process.env.BATCH_CONCURRENCY, 10) || 2;
+const MAX_ATTEMPTS = 3;
+// Pauses for the provider's quota start at the provider's retry delay (or
+// the base), double while the quota stays exceeded, and never exceed the
+// cap: a daily quota is rechecked every few minutes, not waited out.
+const QUOTA_BACKOFF_BASE_SECONDS = 30;
+const QUOTA_BACKOFF_MAX_SECONDS = 300;
+
+// Shared by every API route bundle that imports this module.
+const state = globalThis.__olixirBatchQueue || (globalThis.__olixirBatchQueue = {
+  inFlight: 0,
+  filling: false,
+  again: false,
+  recovered: false,
+  pausedUntil: 0,
+  pauseReason: null,
+  quotaPauses: 0,
+  timer: null,
+});
+
+// The pause of the whole queue, or null when it is running.
+export function queuePause() {
+  if (Date.now() >= state.pausedUntil) return null;
+  return { pausedUntil: new Date(state.pausedUntil).toISOString(), pauseReason: state.pauseReason };
+}
+
+export function quotaBackoffSeconds(retryAfter, pauses) {
+  const backoff = Math.max(retryAfter || QUOTA_BACKOFF_BASE_SECONDS, QUOTA_BACKOFF_BASE_SECONDS) * 2 ** pauses;
+  return Math.min(backoff, QUOTA_BACKOFF_MAX_SECONDS);
+}
+
+function wakeAt(time) {
+  if (state.timer) return;
+  state.timer = setTimeout(() => {
+    state.timer = null;
+    processBatches();
+  }, Math.max(1000, time - Date.now()));
+  state.timer.unref?.();
+}
+
+// Documents left "running" by a previous process will never finish there.
+async function recover() {
+  state.recovered = true;
+  for (const { id } of await listBatches()) {
+    const batch = await getBatch(id);
+    for (const document of batch.documents.filter((candidate) => candidate.status === 'running')) {
+      await updateDocument(id, document.index, { status: 'queued' });
+    }
+  }
+}
+
+// Mark the next waiting document as running and return it, or null.
+async function claimNext() {
+  const now = Date.now();
+  const waiting = (await listBatches())
+    .filter((batch) => ['queued', 'running'].includes(batch.status) && !(Date.parse(batch.pausedUntil) > now))
+    .reverse();
+
+  for (const { id } of waiting) {
+    let claimed = null;
+    await updateBatch(id, (batch) => {
+      const document = batch.documents.find((candidate) => candidate.status === 'queued');
+      if (!document || batch.status === 'cancelled') return batch;
+      claimed = { batch, document };
+      return {
+        ...batch,
+        status: 'running',
+        pausedUntil: undefined,
+        pauseReason: undefined,
+        documents: batch.documents.map((candidate) =>
+          candidate === document ? { ...candidate, status: 'running', startedAt: new Date().toISOString() } : candidate
+        ),
+      };
+    });
+    if (claimed) return claimed;
+  }
+  return null;
+}
+
+// Put a document back in the queue and hold its batch until `until`.
+async function pauseBatch(batchId, index, until, reason) {
+  await updateDocument(batchId, index, { status: 'queued' });
+  await updateBatch(batchId, (batch) => ({ ...batch, pausedUntil: new Date(until).toISOString(), pauseReason: reason }));
+  wakeAt(until);
+}
+
+async function reviewOne({ batch, document }) {
+  const content = await getPendingContent(batch.id, document.index);
+  if (content === null) {
+    return updateDocument(batch.id, document.index, { status: 'failed', error: 'Document text is missing' });
+  }
+
+  // Batch reviews count against the submitter's daily quotas like any
+  // other review; when they run out, the batch waits for the next day.
+  const quota = await consume(
+    getRateLimitStore(),
+    reviewWindows(batch.submitter).filter((window) => window.windowMs === DAY_MS)
+  ).catch((error) => {
+    console.error('Rate limit check failed; continuing the batch:', error);
+    return null;
+  });
+  if (quota && !quota.allowed) {
+    return pauseBatch(batch.id, document.index, quota.resetAt, `${quota.window.label} of ${quota.limit} reached`);
+  }
+
+  const { profileId, profileVersion, checklistId, checklistVersion, markets, rulepacks } = batch.settings;
+  const profile = await getProfile(profileId, profileVersion);
+  if (!profile) {
+    return updateDocument(batch.id, document.index, { status: 'failed', error: `Brand profile "${profileId}" no longer exists` });
+  }
+  const checklist = await getChecklist(checklistId, checklistVersion);
+  if (!checklist) {
+    return updateDocument(batch.id, document.index, { status: 'failed', error: `Checklist "${checklistId}" no longer exists` });
+  }
+
+  const review = await reviewWithCache({
+    content,
+    filename: document.filename,
+    profile,
+    checklist,
+    markets,
+    rulepacks: rulepacks.map(getRulepack).filter(Boolean),
+  });
+
+  // The provider's quota is shared by every batch, so the whole queue
+  // backs off before trying the document again.
+  if (review.model.code === 'quota_exceeded' && document.attempts + 1 < MAX_ATTEMPTS) {
+    state.pausedUntil = Date.now() + quotaBackoffSeconds(review.model.retryAfter, state.quotaPauses++) * 1000;
+    state.pauseReason = 'The model provider\'s quota is exceeded';
+    await updateDocument(batch.id, document.index, { status: 'queued', attempts: document.attempts + 1 });
+    return wakeAt(state.pausedUntil);
+  }
+  if (review.model.code !== 'quota_exceeded') state.quotaPauses = 0;
+
+  const saved = await saveReview({ content, review, submittedBy: batch.submittedBy, batchId: batch.id });
+  return updateDocument(batch.id, document.index, {
+    status: 'done',
+    reviewId: saved.id,
+    riskLevel: review.riskLevel,
+    findingCounts: countBySeverity(review.findings),
+    cached: review.cached,
+    model: review.model.status,
+    attempts: document.attempts + 1,
+    completedAt: saved.createdAt,
+  });
+}
+
+// Start as many queued documents as the concurrency limit allows. Safe to
+// call at any time; each finished document calls it again.
+export async function processBatches() {
+  if (state.filling) {
+    state.again = true;
+    return;
+  }
+  state.filling = true;
+  state.again = false;
+  try {
+    if (!state.recovered) await recover();
+    while (state.inFlight < CONCURRENCY && Date.now() >= state.pausedUntil) {
+      const next = await claimNext();
+      if (!next) break;
+
+      state.inFlight++;
+      reviewOne(next)
+        .catch(async (error) => {
+          console.error('Batch document failed:', error);
+          await updateDocument(next.batch.id, next.document.index, { status: 'failed', error: 'The review failed unexpectedly' })
+            .catch(() => {});
+        })
+        .finally(() => {
+          state.inFlight--;
+          processBatches();
+        });
+    }
+    if (Date.now() < state.pausedUntil) wakeAt(state.pausedUntil);
+  } catch (error) {
+    console.error('Batch queue failed:', error);
+  } finally {
+    state.filling = false;
+  }
+  if (state.again) processBatches();
+}
@@ -0,0 +1,102 @@
+// lib/batch/store.js
+import { collection } from '../storage/store.js';
+import { FINISHED_STATUSES } from './summary.js';
+
+// A batch is one record listing its documents and their progress. The text
+// of documents still waiting is kept separately, so progress updates do
+// not rewrite every document, and is deleted once each one is reviewed
+// (the stored review keeps its own copy).
+const batches = collection('batches');
+const pending = collection('batch-documents');
+
+const pendingId = (batchId, index) => `${batchId}_${index}`;
+
+export async function createBatch({ name, documents, settings, submitter }) {
+  const batch = await batches.insert({
+    name,
+    createdAt: new Date().toISOString(),
+    submittedBy: submitter.username,
+    submitter: { id: submitter.id, username: submitter.username, tokenId: submitter.tokenId },
+    settings,
+    status: 'queued',
+    documents: documents.map((document, index) => ({
+      index,
+      filename: document.filename,
+      characters: document.content?.length || 0,
+      status: document.error ? 'failed' : 'queued',
+      error: document.error,
+      attempts: 0,
+    })),
+  });
+
+  await Promise.all(documents.map((document, index) =>
+    document.error ? null : pending.insert({ id: pendingId(batch.id, index), content: document.content })
+  ));
+  return finishIfDone(batch.id);
+}
+
+export async function getBatch(id) {
+  return batches.get(id);
+}
+
+// Newest first, without the document list.
+export async function listBatches({ submittedBy } = {}) {
+  return (await batches.list())
+    .filter((batch) => !submittedBy || batch.submittedBy === submittedBy)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(({ documents, ...batch }) => ({
+      ...batch,
+      total: documents.length,
+      done: documents.filter((document) => FINISHED_STATUSES.includes(document.status)).length,
+      high: documents.filter((document) => document.riskLevel === 'HIGH').length,
+    }));
+}
+
+export async function getPendingContent(batchId, index) {
+  return (await pending.get(pendingId(batchId, index)))?.content ?? null;
+}
+
+export async function updateBatch(id, fn) {
+  return batches.update(id, fn);
+}
+
+export async function updateDocument(batchId, index, changes) {
+  const batch = await batches.update(batchId, (current) => ({
+    ...current,
+    status: current.status === 'queued' ? 'running' : current.status,
+    documents: current.documents.map((document) =>
+      document.index === index ? { ...document, ...changes } : document
+    ),
+  }));
+  if (changes.status && FINISHED_STATUSES.includes(changes.status)) {
+    await pending.remove(pendingId(batchId, index));
+    return finishIfDone(batchId);
+  }
+  return batch;
+}
+
+async function finishIfDone(id) {
+  return batches.update(id, (current) => (
+    current.status !== 'cancelled' && current.documents.every((document) => FINISHED_STATUSES.includes(document.status))
+      ? { ...current, status: 'completed', completedAt: new Date().toISOString() }
+      : current
+  ));
+}
+
+// Stop a batch: documents not yet started are cancelled; ones in progress
+// finish normally.
+export async function cancelBatch(id) {
+  const batch = await batches.update(id, (current) => ({
+    ...current,
+    status: current.status === 'completed' ? 'completed' : 'cancelled',
+    documents: current.documents.map((document) =>
+      document.status === 'queued' ? { ...document, status: 'cancelled' } : document
+    ),
+  }));
+  if (batch) {
+    await Promise.all(batch.documents
+      .filter((document) => document.status === 'cancelled')
+      .map((document) => pending.remove(pendingId(id, document.index))));
+  }
+  return batch;
+}
@@ -0,0 +1,49 @@
+// lib/batch/summary.js
+import { SEVERITIES, severityRank } from '../review/schema.js';
+
+export const BATCH_STATUS_LABELS = {
+  queued: '⏳ Queued',
+  running: '⚙️ Running',
+  completed: '✅ Completed',
+  cancelled: '⛔ Cancelled',
+};
+
+export const DOCUMENT_STATUSES = ['queued', 'running', 'done', 'failed', 'cancelled'];
+export const FINISHED_STATUSES = ['done', 'failed', 'cancelled'];
+
+// Reviewed documents from riskiest to safest: by risk level, then by the
+// number of HIGH, MEDIUM and LOW findings. Unreviewed documents come last.
+export function rankDocuments(documents) {
+  const score = (document) => [
+    document.status === 'done' ? 1 : 0,
+    severityRank(document.riskLevel),
+    ...[...SEVERITIES].reverse().map((severity) => document.findingCounts?.[severity] || 0),
+  ];
+
+  return [...documents].sort((a, b) => {
+    const left = score(a);
+    const right = score(b);
+    const index = left.findIndex((value, i) => value !== right[i]);
+    return index === -1 ? a.index - b.index : right[index] - left[index];
+  });
+}
+
+// Counts for the batch dashboard.
+export function summarizeBatch(batch) {
+  const count = (values, key) => Object.fromEntries(
+    values.map((value) => [value, batch.documents.filter((document) => document[key] === value).length])
+  );
+  const reviewed = batch.documents.filter((document) => document.status === 'done');
+
+  return {
+    total: batch.documents.length,
+    statuses: count(DOCUMENT_STATUSES, 'status'),
+    riskLevels: Object.fromEntries(
+      SEVERITIES.map((severity) => [severity, reviewed.filter((document) => document.riskLevel === severity).length])
+    ),
+    findings: Object.fromEntries(
+      SEVERITIES.map((severity) => [severity, reviewed.reduce((sum, document) => sum + (document.findingCounts?.[severity] || 0), 0)])
+    ),
+    finished: batch.documents.every((document) => FINISHED_STATUSES.includes(document.status)),
+  };
+}
@@ -0,0 +1,137 @@
+// lib/batch/uploads.js
+import JSZip from 'jszip';
+import { SUPPORTED_EXTENSIONS, extensionOf, extractDocument } from '../extract/index.js';
+
+export const MAX_DOCUMENTS = 500;
+const MAX_DOCUMENT_CHARS = 5000000;
+const MAX_ENTRY_BYTES = 5 * 1024 * 1024;
+
+export class BatchTooLargeError extends Error {
+  constructor(count) {
+    super(`A batch can contain at most ${MAX_DOCUMENTS} documents; this upload has ${count}`);
+    this.name = 'BatchTooLargeError';
+    this.count = count;
+  }
+}
+
+// Folders and metadata that archivers add to zips.
+function isJunk(path) {
+  return path.split('/').some((part) => part.startsWith('.') || part === '__MACOSX');
+}
+
+async function extractOne(filename, buffer) {
+  try {
+    const { content } = await extractDocument({ filename, buffer });
+    if (content.trim().length < 10) return { filename, error: 'No text found' };
+    if (content.length > MAX_DOCUMENT_CHARS) return { filename, error: 'Document is larger than 5MB' };
+    return { filename, content };
+  } catch (error) {
+    return { filename, error: error.message };
+  }
+}
+
+// The entries of a zip that are documents, in path order.
+function documentEntries(zip) {
+  return Object.values(zip.files)
+    .filter((entry) => !entry.dir && !isJunk(entry.name) && SUPPORTED_EXTENSIONS.includes(extensionOf(entry.name)))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// The size in the zip's directory can be forged, so the entry is also
+// inflated as a stream, which is destroyed once it passes the limit.
+// Resolves null for an entry that is too large.
+function readEntry(entry) {
+  if (entry._data?.uncompressedSize > MAX_ENTRY_BYTES) return Promise.resolve(null);
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = entry.nodeStream('nodebuffer');
+    stream
+      .on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_ENTRY_BYTES) {
+          stream.destroy();
+          resolve(null);
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on('error', reject)
+      .on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+async function extractEntry(entry) {
+  let buffer;
+  try {
+    buffer = await readEntry(entry);
+  } catch (error) {
+    return { filename: entry.name, error: error.message };
+  }
+  return buffer ? extractOne(entry.name, buffer) : { filename: entry.name, error: 'Document is larger than 5MB' };
+}
+
+// Problems with the shape of an upload, as messages; empty when `files`
+// are { filename, data } and `documents` { filename?, content } objects
+// with string fields.
+export function validateUploads({ files = [], documents = [] }) {
+  const errors = [];
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  files.forEach((file, i) => {
+    if (!isObject(file) || typeof file.filename !== 'string' || typeof file.data !== 'string') {
+      errors.push(`files[${i}] must be an object with string "filename" and "data"`);
+    }
+  });
+  documents.forEach((document, i) => {
+    if (!isObject(document) || typeof document.content !== 'string' || (document.filename !== undefined && typeof document.filename !== 'string')) {
+      errors.push(`documents[${i}] must be an object with a string "content" and an optional string "filename"`);
+    }
+  });
+  return errors;
+}
+
+// Turn uploaded files ({ filename, data } with base64 data) and inline
+// documents ({ filename, content }), checked with validateUploads, into a
+// flat list of documents. Zips are unpacked, keeping their folder paths as
+// filenames. Files that cannot be read become entries with an `error`
+// instead of failing the whole batch; zip entries of unsupported types are
+// skipped silently, since archives of a blog usually contain images too.
+// Throws BatchTooLargeError, before anything is extracted, when there are
+// more than MAX_DOCUMENTS.
+export async function expandUploads({ files = [], documents = [] }) {
+  const uploads = [];
+  for (const file of files) {
+    const buffer = Buffer.from(file.data, 'base64');
+    if (extensionOf(file.filename) !== 'zip') {
+      uploads.push({ filename: file.filename, buffer });
+      continue;
+    }
+    try {
+      uploads.push({ filename: file.filename, entries: documentEntries(await JSZip.loadAsync(buffer)) });
+    } catch {
+      uploads.push({ filename: file.filename, error: 'Not a readable zip file' });
+    }
+  }
+
+  const count = documents.length + uploads.reduce((sum, upload) => sum + (upload.entries ? upload.entries.length : 1), 0);
+  if (count > MAX_DOCUMENTS) throw new BatchTooLargeError(count);
+
+  const results = documents.map((document, i) => ({
+    filename: document.filename || `document-${i + 1}.txt`,
+    content: document.content,
+  })).map((document) => document.content.trim() ? document : { ...document, error: 'Document is empty' });
+
+  for (const upload of uploads) {
+    if (upload.error) {
+      results.push({ filename: upload.filename, error: upload.error });
+    } else if (upload.entries) {
+      for (const entry of upload.entries) results.push(await extractEntry(entry));
+    } else {
+      results.push(await extractOne(upload.filename, upload.buffer));
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,98 @@
+// lib/catalogue/checks.js
+import { factFor, findMentions } from './facts.js';
+
+// Deterministic checks of the figures a document states about catalogue
+// products: smoke points and pack sizes. A figure belongs to the nearest
+// product named before it in the same paragraph, or else the nearest one
+// after it. Everything else is left to the model, which gets the full fact
+// sheets.
+const NEARBY_CHARS = 300;
+const SMOKE_POINT_TOLERANCE_C = 10;
+
+const SMOKE_POINT = /smok(?:e|ing)[\s-]?points?\b[^\n.\d]{0,40}?(\d{2,3}(?:\.\d+)?)\s*(?:°|º|degrees?)?\s*(celsius|fahrenheit|c|f)(?![\p{L}\p{N}])/giud;
+const PACK_SIZE = /(?<![\p{L}\p{N}.])(\d+(?:\.\d+)?)\s?(ml|millilitres?|milliliters?|ltrs?|litres?|liters?|l)(?![\p{L}\p{N}])/giud;
+const PACK_WORDS = /\b(?:packs?|bottles?|cans?|jars?|containers?|pouch(?:es)?|tins?|available in|comes in|sizes?)\b/i;
+
+function nearestProduct(content, mentions, start, end) {
+  const sameParagraph = (from, to) => !/\n\s*\n/.test(content.slice(from, to));
+  const before = mentions
+    .filter((mention) => mention.end <= start && start - mention.end <= NEARBY_CHARS && sameParagraph(mention.end, start))
+    .pop();
+  if (before) return before.product;
+  return mentions.find((mention) => mention.start >= end && mention.start - end <= NEARBY_CHARS && sameParagraph(end, mention.start))?.product;
+}
+
+function toMillilitres(amount, unit) {
+  return Math.round(Number(amount) * (unit.toLowerCase().startsWith('m') ? 1 : 1000));
+}
+
+function parseSize(text) {
+  const match = new RegExp(PACK_SIZE.source, 'iu').exec(text);
+  return match ? toMillilitres(match[1], match[2]) : null;
+}
+
+function finding({ start, end, content, explanation, suggestion = '', fact, ruleId }) {
+  return {
+    category: 'factual',
+    severity: 'MEDIUM',
+    quote: content.slice(start, end),
+    start,
+    end,
+    explanation,
+    suggestion,
+    citations: [],
+    facts: [fact],
+    source: 'rule',
+    ruleId,
+  };
+}
+
+export function checkFacts(content, products) {
+  const mentions = findMentions(content, products);
+  if (mentions.length === 0) return [];
+  const findings = [];
+
+  for (const match of content.matchAll(SMOKE_POINT)) {
+    const [start] = match.indices[1];
+    const [, end] = match.indices[2];
+    const product = nearestProduct(content, mentions, match.index, end);
+    if (!product?.smokePointC) continue;
+
+    const fahrenheit = match[2].toLowerCase().startsWith('f');
+    const stated = fahrenheit ? (Number(match[1]) - 32) * 5 / 9 : Number(match[1]);
+    if (Math.abs(stated - product.smokePointC) <= SMOKE_POINT_TOLERANCE_C) continue;
+
+    findings.push(finding({
+      start,
+      end,
+      content,
+      explanation: `The product catalogue gives ${product.name} a smoke point of ${product.smokePointC} °C${fahrenheit ? ` (${Math.round(product.smokePointC * 9 / 5 + 32)} °F)` : ''}, not ${content.slice(start, end)}.`,
+      suggestion: fahrenheit ? `${Math.round(product.smokePointC * 9 / 5 + 32)}°F` : `${product.smokePointC}°C`,
+      fact: factFor(product, 'smokePointC'),
+      ruleId: 'catalogue:smoke-point',
+    }));
+  }
+
+  for (const match of content.matchAll(PACK_SIZE)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    const context = content.slice(Math.max(0, start - 40), end + 40);
+    if (!PACK_WORDS.test(context)) continue;
+
+    const product = nearestProduct(content, mentions, start, end);
+    if (!product?.packSizes?.length) continue;
+    const sizes = product.packSizes.map(parseSize).filter(Boolean);
+    if (sizes.length === 0 || sizes.includes(toMillilitres(match[1], match[2]))) continue;
+
+    findings.push(finding({
+      start,
+      end,
+      content,
+      explanation: `${product.name} is sold in ${product.packSizes.join(', ')} packs according to the product catalogue; there is no ${match[0]} pack.`,
+      fact: factFor(product, 'packSizes'),
+      ruleId: 'catalogue:pack-size',
+    }));
+  }
+
+  return findings;
+}
@@ -0,0 +1,112 @@
+// lib/catalogue/defaultCatalogue.js
+
+// Seeded into the catalogue store on first use. The figures are typical
+// values for unrefined oils of each kind; replace them with the product's
+// lab reports and label artwork before relying on them.
+const defaultCatalogue = [
+  {
+    id: 'groundnut-oil',
+    name: 'Wood-pressed groundnut oil',
+    aliases: ['groundnut oil', 'peanut oil', 'moongphali oil', 'mungfali oil', 'मूंगफली का तेल'],
+    extraction: 'Wood-pressed (kachi ghani), unrefined and unfiltered',
+    smokePointC: 160,
+    nutrition: [
+      'Energy: 884 kcal per 100 g',
+      'Saturated fat: 16.9 g per 100 g',
+      'Monounsaturated fat: 46.2 g per 100 g',
+      'Polyunsaturated fat: 32.0 g per 100 g',
+      'Trans fat: 0 g per 100 g',
+    ],
+    certifications: ['FSSAI licensed'],
+    packSizes: ['500 ml', '1 L', '5 L'],
+    packaging: 'Plastic containers',
+    approvedClaims: [
+      'Wood-pressed without heat or chemical solvents',
+      'No added preservatives or colours',
+      'Retains the natural aroma of groundnuts',
+    ],
+  },
+  {
+    id: 'coconut-oil',
+    name: 'Wood-pressed coconut oil',
+    aliases: ['coconut oil', 'nariyal oil', 'nariyal tel', 'नारियल का तेल'],
+    extraction: 'Wood-pressed from sun-dried copra, unrefined',
+    smokePointC: 177,
+    nutrition: [
+      'Energy: 884 kcal per 100 g',
+      'Saturated fat: 82.5 g per 100 g',
+      'Monounsaturated fat: 6.3 g per 100 g',
+      'Polyunsaturated fat: 1.7 g per 100 g',
+      'Trans fat: 0 g per 100 g',
+    ],
+    certifications: ['FSSAI licensed'],
+    packSizes: ['200 ml', '500 ml', '1 L'],
+    packaging: 'Plastic containers',
+    approvedClaims: [
+      'Wood-pressed without heat or chemical solvents',
+      'Suitable for cooking and as a hair oil',
+    ],
+  },
+  {
+    id: 'sesame-oil',
+    name: 'Wood-pressed sesame oil',
+    aliases: ['sesame oil', 'gingelly oil', 'til oil', 'til ka tel', 'तिल का तेल'],
+    extraction: 'Wood-pressed from raw sesame seeds, unrefined',
+    smokePointC: 177,
+    nutrition: [
+      'Energy: 884 kcal per 100 g',
+      'Saturated fat: 14.2 g per 100 g',
+      'Monounsaturated fat: 39.7 g per 100 g',
+      'Polyunsaturated fat: 41.7 g per 100 g',
+      'Trans fat: 0 g per 100 g',
+    ],
+    certifications: ['FSSAI licensed'],
+    packSizes: ['500 ml', '1 L'],
+    packaging: 'Plastic containers',
+    approvedClaims: [
+      'Wood-pressed without heat or chemical solvents',
+      'Traditional choice for South Indian cooking and oil pulling',
+    ],
+  },
+  {
+    id: 'mustard-oil',
+    name: 'Wood-pressed mustard oil',
+    aliases: ['mustard oil', 'sarson oil', 'sarson ka tel', 'सरसों का तेल'],
+    extraction: 'Wood-pressed (kachi ghani) from black mustard seeds, unrefined',
+    smokePointC: 250,
+    nutrition: [
+      'Energy: 884 kcal per 100 g',
+      'Saturated fat: 11.6 g per 100 g',
+      'Monounsaturated fat: 59.2 g per 100 g',
+      'Polyunsaturated fat: 21.2 g per 100 g',
+      'Trans fat: 0 g per 100 g',
+    ],
+    certifications: ['FSSAI licensed'],
+    packSizes: ['500 ml', '1 L', '5 L'],
+    packaging: 'Plastic containers',
+    approvedClaims: [
+      'Wood-pressed without heat or chemical solvents',
+      'Pungent, traditional kachi ghani flavour',
+    ],
+  },
+  {
+    id: 'castor-oil',
+    name: 'Cold-pressed castor oil',
+    aliases: ['castor oil', 'arandi oil', 'arandi ka tel', 'अरंडी का तेल'],
+    extraction: 'Cold-pressed, unrefined',
+    smokePointC: null,
+    nutrition: [
+      'Not for cooking: sold for external use only',
+      'Ricinoleic acid: about 90% of fatty acids',
+    ],
+    certifications: [],
+    packSizes: ['100 ml', '200 ml'],
+    packaging: 'Plastic containers',
+    approvedClaims: [
+      'For external use on hair and skin',
+      'Cold-pressed without chemical solvents',
+    ],
+  },
+];
+
+export default defaultCatalogue;
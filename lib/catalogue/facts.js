@@ -0,0 +1,62 @@
+// lib/catalogue/facts.js
+
+// The facts of a catalogue entry the review can check a document against
+// and cite. Each has an id of the form "<product>.<field>".
+const FACT_FIELDS = [
+  { field: 'extraction', label: 'Extraction method' },
+  { field: 'smokePointC', label: 'Smoke point', format: (value) => `${value} °C` },
+  { field: 'nutrition', label: 'Nutrition' },
+  { field: 'certifications', label: 'Certifications' },
+  { field: 'packSizes', label: 'Pack sizes' },
+  { field: 'packaging', label: 'Packaging' },
+  { field: 'approvedClaims', label: 'Approved benefit statements' },
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function factFor(product, field) {
+  const definition = FACT_FIELDS.find((candidate) => candidate.field === field);
+  const value = product[field];
+  if (!definition || value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) return null;
+
+  return {
+    id: `${product.id}.${field}`,
+    product: product.id,
+    productName: product.name,
+    version: product.version,
+    label: definition.label,
+    value: Array.isArray(value) ? value.join('; ') : definition.format ? definition.format(value) : String(value),
+  };
+}
+
+export function productFacts(product) {
+  return FACT_FIELDS.map(({ field }) => factFor(product, field)).filter(Boolean);
+}
+
+// Fact id -> fact, for resolving the ids a model finding cites.
+export function factIndex(products) {
+  return new Map(products.flatMap(productFacts).map((fact) => [fact.id, fact]));
+}
+
+// Every place a product is named, by its catalogue name or an alias, as
+// { product, start, end }. Names match whole words in any script.
+export function findMentions(content, products) {
+  const mentions = [];
+  for (const product of products) {
+    const names = [product.name, ...(product.aliases || [])].filter(Boolean).sort((a, b) => b.length - a.length);
+    if (names.length === 0) continue;
+    const pattern = new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])(?:${names.map(escapeRegExp).join('|')})(?![\\p{L}\\p{M}\\p{N}])`, 'giu');
+    for (const match of content.matchAll(pattern)) {
+      mentions.push({ product, start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return mentions.sort((a, b) => a.start - b.start);
+}
+
+// The catalogue entries a document mentions, in catalogue order.
+export function productsMentioned(content, products) {
+  const mentioned = new Set(findMentions(content, products).map((mention) => mention.product));
+  return products.filter((product) => mentioned.has(product));
+}
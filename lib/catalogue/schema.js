@@ -0,0 +1,48 @@
+// lib/catalogue/schema.js
+
+const STRING_FIELDS = ['name', 'extraction', 'packaging'];
+const LIST_FIELDS = ['aliases', 'nutrition', 'certifications', 'packSizes', 'approvedClaims'];
+
+export const PRODUCT_FIELDS = [...STRING_FIELDS, 'smokePointC', ...LIST_FIELDS];
+
+// Validate and normalise submitted product data. Returns the cleaned data
+// (trimmed strings, empty list entries dropped) and a list of errors.
+export function validateProduct(input) {
+  const errors = [];
+  const data = {};
+
+  if (!input || typeof input !== 'object') {
+    return { data: null, errors: ['Product must be an object'] };
+  }
+
+  for (const field of STRING_FIELDS) {
+    const value = input[field] ?? '';
+    if (typeof value !== 'string') {
+      errors.push(`"${field}" must be a string`);
+      continue;
+    }
+    data[field] = value.trim();
+  }
+
+  for (const field of LIST_FIELDS) {
+    const value = input[field] ?? [];
+    if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+      errors.push(`"${field}" must be a list of strings`);
+      continue;
+    }
+    data[field] = value.map((item) => item.trim()).filter(Boolean);
+  }
+
+  const smokePoint = input.smokePointC;
+  if (smokePoint === undefined || smokePoint === null || smokePoint === '') {
+    data.smokePointC = null;
+  } else if (!Number.isFinite(Number(smokePoint)) || Number(smokePoint) <= 0) {
+    errors.push('"smokePointC" must be a temperature in °C');
+  } else {
+    data.smokePointC = Number(smokePoint);
+  }
+
+  if (!data.name) errors.push('"name" is required');
+
+  return { data: errors.length ? null : data, errors };
+}
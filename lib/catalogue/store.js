@@ -0,0 +1,18 @@
+// lib/catalogue/store.js
+import { slugify, versionedCollection } from '../storage/versioned.js';
+import defaultCatalogue from './defaultCatalogue.js';
+import { PRODUCT_FIELDS } from './schema.js';
+
+// Catalogue entries are versioned like brand profiles, and reviews record
+// the versions of the products they were checked against. Ids are slugs of
+// the product name because the prompt cites facts by them.
+export const products = versionedCollection('catalogue', {
+  fields: PRODUCT_FIELDS,
+  defaults: defaultCatalogue,
+  slug: (data) => slugify(data.name, 'product'),
+  compare: (a, b) => a.name.localeCompare(b.name),
+});
+
+export function listProducts() {
+  return products.list();
+}
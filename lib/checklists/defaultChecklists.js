@@ -0,0 +1,140 @@
+// lib/checklists/defaultChecklists.js
+
+// Seeded into the checklist store on first use. "standard" holds the review
+// criteria the prompt used to hardcode; the others are starting points for
+// content types that need different checks.
+export const DEFAULT_CHECKLIST_ID = 'standard';
+
+const proofreading = {
+  id: 'proofreading',
+  label: 'Proofreading',
+  instructions: `Grammar, spelling, and punctuation errors
+Sentence structure and flow issues
+Tone consistency and readability
+Professional language appropriate for the target market`,
+};
+
+const unsubstantiatedClaims = {
+  id: 'unsubstantiated_claim',
+  label: 'Unsubstantiated claim',
+  instructions: `CRITICAL. Flag any claims that lack evidence or proof:
+- Medical or therapeutic claims (cures, treats, prevents diseases)
+- Absolute statements without qualifiers ("always works", "guaranteed results")
+- Specific health benefits without clinical backing
+- Cosmetic claims that sound medical
+- Nutritional claims without supporting data
+- Time-specific promises ("results in 7 days") without studies`,
+};
+
+const regulatory = {
+  id: 'regulatory',
+  label: 'Regulatory',
+  instructions: `Identify the most problematic content for compliance in the target market
+Anything that would need immediate fixing before publication
+Check the content against the clauses listed under APPLICABLE REGULATIONS, if any`,
+};
+
+const defaultChecklists = [
+  {
+    id: DEFAULT_CHECKLIST_ID,
+    name: 'Standard review',
+    description: 'Blog posts, articles and general website copy',
+    sections: [
+      proofreading,
+      unsubstantiatedClaims,
+      {
+        id: 'ux',
+        label: 'User experience',
+        instructions: `Confusing transitions between topics
+Information overload or overwhelming content
+Missing usage instructions or safety information
+Inconsistent tone (switching between casual and technical)
+Poor content structure or flow
+Unclear target audience messaging
+Missing disclaimers where needed`,
+      },
+      {
+        id: 'packaging',
+        label: 'Packaging',
+        instructions: 'Flag anything that contradicts the packaging the brand actually uses.',
+      },
+      regulatory,
+    ],
+  },
+  {
+    id: 'product-page',
+    name: 'Product page',
+    description: 'Product listings and descriptions in the online shop',
+    sections: [
+      {
+        id: 'pricing',
+        label: 'Pricing accuracy',
+        instructions: `Prices, pack sizes and offers that are inconsistent within the page
+Discounts or "was" prices without a stated reference price
+Prices quoted without currency or without saying whether taxes are included`,
+      },
+      {
+        id: 'ingredients',
+        label: 'Ingredient accuracy',
+        instructions: `Ingredient or composition statements that contradict each other or the product name
+Percentages that do not add up or that conflict with "pure" or "100%" wording
+Missing source or extraction details where the page relies on them`,
+      },
+      unsubstantiatedClaims,
+      {
+        id: 'packaging',
+        label: 'Packaging',
+        instructions: 'Flag anything that contradicts the packaging the brand actually uses, including pack photos described in the text.',
+      },
+      regulatory,
+    ],
+  },
+  {
+    id: 'recipe',
+    name: 'Recipe',
+    description: 'Recipes and cooking guides',
+    sections: [
+      {
+        id: 'allergens',
+        label: 'Allergen notes',
+        instructions: `Ingredients that are common allergens (nuts, peanuts, sesame, mustard, gluten, dairy, soy) without an allergen note
+Substitution advice that introduces an allergen without saying so`,
+      },
+      {
+        id: 'smoke_point',
+        label: 'Smoke point & cooking safety',
+        instructions: `Cooking methods that take an oil past its smoke point (for example deep frying in an unrefined oil not suited to it)
+Smoke point figures that are wrong or stated without the oil type
+Missing safety notes for hot oil, tempering or deep frying`,
+      },
+      proofreading,
+      unsubstantiatedClaims,
+    ],
+  },
+  {
+    id: 'social-caption',
+    name: 'Social caption',
+    description: 'Instagram, Facebook and X captions',
+    sections: [
+      {
+        id: 'length',
+        label: 'Length',
+        instructions: 'Captions must work when truncated: the hook and any required disclosure must come first.',
+        maxLength: 220,
+      },
+      {
+        id: 'hashtags',
+        label: 'Hashtags & mentions',
+        instructions: `More than five hashtags
+Hashtags or mentions that imply an endorsement or partnership the brand does not have`,
+      },
+      unsubstantiatedClaims,
+      proofreading,
+    ],
+  },
+];
+
+// Used by reviews that do not pick a checklist.
+export const defaultChecklist = defaultChecklists[0];
+
+export default defaultChecklists;
@@ -0,0 +1,28 @@
+// lib/checklists/limits.js
+
+// Sections with a `maxLength` (social captions, for instance) are checked
+// here rather than by the model, which cannot count characters reliably.
+// The text past the limit is flagged under that section.
+export function checkLimits(content, checklist) {
+  const text = content.trimEnd();
+  const characters = Array.from(text);
+
+  return checklist.sections
+    .filter((section) => section.maxLength && characters.length > section.maxLength)
+    .map((section) => {
+      let start = characters.slice(0, section.maxLength).join('').length;
+      while (/\s/.test(text[start])) start++;
+      return {
+        category: section.id,
+        severity: 'MEDIUM',
+        quote: text.slice(start),
+        start,
+        end: text.length,
+        explanation: `The text is ${characters.length} characters long, ${characters.length - section.maxLength} over the ${section.maxLength}-character limit. Everything from here on may be cut off.`,
+        suggestion: '',
+        citations: [],
+        source: 'rule',
+        ruleId: `checklist:${section.id}:maxLength`,
+      };
+    });
+}
@@ -0,0 +1,67 @@
+// lib/checklists/schema.js
+
+export const CHECKLIST_FIELDS = ['name', 'description', 'sections'];
+
+const SECTION_ID = /^[a-z][a-z0-9_]{0,39}$/;
+const MAX_SECTIONS = 12;
+
+// "Smoke point & safety" -> "smoke_point_safety"
+export function sectionId(label) {
+  return label.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '_').replace(/^[_0-9]+|_+$/g, '').slice(0, 40);
+}
+
+// Validate and normalise submitted checklist data. Returns the cleaned data
+// and a list of errors. Sections without an id get one from their label.
+export function validateChecklist(input) {
+  const errors = [];
+
+  if (!input || typeof input !== 'object') {
+    return { data: null, errors: ['Checklist must be an object'] };
+  }
+
+  const data = {};
+  for (const field of ['name', 'description']) {
+    const value = input[field] ?? '';
+    if (typeof value !== 'string') errors.push(`"${field}" must be a string`);
+    else data[field] = value.trim();
+  }
+  if (data.name === '') errors.push('"name" is required');
+
+  if (!Array.isArray(input.sections) || input.sections.length === 0) {
+    errors.push('"sections" must be a non-empty list');
+    return { data: null, errors };
+  }
+  if (input.sections.length > MAX_SECTIONS) errors.push(`A checklist can have at most ${MAX_SECTIONS} sections`);
+
+  data.sections = input.sections.map((section, i) => {
+    const prefix = `sections[${i}]`;
+    if (!section || typeof section !== 'object') {
+      errors.push(`${prefix}: must be an object`);
+      return null;
+    }
+
+    const label = typeof section.label === 'string' ? section.label.trim() : '';
+    const instructions = typeof section.instructions === 'string' ? section.instructions.trim() : '';
+    const id = typeof section.id === 'string' && section.id.trim() ? section.id.trim() : sectionId(label);
+    if (!label) errors.push(`${prefix}: "label" is required`);
+    if (!instructions) errors.push(`${prefix}: "instructions" are required`);
+    if (label && !SECTION_ID.test(id)) {
+      errors.push(`${prefix}: "id" must start with a letter and use only lowercase letters, digits and underscores`);
+    }
+
+    const cleaned = { id, label, instructions };
+    if (section.maxLength !== undefined && section.maxLength !== null && section.maxLength !== '') {
+      const maxLength = Number(section.maxLength);
+      if (!Number.isInteger(maxLength) || maxLength < 1) errors.push(`${prefix}: "maxLength" must be a positive whole number`);
+      else cleaned.maxLength = maxLength;
+    }
+    return cleaned;
+  });
+
+  const ids = data.sections.filter(Boolean).map((section) => section.id);
+  for (const id of new Set(ids.filter((id, i) => ids.indexOf(id) !== i))) {
+    errors.push(`Section id "${id}" is used more than once`);
+  }
+
+  return { data: errors.length ? null : data, errors };
+}
@@ -0,0 +1,22 @@
+// lib/checklists/store.js
+import { versionedCollection } from '../storage/versioned.js';
+import defaultChecklists, { DEFAULT_CHECKLIST_ID } from './defaultChecklists.js';
+import { CHECKLIST_FIELDS } from './schema.js';
+
+// Checklists are versioned like brand profiles: every save appends a
+// version and reviews record the version they used.
+export const checklists = versionedCollection('checklists', {
+  fields: CHECKLIST_FIELDS,
+  defaults: defaultChecklists,
+  compare: (a, b) => (b.id === DEFAULT_CHECKLIST_ID) - (a.id === DEFAULT_CHECKLIST_ID) || a.name.localeCompare(b.name),
+});
+
+export { DEFAULT_CHECKLIST_ID };
+
+export function listChecklists() {
+  return checklists.list();
+}
+
+export function getChecklist(id = DEFAULT_CHECKLIST_ID, version) {
+  return checklists.get(id, version);
+}
@@ -0,0 +1,55 @@
+// lib/claims/defaultClaims.js
+
+// Example claims built from the permitted wording in the rulepacks, served
+// from the code until they are first edited. They are drafts, not
+// approvals, so they are not offered to writers until legal records the
+// real substantiation, date and approver and marks them approved.
+const defaultClaims = [
+  {
+    id: 'part-of-a-balanced-diet',
+    status: 'draft',
+    text: 'Part of a balanced diet and healthy lifestyle',
+    keywords: ['boosts immunity', 'immunity', 'immune system', 'healthiest', 'superfood', 'good for health', 'miracle'],
+    substantiation: 'General dietary statement with no health claim (FSSAI Advertising and Claims Regulations, 2018; ASCI guidelines)',
+    markets: ['IN', 'EU', 'US'],
+    products: [],
+  },
+  {
+    id: 'contains-monounsaturated-fats',
+    status: 'draft',
+    text: 'Contains monounsaturated fats as part of a balanced diet',
+    keywords: ['heart health', 'healthy heart', 'good for the heart', 'heart disease', 'cholesterol', 'good fats'],
+    substantiation: 'Fatty-acid profile in the product catalogue fact sheet (nutrient content claim)',
+    markets: ['IN'],
+    products: ['groundnut-oil', 'sesame-oil', 'mustard-oil'],
+  },
+  {
+    id: 'traditionally-used-as-a-hair-oil',
+    status: 'draft',
+    text: 'Traditionally used as a hair oil',
+    keywords: ['hair fall', 'hair loss', 'hair growth', 'baldness', 'regrows hair', 'thicker hair'],
+    substantiation: 'Traditional-use statement with no therapeutic claim (Drugs and Magic Remedies Act, 1954, s. 3)',
+    markets: ['IN'],
+    products: ['coconut-oil', 'castor-oil'],
+  },
+  {
+    id: 'may-help-reduce-dandruff-flakes',
+    status: 'draft',
+    text: 'May help reduce dandruff flakes when used regularly',
+    keywords: ['dandruff', 'anti-dandruff', 'flaky scalp', 'itchy scalp'],
+    substantiation: 'Consumer use test on scalp dryness (record the test report reference)',
+    markets: ['IN'],
+    products: ['coconut-oil'],
+  },
+  {
+    id: 'wood-pressed-using-a-traditional-method',
+    status: 'draft',
+    text: 'Wood-pressed using a traditional method',
+    keywords: ['100% natural', '100% pure', 'purest', 'chemical free', 'chemical-free', 'untouched by chemicals'],
+    substantiation: 'Extraction method in the product catalogue fact sheet (FSSAI criteria for "traditional")',
+    markets: ['IN'],
+    products: [],
+  },
+];
+
+export default defaultClaims;
@@ -0,0 +1,99 @@
+// lib/claims/match.js
+
+// Replace the suggestion of a flagged claim with the closest wording from
+// the approved-claims library, so writers are offered phrasing legal has
+// already signed off rather than whatever the model came up with. A claim
+// is a candidate only if it is approved (not a draft), it is approved in
+// every market the review targets and, when it is limited to products, the
+// document names one of them.
+export const CLAIM_CATEGORIES = ['unsubstantiated_claim', 'regulatory'];
+
+// Below this a match is more likely coincidence than the same claim.
+const MIN_SCORE = 0.6;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it', 'its',
+  'of', 'on', 'or', 'our', 'that', 'the', 'this', 'to', 'was', 'when', 'with', 'you', 'your',
+]);
+
+const normalize = (text) => String(text || '').normalize('NFKC').toLowerCase();
+
+// Content words, crudely stemmed so "boosts" matches "boost".
+function terms(text) {
+  return new Set((normalize(text).match(/[\p{L}\p{M}\p{N}]+/gu) || [])
+    .filter((word) => !STOPWORDS.has(word))
+    .map((word) => word.length > 4 ? word.replace(/(?:ing|ed|es|s)$/u, '') : word));
+}
+
+function containsPhrase(text, phrase) {
+  const escaped = normalize(phrase).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  return escaped !== '' && new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escaped}(?![\\p{L}\\p{M}\\p{N}])`, 'u').test(normalize(text));
+}
+
+// 1 when the flagged text contains one of the claim's keywords; otherwise
+// the share of the claim's wording that the flagged text and the proposed
+// suggestion already use.
+export function scoreClaim(finding, claim) {
+  if ((claim.keywords || []).some((keyword) => containsPhrase(finding.quote, keyword))) return 1;
+
+  const wording = terms(claim.text);
+  const used = terms(`${finding.quote} ${finding.suggestion || ''}`);
+  const shared = [...wording].filter((term) => used.has(term)).length;
+  return shared < 2 ? 0 : shared / wording.size;
+}
+
+// Only approved wording is suggested; validateClaim makes sure an approved
+// claim records its approval date and approver.
+export function isApproved(claim) {
+  return claim.status === 'approved';
+}
+
+function eligible(claim, { markets, products }) {
+  if (!isApproved(claim)) return false;
+  if (!markets.every((market) => claim.markets.includes(market))) return false;
+  if (!claim.products?.length) return true;
+  return products.some((product) => claim.products.includes(product.id));
+}
+
+export function closestClaim(finding, claims) {
+  let best = null;
+  for (const claim of claims) {
+    const score = scoreClaim(finding, claim);
+    if (score >= MIN_SCORE && (!best || score > best.score)) best = { claim, score };
+  }
+  return best?.claim || null;
+}
+
+export function describeClaim(claim) {
+  return {
+    id: claim.id,
+    version: claim.version,
+    text: claim.text,
+    substantiation: claim.substantiation,
+    approvedOn: claim.approvedOn || null,
+    approvedBy: claim.approvedBy || null,
+    markets: claim.markets,
+  };
+}
+
+// One line on where approved wording comes from, for reports and exports.
+export function approvalNote(approvedClaim) {
+  const approval = [
+    approvedClaim.approvedOn && `approved ${approvedClaim.approvedOn}`,
+    approvedClaim.approvedBy && `by ${approvedClaim.approvedBy}`,
+  ].filter(Boolean).join(' ');
+  return `${approvedClaim.substantiation}${approval ? `; ${approval}` : ''} (${approvedClaim.markets.join(', ')}; ${approvedClaim.id} v${approvedClaim.version ?? 1})`;
+}
+
+// `markets` are the review's target markets and `products` the catalogue
+// entries the document mentions.
+export function applyApprovedClaims(findings, claims, { markets, products = [] }) {
+  const candidates = claims.filter((claim) => eligible(claim, { markets, products }));
+  if (candidates.length === 0) return findings;
+
+  return findings.map((finding) => {
+    if (!CLAIM_CATEGORIES.includes(finding.category)) return finding;
+    const claim = closestClaim(finding, candidates);
+    return claim ? { ...finding, suggestion: claim.text, approvedClaim: describeClaim(claim) } : finding;
+  });
+}
@@ -0,0 +1,75 @@
+// lib/claims/schema.js
+import { MARKETS } from '../rulepacks/index.js';
+
+const STRING_FIELDS = ['text', 'substantiation', 'approvedOn', 'approvedBy'];
+const LIST_FIELDS = ['keywords', 'markets', 'products'];
+
+// A draft may be saved without its approval; only approved claims, which
+// must record the approval date and approver, are suggested to writers.
+export const CLAIM_STATUSES = ['draft', 'approved'];
+
+export const CLAIM_STATUS_LABELS = {
+  draft: 'Draft',
+  approved: 'Approved',
+};
+
+export const CLAIM_FIELDS = ['status', ...STRING_FIELDS, ...LIST_FIELDS];
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validate and normalise submitted claim data. Returns the cleaned data
+// (trimmed strings, empty list entries dropped, market codes upper-cased,
+// status defaulting to draft) and a list of errors.
+export function validateClaim(input) {
+  const errors = [];
+  const data = {};
+
+  if (!input || typeof input !== 'object') {
+    return { data: null, errors: ['Claim must be an object'] };
+  }
+
+  const status = input.status ?? 'draft';
+  if (CLAIM_STATUSES.includes(status)) {
+    data.status = status;
+  } else {
+    errors.push(`"status" must be one of ${CLAIM_STATUSES.join(', ')}`);
+  }
+
+  for (const field of STRING_FIELDS) {
+    const value = input[field] ?? '';
+    if (typeof value !== 'string') {
+      errors.push(`"${field}" must be a string`);
+      continue;
+    }
+    data[field] = value.trim();
+  }
+
+  for (const field of LIST_FIELDS) {
+    const value = input[field] ?? [];
+    if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+      errors.push(`"${field}" must be a list of strings`);
+      continue;
+    }
+    data[field] = [...new Set(value.map((item) => item.trim()).filter(Boolean))];
+  }
+
+  if (data.text === '') errors.push('"text" is required');
+  if (data.substantiation === '') errors.push('"substantiation" is required: the study or evidence the claim was approved on');
+  if (data.approvedOn && !(DATE.test(data.approvedOn) && !Number.isNaN(Date.parse(data.approvedOn)))) {
+    errors.push('"approvedOn" must be a date (YYYY-MM-DD)');
+  }
+  if (data.status === 'approved') {
+    if (data.approvedOn === '') errors.push('"approvedOn" is required for an approved claim');
+    if (data.approvedBy === '') errors.push('"approvedBy" is required for an approved claim');
+  }
+
+  if (data.markets) {
+    data.markets = data.markets.map((market) => market.toUpperCase());
+    if (data.markets.length === 0) errors.push('"markets" must list at least one market the claim is approved in');
+    for (const market of data.markets) {
+      if (!MARKETS[market]) errors.push(`Unknown market "${market}". Supported markets: ${Object.keys(MARKETS).join(', ')}`);
+    }
+  }
+
+  return { data: errors.length ? null : data, errors };
+}
@@ -0,0 +1,19 @@
+// lib/claims/store.js
+import { slugify, versionedCollection } from '../storage/versioned.js';
+import defaultClaims from './defaultClaims.js';
+import { CLAIM_FIELDS } from './schema.js';
+
+// Approved claims are versioned like brand profiles, so a suggestion taken
+// from the library can always be traced to the wording and substantiation
+// legal approved at the time.
+export const claims = versionedCollection('claims', {
+  fields: CLAIM_FIELDS,
+  defaults: defaultClaims,
+  label: 'text',
+  slug: (data) => slugify(data.text, 'claim'),
+  compare: (a, b) => a.text.localeCompare(b.text),
+});
+
+export function listClaims() {
+  return claims.list();
+}
@@ -0,0 +1,91 @@
+// lib/cli/files.js
+import fs from 'fs';
+import path from 'path';
+import { SUPPORTED_EXTENSIONS, extensionOf } from '../extract/index.js';
+
+const SKIPPED_DIRECTORIES = ['node_modules'];
+
+function isReviewable(file) {
+  return SUPPORTED_EXTENSIONS.includes(extensionOf(file));
+}
+
+// Every file under `dir`, skipping dot folders and node_modules.
+function walk(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || SKIPPED_DIRECTORIES.includes(entry.name)) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...walk(full));
+    else if (entry.isFile()) files.push(full);
+  }
+  return files;
+}
+
+// Glob syntax: `**` spans folders, `*` and `?` stay within one, and
+// `{a,b}` matches either alternative.
+export function globToRegExp(glob) {
+  let source = '';
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      const slash = glob[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      braces++;
+      source += '(?:';
+    } else if (char === '}' && braces > 0) {
+      braces--;
+      source += ')';
+    } else if (char === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+const isGlob = (pattern) => /[*?{]/.test(pattern);
+
+// Resolve the files, folders and globs given on the command line to a
+// sorted list of reviewable files relative to `cwd`. Folders are searched
+// for supported file types. Patterns that match nothing are returned in
+// `unmatched` so the caller can report them.
+export function resolveFiles(patterns, { cwd = process.cwd() } = {}) {
+  const files = new Set();
+  const unmatched = [];
+
+  for (const pattern of patterns) {
+    const normalized = pattern.split(path.sep).join('/');
+    let matches = [];
+
+    if (!isGlob(normalized)) {
+      const full = path.resolve(cwd, normalized);
+      const stat = fs.statSync(full, { throwIfNoEntry: false });
+      if (stat?.isFile()) matches = [full];
+      else if (stat?.isDirectory()) matches = walk(full).filter(isReviewable);
+    } else {
+      const segments = normalized.split('/');
+      const base = segments.slice(0, segments.findIndex(isGlob)).join('/') || '.';
+      const full = path.resolve(cwd, base);
+      if (fs.statSync(full, { throwIfNoEntry: false })?.isDirectory()) {
+        const absolute = path.isAbsolute(pattern);
+        const regex = globToRegExp(path.posix.normalize(normalized).replace(/^\.\//, ''));
+        matches = walk(full).filter((file) =>
+          regex.test((absolute ? file : path.relative(cwd, file)).split(path.sep).join('/')) && isReviewable(file)
+        );
+      }
+    }
+
+    if (matches.length === 0) unmatched.push(pattern);
+    for (const file of matches) files.add(path.relative(cwd, file).split(path.sep).join('/'));
+  }
+
+  return { files: [...files].sort(), unmatched };
+}
@@ -0,0 +1,212 @@
+// lib/cli/formats.js
+import { approvalNote } from '../claims/match.js';
+import { describeLocation } from '../document/structure.js';
+import { describeLanguage, isEnglishOnly } from '../language/detect.js';
+import { SEVERITIES, reviewSections, sectionLabels, severityRank } from '../review/schema.js';
+
+export const FORMATS = ['human', 'json', 'sarif'];
+
+const SARIF_LEVELS = { HIGH: 'error', MEDIUM: 'warning', LOW: 'note' };
+
+// Reviews run on the extracted text, so finding offsets do not line up
+// with the file on disk once Markdown or HTML markup is stripped. Find the
+// quote in the original file instead: the same occurrence if it repeats,
+// or nothing if the markup splits it (or the file is binary).
+export function sourcePosition(source, content, finding) {
+  if (!source) return null;
+
+  let occurrence = 0;
+  for (let at = content.indexOf(finding.quote); at !== -1 && at < finding.start; at = content.indexOf(finding.quote, at + 1)) {
+    occurrence++;
+  }
+
+  let index = -1;
+  for (let i = 0; i <= occurrence; i++) {
+    const next = source.indexOf(finding.quote, index + 1);
+    if (next === -1) break;
+    index = next;
+  }
+  if (index === -1) return null;
+
+  const position = (offset) => {
+    const before = source.slice(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+  };
+  const start = position(index);
+  const end = position(index + finding.quote.length);
+  return { line: start.line, column: start.column, endLine: end.line, endColumn: end.column };
+}
+
+export function countFindings(results) {
+  const counts = Object.fromEntries(SEVERITIES.map((severity) => [severity, 0]));
+  for (const result of results) {
+    for (const finding of result.review?.findings || []) counts[finding.severity]++;
+  }
+  return counts;
+}
+
+// Whether any finding is at or above `failOn` (a severity, or "never").
+export function failsThreshold(results, failOn) {
+  if (!SEVERITIES.includes(failOn)) return false;
+  return results.some((result) =>
+    (result.review?.findings || []).some((finding) => severityRank(finding.severity) >= severityRank(failOn))
+  );
+}
+
+const ruleIdFor = (finding) => finding.ruleId || finding.category;
+
+function withPositions(result) {
+  return (result.review?.findings || []).map((finding) => ({
+    ...finding,
+    position: sourcePosition(result.source, result.content, finding),
+  }));
+}
+
+const ANSI = { HIGH: '\x1b[31m', MEDIUM: '\x1b[33m', LOW: '\x1b[36m', dim: '\x1b[2m', bold: '\x1b[1m', reset: '\x1b[0m' };
+
+// Findings grouped by file, most severe first, in the style of a linter.
+export function formatHuman(results, { color = false } = {}) {
+  const paint = (style, text) => color ? `${ANSI[style]}${text}${ANSI.reset}` : text;
+  const lines = [];
+
+  for (const result of results) {
+    if (result.error) {
+      lines.push(paint('bold', result.file), `  ${paint('HIGH', 'error')}  ${result.error}`, '');
+      continue;
+    }
+
+    const findings = withPositions(result)
+      .sort((a, b) => severityRank(b.severity) - severityRank(a.severity) || a.start - b.start);
+    const labels = sectionLabels(result.review);
+    const notes = [];
+    if (!isEnglishOnly(result.review.language)) notes.push(describeLanguage(result.review.language));
+    if (typeof result.review.seo?.score === 'number') notes.push(`SEO ${result.review.seo.score}/100`);
+    if (result.review.cached) notes.push('cached');
+    if (result.review.model.status !== 'ok') notes.push(`rule checks only: ${result.review.model.message}`);
+
+    lines.push(`${paint('bold', result.file)}  ${paint(result.review.riskLevel, `${result.review.riskLevel} risk`)}${notes.length ? paint('dim', `  (${notes.join('; ')})`) : ''}`);
+    for (const finding of findings) {
+      const where = finding.position
+        ? `${finding.position.line}:${finding.position.column}`
+        : finding.location ? describeLocation(finding.location) : '';
+      lines.push(`  ${paint('dim', where.padEnd(8))}${paint(finding.severity, finding.severity.padEnd(7))}${labels[finding.category]}  "${finding.quote}"`);
+      lines.push(`          ${finding.explanation}`);
+      for (const citation of finding.citations || []) lines.push(paint('dim', `          Cites ${citation.reference} (${citation.title})`));
+      for (const fact of finding.facts || []) lines.push(paint('dim', `          Catalogue: ${fact.productName}, ${fact.label}: ${fact.value}`));
+      if (finding.suggestion) lines.push(`          Suggest: "${finding.suggestion}"`);
+      if (finding.approvedClaim) lines.push(paint('dim', `          Approved claim: ${approvalNote(finding.approvedClaim)}`));
+    }
+    lines.push('');
+  }
+
+  const counts = countFindings(results);
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  const failed = results.filter((result) => result.error).length;
+  const breakdown = [...SEVERITIES].reverse().map((severity) => `${counts[severity]} ${severity}`).join(', ');
+  lines.push(paint('bold', `${total} finding${total === 1 ? '' : 's'} (${breakdown}) in ${results.length} file${results.length === 1 ? '' : 's'}${failed ? `, ${failed} could not be reviewed` : ''}`));
+
+  return `${lines.join('\n')}\n`;
+}
+
+export function formatJson(results, { failOn }) {
+  return `${JSON.stringify({
+    failOn,
+    findings: countFindings(results),
+    results: results.map((result) => result.error
+      ? { file: result.file, error: result.error }
+      : {
+        file: result.file,
+        riskLevel: result.review.riskLevel,
+        summary: result.review.summary,
+        profile: result.review.profile,
+        checklist: result.review.checklist,
+        markets: result.review.markets,
+        model: result.review.model,
+        seo: result.review.seo,
+        cached: Boolean(result.review.cached),
+        findings: withPositions(result),
+      }),
+  }, null, 2)}\n`;
+}
+
+// SARIF 2.1.0, for code scanning annotations on pull requests. Rule
+// findings keep their rule id; model findings use their category.
+export function formatSarif(results, { version }) {
+  const rules = new Map();
+  const sarifResults = [];
+  const categories = [];
+
+  for (const result of results) {
+    if (result.error) continue;
+    const labels = sectionLabels(result.review);
+    for (const section of reviewSections(result.review)) {
+      if (!categories.includes(section.id)) categories.push(section.id);
+    }
+    for (const finding of withPositions(result)) {
+      const ruleId = ruleIdFor(finding);
+      if (!rules.has(ruleId)) {
+        rules.set(ruleId, {
+          id: ruleId,
+          shortDescription: { text: finding.ruleId ? finding.explanation : labels[finding.category] },
+          properties: { category: finding.category },
+        });
+      }
+
+      const citations = (finding.citations || []).map((citation) => `${citation.reference} (${citation.title})`);
+      sarifResults.push({
+        ruleId,
+        level: SARIF_LEVELS[finding.severity],
+        message: {
+          text: [
+            `${labels[finding.category]}: "${finding.quote}". ${finding.explanation}`,
+            finding.suggestion && `Suggestion: "${finding.suggestion}"`,
+            finding.approvedClaim && `Approved claim: ${approvalNote(finding.approvedClaim)}`,
+            citations.length > 0 && `Cites ${citations.join('; ')}`,
+            ...(finding.facts || []).map((fact) => `Catalogue: ${fact.productName}, ${fact.label}: ${fact.value}`),
+          ].filter(Boolean).join('\n'),
+        },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: result.file },
+            ...(finding.position && {
+              region: {
+                startLine: finding.position.line,
+                startColumn: finding.position.column,
+                endLine: finding.position.endLine,
+                endColumn: finding.position.endColumn,
+                snippet: { text: finding.quote },
+              },
+            }),
+          },
+        }],
+        partialFingerprints: { quote: `${ruleId}:${finding.quote}` },
+        properties: { severity: finding.severity, source: finding.source || 'model' },
+      });
+    }
+  }
+
+  return `${JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'olixir-review',
+          version,
+          rules: [...rules.values()].sort((a, b) =>
+            categories.indexOf(a.properties.category) - categories.indexOf(b.properties.category) || a.id.localeCompare(b.id)
+          ),
+        },
+      },
+      results: sarifResults,
+      invocations: [{
+        executionSuccessful: results.every((result) => !result.error),
+        toolExecutionNotifications: results.filter((result) => result.error).map((result) => ({
+          level: 'error',
+          message: { text: result.error },
+          locations: [{ physicalLocation: { artifactLocation: { uri: result.file } } }],
+        })),
+      }],
+    }],
+  }, null, 2)}\n`;
+}
@@ -0,0 +1,26 @@
+// lib/concurrency.js
+
+// Like Promise.all(items.map(fn)), but with at most `limit` calls in flight.
+// Results keep the order of `items`; the first rejection rejects the whole
+// call and no further items are started.
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  async function worker() {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
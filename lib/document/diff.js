@@ -0,0 +1,165 @@
+// lib/document/diff.js
+
+// Beyond this many edits the two texts have little in common and the diff
+// falls back to "everything removed, everything added" instead of spending
+// quadratic time and memory on it.
+const MAX_EDIT_DISTANCE = 4000;
+
+// Myers' O(ND) shortest edit script between two token arrays. Returns the
+// edits in order as { type: 'equal' | 'delete' | 'insert', token }, or null
+// when the edit distance exceeds MAX_EDIT_DISTANCE.
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= Math.min(max, MAX_EDIT_DISTANCE); d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        trace.push(v.slice(offset - d, offset + d + 1));
+        return backtrack(a, b, trace);
+      }
+    }
+    trace.push(v.slice(offset - d, offset + d + 1));
+  }
+
+  return null;
+}
+
+// Walk the saved V arrays back from the end to recover the edit script.
+function backtrack(a, b, trace) {
+  const edits = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const previous = trace[d - 1];
+    const at = (k) => previous[k + d - 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      edits.push({ type: 'equal', token: a[--x] });
+      y--;
+    }
+    if (x === prevX) edits.push({ type: 'insert', token: b[--y] });
+    else edits.push({ type: 'delete', token: a[--x] });
+  }
+  while (x > 0 && y > 0) {
+    edits.push({ type: 'equal', token: a[--x] });
+    y--;
+  }
+
+  return edits.reverse();
+}
+
+// Edit script for two token arrays, with the common prefix and suffix
+// trimmed first since revisions usually differ in a few places.
+export function diffTokens(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  const middleA = a.slice(prefix, a.length - suffix);
+  const middleB = b.slice(prefix, b.length - suffix);
+  const middle = myers(middleA, middleB) || [
+    ...middleA.map((token) => ({ type: 'delete', token })),
+    ...middleB.map((token) => ({ type: 'insert', token })),
+  ];
+
+  return [
+    ...a.slice(0, prefix).map((token) => ({ type: 'equal', token })),
+    ...middle,
+    ...a.slice(a.length - suffix).map((token) => ({ type: 'equal', token })),
+  ];
+}
+
+// Merge consecutive edits of the same type into text segments.
+function toSegments(edits) {
+  const segments = [];
+  for (const { type, token } of edits) {
+    const last = segments[segments.length - 1];
+    if (last?.type === type) last.text += token;
+    else segments.push({ type, text: token });
+  }
+  return segments;
+}
+
+// Whitespace and punctuation are tokens of their own so diff segments
+// concatenate back to the original strings.
+function tokenizeWords(text) {
+  return text.match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+}
+
+// Word-level diff as segments of equal, deleted and inserted text.
+export function diffWords(a, b) {
+  return toSegments(diffTokens(tokenizeWords(a), tokenizeWords(b)));
+}
+
+// Line-by-line comparison for a side-by-side view. Runs of deleted and
+// inserted lines are paired into "changed" rows carrying a word diff; the
+// rest are "same", "removed" or "added". Line numbers are 1-based.
+export function sideBySide(a, b) {
+  const edits = diffTokens(a.split('\n'), b.split('\n'));
+  const rows = [];
+  let left = 1;
+  let right = 1;
+  let deleted = [];
+  let inserted = [];
+
+  const flush = () => {
+    const pairs = Math.max(deleted.length, inserted.length);
+    for (let i = 0; i < pairs; i++) {
+      const before = deleted[i];
+      const after = inserted[i];
+      if (before !== undefined && after !== undefined) {
+        const edits = diffTokens(tokenizeWords(before), tokenizeWords(after));
+        rows.push({
+          type: 'changed',
+          left: { number: left++, text: before, segments: toSegments(edits.filter((edit) => edit.type !== 'insert')) },
+          right: { number: right++, text: after, segments: toSegments(edits.filter((edit) => edit.type !== 'delete')) },
+        });
+      } else if (before !== undefined) {
+        rows.push({ type: 'removed', left: { number: left++, text: before }, right: null });
+      } else {
+        rows.push({ type: 'added', left: null, right: { number: right++, text: after } });
+      }
+    }
+    deleted = [];
+    inserted = [];
+  };
+
+  for (const { type, token } of edits) {
+    if (type === 'delete') {
+      deleted.push(token);
+    } else if (type === 'insert') {
+      inserted.push(token);
+    } else {
+      flush();
+      rows.push({ type: 'same', left: { number: left++, text: token }, right: { number: right++, text: token } });
+    }
+  }
+  flush();
+
+  return rows;
+}
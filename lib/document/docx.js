@@ -0,0 +1,80 @@
+// lib/document/docx.js
+import {
+  DeletedTextRun,
+  Document,
+  HeadingLevel,
+  InsertedTextRun,
+  Packer,
+  Paragraph,
+  TextRun,
+} from 'docx';
+import { markdownToPlainText } from './plainText.js';
+import { parseStructure } from './structure.js';
+
+const HEADING_LEVELS = [
+  HeadingLevel.HEADING_1,
+  HeadingLevel.HEADING_2,
+  HeadingLevel.HEADING_3,
+  HeadingLevel.HEADING_4,
+  HeadingLevel.HEADING_5,
+  HeadingLevel.HEADING_6,
+];
+
+function paragraphFor(block, children) {
+  return new Paragraph({
+    heading: block.type === 'heading' ? HEADING_LEVELS[block.level - 1] : undefined,
+    children,
+  });
+}
+
+function textRuns(text) {
+  return text.split('\n').map((line, i) => new TextRun({ text: line, break: i > 0 ? 1 : 0 }));
+}
+
+// One Word paragraph per heading/paragraph block of the revised text.
+export function revisedDocx(text) {
+  const paragraphs = parseStructure(text).map((block) => {
+    const blockText = block.type === 'heading' ? block.text : markdownToPlainText(text.slice(block.start, block.end));
+    return paragraphFor(block, textRuns(blockText));
+  });
+
+  return Packer.toBlob(new Document({ sections: [{ children: paragraphs }] }));
+}
+
+// The original document with each accepted rewrite recorded as a Word
+// tracked change, so it can be reviewed with Word's accept/reject tools.
+export function trackedChangesDocx(content, changes, { author = 'Olixir Reviewer' } = {}) {
+  const date = new Date().toISOString();
+  let revisionId = 1;
+
+  const paragraphs = parseStructure(content).map((block) => {
+    // Headings are written without their Markdown markers.
+    const blockStart = block.type === 'heading'
+      ? block.start + content.slice(block.start, block.end).indexOf(block.text)
+      : block.start;
+    const blockEnd = block.type === 'heading' ? blockStart + block.text.length : block.end;
+
+    const children = [];
+    let cursor = blockStart;
+    const plain = (from, to) => content.slice(from, to);
+
+    for (const change of changes) {
+      if (change.end <= cursor || change.start >= blockEnd) continue;
+      const start = Math.max(change.start, cursor);
+      const end = Math.min(change.end, blockEnd);
+
+      if (start > cursor) children.push(...textRuns(plain(cursor, start)));
+      children.push(new DeletedTextRun({ text: plain(start, end), id: revisionId++, author, date }));
+      // An insertion belongs with the block its change starts in.
+      if (change.replacement && change.start >= blockStart) {
+        children.push(new InsertedTextRun({ text: change.replacement, id: revisionId++, author, date }));
+      }
+      cursor = end;
+    }
+    if (cursor < blockEnd) children.push(...textRuns(plain(cursor, blockEnd)));
+
+    return paragraphFor(block, children);
+  });
+
+  return Packer.toBlob(new Document({ sections: [{ children: paragraphs }] }));
+}
@@ -0,0 +1,67 @@
+// lib/document/revise.js
+
+export const DECISIONS = ['accepted', 'edited', 'rejected'];
+
+// The text a decision puts in place of the quoted span, or null when the
+// original text stays.
+export function replacementFor(finding, decision) {
+  if (decision?.status === 'accepted' && finding.suggestion) return finding.suggestion;
+  if (decision?.status === 'edited') return decision.replacement ?? '';
+  return null;
+}
+
+// Apply accepted and edited rewrites to the original text. Rewrites are
+// applied left to right; one that overlaps an earlier rewrite is skipped
+// and reported in `conflicts`, since both cannot be true at once.
+export function applyDecisions(content, findings, decisions) {
+  const candidates = findings
+    .map((finding) => ({ finding, replacement: replacementFor(finding, decisions[finding.id]) }))
+    .filter(({ replacement }) => replacement !== null)
+    .sort((a, b) => a.finding.start - b.finding.start);
+
+  const changes = [];
+  const conflicts = [];
+  let lastEnd = 0;
+
+  for (const { finding, replacement } of candidates) {
+    if (finding.start < lastEnd) {
+      conflicts.push(finding.id);
+      continue;
+    }
+    changes.push({
+      findingId: finding.id,
+      start: finding.start,
+      end: finding.end,
+      original: content.slice(finding.start, finding.end),
+      replacement,
+    });
+    lastEnd = finding.end;
+  }
+
+  let text = '';
+  let cursor = 0;
+  for (const change of changes) {
+    text += content.slice(cursor, change.start) + change.replacement;
+    cursor = change.end;
+  }
+  text += content.slice(cursor);
+
+  return { text, changes, conflicts };
+}
+
+// Tracked-changes view of the applied rewrites: unchanged text, deletions
+// and insertions in document order.
+export function trackedChanges(content, changes) {
+  const segments = [];
+  let cursor = 0;
+
+  for (const change of changes) {
+    if (change.start > cursor) segments.push({ type: 'equal', text: content.slice(cursor, change.start) });
+    if (change.original) segments.push({ type: 'delete', text: change.original, findingId: change.findingId });
+    if (change.replacement) segments.push({ type: 'insert', text: change.replacement, findingId: change.findingId });
+    cursor = change.end;
+  }
+  if (cursor < content.length) segments.push({ type: 'equal', text: content.slice(cursor) });
+
+  return segments;
+}
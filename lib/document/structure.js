@@ -0,0 +1,67 @@
+// lib/document/structure.js
+
+const ATX_HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const SETEXT_HEADING = /^([^\n]+)\n(=+|-+)\s*$/;
+
+// Split text into heading and paragraph blocks separated by blank lines,
+// numbering sections (each heading starts one) and paragraphs within them.
+// Text before the first heading is section 0, the untitled introduction.
+export function parseStructure(content) {
+  const blocks = [];
+  const pattern = /[^\n]+(?:\n(?![ \t]*\n)[^\n]*)*/g;
+  let section = 0;
+  let paragraph = 0;
+  let heading = null;
+  let match;
+
+  while ((match = pattern.exec(content)) !== null) {
+    const text = match[0];
+    if (!text.trim()) continue;
+
+    const start = match.index;
+    const end = start + text.length;
+    const atx = text.match(ATX_HEADING);
+    const setext = !atx && text.match(SETEXT_HEADING);
+
+    if (atx || setext) {
+      section++;
+      paragraph = 0;
+      heading = (atx ? atx[2] : setext[1]).trim();
+      blocks.push({
+        type: 'heading',
+        level: atx ? atx[1].length : (setext[2][0] === '=' ? 1 : 2),
+        text: heading,
+        start,
+        end,
+        section,
+        paragraph: 0,
+      });
+    } else {
+      paragraph++;
+      blocks.push({ type: 'paragraph', start, end, section, paragraph, heading });
+    }
+  }
+
+  return blocks;
+}
+
+// Where an offset falls, in terms an editor can find in their draft.
+export function locateOffset(blocks, offset) {
+  const block = blocks.find((candidate) => offset >= candidate.start && offset < candidate.end)
+    || [...blocks].reverse().find((candidate) => candidate.start <= offset);
+  if (!block) return null;
+
+  return {
+    section: block.section,
+    paragraph: block.paragraph,
+    heading: block.type === 'heading' ? block.text : block.heading,
+  };
+}
+
+export function describeLocation(location) {
+  if (!location) return '';
+  if (location.paragraph === 0) return `Section ${location.section} heading`;
+  const paragraph = `paragraph ${location.paragraph}`;
+  if (location.section === 0) return `Introduction, ${paragraph}`;
+  return `Section ${location.section}${location.heading ? ` (${location.heading})` : ''}, ${paragraph}`;
+}
@@ -0,0 +1,16 @@
+// lib/download.js
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+export function baseName(filename) {
+  return (filename || 'document').replace(/\.[^.]+$/, '');
+}
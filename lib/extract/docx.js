@@ -0,0 +1,9 @@
+// lib/extract/docx.js
+import mammoth from 'mammoth';
+
+// Word and Google Docs exports. mammoth maps Word heading styles to
+// <h1>-<h6>, which htmlToText turns into Markdown headings.
+export async function docxToHtml(buffer) {
+  const result = await mammoth.convertToHtml({ buffer });
+  return result.value;
+}
@@ -0,0 +1,112 @@
+// lib/extract/html.js
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  hellip: '…',
+  deg: '°',
+  rupee: '₹',
+};
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? Number.parseInt(entity.slice(2), 16)
+        : Number.parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Tags that start a new block of text. Everything else (links, emphasis,
+// spans) is inline and only contributes its text.
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'caption', 'dd', 'details', 'div', 'dl', 'dt', 'fieldset', 'figcaption',
+  'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre',
+  'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul',
+]);
+
+const TOKEN = /<(\/?)([a-z][a-z0-9-]*)\b[^>]*>|[^<]+|</gi;
+
+// Convert HTML to plain text that keeps the document structure: headings
+// become Markdown `#` lines, list items `- ` lines, and blocks are
+// separated by a blank line so paragraphs can be numbered later. The whole
+// body is walked, so text outside block tags (bare paragraphs from a
+// classic editor, <div> soup) is kept wherever it appears; blank lines in
+// it separate paragraphs too.
+export function htmlToText(html) {
+  const body = html.match(/<body[^>]*>([\s\S]*)<\/body>/i)?.[1] ?? html;
+
+  const cleaned = body
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg|head)[^>]*>[\s\S]*?<\/\1>/gi, '');
+
+  const blocks = [];
+  const open = [];
+  let text = '';
+  let listItem = false;
+
+  const flush = () => {
+    const heading = open.findLast((tag) => /^h[1-6]$/.test(tag));
+    const content = open.includes('pre')
+      ? text.replace(/^\n+|\s+$/g, '')
+      : text.replace(/[ \t\r\f\v]+/g, ' ').replace(/ *\n */g, '\n').trim();
+    text = '';
+    if (!content) return;
+
+    if (heading) {
+      blocks.push({ text: `${'#'.repeat(Number(heading[1]))} ${content.replace(/\n/g, ' ')}` });
+    } else if (listItem) {
+      blocks.push({ text: `- ${content.replace(/\n/g, ' ')}`, listItem: true });
+    } else {
+      blocks.push({ text: content });
+    }
+    listItem = false;
+  };
+
+  for (const [token, closing, name] of cleaned.matchAll(TOKEN)) {
+    const tag = name?.toLowerCase();
+    if (!tag) {
+      const decoded = decodeEntities(token);
+      if (open.includes('pre')) {
+        text += decoded;
+        continue;
+      }
+      // The newline usually written after a <br> is the same line break.
+      const paragraphs = (text.endsWith('\n') ? decoded.replace(/^[ \t]*\n/, '') : decoded).split(/\n[ \t]*\n\s*/);
+      paragraphs.forEach((paragraph, i) => {
+        if (i > 0) flush();
+        text += paragraph;
+      });
+    } else if (tag === 'br') {
+      text += '\n';
+    } else if (BLOCK_TAGS.has(tag)) {
+      flush();
+      if (closing) {
+        const index = open.lastIndexOf(tag);
+        if (index !== -1) open.length = index;
+      } else if (tag !== 'hr') {
+        open.push(tag);
+        if (tag === 'li') listItem = true;
+      }
+    }
+  }
+  flush();
+
+  // Consecutive list items stay together as one paragraph.
+  return blocks
+    .map((block, i) => (i > 0 ? (block.listItem && blocks[i - 1].listItem ? '\n' : '\n\n') : '') + block.text)
+    .join('');
+}
@@ -0,0 +1,50 @@
+// lib/extract/index.js
+import { outlinePage } from '../seo/page.js';
+import { docxToHtml } from './docx.js';
+import { htmlToText } from './html.js';
+import { markdownToText } from './markdown.js';
+import { pdfToText } from './pdf.js';
+
+export const SUPPORTED_EXTENSIONS = ['txt', 'md', 'markdown', 'html', 'htm', 'docx', 'pdf'];
+
+export class UnsupportedFormatError extends Error {
+  constructor(extension) {
+    super(`Unsupported file type ".${extension}". Supported types: ${SUPPORTED_EXTENSIONS.map((ext) => `.${ext}`).join(', ')}`);
+    this.name = 'UnsupportedFormatError';
+  }
+}
+
+export function extensionOf(filename) {
+  return (filename || '').toLowerCase().split('.').pop();
+}
+
+// Extract reviewable text from an uploaded file. Every format comes back as
+// plain text with Markdown-style headings and blank lines between blocks,
+// which is what the structure parser expects. Markdown, HTML and Word files
+// also come with the page outline (meta tags, links, images) the text loses.
+export async function extractDocument({ filename, buffer }) {
+  const extension = extensionOf(filename);
+
+  switch (extension) {
+    case 'txt':
+      return { format: 'text', content: buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').trim() };
+    case 'md':
+    case 'markdown': {
+      const source = buffer.toString('utf8');
+      return { format: 'markdown', content: markdownToText(source), page: outlinePage(source, 'markdown') };
+    }
+    case 'html':
+    case 'htm': {
+      const source = buffer.toString('utf8');
+      return { format: 'html', content: htmlToText(source), page: outlinePage(source, 'html') };
+    }
+    case 'docx': {
+      const html = await docxToHtml(buffer);
+      return { format: 'docx', content: htmlToText(html), page: outlinePage(html, 'html') };
+    }
+    case 'pdf':
+      return { format: 'pdf', content: await pdfToText(buffer) };
+    default:
+      throw new UnsupportedFormatError(extension);
+  }
+}
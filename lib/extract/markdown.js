@@ -0,0 +1,12 @@
+// lib/extract/markdown.js
+
+// Markdown is reviewed as written, so offsets and exported revisions map
+// straight back to the source. We only drop YAML front matter, which is
+// metadata rather than copy.
+export function markdownToText(markdown) {
+  return markdown
+    .replace(/^\uFEFF/, '')
+    .replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, '')
+    .replace(/\r\n/g, '\n')
+    .trim();
+}
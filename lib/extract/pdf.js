@@ -0,0 +1,78 @@
+// lib/extract/pdf.js
+
+// Text-based PDFs only; scanned pages have no text layer and come back
+// empty. Lines are rebuilt from text positions: a vertical gap larger than
+// the line height starts a new paragraph, and lines set noticeably larger
+// than the body text become headings.
+export async function pdfToText(buffer) {
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const document = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    useSystemFonts: false,
+    isEvalSupported: false,
+    // Font rendering data is not needed for text extraction; keep pdf.js
+    // from warning about it on every upload.
+    verbosity: pdfjs.VerbosityLevel.ERRORS,
+  }).promise;
+
+  const lines = [];
+  try {
+    for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber++) {
+      const page = await document.getPage(pageNumber);
+      const { items } = await page.getTextContent();
+
+      let current = null;
+      for (const item of items) {
+        if (!('str' in item)) continue;
+        const y = item.transform[5];
+        const size = Math.abs(item.transform[3]) || item.height;
+
+        if (current && Math.abs(current.y - y) < size / 2) {
+          current.text += item.str;
+        } else {
+          if (current) lines.push(current);
+          current = { text: item.str, y, size, page: pageNumber };
+        }
+        if (item.hasEOL) {
+          lines.push(current);
+          current = null;
+        }
+      }
+      if (current) lines.push(current);
+    }
+  } finally {
+    await document.destroy();
+  }
+
+  const textLines = lines
+    .map((line) => ({ ...line, text: line.text.replace(/\s+/g, ' ').trim() }))
+    .filter((line) => line.text);
+  if (textLines.length === 0) return '';
+
+  const sizes = textLines.map((line) => line.size).sort((a, b) => a - b);
+  const bodySize = sizes[Math.floor(sizes.length / 2)];
+
+  const blocks = [];
+  let paragraph = [];
+  const flush = () => {
+    if (paragraph.length) blocks.push(paragraph.join(' '));
+    paragraph = [];
+  };
+
+  textLines.forEach((line, i) => {
+    const previous = textLines[i - 1];
+    const isHeading = line.size >= bodySize * 1.2 && line.text.length <= 120;
+    const gap = previous && previous.page === line.page ? previous.y - line.y : 0;
+
+    if (isHeading) {
+      flush();
+      blocks.push(`${line.size >= bodySize * 1.6 ? '#' : '##'} ${line.text}`);
+      return;
+    }
+    if (!previous || previous.page !== line.page || gap > line.size * 1.8) flush();
+    paragraph.push(line.text);
+  });
+  flush();
+
+  return blocks.join('\n\n');
+}
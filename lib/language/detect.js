@@ -0,0 +1,79 @@
+// lib/language/detect.js
+
+// The languages content is reviewed in. Hinglish is Hindi written in Latin
+// script, usually mixed with English words.
+export const LANGUAGES = {
+  en: { name: 'English', script: 'Latin' },
+  hi: { name: 'Hindi', script: 'Devanagari' },
+  ta: { name: 'Tamil', script: 'Tamil' },
+  te: { name: 'Telugu', script: 'Telugu' },
+  'hi-Latn': { name: 'Hinglish', script: 'Latin' },
+};
+
+const SCRIPT_LANGUAGES = [
+  { code: 'hi', pattern: /\p{Script=Devanagari}/u },
+  { code: 'ta', pattern: /\p{Script=Tamil}/u },
+  { code: 'te', pattern: /\p{Script=Telugu}/u },
+];
+
+// Frequent romanised Hindi words that are not also English words, so a
+// handful of them marks Latin-script text as Hinglish.
+const HINGLISH_WORDS = new Set([
+  'hai', 'hain', 'ka', 'ki', 'ke', 'ko', 'se', 'mein', 'aur', 'nahi', 'nahin', 'yeh', 'woh', 'kya', 'bhi',
+  'toh', 'bahut', 'bohot', 'accha', 'achha', 'sabse', 'liye', 'wala', 'wali', 'wale', 'apna', 'apne', 'hum',
+  'humara', 'hamara', 'aap', 'aapke', 'aapka', 'tha', 'thi', 'karo', 'karein', 'karta', 'karti', 'jata',
+  'jaata', 'hota', 'hoti', 'lagta', 'sirf', 'abhi', 'ekdum', 'bilkul', 'khana', 'ghar', 'zaroor', 'jaroor',
+]);
+
+const MIN_HINGLISH_SHARE = 0.08;
+const MIN_HINGLISH_WORDS = 3;
+
+// Share of the text's letters below which a language is incidental (a
+// brand name, a quoted English term) rather than one the text is written in.
+const MIN_SHARE = 0.1;
+
+function isHinglish(words) {
+  const hits = words.filter((word) => HINGLISH_WORDS.has(word)).length;
+  return hits >= MIN_HINGLISH_WORDS && hits / words.length >= MIN_HINGLISH_SHARE;
+}
+
+// The languages `content` is written in, by the share of its letters in
+// each script: { code, name, languages: [{ code, name, share }] } with the
+// main language first. Text without letters counts as English.
+export function detectLanguage(content) {
+  const letters = { en: 0, hi: 0, ta: 0, te: 0 };
+  const latinWords = [];
+
+  for (const word of content.match(/[\p{L}\p{M}]+/gu) || []) {
+    if (/\p{Script=Latin}/u.test(word)) {
+      letters.en += word.length;
+      latinWords.push(word.toLowerCase());
+      continue;
+    }
+    const script = SCRIPT_LANGUAGES.find((candidate) => candidate.pattern.test(word));
+    if (script) letters[script.code] += word.length;
+  }
+
+  const latin = isHinglish(latinWords) ? 'hi-Latn' : 'en';
+  const total = Object.values(letters).reduce((sum, count) => sum + count, 0);
+  const languages = Object.entries(letters)
+    .map(([code, count]) => ({ code: code === 'en' ? latin : code, share: total ? count / total : 0 }))
+    .filter((language) => language.share >= MIN_SHARE)
+    .sort((a, b) => b.share - a.share)
+    .map(({ code, share }) => ({ code, name: LANGUAGES[code].name, share: Math.round(share * 100) / 100 }));
+
+  const main = languages[0] || { code: 'en', name: LANGUAGES.en.name, share: 1 };
+  return { code: main.code, name: main.name, languages: languages.length ? languages : [main] };
+}
+
+// "Hindi", or "Hindi and English" for mixed text.
+export function describeLanguage(language) {
+  const names = (language?.languages || []).map((entry) => entry.name);
+  if (names.length <= 1) return language?.name || LANGUAGES.en.name;
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+// Whether the review needs the multilingual instructions at all.
+export function isEnglishOnly(language) {
+  return !language || language.languages.every((entry) => entry.code === 'en');
+}
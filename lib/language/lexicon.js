@@ -0,0 +1,104 @@
+// lib/language/lexicon.js
+
+// Rule vocabulary in the languages content is reviewed in, so packaging and
+// claim rules catch "कांच की बोतल" as well as "glass bottle". A trailing `*`
+// matches inflected forms (see lib/rules/engine.js). The lists are a
+// starting point: add the spellings your writers actually use.
+const MATERIALS = {
+  glass: ['glass', 'कांच', 'काँच', 'शीशे', 'kaanch', 'kanch', 'kaach', 'கண்ணாடி*', 'గాజు*'],
+  plastic: ['plastic', 'प्लास्टिक', 'பிளாஸ்டிக்*', 'ప్లాస్టిక్*'],
+  tin: ['tin', 'टिन', 'டின்*', 'టిన్*'],
+  steel: ['steel', 'स्टील', 'ஸ்டீல்*', 'స్టీల్*'],
+  aluminium: ['aluminium', 'aluminum', 'एल्युमिनियम', 'அலுமினிய*', 'అల్యూమినియం*'],
+};
+
+// Containers and storing, in English, Hindi, Hinglish, Tamil and Telugu.
+const PACKAGING_WORDS = [
+  'bottle', 'bottled', 'jar', 'container', 'store', 'stored', 'storing', 'storage', 'preserve', 'preserves', 'preserved', 'packed', 'packaging',
+  'बोतल', 'बोतलों', 'बॉटल', 'शीशी', 'जार', 'डिब्बा', 'डिब्बे', 'पैकिंग', 'पैकेजिंग', 'रखें', 'रखना', 'रखा', 'रखे', 'रखने', 'स्टोर', 'पैक',
+  'botal', 'dabba', 'dibba', 'rakhein', 'rakhna', 'rakha',
+  'பாட்டில்*', 'புட்டி*', 'ஜாடி*', 'டப்பா*', 'சேமி*', 'அடைக்க*',
+  'సీసా*', 'బాటిల్*', 'జాడీ*', 'డబ్బా*', 'నిల్వ*', 'నింప*',
+];
+
+// The material in every language we have it for; other materials only in
+// the profile's own words.
+export function materialTerms(material) {
+  return MATERIALS[material.toLowerCase()] || [material];
+}
+
+export function packagingWords() {
+  return PACKAGING_WORDS;
+}
+
+// Disease claims in each script: a disease within DISEASE_CLAIM_WINDOW
+// words of a verb that claims to cure, treat or prevent it, in the same
+// sentence. Matching by proximity instead of listing every pairing covers
+// word order, case endings and particles ("मधुमेह को जड़ से ठीक करता
+// है", "ठीक करे डायबिटीज"). The default and FSSAI rules build one
+// proximity rule per script from these; English is matched by the rules'
+// own patterns.
+export const DISEASE_CLAIM_WINDOW = 5;
+
+export const DISEASE_CLAIMS = {
+  devanagari: {
+    diseases: [
+      'कैंसर*', 'मधुमेह*', 'डायबिटीज*', 'डायबिटीज़*', 'शुगर*', 'कोलेस्ट्रॉल*', 'बीमारी*', 'बीमारियों*', 'बीमारियां', 'बीमारियाँ',
+      'रोग', 'रोगों*', 'हृदय रोग*', 'दिल की बीमारी*', 'रूसी', 'डैंड्रफ*', 'बालों का झड़ना', 'बाल झड़ना', 'जोड़ों का दर्द',
+      'जोड़ों के दर्द', 'मुंहासे*', 'मुंहासों*', 'गठिया*', 'ब्लड प्रेशर', 'मोटापा*', 'मोटापे*',
+    ],
+    verbs: [
+      'ठीक कर*', 'ठीक हो*', 'इलाज*', 'उपचार*', 'बचा*', 'रोक*', 'लड़ता', 'लड़ती', 'लड़ते', 'लड़ने', 'लड़े', 'खत्म*', 'ख़त्म*',
+      'कम कर*', 'घटा*', 'बंद कर*', 'बंद हो*', 'दूर कर*', 'मिटा*',
+    ],
+  },
+  // Hinglish. "sugar" is left out: in Latin script it is also the
+  // ingredient ("sugar kam karein").
+  latin: {
+    diseases: [
+      'cancer', 'diabetes', 'cholesterol', 'bimari*', 'bimaari*', 'rog', 'rogon', 'dil ki bimari*', 'dandruff',
+      'hair fall', 'baal jhadna', 'baalon ka jhadna', 'jodon ka dard', 'jodo ka dard', 'pimples', 'muhase', 'muhanse', 'motapa',
+    ],
+    verbs: [
+      'theek kar*', 'theek ho*', 'thik kar*', 'thik ho*', 'ilaaj', 'ilaj', 'bachata', 'bachati', 'bachate', 'bachaye', 'bachaaye',
+      'bachao', 'bachav', 'bachaav', 'ladta', 'ladti', 'ladte', 'lade', 'ladne', 'khatam', 'khatm', 'kam kar*', 'ghata*',
+      'band kar*', 'band ho*', 'rokta', 'rokti', 'rokte', 'roke', 'rokne', 'door kar*', 'mitata', 'mitati', 'mitaye',
+    ],
+  },
+  tamil: {
+    diseases: [
+      'புற்றுநோய்*', 'நீரிழிவு*', 'சர்க்கரை நோய்*', 'நோய்*', 'இதய நோய்*', 'கொலஸ்ட்ரால்*', 'பொடுக*', 'முடி உதிர்*',
+      'மூட்டு வலி*', 'முகப்பரு*', 'இரத்த அழுத்த*', 'உடல் பருமன்*',
+    ],
+    verbs: ['குணப்படுத்து*', 'குணமாக்கு*', 'குணமாக*', 'சிகிச்சை*', 'தடு*', 'நீக்கு*', 'போக்கு*', 'குறைக்*', 'எதிர்த்து*'],
+  },
+  telugu: {
+    diseases: [
+      'క్యాన్సర్*', 'మధుమేహ*', 'డయాబెటిస్*', 'షుగర్*', 'వ్యాధ*', 'రోగ*', 'గుండె జబ్బ*', 'కొలెస్ట్రాల్*', 'చుండ్రు*',
+      'జుట్టు రాల*', 'కీళ్ల నొప్పు*', 'మొటిమ*', 'రక్తపోటు*', 'ఊబకాయ*',
+    ],
+    verbs: ['నయం*', 'నివారి*', 'చికిత్స*', 'తగ్గి*', 'తొలగి*', 'పోగొట్టు*', 'ఆపు*', 'ఆగు*', 'ఆగి*', 'ఆగడ*', 'అరిక*'],
+  },
+};
+
+// Other claims the default and FSSAI rules flag, as writers put them in
+// Hindi, Hinglish, Tamil and Telugu.
+export const REGIONAL_CLAIMS = {
+  health: [
+    'रोग प्रतिरोधक क्षमता बढ़ा*', 'प्रतिरोधक क्षमता बढ़ा*', 'रोग प्रतिरोधक शक्ति बढ़ा*', 'इम्युनिटी बढ़ा*', 'इम्यूनिटी बढ़ा*',
+    'इम्युनिटी बूस्ट*', 'इम्यूनिटी बूस्ट*', 'दिल को मजबूत*', 'दिल को मज़बूत*', 'दिल को स्वस्थ*', 'दिल के लिए फायदेमंद',
+    'हृदय को स्वस्थ*', 'याददाश्त बढ़ा*', 'मेटाबॉलिज्म बढ़ा*',
+    'immunity badha*', 'immunity boost kar*', 'immunity strong kar*', 'dil ko mazboot*', 'dil ko majboot*',
+    'dil ko healthy*', 'dil ke liye faydemand',
+    'நோய் எதிர்ப்பு சக்தியை அதிகரி*', 'நோயெதிர்ப்பு சக்தியை அதிகரி*', 'நோய் எதிர்ப்பு சக்தியை மேம்படுத்து*',
+    'இதயத்தை பலப்படுத்து*', 'இதய ஆரோக்கியத்தை மேம்படுத்து*', 'நினைவாற்றலை அதிகரி*',
+    'రోగనిరోధక శక్తిని పెంచు*', 'రోగ నిరోధక శక్తిని పెంచు*', 'ఇమ్యూనిటీని పెంచు*', 'గుండెను బలపరు*',
+    'గుండె ఆరోగ్యాన్ని మెరుగుపరు*', 'జ్ఞాపకశక్తిని పెంచు*',
+  ],
+  proof: [
+    'चिकित्सकीय रूप से प्रमाणित', 'क्लिनिकली प्रूवन', 'वैज्ञानिक रूप से प्रमाणित', 'डॉक्टरों द्वारा प्रमाणित',
+    'डॉक्टर द्वारा सुझाया*', 'डॉक्टरों की पसंद', 'doctors ki pasand',
+    'மருத்துவ ரீதியாக நிரூபிக்கப்பட்ட*', 'அறிவியல் ரீதியாக நிரூபிக்கப்பட்ட*', 'மருத்துவர்கள் பரிந்துரை*',
+    'వైద్యపరంగా నిరూపించబడి*', 'శాస్త్రీయంగా నిరూపించబడి*', 'వైద్యులు సిఫార్సు*',
+  ],
+};
@@ -0,0 +1,24 @@
+// lib/language/normalize.js
+
+// The same Indic letter can be typed two ways: precomposed (U+095C ड़) or
+// as base letter plus nukta. Text is compared in its canonically decomposed
+// form, so either matches. `startAt` and `endAt` map offsets in `text` back
+// to `content`; an end inside a decomposed character is moved past it.
+export function decompose(content) {
+  let text = '';
+  const offsets = [];
+  let index = 0;
+  for (const char of content) {
+    const decomposed = char.normalize('NFD');
+    for (let i = 0; i < decomposed.length; i++) offsets.push(index);
+    text += decomposed;
+    index += char.length;
+  }
+  offsets.push(index);
+
+  const endAt = (i) => {
+    while (i < text.length && offsets[i] === offsets[i - 1]) i++;
+    return offsets[i];
+  };
+  return { text, startAt: (i) => offsets[i], endAt };
+}
@@ -0,0 +1,26 @@
+// lib/ndjson.js
+
+// Read a newline-delimited JSON response body, calling `onEvent` for each
+// line as it arrives. Errors thrown by `onEvent` stop reading.
+export async function readNdjson(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (line.trim()) onEvent(JSON.parse(line));
+      }
+    }
+    if (buffer.trim()) onEvent(JSON.parse(buffer));
+  } finally {
+    reader.releaseLock();
+  }
+}
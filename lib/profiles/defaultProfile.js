@@ -0,0 +1,37 @@
+// lib/profiles/defaultProfile.js
+
+// Seeded into the profile store on first use. This is the brand context the
+// review prompt used to hardcode.
+const defaultProfile = {
+  id: 'olixir',
+  name: 'Olixir Oil',
+  background: 'Premium edible oils brand using traditional wood-pressed extraction',
+  positioning: 'Premium, traditional, natural, wood-pressed oils',
+  products: [
+    'Groundnut oil (90% of sales)',
+    'Coconut oil',
+    'Sesame oil',
+    'Castor oil',
+    'Mustard oil',
+  ],
+  packaging: 'Plastic containers',
+  forbiddenPackaging: ['glass'],
+  forbiddenClaims: [
+    'fights cancer',
+    'prevents heart disease',
+    'cures acne',
+    'eliminates dandruff',
+    'boosts collagen production',
+    '100% effective for all skin types',
+    'clinically proven',
+  ],
+  toneGuidelines: [
+    "Maintain Olixir's premium brand positioning",
+    'Professional language appropriate for Indian consumers',
+    'Consider Indian consumer preferences and language patterns',
+    "Don't suggest changes that would make content boring or generic",
+  ],
+  targetMarket: 'Indian B2C consumers primarily, with future international expansion plans',
+};
+
+export default defaultProfile;
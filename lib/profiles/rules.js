@@ -0,0 +1,49 @@
+// lib/profiles/rules.js
+import { materialTerms, packagingWords } from '../language/lexicon.js';
+
+// Rule-engine rules derived from a brand profile: its forbidden claims and
+// the packaging materials it must never be associated with. The packaging
+// checks also match the material and containers in Hindi, Hinglish, Tamil
+// and Telugu.
+export function rulesForProfile(profile) {
+  const rules = [];
+
+  if (profile.forbiddenClaims?.length) {
+    rules.push({
+      id: `profile-${profile.id}-forbidden-claims`,
+      type: 'phrase',
+      category: 'unsubstantiated_claim',
+      severity: 'HIGH',
+      phrases: profile.forbiddenClaims,
+      explanation: `Listed as a forbidden claim in the ${profile.name} brand profile.`,
+      suggestion: '',
+    });
+  }
+
+  for (const material of profile.forbiddenPackaging || []) {
+    const packaging = profile.packaging ? `${profile.name} is packed in ${profile.packaging.toLowerCase()}` : `${profile.name} does not use ${material} packaging`;
+
+    rules.push({
+      id: `profile-${profile.id}-${material}-packaging`,
+      type: 'phrase',
+      category: 'packaging',
+      severity: 'HIGH',
+      phrases: ['bottle', 'bottles', 'jar', 'jars', 'can', 'cans', 'container', 'containers', 'packaging'].map((noun) => `${material} ${noun}`),
+      explanation: `${packaging}, not ${material}.`,
+      suggestion: '',
+    });
+    rules.push({
+      id: `profile-${profile.id}-${material}-storage`,
+      type: 'proximity',
+      category: 'packaging',
+      severity: 'HIGH',
+      terms: materialTerms(material),
+      near: packagingWords(),
+      window: 6,
+      explanation: `Suggests ${material} packaging or that the product keeps better in ${material}, which contradicts our packaging (${profile.packaging || 'not ' + material}).`,
+      suggestion: '',
+    });
+  }
+
+  return rules;
+}
@@ -0,0 +1,40 @@
+// lib/profiles/schema.js
+
+const STRING_FIELDS = ['name', 'background', 'positioning', 'packaging', 'targetMarket'];
+const LIST_FIELDS = ['products', 'forbiddenPackaging', 'forbiddenClaims', 'toneGuidelines'];
+
+export const PROFILE_FIELDS = [...STRING_FIELDS, ...LIST_FIELDS];
+
+// Validate and normalise submitted profile data. Returns the cleaned data
+// (trimmed strings, empty list entries dropped) and a list of errors.
+export function validateProfile(input) {
+  const errors = [];
+  const data = {};
+
+  if (!input || typeof input !== 'object') {
+    return { data: null, errors: ['Profile must be an object'] };
+  }
+
+  for (const field of STRING_FIELDS) {
+    const value = input[field] ?? '';
+    if (typeof value !== 'string') {
+      errors.push(`"${field}" must be a string`);
+      continue;
+    }
+    data[field] = value.trim();
+  }
+
+  for (const field of LIST_FIELDS) {
+    const value = input[field] ?? [];
+    if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+      errors.push(`"${field}" must be a list of strings`);
+      continue;
+    }
+    data[field] = value.map((item) => item.trim()).filter(Boolean);
+  }
+
+  if (!data.name) errors.push('"name" is required');
+  if (!data.background) errors.push('"background" is required');
+
+  return { data: errors.length ? null : data, errors };
+}
@@ -0,0 +1,22 @@
+// lib/profiles/store.js
+import { versionedCollection } from '../storage/versioned.js';
+import defaultProfile from './defaultProfile.js';
+import { PROFILE_FIELDS } from './schema.js';
+
+// Profiles are versioned: every save appends a version and reviews record
+// the version they used, so a past review can always be explained.
+export const profiles = versionedCollection('profiles', {
+  fields: PROFILE_FIELDS,
+  defaults: [defaultProfile],
+  compare: (a, b) => a.name.localeCompare(b.name),
+});
+
+export const DEFAULT_PROFILE_ID = defaultProfile.id;
+
+export function listProfiles() {
+  return profiles.list();
+}
+
+export function getProfile(id = DEFAULT_PROFILE_ID, version) {
+  return profiles.get(id, version);
+}
@@ -0,0 +1,68 @@
+// lib/providers/errors.js
+
+// Every provider maps its own failures onto these classes, so callers can
+// react to the kind of failure without knowing which backend produced it.
+export class ProviderError extends Error {
+  constructor(message, { code = 'provider_error', retryAfter, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ProviderError';
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class ProviderConfigError extends ProviderError {
+  constructor(message, options = {}) {
+    super(message, { code: 'not_configured', ...options });
+    this.name = 'ProviderConfigError';
+  }
+}
+
+export class ProviderAuthError extends ProviderError {
+  constructor(message, options = {}) {
+    super(message, { code: 'authentication_failed', ...options });
+    this.name = 'ProviderAuthError';
+  }
+}
+
+export class ProviderQuotaError extends ProviderError {
+  constructor(message, options = {}) {
+    super(message, { code: 'quota_exceeded', ...options });
+    this.name = 'ProviderQuotaError';
+  }
+}
+
+export class ProviderTimeoutError extends ProviderError {
+  constructor(message, options = {}) {
+    super(message, { code: 'timeout', ...options });
+    this.name = 'ProviderTimeoutError';
+  }
+}
+
+export class ProviderAbortError extends ProviderError {
+  constructor(message = 'Request was cancelled', options = {}) {
+    super(message, { code: 'aborted', ...options });
+    this.name = 'ProviderAbortError';
+  }
+}
+
+// Shared mapping for HTTP-based providers.
+export function errorFromStatus(provider, status, detail, retryAfterHeader) {
+  const retryAfter = Number.parseInt(retryAfterHeader, 10) || undefined;
+  const suffix = detail ? `: ${detail}` : '';
+
+  if (status === 401 || status === 403) {
+    return new ProviderAuthError(`${provider} rejected the API key${suffix}`);
+  }
+  if (status === 429) {
+    return new ProviderQuotaError(`${provider} rate limit or quota exceeded${suffix}`, { retryAfter });
+  }
+  if (status === 408 || status === 504) {
+    return new ProviderTimeoutError(`${provider} timed out${suffix}`);
+  }
+  return new ProviderError(`${provider} request failed with status ${status}${suffix}`);
+}
+
+export function isAbortError(error) {
+  return error?.name === 'AbortError' || error?.name === 'TimeoutError';
+}
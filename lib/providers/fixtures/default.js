@@ -0,0 +1,46 @@
+// lib/providers/fixtures/default.js
+
+// Canned findings for the mock provider. A finding is returned only when its
+// quote occurs in the submitted document, so offsets are always valid.
+const defaultFixture = {
+  summary: 'Mock review generated from fixtures. No model was called.',
+  findings: [
+    {
+      category: 'unsubstantiated_claim',
+      severity: 'HIGH',
+      quote: 'boosts immunity',
+      explanation: 'Health benefit claim without clinical backing.',
+      suggestion: 'is part of a balanced diet',
+    },
+    {
+      category: 'unsubstantiated_claim',
+      severity: 'MEDIUM',
+      quote: 'healthiest oil',
+      explanation: 'Superlative comparison that cannot be substantiated.',
+      suggestion: 'a wholesome choice of oil',
+    },
+    {
+      category: 'proofreading',
+      severity: 'LOW',
+      quote: 'its important',
+      explanation: 'Missing apostrophe: "it is" should be written "it\'s".',
+      suggestion: "it's important",
+    },
+    {
+      category: 'proofreading',
+      severity: 'LOW',
+      quote: 'recieve',
+      explanation: 'Spelling error.',
+      suggestion: 'receive',
+    },
+    {
+      category: 'ux',
+      severity: 'LOW',
+      quote: 'In conclusion',
+      explanation: 'Generic closing phrase; end with a clear call to action instead.',
+      suggestion: 'Ready to try it?',
+    },
+  ],
+};
+
+export default defaultFixture;
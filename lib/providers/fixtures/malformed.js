@@ -0,0 +1,14 @@
+// lib/providers/fixtures/malformed.js
+
+// Exercises the repair path: the first response is not valid JSON and the
+// second quotes text that is not in the document. The last entry repeats
+// for any further calls.
+const malformedFixture = {
+  responses: [
+    'Here is my review: { "summary": "Looks fine", "findings": [ ',
+    '{"summary": "Looks fine", "findings": [{"category": "ux", "severity": "LOW", "quote": "text that does not exist", "explanation": "Invented quote"}]}',
+    '{"summary": "Looks fine after repair", "findings": []}',
+  ],
+};
+
+export default malformedFixture;
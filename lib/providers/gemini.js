@@ -0,0 +1,71 @@
+// lib/providers/gemini.js
+import { GoogleGenerativeAI, GoogleGenerativeAIError, GoogleGenerativeAIFetchError } from '@google/generative-ai';
+import {
+  ProviderAbortError,
+  ProviderConfigError,
+  ProviderError,
+  ProviderTimeoutError,
+  errorFromStatus,
+  isAbortError,
+} from './errors.js';
+
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+const DEFAULT_RETRY_AFTER = 60;
+
+// Gemini's 429s carry google.rpc details: QuotaFailure names the exhausted
+// quota and RetryInfo the delay before the next attempt. Only a daily quota
+// waits until tomorrow; per-minute limits retry after the server's delay.
+function quotaRetryAfter(error) {
+  const details = Array.isArray(error.errorDetails) ? error.errorDetails : [];
+  const quotas = details.flatMap((detail) => detail.violations || []).map((violation) => violation.quotaId || violation.quotaMetric || '');
+  if (quotas.some((quota) => /per_?day/i.test(quota))) return 86400;
+
+  const delay = Number.parseFloat(details.find((detail) => detail.retryDelay)?.retryDelay);
+  return Number.isFinite(delay) ? Math.ceil(delay) : DEFAULT_RETRY_AFTER;
+}
+
+function mapError(error, signal) {
+  if (signal?.aborted) return new ProviderAbortError(undefined, { cause: error });
+  // The SDK rethrows the timeout's AbortError as a GoogleGenerativeAIError
+  // that only keeps its message.
+  if (isAbortError(error) || isAbortError(error.cause) || (error instanceof GoogleGenerativeAIError && /\baborted\b/i.test(error.message))) {
+    return new ProviderTimeoutError('Gemini request timed out', { cause: error });
+  }
+
+  if (error instanceof GoogleGenerativeAIFetchError && error.status) {
+    const mapped = errorFromStatus('Gemini', error.status, error.statusText);
+    mapped.cause = error;
+    if (mapped.code === 'quota_exceeded') mapped.retryAfter = quotaRetryAfter(error);
+    return mapped;
+  }
+
+  return new ProviderError(`Gemini request failed: ${error.message}`, { cause: error });
+}
+
+export function createGeminiProvider({ apiKey, model = DEFAULT_MODEL, timeout = 120000 } = {}) {
+  if (!apiKey) throw new ProviderConfigError('GEMINI_API_KEY is not configured');
+
+  const client = new GoogleGenerativeAI(apiKey).getGenerativeModel({
+    model,
+    generationConfig: {
+      temperature: 0.1,
+      topK: 40,
+      topP: 0.95,
+      maxOutputTokens: 4096,
+      responseMimeType: 'application/json',
+    },
+  });
+
+  return {
+    name: 'gemini',
+    model,
+    async generate(prompt, { signal } = {}) {
+      try {
+        const result = await client.generateContent(prompt, { signal, timeout });
+        return result.response.text();
+      } catch (error) {
+        throw mapError(error, signal);
+      }
+    },
+  };
+}
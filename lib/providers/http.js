@@ -0,0 +1,36 @@
+// lib/providers/http.js
+import {
+  ProviderAbortError,
+  ProviderError,
+  ProviderTimeoutError,
+  errorFromStatus,
+  isAbortError,
+} from './errors.js';
+
+// POST JSON to an HTTP provider and map transport failures onto provider
+// errors. `timeout` is combined with the caller's abort signal.
+export async function postJson(provider, url, body, { headers = {}, signal, timeout }) {
+  const signals = [AbortSignal.timeout(timeout)];
+  if (signal) signals.push(signal);
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.any(signals),
+    });
+  } catch (error) {
+    if (signal?.aborted) throw new ProviderAbortError(undefined, { cause: error });
+    if (isAbortError(error)) throw new ProviderTimeoutError(`${provider} timed out`, { cause: error });
+    throw new ProviderError(`${provider} is unreachable: ${error.message}`, { cause: error });
+  }
+
+  if (!response.ok) {
+    const detail = (await response.text().catch(() => '')).slice(0, 200);
+    throw errorFromStatus(provider, response.status, detail, response.headers.get('retry-after'));
+  }
+
+  return response.json();
+}
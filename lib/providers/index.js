@@ -0,0 +1,37 @@
+// lib/providers/index.js
+import { ProviderConfigError } from './errors.js';
+import { createGeminiProvider } from './gemini.js';
+import { createMockProvider } from './mock.js';
+import { createOllamaProvider } from './ollama.js';
+import { createOpenAIProvider } from './openai.js';
+
+export const PROVIDERS = ['gemini', 'openai', 'ollama', 'mock'];
+
+// Build the provider selected by LLM_PROVIDER (default: gemini). Throws a
+// ProviderConfigError when the selected provider is missing settings.
+export function getProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const model = env.LLM_MODEL || undefined;
+  const timeout = Number.parseInt(env.LLM_TIMEOUT_MS, 10) || undefined;
+
+  switch (name) {
+    case 'gemini':
+      return createGeminiProvider({ apiKey: env.GEMINI_API_KEY, model, timeout });
+    case 'openai':
+      return createOpenAIProvider({
+        apiKey: env.OPENAI_API_KEY,
+        baseUrl: env.OPENAI_BASE_URL || undefined,
+        model,
+        timeout,
+      });
+    case 'ollama':
+      return createOllamaProvider({ baseUrl: env.OLLAMA_BASE_URL || undefined, model, timeout });
+    case 'mock':
+      return createMockProvider({
+        fixture: env.MOCK_FIXTURE || undefined,
+        delay: Number.parseInt(env.MOCK_DELAY_MS, 10) || 0,
+      });
+    default:
+      throw new ProviderConfigError(`Unknown LLM_PROVIDER "${name}". Expected one of ${PROVIDERS.join(', ')}`);
+  }
+}
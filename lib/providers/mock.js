@@ -0,0 +1,61 @@
+// lib/providers/mock.js
+import fs from 'fs';
+import defaultFixture from './fixtures/default.js';
+import malformedFixture from './fixtures/malformed.js';
+import { ProviderAbortError, ProviderConfigError } from './errors.js';
+
+const BUILTIN_FIXTURES = {
+  default: defaultFixture,
+  malformed: malformedFixture,
+};
+
+function loadFixture(name) {
+  if (BUILTIN_FIXTURES[name]) return BUILTIN_FIXTURES[name];
+  try {
+    return JSON.parse(fs.readFileSync(name, 'utf8'));
+  } catch (error) {
+    throw new ProviderConfigError(`Mock fixture "${name}" could not be loaded: ${error.message}`);
+  }
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new ProviderAbortError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new ProviderAbortError());
+    }, { once: true });
+  });
+}
+
+// Deterministic, offline provider for development and automated tests.
+// Fixtures either list `responses` returned verbatim in order, or list
+// `findings` that are reported wherever their quote occurs in the document
+// and their category is one of the review's checklist sections.
+export function createMockProvider({ fixture = 'default', delay = 0 } = {}) {
+  const data = loadFixture(fixture);
+  let calls = 0;
+
+  return {
+    name: 'mock',
+    model: `mock:${fixture}`,
+    async generate(prompt, { content = '', categories, signal } = {}) {
+      if (delay > 0) await wait(delay, signal);
+
+      if (Array.isArray(data.responses)) {
+        const response = data.responses[Math.min(calls, data.responses.length - 1)];
+        calls++;
+        return typeof response === 'string' ? response : JSON.stringify(response);
+      }
+
+      const findings = (data.findings || []).flatMap((finding) => {
+        if (categories && !categories.includes(finding.category)) return [];
+        const start = content.indexOf(finding.quote);
+        return start === -1 ? [] : [{ ...finding, start }];
+      });
+
+      return JSON.stringify({ summary: data.summary, findings });
+    },
+  };
+}
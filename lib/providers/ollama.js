@@ -0,0 +1,24 @@
+// lib/providers/ollama.js
+import { ProviderConfigError, ProviderError } from './errors.js';
+import { postJson } from './http.js';
+
+export function createOllamaProvider({ baseUrl = 'http://localhost:11434', model, timeout = 300000 } = {}) {
+  if (!model) throw new ProviderConfigError('LLM_MODEL is required for the ollama provider');
+
+  return {
+    name: 'ollama',
+    model,
+    async generate(prompt, { signal } = {}) {
+      const data = await postJson('Ollama', `${baseUrl.replace(/\/$/, '')}/api/generate`, {
+        model,
+        prompt,
+        stream: false,
+        format: 'json',
+        options: { temperature: 0.1, num_predict: 4096 },
+      }, { signal, timeout });
+
+      if (typeof data.response !== 'string') throw new ProviderError('Ollama returned no response text');
+      return data.response;
+    },
+  };
+}
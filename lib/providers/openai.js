@@ -0,0 +1,29 @@
+// lib/providers/openai.js
+import { ProviderConfigError, ProviderError } from './errors.js';
+import { postJson } from './http.js';
+
+// Any server that speaks the OpenAI chat completions API: OpenAI itself,
+// Azure-style gateways, vLLM or llama.cpp's `llama-server`.
+export function createOpenAIProvider({ apiKey, baseUrl = 'https://api.openai.com/v1', model, timeout = 120000 } = {}) {
+  if (!model) throw new ProviderConfigError('LLM_MODEL is required for the openai provider');
+
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  return {
+    name: 'openai',
+    model,
+    async generate(prompt, { signal } = {}) {
+      const data = await postJson('OpenAI-compatible endpoint', `${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        model,
+        temperature: 0.1,
+        max_tokens: 4096,
+        response_format: { type: 'json_object' },
+        messages: [{ role: 'user', content: prompt }],
+      }, { headers, signal, timeout });
+
+      const text = data.choices?.[0]?.message?.content;
+      if (typeof text !== 'string') throw new ProviderError('OpenAI-compatible endpoint returned no message content');
+      return text;
+    },
+  };
+}
@@ -0,0 +1,32 @@
+// lib/ratelimit/clientIp.js
+import net from 'net';
+
+function normalize(address) {
+  const value = (address || '').trim().replace(/^\[|\]$/g, '');
+  return value.startsWith('::ffff:') && net.isIPv4(value.slice(7)) ? value.slice(7) : value;
+}
+
+// The address of the client behind our own proxies. Forwarding headers are
+// only believed as far as we have proxies to vouch for them:
+// - TRUSTED_IP_HEADER names a header the platform sets itself (e.g.
+//   "x-nf-client-connection-ip" on Netlify) and clients cannot forge;
+// - otherwise TRUSTED_PROXY_COUNT is the number of proxies in front of the
+//   app, and the client is that many hops from the right of
+//   X-Forwarded-For. With no proxies (the default) the header is ignored.
+export function clientIp(req, env = process.env) {
+  const header = env.TRUSTED_IP_HEADER?.toLowerCase();
+  if (header && req.headers[header]) {
+    return normalize(String(req.headers[header]).split(',')[0]);
+  }
+
+  const remote = normalize(req.socket?.remoteAddress) || 'unknown';
+  const proxies = Number.parseInt(env.TRUSTED_PROXY_COUNT, 10) || 0;
+  if (proxies <= 0) return remote;
+
+  const forwarded = String(req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(normalize)
+    .filter((address) => net.isIP(address));
+  const chain = [...forwarded, remote];
+  return chain[Math.max(0, chain.length - 1 - proxies)];
+}
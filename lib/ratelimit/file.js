@@ -0,0 +1,38 @@
+// lib/ratelimit/file.js
+import crypto from 'crypto';
+import { collection } from '../storage/store.js';
+
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Counters in the file store under DATA_DIR: they survive restarts, and
+// processes sharing the directory see each other's counts (updates are
+// only serialised within a process, so concurrent instances may
+// undercount slightly). Expired counters are deleted hourly.
+export function createFileStore() {
+  const counters = collection('ratelimits');
+  let lastSweep = Date.now();
+
+  async function sweep(now) {
+    lastSweep = now;
+    const expired = (await counters.list()).filter((counter) => counter.expiresAt <= now);
+    await Promise.all(expired.map((counter) => counters.remove(counter.id)));
+  }
+
+  return {
+    name: 'file',
+    async increment(key, ttlMs) {
+      const now = Date.now();
+      if (now - lastSweep > SWEEP_INTERVAL_MS) {
+        sweep(now).catch((error) => console.error('Failed to sweep rate limit counters:', error));
+      }
+
+      const id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 40);
+      const counter = await counters.upsert(id, (current) =>
+        current && current.expiresAt > now
+          ? { ...current, count: current.count + 1 }
+          : { count: 1, expiresAt: now + ttlMs }
+      );
+      return counter.count;
+    },
+  };
+}
@@ -0,0 +1,100 @@
+// lib/ratelimit/index.js
+import { createFileStore } from './file.js';
+import { createMemoryStore } from './memory.js';
+import { createRedisStore } from './redis.js';
+
+export const STORES = ['memory', 'file', 'redis'];
+
+export const MINUTE_MS = 60 * 1000;
+export const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const stores = new Map();
+
+function integer(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : Math.max(0, parsed);
+}
+
+// Limits from the environment. A limit of 0 switches that window off.
+export function rateLimitConfig(env = process.env) {
+  return {
+    reviewsPerMinute: integer(env.RATE_LIMIT_PER_MINUTE, 15),
+    reviewsPerUserPerDay: integer(env.RATE_LIMIT_USER_DAILY, 200),
+    reviewsPerTokenPerDay: integer(env.RATE_LIMIT_TOKEN_DAILY, 100),
+    loginsPerMinute: integer(env.RATE_LIMIT_LOGIN_PER_MINUTE, 10),
+  };
+}
+
+// Windows for review requests: a per-minute limit and a daily quota per
+// account, plus a daily quota per API token so one runaway script cannot
+// use up its owner's whole allowance.
+export function reviewWindows(user, config = rateLimitConfig()) {
+  return [
+    { key: `review:minute:user:${user.id}`, limit: config.reviewsPerMinute, windowMs: MINUTE_MS, label: 'Per-minute review limit' },
+    user.tokenId && { key: `review:day:token:${user.tokenId}`, limit: config.reviewsPerTokenPerDay, windowMs: DAY_MS, label: 'Daily review quota for this API token' },
+    { key: `review:day:user:${user.id}`, limit: config.reviewsPerUserPerDay, windowMs: DAY_MS, label: 'Daily review quota' },
+  ].filter(Boolean);
+}
+
+// Sign-in attempts per client address, to slow down password guessing.
+export function loginWindows(ip, config = rateLimitConfig()) {
+  return [
+    { key: `login:minute:ip:${ip}`, limit: config.loginsPerMinute, windowMs: MINUTE_MS, label: 'Sign-in attempt limit' },
+  ];
+}
+
+// The store selected by RATE_LIMIT_STORE (default: redis when its URL is
+// set, else memory). One instance per process, since the memory store
+// holds the counters itself.
+export function getRateLimitStore(env = process.env) {
+  const redisUrl = env.RATE_LIMIT_REDIS_URL || env.UPSTASH_REDIS_REST_URL;
+  const name = (env.RATE_LIMIT_STORE || (redisUrl ? 'redis' : 'memory')).toLowerCase();
+
+  if (!stores.has(name)) {
+    switch (name) {
+      case 'memory':
+        stores.set(name, createMemoryStore());
+        break;
+      case 'file':
+        stores.set(name, createFileStore());
+        break;
+      case 'redis':
+        stores.set(name, createRedisStore({
+          url: redisUrl,
+          token: env.RATE_LIMIT_REDIS_TOKEN || env.UPSTASH_REDIS_REST_TOKEN,
+        }));
+        break;
+      default:
+        throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Expected one of ${STORES.join(', ')}`);
+    }
+  }
+  return stores.get(name);
+}
+
+// Count one request against each window ({ key, limit, windowMs, label }),
+// in order; windows with a limit of 0 are skipped. Windows are fixed
+// (calendar minutes, UTC days). Stops at the first window that is over its
+// limit, so a rejected request does not use up the later, longer windows.
+// Returns the window that rejected the request, or else the one closest to
+// its limit, as { allowed, window, limit, remaining, resetAt }.
+export async function consume(store, windows, now = Date.now()) {
+  let tightest = null;
+
+  for (const window of windows.filter((candidate) => candidate.limit > 0)) {
+    const start = Math.floor(now / window.windowMs) * window.windowMs;
+    const resetAt = start + window.windowMs;
+    const count = await store.increment(`${window.key}:${start}`, resetAt - now);
+    const result = {
+      allowed: count <= window.limit,
+      window,
+      limit: window.limit,
+      remaining: Math.max(0, window.limit - count),
+      resetAt,
+    };
+
+    if (!result.allowed) return result;
+    if (!tightest || result.remaining < tightest.remaining) tightest = result;
+  }
+
+  return tightest;
+}
@@ -0,0 +1,35 @@
+// lib/ratelimit/memory.js
+
+// Counters in this process's memory: lost on restart and not shared
+// between instances, so only for development and single-server setups.
+// Expired counters are swept once `maxKeys` is reached, and the oldest are
+// dropped if that is not enough, so memory stays bounded.
+export function createMemoryStore({ maxKeys = 10000 } = {}) {
+  const counters = new Map();
+
+  function makeRoom(now) {
+    for (const [key, counter] of counters) {
+      if (counter.expiresAt <= now) counters.delete(key);
+    }
+    for (const key of counters.keys()) {
+      if (counters.size < maxKeys) break;
+      counters.delete(key);
+    }
+  }
+
+  return {
+    name: 'memory',
+    async increment(key, ttlMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.expiresAt <= now) {
+        counters.delete(key);
+        if (counters.size >= maxKeys) makeRoom(now);
+        counter = { count: 0, expiresAt: now + ttlMs };
+        counters.set(key, counter);
+      }
+      counter.count++;
+      return counter.count;
+    },
+  };
+}
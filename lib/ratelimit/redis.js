@@ -0,0 +1,33 @@
+// lib/ratelimit/redis.js
+
+const KEY_PREFIX = 'olixir:ratelimit:';
+
+// Counters in Redis through an Upstash-compatible REST endpoint, which
+// works from serverless functions without a connection pool. Each counter
+// is created with its expiry and then incremented in one pipeline.
+export function createRedisStore({ url, token, timeout = 2000 }) {
+  if (!url || !token) throw new Error('The redis rate limit store needs RATE_LIMIT_REDIS_URL and RATE_LIMIT_REDIS_TOKEN');
+  const endpoint = `${url.replace(/\/$/, '')}/pipeline`;
+
+  return {
+    name: 'redis',
+    async increment(key, ttlMs) {
+      const redisKey = `${KEY_PREFIX}${key}`;
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify([
+          ['SET', redisKey, '0', 'PX', String(ttlMs), 'NX'],
+          ['INCR', redisKey],
+        ]),
+        signal: AbortSignal.timeout(timeout),
+      });
+      if (!response.ok) throw new Error(`Redis responded with status ${response.status}`);
+
+      const results = await response.json();
+      const failed = results.find((result) => result.error);
+      if (failed) throw new Error(`Redis error: ${failed.error}`);
+      return Number(results[1].result);
+    },
+  };
+}
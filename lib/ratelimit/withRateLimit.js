@@ -0,0 +1,53 @@
+// lib/ratelimit/withRateLimit.js
+import { consume, getRateLimitStore } from './index.js';
+
+const seconds = (ms) => Math.max(0, Math.ceil(ms / 1000));
+
+function describeWait(wait) {
+  if (wait < 120) return `${wait} seconds`;
+  if (wait < 2 * 3600) return `${Math.ceil(wait / 60)} minutes`;
+  return `${Math.ceil(wait / 3600)} hours`;
+}
+
+function setHeaders(res, windows, result, now) {
+  res.setHeader('RateLimit-Policy', windows.map((window) => `${window.limit};w=${seconds(window.windowMs)}`).join(', '));
+  res.setHeader('RateLimit-Limit', String(result.limit));
+  res.setHeader('RateLimit-Remaining', String(result.remaining));
+  res.setHeader('RateLimit-Reset', String(seconds(result.resetAt - now)));
+}
+
+// Wrap an API route so each request counts against the windows returned
+// by `windows(req)` (see consume in index.js). Requests over a limit get
+// 429 with Retry-After; every response carries RateLimit-* headers for the
+// window closest to its limit, which the handler can also read from
+// `req.rateLimit`. If the store is unreachable the request is let through:
+// an outage of the counter should not stop editors working.
+export function withRateLimit(handler, { windows }) {
+  return async function rateLimited(req, res) {
+    const active = windows(req).filter((window) => window.limit > 0);
+    if (active.length === 0) return handler(req, res);
+
+    const now = Date.now();
+    let result;
+    try {
+      result = await consume(getRateLimitStore(), active, now);
+    } catch (error) {
+      console.error('Rate limit check failed; allowing the request:', error);
+      return handler(req, res);
+    }
+
+    setHeaders(res, active, result, now);
+    if (!result.allowed) {
+      const retryAfter = seconds(result.resetAt - now);
+      res.setHeader('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Rate limit exceeded',
+        message: `${result.window.label} of ${result.limit} reached. Try again in ${describeWait(retryAfter)}.`,
+        retryAfter
+      });
+    }
+
+    req.rateLimit = result;
+    return handler(req, res);
+  };
+}
@@ -0,0 +1,160 @@
+// lib/report/html.js
+import { approvalNote } from '../claims/match.js';
+
+// A self-contained HTML page (inline styles, no scripts) that can be
+// emailed or printed to PDF from a browser.
+const RISK_COLORS = {
+  HIGH: { background: '#fef2f2', border: '#fca5a5', color: '#dc2626' },
+  MEDIUM: { background: '#fffbeb', border: '#fcd34d', color: '#d97706' },
+  LOW: { background: '#f0fdf4', border: '#86efac', color: '#059669' },
+};
+
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Noto Sans', 'Noto Sans Devanagari', sans-serif; color: #1f2937; margin: 0; background: #f3f4f6; font-size: 14px; line-height: 1.5; }
+  main { max-width: 960px; margin: 0 auto; background: white; padding: 0 40px 40px; }
+  header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 28px 40px; margin: 0 -40px 28px; }
+  header h1 { margin: 0; font-size: 26px; }
+  header p { margin: 4px 0 0; opacity: 0.9; }
+  h2 { font-size: 18px; border-bottom: 2px solid #e5e7eb; padding-bottom: 6px; margin-top: 32px; }
+  h3 { font-size: 15px; margin: 20px 0 8px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { border: 1px solid #e5e7eb; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f9fafb; }
+  .meta th { width: 180px; }
+  .badge { display: inline-block; padding: 1px 10px; border-radius: 999px; font-weight: 600; font-size: 12px; border: 1px solid; white-space: nowrap; }
+  .quote { font-style: italic; }
+  .muted { color: #6b7280; }
+  .counts { display: flex; gap: 12px; margin: 12px 0; }
+  .counts div { flex: 1; border: 1px solid #e5e7eb; border-radius: 10px; padding: 10px 14px; }
+  .counts strong { display: block; font-size: 22px; }
+  .signature { display: flex; gap: 24px; margin-top: 28px; }
+  .signature div { flex: 1; border-top: 1px solid #9ca3af; padding-top: 4px; font-size: 12px; color: #6b7280; }
+  .appendix p { white-space: pre-wrap; margin: 0 0 10px; }
+  .appendix .n { color: #9ca3af; font-size: 11px; margin-right: 6px; }
+  mark { border-radius: 3px; padding: 0 1px; }
+  mark sup { font-size: 9px; font-weight: 600; margin-left: 2px; }
+  footer { margin-top: 32px; font-size: 11px; color: #9ca3af; }
+  @media print { body { background: white; } main { padding: 0; } header { margin: 0 0 20px; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+`;
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const date = (value) => value ? new Date(value).toUTCString().replace(' GMT', ' UTC') : '';
+
+function badge(level) {
+  const colors = RISK_COLORS[level] || RISK_COLORS.LOW;
+  return `<span class="badge" style="background:${colors.background};border-color:${colors.border};color:${colors.color}">${escapeHtml(level)}</span>`;
+}
+
+function findingsTable(group) {
+  const rows = group.findings.map((finding) => `
+      <tr>
+        <td>${escapeHtml(finding.id)}</td>
+        <td>${badge(finding.severity)}</td>
+        <td><span class="quote">“${escapeHtml(finding.quote)}”</span>${finding.where ? `<div class="muted">${escapeHtml(finding.where)}</div>` : ''}</td>
+        <td>${escapeHtml(finding.explanation)}${(finding.citations || []).map((citation) => `<div class="muted">Cites ${escapeHtml(citation.reference)}</div>`).join('')}${(finding.facts || []).map((fact) => `<div class="muted">Catalogue: ${escapeHtml(fact.productName)}, ${escapeHtml(fact.label)}: ${escapeHtml(fact.value)}</div>`).join('')}</td>
+        <td>${finding.suggestion ? `“${escapeHtml(finding.suggestion)}”` : '<span class="muted">—</span>'}${finding.approvedClaim ? `<div class="muted">Approved claim: ${escapeHtml(approvalNote(finding.approvedClaim))}</div>` : ''}</td>
+        <td>${finding.resolution
+          ? `${escapeHtml(finding.resolution.label)}${finding.resolution.actor ? ` by ${escapeHtml(finding.resolution.actor)}` : ''}${finding.resolution.justification ? `<div class="muted">${escapeHtml(finding.resolution.justification)}</div>` : ''}`
+          : '<span class="muted">Open</span>'}</td>
+      </tr>`).join('');
+
+  return `
+    <h3>${escapeHtml(group.label)} (${group.findings.length})</h3>
+    <table>
+      <thead><tr><th>ID</th><th>Severity</th><th>Quoted text</th><th>Issue</th><th>Suggested fix</th><th>Resolution</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+function appendixHtml(paragraphs) {
+  return paragraphs.map((paragraph, i) => `<p><span class="n">${i + 1}</span>${paragraph.map((span) => {
+    if (!span.findingId) return escapeHtml(span.text);
+    const colors = RISK_COLORS[span.severity] || RISK_COLORS.LOW;
+    return `<mark style="background:${colors.background};border-bottom:2px solid ${colors.border}">${escapeHtml(span.text)}<sup style="color:${colors.color}">${escapeHtml(span.findingId)}</sup></mark>`;
+  }).join('')}</p>`).join('\n');
+}
+
+export function renderReportHtml(report) {
+  const { review, workflow } = report;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(report.title)} · ${escapeHtml(review.filename)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+  <header>
+    <h1>${escapeHtml(report.title)}</h1>
+    <p>${escapeHtml(report.brand)} · ${escapeHtml(review.filename)}</p>
+  </header>
+
+  <table class="meta">
+    <tr><th>Document</th><td>${escapeHtml(review.filename)} (revision ${review.revision})</td></tr>
+    <tr><th>Reviewed</th><td>${escapeHtml(date(review.createdAt))}${review.submittedBy ? ` · submitted by ${escapeHtml(review.submittedBy)}` : ''}</td></tr>
+    <tr><th>Brand profile</th><td>${escapeHtml(review.profile?.name)} v${escapeHtml(review.profile?.version)}</td></tr>
+    ${review.language ? `<tr><th>Language</th><td>${escapeHtml(review.language)}</td></tr>` : ''}
+    ${review.checklist ? `<tr><th>Checklist</th><td>${escapeHtml(review.checklist.name)} v${escapeHtml(review.checklist.version)}</td></tr>` : ''}
+    ${review.products.length > 0 ? `<tr><th>Product fact sheets</th><td>${review.products.map((product) => `${escapeHtml(product.name)} v${escapeHtml(product.version)}`).join('<br>')}</td></tr>` : ''}
+    <tr><th>Rulepacks</th><td>${review.rulepacks.map((rulepack) => `${escapeHtml(rulepack.name)} (${escapeHtml(rulepack.market)}, v${escapeHtml(rulepack.version)})`).join('<br>') || '<span class="muted">None</span>'}</td></tr>
+    <tr><th>Model</th><td>${review.model?.status === 'ok'
+      ? `${escapeHtml(review.model.provider)} ${escapeHtml(review.model.model)}`
+      : `Rule-based checks only${review.model?.message ? ` (${escapeHtml(review.model.message)})` : ''}`}</td></tr>
+    <tr><th>Status</th><td>${escapeHtml(workflow.statusLabel)}</td></tr>
+  </table>
+
+  <h2>Summary</h2>
+  <p>Overall risk: ${badge(review.riskLevel)}</p>
+  <div class="counts">
+    ${report.severities.map((severity) => `<div><strong style="color:${RISK_COLORS[severity].color}">${report.counts[severity]}</strong>${escapeHtml(severity)} findings</div>`).join('')}
+  </div>
+  <p style="white-space:pre-wrap">${escapeHtml(review.summary)}</p>
+
+  <h2>Findings</h2>
+  ${report.groups.length > 0 ? report.groups.map(findingsTable).join('\n') : '<p class="muted">No findings.</p>'}
+
+  <h2>Regulatory clauses cited</h2>
+  ${report.clauses.length > 0 ? `<table>
+    <thead><tr><th>Clause</th><th>Summary</th><th>Findings</th></tr></thead>
+    <tbody>${report.clauses.map((clause) => `
+      <tr>
+        <td><strong>${escapeHtml(clause.title)}</strong><div class="muted">${escapeHtml(clause.reference)}</div><div class="muted">${escapeHtml(clause.rulepackName)}</div></td>
+        <td>${escapeHtml(clause.summary || '')}</td>
+        <td>${clause.findingIds.map(escapeHtml).join(', ')}</td>
+      </tr>`).join('')}
+    </tbody>
+  </table>
+  <p class="muted">Clause summaries are for reviewers and are not the regulation text.</p>` : '<p class="muted">No regulatory clauses were cited.</p>'}
+
+  <h2>Sign-off</h2>
+  <p>Status: <strong>${escapeHtml(workflow.statusLabel)}</strong>${workflow.reviewers.length > 0 ? ` · Reviewers: ${workflow.reviewers.map(escapeHtml).join(', ')}` : ''} · ${workflow.resolved} of ${report.total} findings resolved</p>
+  ${workflow.signOff.length > 0 ? `<table>
+    <thead><tr><th>Date</th><th>By</th><th>Change</th><th>Note</th></tr></thead>
+    <tbody>${workflow.signOff.map((entry) => `
+      <tr><td>${escapeHtml(date(entry.at))}</td><td>${escapeHtml(entry.actor || '')}</td><td>${escapeHtml(entry.fromLabel)} → ${escapeHtml(entry.toLabel)}</td><td>${escapeHtml(entry.note || '')}</td></tr>`).join('')}
+    </tbody>
+  </table>` : '<p class="muted">No sign-off recorded yet.</p>'}
+  <div class="signature"><div>Legal reviewer</div><div>Signature</div><div>Date</div></div>
+
+  <h2>Appendix: reviewed text</h2>
+  <div class="appendix">
+${appendixHtml(report.appendix)}
+  </div>
+
+  <footer>Generated ${escapeHtml(date(report.generatedAt))}${report.generatedBy ? ` by ${escapeHtml(report.generatedBy)}` : ''} · Olixir Document Review System · Review ${escapeHtml(review.id)}</footer>
+</main>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,202 @@
+// lib/report/pdf.js
+import PDFDocument from 'pdfkit';
+import { approvalNote } from '../claims/match.js';
+
+// The same report as a PDF. The built-in PDF fonts only cover Western
+// European text, so set REPORT_FONT (and REPORT_FONT_BOLD) to a TrueType
+// font such as Noto Sans when reviews contain other scripts; without one,
+// characters the built-in fonts lack are replaced.
+const COLORS = {
+  text: '#1f2937',
+  muted: '#6b7280',
+  rule: '#e5e7eb',
+  brand: '#667eea',
+  brandDark: '#764ba2',
+  HIGH: '#dc2626',
+  MEDIUM: '#d97706',
+  LOW: '#059669',
+};
+
+const MARGIN = 50;
+
+// Characters outside Latin-1 that the built-in fonts (WinAnsi) still have.
+const WIN_ANSI_EXTRAS = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+const REPLACEMENTS = { '₹': 'Rs.', '→': '->', '←': '<-', '✓': 'v', '✔': 'v', '✗': 'x', '≥': '>=', '≤': '<=' };
+
+function fontsFor(env) {
+  if (env.REPORT_FONT) {
+    return { regular: env.REPORT_FONT, bold: env.REPORT_FONT_BOLD || env.REPORT_FONT, italic: env.REPORT_FONT, embedded: true };
+  }
+  return { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique', embedded: false };
+}
+
+function winAnsi(text) {
+  return Array.from(String(text ?? ''), (char) => {
+    const code = char.codePointAt(0);
+    if (code === 10 || (code >= 32 && code < 127) || (code >= 160 && code <= 255) || WIN_ANSI_EXTRAS.includes(char)) return char;
+    return REPLACEMENTS[char] ?? '?';
+  }).join('');
+}
+
+const date = (value) => value ? new Date(value).toUTCString().replace(' GMT', ' UTC') : '';
+
+export function renderReportPdf(report, { env = process.env } = {}) {
+  const fonts = fontsFor(env);
+  const clean = fonts.embedded ? (text) => String(text ?? '') : winAnsi;
+  const { review, workflow } = report;
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: MARGIN, bottom: MARGIN, left: MARGIN, right: MARGIN },
+    bufferPages: true,
+    info: { Title: `${report.title}: ${review.filename}`, Author: report.brand, Creator: 'Olixir Document Review System' },
+  });
+  const width = doc.page.width - MARGIN * 2;
+
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const text = (value, { font = fonts.regular, size = 10, color = COLORS.text, ...options } = {}) =>
+    doc.font(font).fontSize(size).fillColor(color).text(clean(value), options);
+
+  const keepSpace = (height) => {
+    if (doc.y + height > doc.page.height - MARGIN) doc.addPage();
+  };
+
+  const heading = (value) => {
+    keepSpace(60);
+    doc.moveDown(1);
+    text(value, { font: fonts.bold, size: 14, x: MARGIN });
+    const y = doc.y + 2;
+    doc.moveTo(MARGIN, y).lineTo(MARGIN + width, y).lineWidth(1).strokeColor(COLORS.rule).stroke();
+    doc.y = y + 8;
+  };
+
+  const field = (label, value) => {
+    text(`${label}: `, { font: fonts.bold, continued: true, x: MARGIN });
+    text(value);
+  };
+
+  // Title band
+  const gradient = doc.linearGradient(0, 0, doc.page.width, 90);
+  gradient.stop(0, COLORS.brand).stop(1, COLORS.brandDark);
+  doc.rect(0, 0, doc.page.width, 90).fill(gradient);
+  text(report.title, { font: fonts.bold, size: 20, color: 'white', x: MARGIN, y: 28 });
+  text(`${report.brand} · ${review.filename}`, { size: 11, color: 'white', x: MARGIN });
+  doc.y = 110;
+
+  field('Document', `${review.filename} (revision ${review.revision})`);
+  field('Reviewed', `${date(review.createdAt)}${review.submittedBy ? ` · submitted by ${review.submittedBy}` : ''}`);
+  field('Brand profile', `${review.profile?.name} v${review.profile?.version}`);
+  if (review.language) field('Language', review.language);
+  if (review.checklist) field('Checklist', `${review.checklist.name} v${review.checklist.version}`);
+  if (review.products.length > 0) field('Product fact sheets', review.products.map((product) => `${product.name} v${product.version}`).join('; '));
+  field('Rulepacks', review.rulepacks.map((rulepack) => `${rulepack.name} (${rulepack.market}, v${rulepack.version})`).join('; ') || 'None');
+  field('Model', review.model?.status === 'ok'
+    ? `${review.model.provider} ${review.model.model}`
+    : `Rule-based checks only${review.model?.message ? ` (${review.model.message})` : ''}`);
+  field('Status', workflow.statusLabel);
+
+  heading('Summary');
+  text('Overall risk: ', { font: fonts.bold, size: 12, continued: true, x: MARGIN });
+  text(review.riskLevel, { font: fonts.bold, size: 12, color: COLORS[review.riskLevel] });
+  text(report.severities.map((severity) => `${report.counts[severity]} ${severity}`).join('   ·   '), { color: COLORS.muted });
+  doc.moveDown(0.5);
+  text(review.summary, { x: MARGIN, width });
+
+  heading('Findings');
+  if (report.groups.length === 0) text('No findings.', { color: COLORS.muted });
+  for (const group of report.groups) {
+    keepSpace(80);
+    doc.moveDown(0.5);
+    text(`${group.label} (${group.findings.length})`, { font: fonts.bold, size: 12, x: MARGIN });
+    doc.moveDown(0.3);
+
+    for (const finding of group.findings) {
+      keepSpace(70);
+      text(`${finding.severity}  `, { font: fonts.bold, color: COLORS[finding.severity], continued: true, x: MARGIN });
+      text(`${finding.id}  `, { font: fonts.bold, continued: true });
+      text(`“${finding.quote}”`, { font: fonts.italic, continued: Boolean(finding.where) });
+      if (finding.where) text(`  (${finding.where})`, { color: COLORS.muted });
+
+      const indent = { x: MARGIN + 12, width: width - 12 };
+      text(finding.explanation, indent);
+      if (finding.suggestion) text(`Suggested fix: “${finding.suggestion}”`, indent);
+      if (finding.approvedClaim) text(`Approved claim: ${approvalNote(finding.approvedClaim)}`, { ...indent, color: COLORS.muted, size: 9 });
+      for (const citation of finding.citations || []) text(`Cites ${citation.reference}`, { ...indent, color: COLORS.muted, size: 9 });
+      for (const fact of finding.facts || []) text(`Catalogue: ${fact.productName}, ${fact.label}: ${fact.value}`, { ...indent, color: COLORS.muted, size: 9 });
+      text(finding.resolution
+        ? `Resolution: ${finding.resolution.label}${finding.resolution.actor ? ` by ${finding.resolution.actor}` : ''}${finding.resolution.justification ? `: ${finding.resolution.justification}` : ''}`
+        : 'Resolution: open', { ...indent, color: COLORS.muted, size: 9 });
+      doc.moveDown(0.6);
+    }
+  }
+
+  heading('Regulatory clauses cited');
+  if (report.clauses.length === 0) text('No regulatory clauses were cited.', { color: COLORS.muted });
+  for (const clause of report.clauses) {
+    keepSpace(60);
+    text(clause.title, { font: fonts.bold, x: MARGIN, width });
+    text(`${clause.reference} · ${clause.rulepackName} · findings ${clause.findingIds.join(', ')}`, { color: COLORS.muted, size: 9 });
+    if (clause.summary) text(clause.summary, { size: 9 });
+    doc.moveDown(0.5);
+  }
+  if (report.clauses.length > 0) text('Clause summaries are for reviewers and are not the regulation text.', { color: COLORS.muted, size: 8 });
+
+  heading('Sign-off');
+  field('Status', workflow.statusLabel);
+  if (workflow.reviewers.length > 0) field('Reviewers', workflow.reviewers.join(', '));
+  field('Resolved findings', `${workflow.resolved} of ${report.total}`);
+  doc.moveDown(0.5);
+  if (workflow.signOff.length === 0) text('No sign-off recorded yet.', { color: COLORS.muted, x: MARGIN });
+  for (const entry of workflow.signOff) {
+    text(`${date(entry.at)}  ${entry.actor || ''}: ${entry.fromLabel} -> ${entry.toLabel}${entry.note ? ` (${entry.note})` : ''}`, { size: 9, x: MARGIN, width });
+  }
+
+  keepSpace(70);
+  doc.moveDown(3);
+  const lineY = doc.y;
+  const column = (width - 40) / 3;
+  ['Legal reviewer', 'Signature', 'Date'].forEach((label, i) => {
+    const x = MARGIN + i * (column + 20);
+    doc.moveTo(x, lineY).lineTo(x + column, lineY).lineWidth(0.5).strokeColor(COLORS.muted).stroke();
+    text(label, { size: 8, color: COLORS.muted, x, y: lineY + 4, width: column });
+  });
+  doc.x = MARGIN;
+
+  doc.addPage();
+  text('Appendix: reviewed text', { font: fonts.bold, size: 14 });
+  text('Flagged passages are underlined and followed by their finding ID.', { size: 9, color: COLORS.muted });
+  doc.moveDown(0.8);
+  report.appendix.forEach((paragraph, index) => {
+    text(`${index + 1}  `, { size: 8, color: COLORS.muted, continued: true, x: MARGIN, width });
+    paragraph.forEach((span, i) => {
+      const continued = i < paragraph.length - 1;
+      if (!span.findingId) {
+        text(span.text, { size: 10, continued, underline: false });
+        return;
+      }
+      text(span.text, { size: 10, color: COLORS[span.severity], underline: true, continued: true });
+      text(` [${span.findingId}]`, { font: fonts.bold, size: 7, color: COLORS[span.severity], underline: false, continued });
+    });
+    doc.moveDown(0.6);
+  });
+
+  // Footer on every page
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    text(`${report.title} · ${review.filename} · Review ${review.id} · Generated ${date(report.generatedAt)}${report.generatedBy ? ` by ${report.generatedBy}` : ''} · Page ${i + 1} of ${range.count}`,
+      { size: 7, color: COLORS.muted, x: MARGIN, y: doc.page.height - 30, width, align: 'center', lineBreak: false });
+    doc.page.margins.bottom = bottom;
+  }
+
+  doc.end();
+  return done;
+}
@@ -0,0 +1,123 @@
+// lib/report/report.js
+import { describeLocation } from '../document/structure.js';
+import { describeLanguage } from '../language/detect.js';
+import { countBySeverity } from '../reviews/store.js';
+import { getRulepack } from '../rulepacks/index.js';
+import { SEVERITIES, reviewSections, sectionLabels, severityRank } from '../review/schema.js';
+import { RESOLUTION_LABELS, STATUS_LABELS, workflowOf } from '../workflow/workflow.js';
+
+export const REPORT_FORMATS = ['html', 'pdf'];
+export const REPORT_TITLE = 'Compliance Review Report';
+
+// The reviewed text as paragraphs of plain and flagged spans. Where
+// findings overlap, the text is marked once, for the first of them.
+function appendixParagraphs(content, findings) {
+  const spans = [];
+  let cursor = 0;
+  for (const finding of [...findings].sort((a, b) => a.start - b.start || b.end - a.end)) {
+    if (finding.start < cursor) continue;
+    if (finding.start > cursor) spans.push({ text: content.slice(cursor, finding.start) });
+    spans.push({ text: content.slice(finding.start, finding.end), findingId: finding.id, severity: finding.severity });
+    cursor = finding.end;
+  }
+  if (cursor < content.length) spans.push({ text: content.slice(cursor) });
+
+  const paragraphs = [[]];
+  for (const span of spans) {
+    span.text.split(/\n\s*\n/).forEach((part, i) => {
+      if (i > 0) paragraphs.push([]);
+      if (part) paragraphs[paragraphs.length - 1].push({ ...span, text: part });
+    });
+  }
+  return paragraphs.filter((paragraph) => paragraph.some((span) => span.text.trim()));
+}
+
+// Everything a compliance report shows, worked out once from a stored
+// review so the HTML and PDF renderers only lay it out.
+export function buildReport(review, { generatedBy, generatedAt = new Date() } = {}) {
+  const workflow = workflowOf(review);
+  const labels = sectionLabels(review);
+
+  const findings = review.findings.map((finding) => ({
+    ...finding,
+    categoryLabel: labels[finding.category],
+    where: finding.location ? describeLocation(finding.location) : null,
+    resolution: workflow.resolutions[finding.id]
+      ? { ...workflow.resolutions[finding.id], label: RESOLUTION_LABELS[workflow.resolutions[finding.id].state] }
+      : null,
+  }));
+
+  const groups = reviewSections(review)
+    .map((section) => ({
+      category: section.id,
+      label: section.label,
+      findings: findings
+        .filter((finding) => finding.category === section.id)
+        .sort((a, b) => severityRank(b.severity) - severityRank(a.severity) || a.start - b.start),
+    }))
+    .filter((group) => group.findings.length > 0);
+
+  // Each clause once, with the findings that cite it and its summary from
+  // the rulepack.
+  const clauses = new Map();
+  for (const finding of findings) {
+    for (const citation of finding.citations || []) {
+      const key = `${citation.rulepack}/${citation.clause}`;
+      if (!clauses.has(key)) {
+        const rulepack = getRulepack(citation.rulepack);
+        const clause = rulepack?.clauses.find((candidate) => candidate.id === citation.clause);
+        clauses.set(key, {
+          ...citation,
+          rulepackName: rulepack?.name || citation.rulepack,
+          summary: clause?.summary || null,
+          findingIds: [],
+        });
+      }
+      clauses.get(key).findingIds.push(finding.id);
+    }
+  }
+
+  const signOff = workflow.history
+    .filter((entry) => entry.action === 'status')
+    .map((entry) => ({ ...entry, fromLabel: STATUS_LABELS[entry.from], toLabel: STATUS_LABELS[entry.to] }));
+
+  return {
+    title: REPORT_TITLE,
+    brand: review.profile?.name || 'Olixir',
+    review: {
+      id: review.id,
+      filename: review.filename,
+      revision: review.revision || 1,
+      createdAt: review.createdAt,
+      submittedBy: review.submittedBy || null,
+      riskLevel: review.riskLevel,
+      summary: review.summary,
+      profile: review.profile,
+      checklist: review.checklist || null,
+      language: review.language ? describeLanguage(review.language) : null,
+      products: review.products || [],
+      rulepacks: review.rulepacks || [],
+      model: review.model,
+    },
+    counts: countBySeverity(review.findings),
+    total: review.findings.length,
+    severities: [...SEVERITIES].reverse(),
+    groups,
+    clauses: [...clauses.values()],
+    workflow: {
+      status: workflow.status,
+      statusLabel: STATUS_LABELS[workflow.status],
+      reviewers: workflow.reviewers,
+      signOff,
+      resolved: Object.keys(workflow.resolutions).length,
+    },
+    appendix: appendixParagraphs(review.content, review.findings),
+    generatedAt: generatedAt.toISOString(),
+    generatedBy: generatedBy || null,
+  };
+}
+
+export function reportFilename(review, format) {
+  const name = (review.filename || 'document').replace(/\.[^.]+$/, '').replace(/[^A-Za-z0-9_-]+/g, '_').slice(0, 80);
+  return `${name || 'document'}_compliance_report.${format}`;
+}
@@ -0,0 +1,155 @@
+// lib/review/cache.js
+import crypto from 'crypto';
+import { listProducts } from '../catalogue/store.js';
+import { listClaims } from '../claims/store.js';
+import { defaultChecklist } from '../checklists/defaultChecklists.js';
+import { locateOffset, parseStructure } from '../document/structure.js';
+import defaultProfile from '../profiles/defaultProfile.js';
+import { getProvider } from '../providers/index.js';
+import { DEFAULT_MARKETS, rulepacksForMarkets } from '../rulepacks/index.js';
+import { loadRules } from '../rules/loadRules.js';
+import { analyzeSeo } from '../seo/analyze.js';
+import { collection } from '../storage/store.js';
+import { reviewDocument } from './pipeline.js';
+import { PROMPT_VERSION } from './prompt.js';
+import { locateQuote } from './schema.js';
+
+// Completed reviews keyed by everything that decides their outcome: the
+// normalized text, profile and checklist versions, rulepack, catalogue and
+// approved-claim versions, rule set, model and prompt version. Resubmitting
+// the same draft returns the stored review instead of another model call.
+// Reviews where the model step failed are never cached, so an outage does
+// not stick.
+const entries = collection('review-cache');
+
+const TTL_MS = (Number.parseInt(process.env.REVIEW_CACHE_TTL_HOURS, 10) || 24 * 7) * 3600 * 1000;
+
+const ruleDigests = new WeakMap();
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+export function cacheEnabled(env = process.env) {
+  return env.REVIEW_CACHE !== 'off';
+}
+
+// Differences that do not change what a reviewer would say: line endings,
+// Unicode composition, trailing spaces and surrounding blank lines.
+export function normalizeContent(content) {
+  return content.normalize('NFC').replace(/\r\n?/g, '\n').replace(/[ \t]+$/gm, '').trim();
+}
+
+function digestRules(rules) {
+  if (!ruleDigests.has(rules)) ruleDigests.set(rules, sha256(JSON.stringify(rules)));
+  return ruleDigests.get(rules);
+}
+
+export function reviewCacheKey({ content, profile, checklist, rulepacks, catalogue, claims, rules, provider }) {
+  return sha256(JSON.stringify({
+    prompt: PROMPT_VERSION,
+    content: sha256(normalizeContent(content)),
+    profile: `${profile.id}@${profile.version}`,
+    checklist: `${checklist.id}@${checklist.version}`,
+    rulepacks: rulepacks.map((rulepack) => `${rulepack.id}@${rulepack.version}`).sort(),
+    catalogue: catalogue.map((product) => `${product.id}@${product.version}`).sort(),
+    claims: claims.map((claim) => `${claim.id}@${claim.version}`).sort(),
+    rules: digestRules(rules),
+    model: `${provider.name}:${provider.model}`,
+  }));
+}
+
+// Offsets in a cached review point into the text it was made from, which
+// may differ from `content` in whitespace. Re-anchor each finding on its
+// quote; null if one can no longer be found.
+function rebase(review, cachedContent, content) {
+  if (cachedContent === content) return review;
+
+  const blocks = parseStructure(content);
+  const findings = [];
+  for (const finding of review.findings) {
+    const span = locateQuote(content, finding.quote, finding.start);
+    if (!span) return null;
+    findings.push({
+      ...finding,
+      ...span,
+      quote: content.slice(span.start, span.end),
+      location: locateOffset(blocks, span.start),
+    });
+  }
+  return { ...review, findings };
+}
+
+async function lookup(key, content) {
+  const entry = await entries.get(key);
+  if (!entry) return null;
+  if (Date.parse(entry.expiresAt) <= Date.now()) {
+    await entries.remove(key);
+    return null;
+  }
+  const review = rebase(entry.review, entry.content, content);
+  return review && { review, cachedAt: entry.createdAt };
+}
+
+async function store(key, content, review) {
+  const now = Date.now();
+  await entries.insert({
+    id: key,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + TTL_MS).toISOString(),
+    content,
+    review,
+  });
+}
+
+// reviewDocument, answered from the cache when possible. The result has
+// `cached: true` and `cachedAt` when it was; `force` skips the lookup (the
+// fresh review still replaces the cached one). Cache failures only cost
+// the caller a model call. Reviews are grounded in the stored product
+// catalogue and approved-claims library unless `catalogue` or `claims` is
+// given. The SEO analysis depends on the keyword and page outline, not the
+// model, so it is redone for cached reviews rather than keyed on.
+export async function reviewWithCache({ force = false, ...options }) {
+  const catalogue = options.catalogue || await listProducts();
+  const claims = options.claims || await listClaims();
+  let provider;
+  try {
+    provider = options.provider || getProvider();
+  } catch {
+    return { ...(await reviewDocument({ ...options, catalogue, claims })), cached: false };
+  }
+
+  const settings = {
+    ...options,
+    provider,
+    profile: options.profile || defaultProfile,
+    checklist: options.checklist || defaultChecklist,
+    catalogue,
+    claims,
+    rulepacks: options.rulepacks || rulepacksForMarkets(options.markets || DEFAULT_MARKETS),
+    rules: options.rules || loadRules(),
+  };
+  const key = cacheEnabled() && reviewCacheKey(settings);
+
+  if (key && !force) {
+    try {
+      const hit = await lookup(key, options.content);
+      if (hit) {
+        return {
+          ...hit.review,
+          filename: options.filename || hit.review.filename,
+          markets: options.markets || hit.review.markets,
+          seo: analyzeSeo({ content: options.content, page: options.page, keyword: options.keyword, language: hit.review.language }),
+          cached: true,
+          cachedAt: hit.cachedAt,
+        };
+      }
+    } catch (error) {
+      console.error('Review cache lookup failed:', error);
+    }
+  }
+
+  const review = await reviewDocument(settings);
+  if (key && review.model.status === 'ok' && !options.signal?.aborted) {
+    await store(key, options.content, review).catch((error) => console.error('Failed to cache review:', error));
+  }
+  return { ...review, cached: false };
+}
@@ -0,0 +1,78 @@
+// lib/review/chunking.js
+
+const HEADING = /^(#{1,6}\s|[^\n]{1,80}\n(?:=+|-+)\s*$)/;
+
+// Split the document into blocks at blank lines, remembering where each
+// block starts so chunk offsets can be mapped back to the original text.
+function splitBlocks(content) {
+  const blocks = [];
+  const separator = /\n[ \t]*\n+/g;
+  let start = 0;
+  let match;
+
+  while ((match = separator.exec(content)) !== null) {
+    const end = match.index + match[0].length;
+    blocks.push({ start, end, heading: HEADING.test(content.slice(start, end)) });
+    start = end;
+  }
+  if (start < content.length) {
+    blocks.push({ start, end: content.length, heading: HEADING.test(content.slice(start)) });
+  }
+  return blocks;
+}
+
+// Break an oversized block at sentence ends, or at a space as a last resort.
+function splitLongBlock(content, block, maxChars) {
+  const pieces = [];
+  let start = block.start;
+
+  while (block.end - start > maxChars) {
+    const window = content.slice(start, start + maxChars);
+    let cut = Math.max(window.lastIndexOf('. '), window.lastIndexOf('.\n'), window.lastIndexOf('? '), window.lastIndexOf('! '));
+    if (cut < maxChars / 2) cut = window.lastIndexOf(' ');
+    const end = cut > 0 ? start + cut + 1 : start + maxChars;
+    pieces.push({ start, end, heading: false });
+    start = end;
+  }
+  pieces.push({ start, end: block.end, heading: false });
+  return pieces;
+}
+
+// Split `content` into chunks of at most `maxChars`, cutting on heading and
+// paragraph boundaries. A heading starts a new chunk once the current one is
+// half full, so sections stay together where they fit. Chunks are exact,
+// contiguous slices: `content.slice(chunk.start, chunk.end) === chunk.text`.
+export function splitIntoChunks(content, { maxChars = 12000 } = {}) {
+  if (content.length <= maxChars) {
+    return [{ index: 0, start: 0, end: content.length, text: content }];
+  }
+
+  const blocks = splitBlocks(content).flatMap((block) =>
+    block.end - block.start > maxChars ? splitLongBlock(content, block, maxChars) : [block]
+  );
+
+  const ranges = [];
+  let current = null;
+
+  for (const block of blocks) {
+    const size = current ? block.end - current.start : 0;
+    const startNew = !current
+      || size > maxChars
+      || (block.heading && block.start - current.start >= maxChars / 2);
+
+    if (startNew) {
+      if (current) ranges.push(current);
+      current = { start: block.start, end: block.end };
+    } else {
+      current.end = block.end;
+    }
+  }
+  if (current) ranges.push(current);
+
+  return ranges.map((range, index) => ({
+    index,
+    start: range.start,
+    end: range.end,
+    text: content.slice(range.start, range.end),
+  }));
+}
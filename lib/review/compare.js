@@ -0,0 +1,85 @@
+// lib/review/compare.js
+import { sideBySide } from '../document/diff.js';
+import { sectionLabels, severityRank } from './schema.js';
+
+// Below this word overlap two quotes are treated as different findings.
+const MIN_SIMILARITY = 0.6;
+
+function words(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Dice coefficient of the two quotes' word sets; 1 for identical wording.
+function similarity(a, b) {
+  const left = new Set(words(a.quote));
+  const right = new Set(words(b.quote));
+  if (left.size === 0 || right.size === 0) return 0;
+  let shared = 0;
+  for (const word of left) if (right.has(word)) shared++;
+  return (2 * shared) / (left.size + right.size);
+}
+
+// Pair each finding of the previous revision with at most one finding of
+// the current one: same category and similar quoted text. Offsets are no
+// help here since edits elsewhere shift them. The closest pairs are taken
+// first.
+export function compareFindings(previous, current) {
+  const candidates = [];
+  previous.forEach((before, i) => {
+    current.forEach((after, j) => {
+      if (before.category !== after.category) return;
+      const score = similarity(before, after) + (before.ruleId && before.ruleId === after.ruleId ? 0.1 : 0);
+      if (score >= MIN_SIMILARITY) candidates.push({ i, j, score });
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score);
+
+  const pairedPrevious = new Set();
+  const pairedCurrent = new Set();
+  const persisting = [];
+  for (const { i, j } of candidates) {
+    if (pairedPrevious.has(i) || pairedCurrent.has(j)) continue;
+    pairedPrevious.add(i);
+    pairedCurrent.add(j);
+    persisting.push({ previous: previous[i], current: current[j] });
+  }
+
+  return {
+    resolved: previous.filter((_, i) => !pairedPrevious.has(i)),
+    persisting: persisting.sort((a, b) => a.current.start - b.current.start),
+    introduced: current.filter((_, j) => !pairedCurrent.has(j)),
+  };
+}
+
+function describeRevision(review) {
+  return {
+    id: review.id,
+    revision: review.revision || 1,
+    createdAt: review.createdAt,
+    riskLevel: review.riskLevel,
+    findings: review.findings.length,
+  };
+}
+
+// How a new revision of a document fared against an earlier one. The text
+// diff is only included when asked for, since it can be large.
+export function compareReviews(previous, current, { includeDiff = false } = {}) {
+  const { resolved, persisting, introduced } = compareFindings(previous.findings, current.findings);
+  const change = severityRank(current.riskLevel) - severityRank(previous.riskLevel);
+
+  return {
+    previous: describeRevision(previous),
+    current: describeRevision(current),
+    risk: {
+      previous: previous.riskLevel,
+      current: current.riskLevel,
+      change: change > 0 ? 'up' : change < 0 ? 'down' : 'same',
+    },
+    counts: { resolved: resolved.length, persisting: persisting.length, new: introduced.length },
+    labels: { ...sectionLabels(previous), ...sectionLabels(current) },
+    resolved,
+    persisting,
+    new: introduced,
+    ...(includeDiff && { diff: sideBySide(previous.content, current.content) }),
+  };
+}
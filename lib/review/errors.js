@@ -0,0 +1,12 @@
+// lib/review/errors.js
+
+// Raised when the model keeps returning output that does not match the
+// findings schema, even after the repair attempts.
+export class ReviewOutputError extends Error {
+  constructor(message, validationErrors = []) {
+    super(message);
+    this.name = 'ReviewOutputError';
+    this.code = 'invalid_output';
+    this.validationErrors = validationErrors;
+  }
+}
@@ -0,0 +1,41 @@
+// lib/review/format.js
+import { approvalNote } from '../claims/match.js';
+import { describeLocation } from '../document/structure.js';
+import { describeLanguage, isEnglishOnly } from '../language/detect.js';
+import { reviewSections } from './schema.js';
+
+// Plain-text rendering of a review, used for "Copy Analysis".
+export function formatReviewAsText(review) {
+  const { filename, riskLevel, summary, findings } = review;
+  const lines = [
+    `Review of ${filename}`,
+    `Risk Level: ${riskLevel}`,
+    ...(isEnglishOnly(review.language) ? [] : [`Language: ${describeLanguage(review.language)}`]),
+    '',
+    summary,
+  ];
+
+  for (const section of reviewSections(review)) {
+    const inCategory = findings.filter((finding) => finding.category === section.id);
+    if (inCategory.length === 0) continue;
+
+    lines.push('', section.label.toUpperCase());
+    for (const finding of inCategory) {
+      const where = finding.location ? ` (${describeLocation(finding.location)})` : '';
+      lines.push(`- [${finding.severity}] "${finding.quote}"${where} - ${finding.explanation}`);
+      for (const citation of finding.citations || []) lines.push(`  CITES: ${citation.reference} (${citation.title})`);
+      for (const fact of finding.facts || []) lines.push(`  CATALOGUE: ${fact.productName}, ${fact.label}: ${fact.value}`);
+      if (finding.suggestion) lines.push(`  SUGGEST: "${finding.suggestion}"`);
+      if (finding.approvedClaim) lines.push(`  APPROVED CLAIM: ${approvalNote(finding.approvedClaim)}`);
+    }
+  }
+
+  if (review.seo) {
+    lines.push('', `SEO AND READABILITY${typeof review.seo.score === 'number' ? ` (${review.seo.score}/100)` : ''}`);
+    for (const check of review.seo.checks.filter((candidate) => candidate.status === 'warn' || candidate.status === 'fail')) {
+      lines.push(`- [${check.status.toUpperCase()}] ${check.label}: ${check.message}`);
+    }
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,58 @@
+// lib/review/merge.js
+import { mergeCitations, mergeFacts, severityRank } from './schema.js';
+
+function overlaps(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+// Combine rule-engine and model findings. A model finding that overlaps a
+// rule finding of the same category is folded into it: the rule keeps its
+// exact span and severity floor, and picks up the model's suggestion when
+// both flagged the same text.
+export function mergeFindings(ruleFindings, modelFindings) {
+  const merged = ruleFindings.map((finding) => ({ ...finding }));
+
+  for (const finding of modelFindings) {
+    const match = merged.find((existing) =>
+      existing.category === finding.category && overlaps(existing, finding)
+    );
+
+    if (!match) {
+      merged.push({ ...finding, source: finding.source || 'model' });
+      continue;
+    }
+
+    const sameSpan = match.start === finding.start && match.end === finding.end;
+    if (!match.suggestion && finding.suggestion && sameSpan) match.suggestion = finding.suggestion;
+    if (severityRank(finding.severity) > severityRank(match.severity)) match.severity = finding.severity;
+    match.citations = mergeCitations(match.citations, finding.citations);
+    if (finding.facts) match.facts = mergeFacts(match.facts, finding.facts);
+  }
+
+  return merged;
+}
+
+// Drop findings that repeat an earlier one: same category and overlapping
+// span. The more severe of the two is kept, with the citations and
+// catalogue facts of both.
+export function dedupeFindings(findings) {
+  const kept = [];
+
+  for (const finding of findings) {
+    const index = kept.findIndex((existing) =>
+      existing.category === finding.category && overlaps(existing, finding)
+    );
+
+    if (index === -1) {
+      kept.push(finding);
+      continue;
+    }
+
+    const citations = mergeCitations(kept[index].citations, finding.citations);
+    const facts = mergeFacts(kept[index].facts, finding.facts);
+    const winner = severityRank(finding.severity) > severityRank(kept[index].severity) ? finding : kept[index];
+    kept[index] = { ...winner, citations, ...(facts.length > 0 && { facts }) };
+  }
+
+  return kept;
+}
@@ -0,0 +1,50 @@
+// lib/review/modelReview.js
+import { factIndex } from '../catalogue/facts.js';
+import { defaultChecklist } from '../checklists/defaultChecklists.js';
+import { clauseIndex } from '../rulepacks/index.js';
+import { ReviewOutputError } from './errors.js';
+import { parseModelJson } from './parse.js';
+import { buildRepairPrompt, buildReviewPrompt, reviewCriteria } from './prompt.js';
+import { validateReview } from './schema.js';
+
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Ask the model for a review and validate it against the findings schema,
+// with the checklist's sections as the allowed categories. `products` are
+// the catalogue entries the document mentions, whose facts findings cite,
+// and `language` the document's detected language (see lib/language).
+// Invalid output is sent back to the model with the validation errors until
+// it conforms or we run out of attempts.
+export async function reviewWithModel({ provider, content, filename, part, profile, checklist = defaultChecklist, rulepacks = [], products = [], language, signal }) {
+  const prompt = buildReviewPrompt({ content, filename, part, profile, checklist, rulepacks, products, language });
+  const clauses = clauseIndex(rulepacks);
+  const facts = factIndex(products);
+  const categories = reviewCriteria(checklist, products).map((section) => section.id);
+
+  let currentPrompt = prompt;
+  let errors = [];
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const output = await provider.generate(currentPrompt, { content, categories, signal });
+    const parsed = parseModelJson(output);
+
+    if (parsed.error) {
+      errors = [parsed.error];
+    } else {
+      const result = validateReview(parsed.value, content, { clauses, facts, categories });
+      if (result.review) {
+        return {
+          ...result.review,
+          findings: result.review.findings.map((finding) => ({ ...finding, source: 'model' })),
+          attempts: attempt + 1,
+        };
+      }
+      errors = result.errors;
+    }
+
+    console.warn(`Model output failed validation (attempt ${attempt + 1}):`, errors);
+    currentPrompt = buildRepairPrompt({ prompt, previousOutput: output, errors });
+  }
+
+  throw new ReviewOutputError('Model output did not match the findings schema', errors);
+}
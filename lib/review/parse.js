@@ -0,0 +1,36 @@
+// lib/review/parse.js
+
+// Pull the JSON object out of a model response. Models sometimes wrap it in
+// a ```json fence, add a sentence before it or leave trailing commas, so we
+// tidy those up before giving up.
+export function parseModelJson(text) {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    return { value: null, error: 'Response was empty' };
+  }
+
+  let candidate = text.trim();
+
+  const fenced = candidate.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) candidate = fenced[1].trim();
+
+  const first = candidate.indexOf('{');
+  const last = candidate.lastIndexOf('}');
+  if (first === -1 || last <= first) {
+    return { value: null, error: 'Response did not contain a JSON object' };
+  }
+  candidate = candidate.slice(first, last + 1);
+
+  try {
+    return { value: JSON.parse(candidate), error: null };
+  } catch {
+    // Fall through to the repaired attempt below.
+  }
+
+  const repaired = candidate.replace(/,\s*([}\]])/g, '$1');
+
+  try {
+    return { value: JSON.parse(repaired), error: null };
+  } catch (error) {
+    return { value: null, error: `Invalid JSON: ${error.message}` };
+  }
+}
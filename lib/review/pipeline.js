@@ -0,0 +1,214 @@
+// lib/review/pipeline.js
+import { checkFacts } from '../catalogue/checks.js';
+import defaultCatalogue from '../catalogue/defaultCatalogue.js';
+import { productsMentioned } from '../catalogue/facts.js';
+import defaultClaims from '../claims/defaultClaims.js';
+import { applyApprovedClaims } from '../claims/match.js';
+import { defaultChecklist } from '../checklists/defaultChecklists.js';
+import { checkLimits } from '../checklists/limits.js';
+import { mapWithConcurrency } from '../concurrency.js';
+import { locateOffset, parseStructure } from '../document/structure.js';
+import { detectLanguage } from '../language/detect.js';
+import {
+  ProviderAuthError,
+  ProviderConfigError,
+  ProviderQuotaError,
+  ProviderTimeoutError,
+} from '../providers/errors.js';
+import defaultProfile from '../profiles/defaultProfile.js';
+import { rulesForProfile } from '../profiles/rules.js';
+import { getProvider } from '../providers/index.js';
+import { analyzeSeo } from '../seo/analyze.js';
+import { DEFAULT_MARKETS, describeRulepack, rulepacksForMarkets, rulesForRulepacks } from '../rulepacks/index.js';
+import { runRules } from '../rules/engine.js';
+import { loadRules } from '../rules/loadRules.js';
+import { splitIntoChunks } from './chunking.js';
+import { ReviewOutputError } from './errors.js';
+import { dedupeFindings, mergeFindings } from './merge.js';
+import { reviewWithModel } from './modelReview.js';
+import { finalizeFindings, riskLevelFor } from './schema.js';
+
+const DEFAULT_CHUNK_CHARS = Number.parseInt(process.env.REVIEW_CHUNK_CHARS, 10) || 12000;
+const DEFAULT_CONCURRENCY = Number.parseInt(process.env.REVIEW_CONCURRENCY, 10) || 3;
+
+// Human-readable status for the response when the model step fails. The
+// rule findings are still returned, so none of these fail the review.
+function describeModelError(error) {
+  if (error instanceof ReviewOutputError) {
+    return {
+      error: 'Invalid model output',
+      message: 'The review model returned malformed findings. Only rule-based checks are shown.'
+    };
+  }
+
+  if (error instanceof ProviderConfigError) {
+    return {
+      error: 'Configuration error',
+      message: `${error.message}. Only rule-based checks were run.`
+    };
+  }
+
+  if (error instanceof ProviderAuthError) {
+    return {
+      error: 'Authentication failed',
+      message: 'Invalid API key. Only rule-based checks were run.'
+    };
+  }
+
+  if (error instanceof ProviderQuotaError) {
+    return {
+      error: 'Quota exceeded',
+      message: 'Model usage limit reached. Only rule-based checks were run.',
+      retryAfter: error.retryAfter
+    };
+  }
+
+  if (error instanceof ProviderTimeoutError) {
+    return {
+      error: 'Request timeout',
+      message: 'The model took too long to respond. Only rule-based checks were run.'
+    };
+  }
+
+  return {
+    error: 'Model review failed',
+    message: 'The review model could not be reached. Only rule-based checks were run.'
+  };
+}
+
+// Review each chunk separately and map the findings back onto the full
+// document. The first failing chunk cancels the others.
+async function reviewChunks({ provider, content, filename, profile, checklist, rulepacks, products, language, chunkChars, concurrency, signal, onEvent }) {
+  const chunks = splitIntoChunks(content, { maxChars: chunkChars });
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  signal?.addEventListener('abort', abort, { once: true });
+
+  let completed = 0;
+  onEvent({ type: 'progress', completed, total: chunks.length });
+
+  try {
+    const reviews = await mapWithConcurrency(chunks, concurrency, async (chunk) => {
+      const review = await reviewWithModel({
+        provider,
+        content: chunk.text,
+        filename,
+        profile,
+        checklist,
+        rulepacks,
+        products,
+        language,
+        part: { index: chunk.index, total: chunks.length },
+        signal: controller.signal,
+      });
+
+      const findings = review.findings.map((finding) => ({
+        ...finding,
+        start: finding.start + chunk.start,
+        end: finding.end + chunk.start,
+      }));
+
+      completed++;
+      onEvent({ type: 'chunk', index: chunk.index, summary: review.summary, findings });
+      onEvent({ type: 'progress', completed, total: chunks.length });
+
+      return { ...review, findings };
+    });
+
+    return {
+      chunks: chunks.length,
+      summary: reviews.length === 1
+        ? reviews[0].summary
+        : reviews.map((review, i) => `Part ${i + 1}: ${review.summary}`).join('\n\n'),
+      findings: dedupeFindings(reviews.flatMap((review) => review.findings)),
+    };
+  } catch (error) {
+    controller.abort();
+    throw error;
+  } finally {
+    signal?.removeEventListener('abort', abort);
+  }
+}
+
+// The full review: deterministic rules first, then the model (chunked for
+// long documents), merged into one report. Model failures degrade to a
+// rule-only report and are described in `model`. `profile` is the brand
+// profile the prompt and brand rules are built from, `checklist` sets the
+// sections the model reviews and reports findings under, and `markets`
+// selects the regulatory rulepacks findings are checked against and cite.
+// The `catalogue` entries the document mentions ground the review: their
+// facts are given to the model and their figures checked by rule. Flagged
+// claims are offered the closest wording from the approved `claims`
+// library instead of the model's suggestion where one fits. The document's
+// language is detected so regional and mixed-language content is reviewed
+// in its own language, with findings explained in English. Alongside the
+// compliance findings, `seo` scores readability, structure, the target
+// `keyword` and the `page` outline's meta tags, links and images.
+// `onEvent` receives the rule findings and each chunk's findings as soon as
+// they are available.
+export async function reviewDocument({
+  content,
+  filename = 'document.txt',
+  profile = defaultProfile,
+  checklist = defaultChecklist,
+  markets = DEFAULT_MARKETS,
+  rulepacks = rulepacksForMarkets(markets),
+  catalogue = defaultCatalogue,
+  claims = defaultClaims,
+  keyword,
+  page,
+  provider,
+  rules = loadRules(),
+  chunkChars = DEFAULT_CHUNK_CHARS,
+  concurrency = DEFAULT_CONCURRENCY,
+  signal,
+  onEvent = () => {},
+}) {
+  const products = productsMentioned(content, catalogue);
+  const language = detectLanguage(content);
+  const ruleFindings = [
+    ...runRules(content, [...rules, ...rulesForProfile(profile), ...rulesForRulepacks(rulepacks)]),
+    ...checkLimits(content, checklist),
+    ...checkFacts(content, products),
+  ];
+  onEvent({ type: 'rules', findings: ruleFindings });
+
+  let review = null;
+  let model = { status: 'ok' };
+
+  try {
+    const selected = provider || getProvider();
+    model.provider = selected.name;
+    model.model = selected.model;
+    review = await reviewChunks({ provider: selected, content, filename, profile, checklist, rulepacks, products, language, chunkChars, concurrency, signal, onEvent });
+    model.chunks = review.chunks;
+  } catch (error) {
+    if (!signal?.aborted) console.error('Model review failed:', error);
+    model = {
+      ...model,
+      status: error instanceof ProviderConfigError ? 'skipped' : 'failed',
+      code: error.code,
+      ...describeModelError(error)
+    };
+  }
+
+  const blocks = parseStructure(content);
+  const merged = mergeFindings(ruleFindings, review?.findings || []);
+  const findings = finalizeFindings(applyApprovedClaims(merged, claims, { markets, products }))
+    .map((finding) => ({ ...finding, location: locateOffset(blocks, finding.start) }));
+
+  return {
+    filename,
+    summary: review?.summary || `Rule-based checks found ${findings.length} issue(s). ${model.message}`,
+    riskLevel: riskLevelFor(findings),
+    findings,
+    profile: { id: profile.id, name: profile.name, version: profile.version },
+    checklist: { id: checklist.id, name: checklist.name, version: checklist.version, sections: checklist.sections },
+    language,
+    seo: analyzeSeo({ content, page, keyword, language }),
+    markets,
+    rulepacks: rulepacks.map(describeRulepack),
+    products: products.map(({ id, name, version }) => ({ id, name, version })),
+    model,
+  };
+}
@@ -0,0 +1,243 @@
+// lib/review/prompt.js
+import { productFacts } from '../catalogue/facts.js';
+import { defaultChecklist } from '../checklists/defaultChecklists.js';
+import { describeLanguage, isEnglishOnly } from '../language/detect.js';
+import { MARKETS } from '../rulepacks/index.js';
+import { SEVERITIES } from './schema.js';
+
+// Part of the review cache key: bump it whenever the prompt or output
+// format changes, so reviews made with the old prompt are not reused.
+export const PROMPT_VERSION = 4;
+
+const bullets = (items) => items.map((item) => `- ${item}`).join('\n');
+
+// What the brand profile adds to the checklist section of the same id.
+function profileNotes(profile) {
+  const forbiddenPackaging = profile.forbiddenPackaging || [];
+  return {
+    unsubstantiated_claim: profile.forbiddenClaims?.length ? `
+Claims this brand must never make (flag these and anything similar):
+${bullets(profile.forbiddenClaims.map((claim) => `"${claim}"`))}` : '',
+    packaging: forbiddenPackaging.length === 0 ? '' : `
+CRITICAL: Flag any mention that suggests ${forbiddenPackaging.join(' or ')} packaging or its superiority:
+${forbiddenPackaging.map((material) => `- Direct mentions of "${material} bottles" or "${material} containers"
+- Indirect suggestions that the product comes in ${material}
+- Statements like "best stored in ${material}" or "${material} preserves quality better"`).join('\n')}
+- Comparisons favoring ${forbiddenPackaging.join(' or ')} over our packaging (${profile.packaging || 'as listed above'})
+- Any implication that premium products require ${forbiddenPackaging.join(' or ')} packaging
+
+NOTE: General purity language ("pure oil", "quality sourcing") is acceptable and NOT a packaging issue.`,
+  };
+}
+
+const FACTUAL_SECTION = {
+  id: 'factual',
+  label: 'Factual accuracy',
+  instructions: `Statements about the products under PRODUCT FACT SHEETS that contradict their facts:
+smoke points, nutrition and fatty-acid figures, extraction method, pack sizes, packaging and certifications
+Benefit statements that go beyond the product's approved benefit statements
+Cite the contradicted facts in "facts"; quote only the wrong statement, and suggest a correction that agrees with the fact sheet`,
+};
+
+// The checklist's sections, plus factual accuracy when the document
+// mentions catalogue products the checklist does not already cover.
+export function reviewCriteria(checklist = defaultChecklist, products = []) {
+  const sections = checklist.sections;
+  if (products.length === 0 || sections.some((section) => section.id === FACTUAL_SECTION.id)) return sections;
+  return [...sections, FACTUAL_SECTION];
+}
+
+// Review instructions assembled from the selected brand profile, the
+// sections of the selected checklist and the products the document names.
+export function buildInstructions(profile, checklist = defaultChecklist, products = []) {
+  const forbiddenPackaging = profile.forbiddenPackaging || [];
+  const packagingNote = profile.packaging
+    ? `${profile.packaging}${forbiddenPackaging.length ? ` (NOT ${forbiddenPackaging.join(' or ')})` : ''}`
+    : 'Not specified';
+
+  const notes = profileNotes(profile);
+  const criteria = reviewCriteria(checklist, products).map((section, i) => `${i + 1}. ${section.label.toUpperCase()} (category "${section.id}")
+${section.instructions}${section.maxLength ? `
+Limit: ${section.maxLength} characters. Text over the limit is flagged automatically; do not report the length itself.` : ''}${notes[section.id] || ''}
+`);
+
+  return `
+ROLE & CONTEXT
+
+You are a Senior Business Analyst and Content Review Specialist for ${profile.name}. You specialize in reviewing marketing content, blog posts, product descriptions, and website copy for regulatory compliance, accuracy, and user experience.
+
+COMPANY BACKGROUND
+
+${profile.name}: ${profile.background}
+Primary Products: ${profile.products?.length ? profile.products.join(', ') : 'Not specified'}
+Market: ${profile.targetMarket || 'Not specified'}
+Positioning: ${profile.positioning || 'Not specified'}
+Packaging: ${packagingNote}
+
+YOUR REVIEW CRITERIA (${checklist.name})
+
+${criteria.join('\n')}
+IMPORTANT GUIDELINES
+- Be thorough but concise in your analysis
+- Focus on business impact and compliance risks
+- Prioritize issues by business risk level
+${profile.toneGuidelines?.length ? bullets(profile.toneGuidelines) : ''}
+`;
+}
+
+const quoted = (items) => items.map((item) => `"${item}"`).join('; ');
+
+function describeClause(clause) {
+  return [
+    `[${clause.id}] ${clause.title} (${clause.reference})`,
+    clause.summary,
+    clause.examples?.length ? `Violations: ${quoted(clause.examples)}` : null,
+    clause.permitted?.length ? `Permitted wording: ${quoted(clause.permitted)}` : null,
+  ].filter(Boolean).join('\n');
+}
+
+// The clauses of the selected rulepacks, with the examples and permitted
+// wording the model should measure the content against.
+export function buildRegulations(rulepacks) {
+  if (!rulepacks?.length) return '';
+
+  const markets = [...new Set(rulepacks.map((rulepack) => MARKETS[rulepack.market] || rulepack.market))];
+  const sections = rulepacks.map((rulepack) =>
+    `${rulepack.name} (${rulepack.source})\n\n${rulepack.clauses.map(describeClause).join('\n\n')}`
+  );
+
+  return `
+APPLICABLE REGULATIONS
+
+The content will be published in: ${markets.join(', ')}.
+When a finding violates one of these clauses, cite its id in "clauses". Prefer the permitted wording when writing suggestions.
+
+${sections.join('\n\n')}
+`;
+}
+
+// What to check when proofreading each language, beyond spelling.
+const PROOFREADING_NOTES = {
+  en: 'Indian English spelling and usage are correct; do not Americanise them.',
+  hi: 'matras and halant, nukta (ज़, फ़), anusvara and chandrabindu, gender and number agreement of verbs and postpositions, the danda (।) as the full stop, and English loanwords written inconsistently (Devanagari in one place, Latin in another).',
+  ta: 'sandhi and doubled consonants (ஒற்று மிகுதல்), long and short vowels, the pulli, and formal and colloquial forms mixed in one text.',
+  te: 'long and short vowels, conjunct consonants (ఒత్తులు), sandhi, and formal and colloquial forms mixed in one text.',
+  'hi-Latn': 'Hinglish is intentional: never flag Hindi words in Latin script as misspellings or suggest translating them into English. Flag only the same word spelled differently within the text (e.g. "bahut" and "bohot") or spellings that hurt readability.',
+};
+
+// Regional-language and mixed-language content: review it in its own
+// language, but explain findings in English for the compliance team.
+export function buildLanguageNotes(language) {
+  if (isEnglishOnly(language)) return '';
+
+  return `
+LANGUAGE
+
+The document is written in ${describeLanguage(language)}. Review it in its own language:
+${bullets(language.languages.map((entry) => `Proofreading ${entry.name}: ${PROOFREADING_NOTES[entry.code]}`))}
+- Claims, packaging and regulatory criteria apply in every language and script, e.g. "कांच की बोतल" or "kaanch ki bottle" (glass bottle) is a packaging issue exactly like the English.
+- Copy "quote" exactly from the document in its original script. Never translate or transliterate it.
+- Write "explanation" in English for the compliance team, starting with an English translation of the quote in brackets, e.g. "[boosts immunity] Health claim that ...".
+- Write "suggestion" in the language and script of the quoted text, so it can replace the quote as is.
+`;
+}
+
+const EXAMPLE_FINDING = `
+EXAMPLE FINDING:
+{
+  "category": "unsubstantiated_claim",
+  "severity": "HIGH",
+  "quote": "Eliminates dandruff completely",
+  "start": 412,
+  "explanation": "Medical claim requiring clinical evidence",
+  "suggestion": "May help reduce dandruff flakes when used regularly",
+  "clauses": []
+}
+`;
+
+// Verified facts about the catalogue products the document mentions, for
+// the model to check product statements against and cite.
+export function buildFactSheets(products) {
+  if (!products?.length) return '';
+
+  const sheets = products.map((product) => [
+    `${product.name}${product.aliases?.length ? ` (also: ${product.aliases.join(', ')})` : ''}`,
+    ...productFacts(product).map((fact) => `[${fact.id}] ${fact.label}: ${fact.value}`),
+  ].join('\n'));
+
+  return `
+PRODUCT FACT SHEETS
+
+Verified catalogue data for the products this document mentions. Treat it as the source of truth.
+When the document contradicts a fact, report a "factual" finding and cite the fact ids in "facts".
+
+${sheets.join('\n\n')}
+`;
+}
+
+// Findings may only use the criteria's section ids as categories.
+export function buildOutputInstructions(checklist = defaultChecklist, products = []) {
+  const categories = reviewCriteria(checklist, products).map((section) => section.id);
+  return `
+OUTPUT FORMAT
+
+Respond with a single JSON object and nothing else:
+
+{
+  "summary": "2-4 sentence overview of the document's compliance and quality, including 3-5 actionable recommendations",
+  "findings": [
+    {
+      "category": one of ${categories.map((c) => `"${c}"`).join(', ')},
+      "severity": one of ${SEVERITIES.map((s) => `"${s}"`).join(', ')},
+      "quote": "the exact problematic text, copied character-for-character from the document",
+      "start": character offset of the quote in the document content (0-based),
+      "explanation": "why this is a problem",
+      "suggestion": "compliant replacement text for the quoted span, or an empty string if you have no replacement",
+      "clauses": ["ids of the APPLICABLE REGULATIONS clauses this text violates, or an empty array"]${products.length > 0 ? `,
+      "facts": ["ids of the PRODUCT FACT SHEETS facts this text contradicts, or an empty array"]` : ''}
+    }
+  ]
+}
+
+Rules:
+- "quote" must appear verbatim in the document. Quote the shortest span that contains the problem.
+- "suggestion" must be a drop-in replacement for "quote", not advice about it.
+- Unless a criterion says otherwise, use HIGH for medical/therapeutic claims and packaging contradictions, MEDIUM for other unsubstantiated claims and regulatory concerns, LOW for language and UX issues.
+- Only cite clause ids that are listed under APPLICABLE REGULATIONS, exactly as written there.${products.length > 0 ? `
+- Only cite fact ids that are listed under PRODUCT FACT SHEETS, exactly as written there.` : ''}
+- Write suggestions that keep the brand's positioning and tone.
+- Return "findings": [] if there are no issues.
+${categories.includes('unsubstantiated_claim') ? EXAMPLE_FINDING : ''}`;
+}
+
+// Long documents are reviewed in parts; `part` tells the model which one it
+// is looking at so it does not flag the missing intro or conclusion.
+export function buildReviewPrompt({ content, filename, part, profile, checklist, rulepacks, products = [], language }) {
+  const partNote = part && part.total > 1
+    ? `**Part:** ${part.index + 1} of ${part.total}. Only review this part. Offsets are relative to the start of this part.\n`
+    : '';
+
+  return `${buildInstructions(profile, checklist, products)}${buildLanguageNotes(language)}${buildRegulations(rulepacks)}${buildFactSheets(products)}
+${buildOutputInstructions(checklist, products)}
+**DOCUMENT TO ANALYZE:**
+**Filename:** ${filename}
+${partNote}
+**Content:**
+${content}`;
+}
+
+// Sent when the previous response failed validation, so the model can
+// correct its own output instead of us guessing at what it meant.
+export function buildRepairPrompt({ prompt, previousOutput, errors }) {
+  return `${prompt}
+
+**YOUR PREVIOUS RESPONSE WAS REJECTED**
+
+Previous response:
+${previousOutput}
+
+Problems found:
+${errors.map((error) => `- ${error}`).join('\n')}
+
+Return the corrected JSON object only, following the output format exactly.`;
+}
@@ -0,0 +1,274 @@
+// lib/review/schema.js
+import { decompose } from '../language/normalize.js';
+
+export const CATEGORIES = [
+  'proofreading',
+  'unsubstantiated_claim',
+  'ux',
+  'packaging',
+  'regulatory',
+  'factual',
+];
+
+export const CATEGORY_LABELS = {
+  proofreading: 'Proofreading',
+  unsubstantiated_claim: 'Unsubstantiated claim',
+  ux: 'User experience',
+  packaging: 'Packaging',
+  regulatory: 'Regulatory',
+  factual: 'Factual accuracy',
+};
+
+export const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH'];
+
+// Common spellings the model uses instead of our category ids.
+const CATEGORY_ALIASES = {
+  'proofreading corrections': 'proofreading',
+  'grammar': 'proofreading',
+  'spelling': 'proofreading',
+  'unsubstantiated claim': 'unsubstantiated_claim',
+  'unsubstantiated claims': 'unsubstantiated_claim',
+  'claim': 'unsubstantiated_claim',
+  'claims': 'unsubstantiated_claim',
+  'user experience': 'ux',
+  'user experience issues': 'ux',
+  'packaging contradiction': 'packaging',
+  'regulatory risk': 'regulatory',
+  'regulation': 'regulatory',
+  'factual accuracy': 'factual',
+  'factual error': 'factual',
+  'fact': 'factual',
+};
+
+// `categories` are the ids allowed here: the built-in ones, or the
+// sections of a review's checklist.
+export function normalizeCategory(value, categories = CATEGORIES) {
+  if (typeof value !== 'string') return null;
+  const key = value.trim().toLowerCase().replace(/[-_]+/g, ' ');
+  const id = key.replace(/\s+/g, '_');
+  if (categories.includes(id)) return id;
+  return categories.includes(CATEGORY_ALIASES[key]) ? CATEGORY_ALIASES[key] : null;
+}
+
+// The sections a review's findings are grouped under, in order: those of
+// its checklist, then any built-in category a rule reported outside them.
+// Reviews made before checklists existed use the built-in categories.
+export function reviewSections(review) {
+  const sections = (review?.checklist?.sections || []).map(({ id, label }) => ({ id, label }));
+  for (const category of CATEGORIES) {
+    if (sections.some((section) => section.id === category)) continue;
+    if (!review?.checklist || review.findings?.some((finding) => finding.category === category)) {
+      sections.push({ id: category, label: CATEGORY_LABELS[category] });
+    }
+  }
+  return sections;
+}
+
+export function sectionLabels(review) {
+  return Object.fromEntries(reviewSections(review).map((section) => [section.id, section.label]));
+}
+
+export function normalizeSeverity(value) {
+  if (typeof value !== 'string') return null;
+  const severity = value.trim().toUpperCase();
+  return SEVERITIES.includes(severity) ? severity : null;
+}
+
+export function severityRank(severity) {
+  return SEVERITIES.indexOf(severity);
+}
+
+// Overall risk is the most severe finding; a clean document is LOW.
+export function riskLevelFor(findings) {
+  return findings.reduce(
+    (level, finding) => severityRank(finding.severity) > severityRank(level) ? finding.severity : level,
+    'LOW'
+  );
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Find the span of `quote` in `content`. Model offsets are only a hint: we
+// trust the quoted text and pick the occurrence closest to the hinted start,
+// falling back to a whitespace-insensitive match.
+export function locateQuote(content, quote, hint) {
+  if (Number.isInteger(hint) && content.slice(hint, hint + quote.length) === quote) {
+    return { start: hint, end: hint + quote.length };
+  }
+
+  let best = null;
+  let index = content.indexOf(quote);
+  while (index !== -1) {
+    if (best === null || (Number.isInteger(hint) && Math.abs(index - hint) < Math.abs(best - hint))) {
+      best = index;
+    }
+    index = content.indexOf(quote, index + 1);
+  }
+  if (best !== null) return { start: best, end: best + quote.length };
+
+  const words = quote.trim().split(/\s+/).map(escapeRegExp);
+  if (words.length === 0 || !words[0]) return null;
+  const match = new RegExp(words.join('\\s+')).exec(content);
+  if (match) return { start: match.index, end: match.index + match[0].length };
+
+  // Models often return Indic text in a different Unicode form (ड़ as one
+  // code point or two) than the document uses.
+  const { text, startAt, endAt } = decompose(content);
+  const decomposed = new RegExp(quote.normalize('NFD').trim().split(/\s+/).map(escapeRegExp).join('\\s+')).exec(text);
+  if (decomposed) return { start: startAt(decomposed.index), end: endAt(decomposed.index + decomposed[0].length) };
+
+  return null;
+}
+
+// Union of two citation lists, one entry per clause.
+export function mergeCitations(a = [], b = []) {
+  const merged = [...a];
+  for (const citation of b) {
+    if (!merged.some((existing) => existing.clause === citation.clause)) merged.push(citation);
+  }
+  return merged;
+}
+
+// Union of two lists of catalogue facts, one entry per fact.
+export function mergeFacts(a = [], b = []) {
+  return [...a, ...b.filter((fact) => !a.some((existing) => existing.id === fact.id))];
+}
+
+function requireString(value, field, errors, prefix) {
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    errors.push(`${prefix}: "${field}" must be a non-empty string`);
+    return null;
+  }
+  return value.trim();
+}
+
+// Explanations are for the compliance team, so they are in English even
+// when the document is not; a quoted word in another script is fine.
+function isMostlyLatin(text) {
+  const letters = text.match(/\p{L}/gu) || [];
+  const latin = letters.filter((letter) => /\p{Script=Latin}/u.test(letter)).length;
+  return latin * 2 >= letters.length;
+}
+
+// Resolve the clause ids a finding cites against the selected rulepacks
+// (`clauses` maps clause id to citation, see lib/rulepacks).
+function resolveCitations(value, clauses, errors, prefix) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.some((id) => typeof id !== 'string')) {
+    errors.push(`${prefix}: "clauses" must be an array of clause ids`);
+    return [];
+  }
+
+  const citations = [];
+  for (const id of value) {
+    const citation = clauses.get(id.trim());
+    if (citation) {
+      citations.push(citation);
+    } else {
+      errors.push(`${prefix}: unknown clause "${id}". Use only clause ids listed under APPLICABLE REGULATIONS`);
+    }
+  }
+  return mergeCitations([], citations);
+}
+
+// Resolve the catalogue fact ids a finding cites (`facts` maps fact id to
+// fact, see lib/catalogue/facts.js).
+function resolveFacts(value, facts, errors, prefix) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.some((id) => typeof id !== 'string')) {
+    errors.push(`${prefix}: "facts" must be an array of fact ids`);
+    return [];
+  }
+
+  const resolved = [];
+  for (const id of value) {
+    const fact = facts.get(id.trim());
+    if (fact) {
+      resolved.push(fact);
+    } else {
+      errors.push(`${prefix}: unknown fact "${id}". Use only fact ids listed under PRODUCT FACT SHEETS`);
+    }
+  }
+  return mergeFacts([], resolved);
+}
+
+// Validate the parsed model output against the findings schema and the
+// submitted document. Fixable problems (casing, aliases, wrong offsets) are
+// repaired in place; everything else is reported in `errors`. Findings
+// must use one of `categories`, the sections of the review's checklist, and
+// "factual" findings must cite the catalogue facts they contradict.
+export function validateReview(raw, content, { clauses = new Map(), facts = new Map(), categories = CATEGORIES } = {}) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { review: null, errors: ['Output must be a JSON object with "summary" and "findings"'] };
+  }
+
+  const summary = typeof raw.summary === 'string' ? raw.summary.trim() : '';
+  if (!summary) errors.push('"summary" must be a non-empty string');
+
+  if (!Array.isArray(raw.findings)) {
+    errors.push('"findings" must be an array');
+    return { review: null, errors };
+  }
+
+  const findings = [];
+  raw.findings.forEach((item, i) => {
+    const prefix = `findings[${i}]`;
+    if (!item || typeof item !== 'object') {
+      errors.push(`${prefix}: must be an object`);
+      return;
+    }
+
+    const category = normalizeCategory(item.category, categories);
+    if (!category) errors.push(`${prefix}: "category" must be one of ${categories.join(', ')}`);
+
+    const severity = normalizeSeverity(item.severity);
+    if (!severity) errors.push(`${prefix}: "severity" must be one of ${SEVERITIES.join(', ')}`);
+
+    const quote = requireString(item.quote, 'quote', errors, prefix);
+    const explanation = requireString(item.explanation, 'explanation', errors, prefix);
+    if (explanation && !isMostlyLatin(explanation)) {
+      errors.push(`${prefix}: "explanation" must be written in English; keep "quote" and "suggestion" in the document's language`);
+    }
+    const suggestion = typeof item.suggestion === 'string' ? item.suggestion.trim() : '';
+    const citations = resolveCitations(item.clauses, clauses, errors, prefix);
+    const cited = resolveFacts(item.facts, facts, errors, prefix);
+    if (category === 'factual' && cited.length === 0 && !errors.some((error) => error.startsWith(`${prefix}: unknown fact`))) {
+      errors.push(`${prefix}: "factual" findings must cite the PRODUCT FACT SHEETS facts they contradict in "facts"`);
+    }
+
+    let span = null;
+    if (quote) {
+      span = locateQuote(content, quote, item.start);
+      if (!span) errors.push(`${prefix}: "quote" must be copied verbatim from the document, but "${quote.slice(0, 80)}" was not found`);
+    }
+
+    if (category && severity && span && explanation) {
+      findings.push({
+        category,
+        severity,
+        quote: content.slice(span.start, span.end),
+        start: span.start,
+        end: span.end,
+        explanation,
+        suggestion,
+        citations,
+        ...(cited.length > 0 && { facts: cited }),
+      });
+    }
+  });
+
+  if (errors.length > 0) return { review: null, errors };
+
+  return { review: { summary, findings }, errors };
+}
+
+// Stable ordering and ids for the final report.
+export function finalizeFindings(findings) {
+  return [...findings]
+    .sort((a, b) => a.start - b.start || severityRank(b.severity) - severityRank(a.severity))
+    .map((finding, i) => ({ ...finding, id: `F${String(i + 1).padStart(3, '0')}` }));
+}
@@ -0,0 +1,192 @@
+// lib/reviews/store.js
+import crypto from 'crypto';
+import { SEVERITIES } from '../review/schema.js';
+import { collection } from '../storage/store.js';
+import { initialWorkflow, workflowOf } from '../workflow/workflow.js';
+
+// Every review the API completes is kept, with the document text, so it
+// can be searched and re-opened later. Reviews of successive drafts of the
+// same post share a `documentId` and are numbered by `revision`.
+const reviews = collection('reviews');
+
+// Listing and search read only this index: one small record per review with
+// its summary and the distinct words of its searchable text, so a page of
+// history does not parse every stored document. It is written with each
+// review and rebuilt for reviews saved before it existed.
+const reviewIndex = collection('review-index');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const SNIPPET_RADIUS = 60;
+
+export function countBySeverity(findings) {
+  return Object.fromEntries(
+    SEVERITIES.map((severity) => [severity, findings.filter((finding) => finding.severity === severity).length])
+  );
+}
+
+// The list view of a review: everything except the document and findings.
+function summarize(record) {
+  return {
+    id: record.id,
+    documentId: record.documentId || record.id,
+    revision: record.revision || 1,
+    createdAt: record.createdAt,
+    submittedBy: record.submittedBy,
+    filename: record.filename,
+    riskLevel: record.riskLevel,
+    summary: record.summary,
+    profile: record.profile,
+    markets: record.markets,
+    model: record.model && { status: record.model.status, provider: record.model.provider, model: record.model.model },
+    status: workflowOf(record).status,
+    findingCounts: countBySeverity(record.findings),
+    characters: record.content.length,
+  };
+}
+
+function searchTerms(query) {
+  return (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+function searchableText(record) {
+  return [
+    record.filename,
+    record.summary,
+    record.content,
+    ...record.findings.flatMap((finding) => [finding.quote, finding.explanation, finding.suggestion]),
+  ].join('\n').toLowerCase();
+}
+
+// Text around the first match, from the document if the term is there or
+// else from the finding that matched.
+function snippetFor(record, terms) {
+  const content = record.content.toLowerCase();
+  for (const term of terms) {
+    const index = content.indexOf(term);
+    if (index === -1) continue;
+    const start = Math.max(0, index - SNIPPET_RADIUS);
+    const end = Math.min(record.content.length, index + term.length + SNIPPET_RADIUS);
+    return `${start > 0 ? '…' : ''}${record.content.slice(start, end).replace(/\s+/g, ' ')}${end < record.content.length ? '…' : ''}`;
+  }
+
+  const finding = record.findings.find((candidate) =>
+    terms.some((term) => `${candidate.quote} ${candidate.explanation}`.toLowerCase().includes(term))
+  );
+  return finding ? `Finding: “${finding.quote}” ${finding.explanation}` : null;
+}
+
+// Search terms contain no whitespace, so a term occurs in the searchable
+// text exactly when it occurs in one of these words.
+function indexEntry(record) {
+  return {
+    ...summarize(record),
+    words: [...new Set(searchableText(record).split(/\s+/).filter(Boolean))],
+  };
+}
+
+let indexReady = null;
+
+// Once per process: indexes reviews the index is missing and drops entries
+// for reviews that are gone.
+function ensureIndex() {
+  indexReady ||= (async () => {
+    const [reviewIds, indexedIds] = await Promise.all([reviews.ids(), reviewIndex.ids()]);
+    const indexed = new Set(indexedIds);
+    for (const id of reviewIds.filter((reviewId) => !indexed.has(reviewId))) {
+      const record = await reviews.get(id);
+      if (record) await reviewIndex.insert(indexEntry(record));
+    }
+    const stored = new Set(reviewIds);
+    for (const id of indexedIds.filter((indexedId) => !stored.has(indexedId))) await reviewIndex.remove(id);
+  })().catch((error) => {
+    indexReady = null;
+    throw error;
+  });
+  return indexReady;
+}
+
+// A date-only `to` includes the whole day.
+function parseDate(value, endOfDay = false) {
+  if (!value) return null;
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// `previous` is the stored review this document is a new revision of;
+// `submittedBy` the username of whoever requested the review, and
+// `batchId` the batch it was part of, if any.
+export async function saveReview({ content, review, previous, submittedBy, batchId }) {
+  const record = await reviews.insert({
+    createdAt: new Date().toISOString(),
+    submittedBy,
+    batchId,
+    documentId: previous ? previous.documentId || previous.id : crypto.randomUUID(),
+    revision: previous ? (previous.revision || 1) + 1 : 1,
+    previousReviewId: previous?.id,
+    content,
+    ...review,
+    workflow: initialWorkflow(previous),
+  });
+  await reviewIndex.insert(indexEntry(record));
+  return record;
+}
+
+export async function getReview(id) {
+  return reviews.get(id);
+}
+
+// Read-modify-write of one review; returns null if it does not exist.
+// The index is written under the review's lock so concurrent updates
+// leave it matching the last one.
+export async function updateReview(id, fn) {
+  return reviews.update(id, async (current) => {
+    const next = await fn(current);
+    await reviewIndex.insert(indexEntry({ ...next, id }));
+    return next;
+  });
+}
+
+export async function deleteReview(id) {
+  const removed = await reviews.remove(id);
+  await reviewIndex.remove(id);
+  return removed;
+}
+
+// Newest first. `q` matches reviews containing every word, in the
+// filename, summary, document or findings; `riskLevels`, `statuses`, the
+// `from`/`to` dates and `documentId` (all revisions of one document) narrow
+// the list further.
+export async function listReviews({
+  q,
+  riskLevels,
+  statuses,
+  from,
+  to,
+  documentId,
+  limit = DEFAULT_PAGE_SIZE,
+  offset = 0,
+} = {}) {
+  const terms = searchTerms(q);
+  const since = parseDate(from);
+  const until = parseDate(to, true);
+  const pageSize = Math.min(Math.max(1, limit), MAX_PAGE_SIZE);
+
+  await ensureIndex();
+  const matches = (await reviewIndex.list())
+    .filter((entry) => !documentId || entry.documentId === documentId)
+    .filter((entry) => !riskLevels?.length || riskLevels.includes(entry.riskLevel))
+    .filter((entry) => !statuses?.length || statuses.includes(entry.status))
+    .filter((entry) => !since || new Date(entry.createdAt) >= since)
+    .filter((entry) => !until || new Date(entry.createdAt) <= until)
+    .filter((entry) => terms.every((term) => entry.words.some((word) => word.includes(term))))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  // Only the reviews on this page are read in full, for their snippets.
+  const page = await Promise.all(matches.slice(offset, offset + pageSize).map(async ({ words, ...summary }) => {
+    const record = terms.length ? await reviews.get(summary.id) : null;
+    return { ...summary, snippet: record ? snippetFor(record, terms) : null };
+  }));
+
+  return { total: matches.length, reviews: page };
+}
@@ -0,0 +1,83 @@
+// lib/rulepacks/asci.js
+
+const asci = {
+  id: 'asci',
+  name: 'ASCI self-regulatory code',
+  market: 'IN',
+  version: '2023.1',
+  source: 'Advertising Standards Council of India, Code for Self-Regulation of Advertising Content and guidelines',
+  note: 'Clause texts are summaries for reviewers, not the code text. Confirm with legal before relying on a citation.',
+  clauses: [
+    {
+      id: 'ASCI-I-SUBSTANTIATION',
+      reference: 'ASCI Code, Chapter I (truthful and honest representation)',
+      title: 'Claims must be substantiated',
+      summary: 'Descriptions, claims and comparisons that relate to matters of objectively ascertainable fact must be capable of substantiation, and the advertiser must be able to produce the substantiation on request.',
+      examples: ['Clinically proven to reduce hair fall', 'No. 1 groundnut oil in India'],
+      permitted: ['Loved by families across Tamil Nadu (customer survey, 2024)'],
+      rules: [
+        {
+          id: 'asci-proof-claim',
+          type: 'phrase',
+          category: 'unsubstantiated_claim',
+          severity: 'HIGH',
+          phrases: ['clinically proven', 'clinically tested', 'scientifically proven', 'doctor recommended', 'dermatologist recommended'],
+          explanation: 'Claim of clinical or expert backing that must be substantiated with evidence we can produce.',
+        },
+        {
+          id: 'asci-superlative',
+          type: 'regex',
+          category: 'unsubstantiated_claim',
+          severity: 'MEDIUM',
+          pattern: "\\b(?:no\\.?\\s*1|number one|india's best|most trusted)\\b",
+          flags: 'i',
+          explanation: 'Superlative or leadership claim that needs independent substantiation.',
+        },
+      ],
+    },
+    {
+      id: 'ASCI-I-MISLEAD',
+      reference: 'ASCI Code, Chapter I (truthful and honest representation)',
+      title: 'No misleading by implication, omission or exaggeration',
+      summary: 'Advertisements must not mislead consumers by implication, omission, ambiguity or exaggeration, and must not abuse consumer trust or exploit lack of knowledge.',
+      examples: ['Guaranteed results', '100% effective for everyone'],
+      permitted: ['Suitable for most hair types; patch test recommended'],
+      rules: [
+        {
+          id: 'asci-absolute',
+          type: 'phrase',
+          category: 'unsubstantiated_claim',
+          severity: 'MEDIUM',
+          phrases: ['guaranteed results', '100% effective', 'works for everyone', 'always works', 'no side effects'],
+          explanation: 'Absolute claim that exaggerates what can be substantiated.',
+        },
+      ],
+    },
+    {
+      id: 'ASCI-III-SAFETY',
+      reference: 'ASCI Code, Chapter III (against harmful products and situations)',
+      title: 'No encouragement of unsafe practices',
+      summary: 'Advertisements must not encourage practices that disregard safety or could be harmful, such as ingesting products not meant for consumption or applying them in unsafe ways.',
+      examples: ['Drink a spoon of castor oil every morning for a detox'],
+      permitted: ['For external use only'],
+    },
+    {
+      id: 'ASCI-IV-COMPARE',
+      reference: 'ASCI Code, Chapter IV (fair in competition)',
+      title: 'Fair comparisons and no disparagement',
+      summary: 'Comparisons with competitors are allowed only when the aspects compared are clear, factual and not chosen to give an artificial advantage. Advertisements must not unfairly denigrate other products or brands.',
+      examples: ['Refined oils are toxic', 'Unlike cheap brands, ours is pure'],
+      permitted: ['Cold wood-pressed, unlike solvent-extracted oils'],
+    },
+    {
+      id: 'ASCI-FOOD',
+      reference: 'ASCI Guidelines for advertising of foods and beverages',
+      title: 'Food advertising guidelines',
+      summary: 'Food advertisements must not claim or imply nutritional or health benefits without substantiation, must not disparage good dietary practice, and must not mislead about the nutritive value of the product.',
+      examples: ['Eat as much as you like, it is healthy oil'],
+      permitted: ['Use in moderation as part of a balanced diet'],
+    },
+  ],
+};
+
+export default asci;
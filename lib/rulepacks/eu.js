@@ -0,0 +1,94 @@
+// lib/rulepacks/eu.js
+
+const eu = {
+  id: 'eu',
+  name: 'EU nutrition and health claims',
+  market: 'EU',
+  version: '2024.1',
+  source: 'Regulation (EC) No 1924/2006 on nutrition and health claims, and Regulation (EU) No 1169/2011 on food information to consumers',
+  note: 'Clause texts are summaries for reviewers, not the regulation text. Member states add national rules; confirm with legal before relying on a citation.',
+  clauses: [
+    {
+      id: 'EU-1169-7-3',
+      reference: 'Regulation (EU) No 1169/2011, Art. 7(3)',
+      title: 'No disease prevention, treatment or cure',
+      summary: 'Food information must not attribute to any food the property of preventing, treating or curing a human disease, or refer to such properties.',
+      examples: ['Prevents heart disease', 'Helps fight cancer'],
+      permitted: ['Part of a varied and balanced diet'],
+      rules: [
+        {
+          id: 'eu-disease-claim',
+          type: 'regex',
+          category: 'unsubstantiated_claim',
+          severity: 'HIGH',
+          pattern: '\\b(?:cures?|cured|treats?|prevents?|heals?|fights?|reverses?)\\s+(?:\\w+\\s+){0,2}(?:cancer|diabetes|acne|dandruff|heart disease|arthritis|hair ?loss|eczema|psoriasis|infections?|cholesterol|blood pressure|hypertension|obesity|disease)\\b',
+          flags: 'i',
+          explanation: 'Disease claim. EU food information may not attribute disease prevention, treatment or cure to a food.',
+        },
+      ],
+    },
+    {
+      id: 'EU-1169-7-1C',
+      reference: 'Regulation (EU) No 1169/2011, Art. 7(1)(c)',
+      title: 'No special characteristics shared by all similar foods',
+      summary: 'Food information must not suggest that a food has special characteristics when all similar foods have the same characteristics, for example stressing the absence of an ingredient that similar foods never contain.',
+      examples: ['Cholesterol-free groundnut oil', 'Our oil contains no cholesterol'],
+      permitted: ['Like all vegetable oils, groundnut oil contains no cholesterol'],
+      rules: [
+        {
+          id: 'eu-cholesterol-free',
+          type: 'phrase',
+          category: 'regulatory',
+          severity: 'MEDIUM',
+          phrases: ['cholesterol free', 'cholesterol-free', 'zero cholesterol', 'no cholesterol', 'contains no cholesterol'],
+          explanation: 'All vegetable oils are cholesterol-free, so presenting it as a special characteristic is misleading.',
+        },
+      ],
+    },
+    {
+      id: 'EU-1924-10',
+      reference: 'Regulation (EC) No 1924/2006, Art. 10',
+      title: 'Only authorised health claims',
+      summary: 'Health claims are prohibited unless they are authorised and included in the Union register of permitted claims, and they must be used with the register\'s conditions of use and wording.',
+      examples: ['Boosts immunity', 'Good for your brain'],
+      permitted: ['Replacing saturated fats with unsaturated fats in the diet contributes to the maintenance of normal blood cholesterol levels'],
+    },
+    {
+      id: 'EU-1924-12',
+      reference: 'Regulation (EC) No 1924/2006, Art. 12',
+      title: 'Prohibited health claims',
+      summary: 'Claims suggesting that health could be affected by not consuming the food, claims about the rate or amount of weight loss, and claims referring to recommendations of individual doctors or health professionals are not allowed.',
+      examples: ['Lose 2 kg in a week', 'Recommended by doctors', 'You need this oil to stay healthy'],
+      permitted: ['Can be part of a calorie-controlled diet'],
+      rules: [
+        {
+          id: 'eu-weight-loss-rate',
+          type: 'regex',
+          category: 'regulatory',
+          severity: 'HIGH',
+          pattern: '\\blose\\s+(?:up\\s+to\\s+)?\\d+(?:\\.\\d+)?\\s*(?:kg|kilos?|kilograms?|lbs?|pounds?)\\b',
+          flags: 'i',
+          explanation: 'Claims about the rate or amount of weight loss are prohibited in the EU.',
+        },
+        {
+          id: 'eu-doctor-recommended',
+          type: 'phrase',
+          category: 'unsubstantiated_claim',
+          severity: 'HIGH',
+          phrases: ['doctor recommended', 'recommended by doctors', 'doctors recommend', 'dermatologist recommended'],
+          explanation: 'Health claims may not refer to recommendations of individual doctors or health professionals.',
+        },
+      ],
+    },
+    {
+      id: 'EU-1924-8',
+      reference: 'Regulation (EC) No 1924/2006, Art. 8 and Annex',
+      title: 'Nutrition claims only as listed in the Annex',
+      summary: 'Nutrition claims such as "high in", "source of" or "low in" may only be made if they are listed in the Annex and the product meets its conditions.',
+      examples: ['Rich in omega-3', 'Packed with vitamin E'],
+      permitted: ['Source of vitamin E (when the Annex conditions are met)'],
+    },
+  ],
+};
+
+export default eu;
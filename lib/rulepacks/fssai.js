@@ -0,0 +1,113 @@
+// lib/rulepacks/fssai.js
+import { DISEASE_CLAIMS, DISEASE_CLAIM_WINDOW, REGIONAL_CLAIMS } from '../language/lexicon.js';
+
+const fssai = {
+  id: 'fssai',
+  name: 'FSSAI advertising and claims',
+  market: 'IN',
+  version: '2018.2',
+  source: 'Food Safety and Standards (Advertising and Claims) Regulations, 2018, and related Indian food law',
+  note: 'Clause texts are summaries for reviewers, not the regulation text. Confirm with legal before relying on a citation.',
+  clauses: [
+    {
+      id: 'FSSAI-AC-GEN',
+      reference: 'FSS (Advertising and Claims) Regulations, 2018, general principles',
+      title: 'Claims must be truthful and not misleading',
+      summary: 'Claims and advertisements must be truthful, unambiguous, meaningful and not misleading, and must help consumers understand the information provided. The advertiser must be able to substantiate every claim.',
+      examples: ['Best oil in India', 'Doctors choose our oil'],
+      permitted: ['A traditional choice for everyday Indian cooking'],
+    },
+    {
+      id: 'FSSAI-AC-HEALTH',
+      reference: 'FSS (Advertising and Claims) Regulations, 2018, health claims',
+      title: 'Health claims need scientific substantiation',
+      summary: 'Health claims (nutrient function and other function claims) must be supported by generally accepted scientific data. Reduction of disease risk claims need prior approval from the Food Authority.',
+      examples: ['Boosts immunity', 'Improves heart health', 'Good for diabetics'],
+      permitted: ['Contains monounsaturated fats as part of a balanced diet'],
+      rules: [
+        {
+          id: 'fssai-health-benefit',
+          type: 'regex',
+          category: 'unsubstantiated_claim',
+          severity: 'MEDIUM',
+          pattern: '\\b(?:boosts?|strengthens?|improves?|enhances?)\\s+(?:your\\s+)?(?:immunity|immune system|heart health|metabolism|brain function|memory)\\b',
+          flags: 'i',
+          explanation: 'Health claim that needs generally accepted scientific substantiation under FSSAI rules.',
+        },
+        {
+          id: 'fssai-health-benefit-regional',
+          type: 'phrase',
+          category: 'unsubstantiated_claim',
+          severity: 'MEDIUM',
+          phrases: REGIONAL_CLAIMS.health,
+          explanation: 'Health claim that needs generally accepted scientific substantiation under FSSAI rules.',
+        },
+      ],
+    },
+    {
+      id: 'FSSAI-AC-DISEASE',
+      reference: 'FSS Act, 2006, s. 24 and FSS (Advertising and Claims) Regulations, 2018',
+      title: 'No claims to prevent, treat or cure disease',
+      summary: 'Food may not be advertised as preventing, alleviating, treating or curing a disease, disorder or physiological condition, other than approved reduction of disease risk claims.',
+      examples: ['Fights cancer', 'Prevents heart disease', 'Cures acne'],
+      permitted: ['Part of a balanced diet and healthy lifestyle'],
+      rules: [
+        {
+          id: 'fssai-disease-claim',
+          type: 'regex',
+          category: 'unsubstantiated_claim',
+          severity: 'HIGH',
+          pattern: '\\b(?:cures?|cured|treats?|prevents?|heals?|fights?|reverses?)\\s+(?:\\w+\\s+){0,2}(?:cancer|diabetes|acne|dandruff|heart disease|arthritis|hair ?loss|eczema|psoriasis|infections?|cholesterol|blood pressure|hypertension|obesity|disease)\\b',
+          flags: 'i',
+          explanation: 'Disease claim. Food cannot be advertised as preventing, treating or curing a disease.',
+        },
+        ...Object.entries(DISEASE_CLAIMS).map(([script, { diseases, verbs }]) => ({
+          id: `fssai-disease-claim-${script}`,
+          type: 'proximity',
+          category: 'unsubstantiated_claim',
+          severity: 'HIGH',
+          terms: diseases,
+          near: verbs,
+          window: DISEASE_CLAIM_WINDOW,
+          explanation: 'Disease claim. Food cannot be advertised as preventing, treating or curing a disease.',
+        })),
+      ],
+    },
+    {
+      id: 'DMR-ACT-3',
+      reference: 'Drugs and Magic Remedies (Objectionable Advertisements) Act, 1954, s. 3',
+      title: 'No advertisements for the cure of scheduled diseases',
+      summary: 'Advertisements may not suggest a product for the diagnosis, cure, mitigation, treatment or prevention of the diseases listed in the Act\'s schedule, which include cancer, diabetes, heart disease, high blood pressure, obesity and baldness.',
+      examples: ['Helps reverse diabetes', 'Stops hair fall and baldness'],
+      permitted: ['Traditionally used as a hair oil'],
+    },
+    {
+      id: 'FSSAI-AC-WORDS',
+      reference: 'FSS (Advertising and Claims) Regulations, 2018, criteria for certain words',
+      title: 'Restricted descriptive words',
+      summary: 'Words such as "natural", "fresh", "pure", "original", "traditional", "authentic", "genuine" and "real" may only be used when the product meets the specific criteria set for each word, and must not mislead about the nature of the product.',
+      examples: ['100% natural and chemical-free', 'Purest oil available'],
+      permitted: ['Wood-pressed using a traditional method'],
+      rules: [
+        {
+          id: 'fssai-chemical-free',
+          type: 'phrase',
+          category: 'regulatory',
+          severity: 'MEDIUM',
+          phrases: ['chemical free', 'chemical-free', '100% natural', '100% pure', 'purest'],
+          explanation: 'Restricted descriptive wording. Check it meets the FSSAI criteria for words such as "natural" and "pure".',
+        },
+      ],
+    },
+    {
+      id: 'FSSAI-AC-DISPARAGE',
+      reference: 'FSS (Advertising and Claims) Regulations, 2018, general principles',
+      title: 'No disparagement of other products',
+      summary: 'Advertisements must not undermine the importance of a healthy lifestyle or disparage other products or brands, and comparative claims must be substantiated.',
+      examples: ['Refined oils are poison', 'Other brands are full of chemicals'],
+      permitted: ['Unlike refined oils, ours is not heat-processed during extraction'],
+    },
+  ],
+};
+
+export default fssai;
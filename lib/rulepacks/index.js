@@ -0,0 +1,96 @@
+// lib/rulepacks/index.js
+import asci from './asci.js';
+import eu from './eu.js';
+import fssai from './fssai.js';
+import us from './us.js';
+
+// Regulations to check content against, grouped by the market they apply
+// in. Each rulepack is plain data: clauses with a summary, example
+// violations and permitted wording, plus optional rule-engine rules.
+export const RULEPACKS = [fssai, asci, eu, us];
+
+export const MARKETS = {
+  IN: 'India',
+  EU: 'European Union',
+  US: 'United States',
+};
+
+export const DEFAULT_MARKETS = ['IN'];
+
+export function getRulepack(id) {
+  return RULEPACKS.find((rulepack) => rulepack.id === id) || null;
+}
+
+export function rulepacksForMarkets(markets) {
+  return RULEPACKS.filter((rulepack) => markets.includes(rulepack.market));
+}
+
+// Resolve a review request's target `markets` and optional `rulepacks` ids
+// (to apply only some of a market's rulepacks). Unknown values are
+// reported in `errors` rather than ignored.
+export function selectRulepacks({ markets = DEFAULT_MARKETS, rulepacks } = {}) {
+  const errors = [];
+
+  if (!Array.isArray(markets) || markets.length === 0) {
+    return { errors: ['"markets" must be a non-empty array of market codes'] };
+  }
+  const codes = [...new Set(markets.map((market) => String(market).trim().toUpperCase()))];
+  for (const code of codes) {
+    if (!MARKETS[code]) errors.push(`Unknown market "${code}". Supported markets: ${Object.keys(MARKETS).join(', ')}`);
+  }
+
+  let selected = rulepacksForMarkets(codes);
+  if (rulepacks !== undefined) {
+    if (!Array.isArray(rulepacks)) return { errors: ['"rulepacks" must be an array of rulepack ids'] };
+    for (const id of rulepacks) {
+      const rulepack = getRulepack(id);
+      if (!rulepack) errors.push(`Unknown rulepack "${id}"`);
+      else if (!codes.includes(rulepack.market)) errors.push(`Rulepack "${id}" is for market ${rulepack.market}, which is not in "markets"`);
+    }
+    selected = selected.filter((rulepack) => rulepacks.includes(rulepack.id));
+  }
+
+  return { markets: codes, rulepacks: selected, errors };
+}
+
+// The reference a finding carries when it violates `clause`.
+export function citationFor(rulepack, clause) {
+  return {
+    rulepack: rulepack.id,
+    clause: clause.id,
+    reference: clause.reference,
+    title: clause.title,
+  };
+}
+
+// Clause id -> citation, for resolving the clause ids the model returns.
+export function clauseIndex(rulepacks) {
+  const index = new Map();
+  for (const rulepack of rulepacks) {
+    for (const clause of rulepack.clauses) index.set(clause.id, citationFor(rulepack, clause));
+  }
+  return index;
+}
+
+// Rule-engine rules from the selected rulepacks; their findings cite the
+// clause the rule belongs to.
+export function rulesForRulepacks(rulepacks) {
+  return rulepacks.flatMap((rulepack) =>
+    rulepack.clauses.flatMap((clause) =>
+      (clause.rules || []).map((rule) => ({
+        ...rule,
+        citation: citationFor(rulepack, clause),
+      }))
+    )
+  );
+}
+
+// Public summary of a rulepack for the response and the UI.
+export function describeRulepack(rulepack) {
+  return {
+    id: rulepack.id,
+    name: rulepack.name,
+    market: rulepack.market,
+    version: rulepack.version,
+  };
+}
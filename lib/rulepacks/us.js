@@ -0,0 +1,85 @@
+// lib/rulepacks/us.js
+
+const us = {
+  id: 'us',
+  name: 'US FDA and FTC food claims',
+  market: 'US',
+  version: '2024.1',
+  source: 'Federal Food, Drug, and Cosmetic Act, 21 CFR Part 101, and the FTC Act with FTC health claims guidance',
+  note: 'Clause texts are summaries for reviewers, not the regulation text. Confirm with legal before relying on a citation.',
+  clauses: [
+    {
+      id: 'US-FDCA-201G',
+      reference: 'FD&C Act, s. 201(g)(1)',
+      title: 'Disease claims make a product a drug',
+      summary: 'A product marketed to diagnose, cure, mitigate, treat or prevent disease is regulated as a drug. Food and cosmetic marketing must not make such claims.',
+      examples: ['Cures dandruff', 'Treats eczema', 'Prevents heart disease'],
+      permitted: ['Helps moisturize dry scalp'],
+      rules: [
+        {
+          id: 'us-disease-claim',
+          type: 'regex',
+          category: 'unsubstantiated_claim',
+          severity: 'HIGH',
+          pattern: '\\b(?:cures?|cured|treats?|prevents?|heals?|fights?|reverses?)\\s+(?:\\w+\\s+){0,2}(?:cancer|diabetes|acne|dandruff|heart disease|arthritis|hair ?loss|eczema|psoriasis|infections?|cholesterol|blood pressure|hypertension|obesity|disease)\\b',
+          flags: 'i',
+          explanation: 'Disease claim. In the US this makes the product an unapproved drug.',
+        },
+      ],
+    },
+    {
+      id: 'US-CFR-101-14',
+      reference: '21 CFR 101.14 and FDA qualified health claims',
+      title: 'Only authorized or qualified health claims',
+      summary: 'Claims linking a food or nutrient to reduced risk of a disease must be an FDA-authorized health claim or follow the exact wording of an FDA qualified health claim enforcement letter.',
+      examples: ['Groundnut oil lowers your risk of heart disease'],
+      permitted: ['Supportive but not conclusive scientific evidence suggests that daily consumption of about 1½ tablespoons (20 grams) of oils containing high levels of oleic acid, when replaced for fats and oils higher in saturated fat, may reduce the risk of coronary heart disease. (Only for oils meeting the FDA criteria.)'],
+    },
+    {
+      id: 'US-CFR-101-13',
+      reference: '21 CFR 101.13 and 101.54 to 101.62',
+      title: 'Defined nutrient content claims',
+      summary: 'Nutrient content claims such as "high", "good source", "low" or "free" may only be used as defined by FDA, and "free" claims for foods that are inherently free of a nutrient must say so for all foods of that type.',
+      examples: ['Cholesterol-free groundnut oil'],
+      permitted: ['Groundnut oil, a cholesterol-free food like all vegetable oils'],
+      rules: [
+        {
+          id: 'us-cholesterol-free',
+          type: 'phrase',
+          category: 'regulatory',
+          severity: 'MEDIUM',
+          phrases: ['cholesterol free', 'cholesterol-free', 'zero cholesterol', 'no cholesterol', 'contains no cholesterol'],
+          explanation: 'A "cholesterol free" claim for a food that is inherently cholesterol-free must state that this is true of all similar foods.',
+        },
+      ],
+    },
+    {
+      id: 'US-FTC-SUBSTANTIATION',
+      reference: 'FTC Act, s. 5 and 12; FTC Health Products Compliance Guidance (2022)',
+      title: 'Competent and reliable scientific evidence',
+      summary: 'Objective health claims in advertising must be truthful, not misleading and supported by competent and reliable scientific evidence, generally well-controlled human clinical studies, at the time the claim is made.',
+      examples: ['Clinically proven to reduce hair fall', 'Guaranteed results'],
+      permitted: ['Many customers find it leaves hair feeling softer'],
+      rules: [
+        {
+          id: 'us-proof-claim',
+          type: 'phrase',
+          category: 'unsubstantiated_claim',
+          severity: 'HIGH',
+          phrases: ['clinically proven', 'clinically tested', 'scientifically proven', 'doctor recommended'],
+          explanation: 'Establishment claim. The FTC expects the study behind it to exist when the claim is made.',
+        },
+      ],
+    },
+    {
+      id: 'US-FTC-ENDORSEMENT',
+      reference: '16 CFR Part 255 (Endorsement Guides)',
+      title: 'Endorsements and testimonials',
+      summary: 'Testimonials must reflect typical results or clearly disclose what results consumers can generally expect, and material connections with endorsers must be disclosed.',
+      examples: ['"My dandruff vanished in a week!" says Priya'],
+      permitted: ['Individual results vary.'],
+    },
+  ],
+};
+
+export default us;
@@ -0,0 +1,70 @@
+// lib/rules/defaultRules.js
+import { DISEASE_CLAIMS, DISEASE_CLAIM_WINDOW, REGIONAL_CLAIMS } from '../language/lexicon.js';
+
+// Hard compliance checks that must never depend on the model. Each rule is
+// plain data so the list can be replaced with a JSON file (see RULES_FILE).
+// Brand-specific checks (forbidden claims, packaging) come from the brand
+// profile instead; see lib/profiles/rules.js. Claims are also matched in
+// Hindi, Hinglish, Tamil and Telugu.
+const defaultRules = [
+  {
+    id: 'medical-claim',
+    type: 'regex',
+    category: 'unsubstantiated_claim',
+    severity: 'HIGH',
+    pattern: '\\b(?:cures?|cured|treats?|prevents?|heals?|fights?|reverses?)\\s+(?:\\w+\\s+){0,2}(?:cancer|diabetes|acne|dandruff|heart disease|arthritis|hair ?loss|eczema|psoriasis|infections?|cholesterol|blood pressure|hypertension|obesity|disease)\\b',
+    flags: 'i',
+    explanation: 'Medical or therapeutic claim. Food and cosmetic products cannot claim to cure, treat or prevent a disease.',
+    suggestion: '',
+  },
+  ...Object.entries(DISEASE_CLAIMS).map(([script, { diseases, verbs }]) => ({
+    id: `medical-claim-${script}`,
+    type: 'proximity',
+    category: 'unsubstantiated_claim',
+    severity: 'HIGH',
+    terms: diseases,
+    near: verbs,
+    window: DISEASE_CLAIM_WINDOW,
+    explanation: 'Medical or therapeutic claim. Food and cosmetic products cannot claim to cure, treat or prevent a disease.',
+    suggestion: '',
+  })),
+  {
+    id: 'clinically-proven',
+    type: 'phrase',
+    category: 'unsubstantiated_claim',
+    severity: 'HIGH',
+    phrases: ['clinically proven', 'clinically tested', 'scientifically proven', 'doctor recommended', ...REGIONAL_CLAIMS.proof],
+    explanation: 'Claims of clinical or scientific proof require a published study we can cite.',
+    suggestion: '',
+  },
+  {
+    id: 'absolute-claim',
+    type: 'phrase',
+    category: 'unsubstantiated_claim',
+    severity: 'MEDIUM',
+    phrases: [
+      '100% effective',
+      'guaranteed results',
+      'always works',
+      'works for everyone',
+      'for all skin types',
+      'eliminates dandruff',
+      'boosts collagen',
+      'no side effects',
+    ],
+    explanation: 'Absolute statement without a qualifier. It cannot be substantiated for every consumer.',
+    suggestion: '',
+  },
+  {
+    id: 'time-bound-promise',
+    type: 'regex',
+    category: 'unsubstantiated_claim',
+    severity: 'MEDIUM',
+    pattern: '\\b(?:results|difference|visible|works?)\\s+(?:with)?in\\s+(?:just\\s+)?\\d+\\s+(?:days?|weeks?|hours?)\\b',
+    flags: 'i',
+    explanation: 'Time-specific promise that needs a supporting study.',
+    suggestion: '',
+  },
+];
+
+export default defaultRules;
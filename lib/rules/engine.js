@@ -0,0 +1,206 @@
+// lib/rules/engine.js
+import { decompose } from '../language/normalize.js';
+import { mergeCitations, normalizeCategory, normalizeSeverity, severityRank } from '../review/schema.js';
+
+const RULE_TYPES = ['phrase', 'regex', 'proximity'];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Letters, combining marks (Indic vowel signs) and digits of any script.
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}_]';
+
+// Devanagari, Tamil and Telugu virama.
+const VIRAMA = /[\u094D\u0BCD\u0C4D]$/u;
+
+// Whole-word, case-insensitive match for a phrase in any script. Internal
+// whitespace in the phrase matches any run of whitespace in the document,
+// and a trailing `*` lets the last word continue, for inflected forms
+// ("बढ़ा*" matches बढ़ाता and बढ़ाती). A virama before the `*` is optional,
+// since suffixes replace it (பாட்டில்* matches பாட்டிலில்).
+function phrasePattern(phrase) {
+  const trimmed = phrase.trim().normalize('NFD');
+  const prefix = trimmed.endsWith('*');
+  const words = trimmed.replace(/\*$/, '').trim().split(/\s+/);
+  if (prefix) words[words.length - 1] = words[words.length - 1].replace(VIRAMA, '');
+  const body = words.map(escapeRegExp).join('\\s+');
+  return `(?<!${WORD_CHAR})${body}${prefix ? `${WORD_CHAR}*` : `(?!${WORD_CHAR})`}`;
+}
+
+function matchAll(content, pattern, flags = '') {
+  const regex = new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`);
+  const matches = [];
+  let match;
+  while ((match = regex.exec(content)) !== null) {
+    if (match[0].length === 0) {
+      regex.lastIndex++;
+      continue;
+    }
+    matches.push({ start: match.index, end: match.index + match[0].length });
+  }
+  return matches;
+}
+
+function matchPhrases(content, phrases) {
+  return phrases.flatMap((phrase) => matchAll(content, phrasePattern(phrase), 'iu'));
+}
+
+// Index of the word containing `offset`, by binary search over the word
+// spans (sorted by start).
+function wordIndexAt(words, offset) {
+  let low = 0;
+  let high = words.length - 1;
+  while (low < high) {
+    const middle = (low + high + 1) >> 1;
+    if (words[middle].start <= offset) low = middle;
+    else high = middle - 1;
+  }
+  return low;
+}
+
+// A `terms` match counts when one of `near` appears within `window` words
+// of it, in either direction and in the same sentence. The finding spans
+// both words. Hits are sorted by word index and swept with two pointers, so
+// only the `near` hits inside each term's window are compared.
+function matchProximity(content, rule) {
+  const words = matchAll(content, '\\S+');
+  if (words.length === 0) return [];
+  const indexed = (hits) => hits
+    .map((hit) => ({ ...hit, word: wordIndexAt(words, hit.start) }))
+    .sort((a, b) => a.word - b.word || a.start - b.start);
+  const termHits = indexed(matchPhrases(content, rule.terms));
+  const nearHits = indexed(matchPhrases(content, rule.near));
+  const sameSentence = (a, b) => {
+    const between = content.slice(Math.min(a.end, b.end), Math.max(a.start, b.start));
+    return !/[.!?।॥](\s|$)|\n/.test(between);
+  };
+
+  const matches = [];
+  let first = 0;
+  for (const term of termHits) {
+    while (first < nearHits.length && nearHits[first].word < term.word - rule.window) first++;
+
+    let nearest = null;
+    for (let i = first; i < nearHits.length && nearHits[i].word <= term.word + rule.window; i++) {
+      const hit = nearHits[i];
+      if (nearest && Math.abs(hit.start - term.start) >= Math.abs(nearest.start - term.start)) continue;
+      if (sameSentence(term, hit)) nearest = hit;
+    }
+    if (!nearest) continue;
+
+    matches.push({
+      start: Math.min(term.start, nearest.start),
+      end: Math.max(term.end, nearest.end),
+    });
+  }
+  return matches;
+}
+
+function matchRule(content, rule) {
+  switch (rule.type) {
+    case 'phrase':
+      return matchPhrases(content, rule.phrases);
+    case 'regex':
+      return matchAll(content, rule.pattern.normalize('NFD'), rule.flags);
+    case 'proximity':
+      return matchProximity(content, rule);
+    default:
+      return [];
+  }
+}
+
+// Throws on the first invalid rule so a broken RULES_FILE fails loudly
+// instead of quietly skipping a compliance check.
+export function validateRules(rules) {
+  if (!Array.isArray(rules)) throw new Error('Rules must be an array');
+
+  const ids = new Set();
+  rules.forEach((rule, i) => {
+    const label = rule?.id || `rules[${i}]`;
+    if (!rule?.id || ids.has(rule.id)) throw new Error(`${label}: every rule needs a unique "id"`);
+    ids.add(rule.id);
+    if (!RULE_TYPES.includes(rule.type)) throw new Error(`${label}: "type" must be one of ${RULE_TYPES.join(', ')}`);
+    if (!normalizeCategory(rule.category)) throw new Error(`${label}: unknown category "${rule.category}"`);
+    if (!normalizeSeverity(rule.severity)) throw new Error(`${label}: unknown severity "${rule.severity}"`);
+    if (!rule.explanation) throw new Error(`${label}: "explanation" is required`);
+    if (rule.type === 'phrase' && !rule.phrases?.length) throw new Error(`${label}: "phrases" must be a non-empty array`);
+    if (rule.type === 'regex') new RegExp(rule.pattern, rule.flags);
+    if (rule.type === 'proximity' && (!rule.terms?.length || !rule.near?.length || !(rule.window > 0))) {
+      throw new Error(`${label}: proximity rules need "terms", "near" and a positive "window"`);
+    }
+  });
+  return rules;
+}
+
+// Position of the first of `sorted` (findings by start) that starts after
+// `offset`.
+function firstStartingAfter(sorted, offset) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sorted[middle].start <= offset) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+// The first finding of one category that overlaps start..end. Findings of
+// a category never overlap each other, so sorted by start they are also
+// sorted by end, and only the ones just before `end` need checking.
+function overlapping(sorted, start, end) {
+  let i = firstStartingAfter(sorted, end - 1) - 1;
+  let found = null;
+  while (i >= 0 && sorted[i].end > start) found = sorted[i--];
+  return found;
+}
+
+// Run every rule over the document. A match that overlaps an earlier
+// finding in the same category is dropped, so rules listed first (the more
+// specific ones) win and each problem is flagged once. A dropped match
+// still adds its clause citation and severity to the finding it repeats.
+// Rules see the decomposed text, so either encoding of a letter matches.
+export function runRules(content, rules) {
+  const findings = [];
+  const byCategory = new Map();
+  const { text, startAt, endAt } = decompose(content);
+
+  for (const rule of rules) {
+    const category = normalizeCategory(rule.category);
+    const severity = normalizeSeverity(rule.severity);
+    const citations = rule.citation ? [rule.citation] : [];
+    const matches = matchRule(text, rule)
+      .map((match) => ({ start: startAt(match.start), end: endAt(match.end) }))
+      .sort((a, b) => a.start - b.start);
+
+    if (!byCategory.has(category)) byCategory.set(category, []);
+    const inCategory = byCategory.get(category);
+
+    for (const { start, end } of matches) {
+      const duplicate = overlapping(inCategory, start, end);
+      if (duplicate) {
+        duplicate.citations = mergeCitations(duplicate.citations, citations);
+        if (severityRank(severity) > severityRank(duplicate.severity)) duplicate.severity = severity;
+        continue;
+      }
+
+      const finding = {
+        category,
+        severity,
+        quote: content.slice(start, end),
+        start,
+        end,
+        explanation: rule.explanation,
+        suggestion: rule.suggestion || '',
+        citations,
+        source: 'rule',
+        ruleId: rule.id,
+      };
+      findings.push(finding);
+      inCategory.splice(firstStartingAfter(inCategory, start), 0, finding);
+    }
+  }
+
+  return findings;
+}
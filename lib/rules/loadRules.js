@@ -0,0 +1,19 @@
+// lib/rules/loadRules.js
+import fs from 'fs';
+import defaultRules from './defaultRules.js';
+import { validateRules } from './engine.js';
+
+let cachedRules = null;
+
+// RULES_FILE points at a JSON array of rules that replaces the defaults.
+export function loadRules() {
+  if (cachedRules) return cachedRules;
+
+  const rulesFile = process.env.RULES_FILE;
+  const rules = rulesFile
+    ? JSON.parse(fs.readFileSync(rulesFile, 'utf8'))
+    : defaultRules;
+
+  cachedRules = validateRules(rules);
+  return cachedRules;
+}
@@ -0,0 +1,316 @@
+// lib/seo/analyze.js
+import { parseStructure } from '../document/structure.js';
+import { markdownToText } from '../extract/markdown.js';
+import { isEnglishOnly } from '../language/detect.js';
+import { outlinePage } from './page.js';
+import {
+  countWords,
+  describeReadingEase,
+  distribution,
+  fleschScores,
+  splitSentences,
+  stripMarkup,
+} from './readability.js';
+
+// Objective SEO and readability metrics for a document, computed locally
+// next to the compliance review. Each check passes, warns or fails (or is
+// skipped when it does not apply), and `score` is the share of points over
+// the checks that ran: a pass is worth 1, a warning half.
+const LONG_SENTENCE_WORDS = 25;
+const LONG_PARAGRAPH_WORDS = 150;
+const SUBHEADING_AFTER_WORDS = 300;
+const TITLE_LENGTH = { min: 30, max: 60 };
+const DESCRIPTION_LENGTH = { min: 70, max: 160 };
+const KEYWORD_DENSITY = { min: 0.5, max: 2.5, stuffed: 4 };
+
+const SENTENCE_BUCKETS = [
+  { label: '1–10 words', max: 10 },
+  { label: '11–20 words', max: 20 },
+  { label: '21–25 words', max: LONG_SENTENCE_WORDS },
+  { label: 'Over 25 words' },
+];
+
+const PARAGRAPH_BUCKETS = [
+  { label: '1–50 words', max: 50 },
+  { label: '51–100 words', max: 100 },
+  { label: '101–150 words', max: LONG_PARAGRAPH_WORDS },
+  { label: 'Over 150 words' },
+];
+
+const POINTS = { pass: 1, warn: 0.5, fail: 0 };
+
+const percent = (part, whole) => whole ? Math.round((part / whole) * 1000) / 10 : 0;
+const average = (values) => values.length ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10 : 0;
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+function keywordPattern(keyword) {
+  const escaped = keyword.normalize('NFC').trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escaped}(?![\\p{L}\\p{M}\\p{N}])`, 'giu');
+}
+
+const countMatches = (text, pattern) => (text.normalize('NFC').match(pattern) || []).length;
+
+// Links are internal when relative or on the site's own host: `SITE_URL`,
+// or the page's own URL when the CMS sent one.
+function isInternal(href, hosts) {
+  if (/^(?:mailto|tel|javascript):/i.test(href)) return null;
+  if (!/^(?:[a-z][a-z0-9+.-]*:)?\/\//i.test(href)) return true;
+  try {
+    return hosts.includes(new URL(href, 'https://invalid.example').hostname.replace(/^www\./, ''));
+  } catch {
+    return false;
+  }
+}
+
+function siteHosts(page, siteUrl) {
+  return [siteUrl, page.url].filter(Boolean).flatMap((url) => {
+    try {
+      return [new URL(url).hostname.replace(/^www\./, '')];
+    } catch {
+      return [];
+    }
+  });
+}
+
+function readabilityChecks({ sentences, paragraphs, flesch, english }) {
+  const long = sentences.filter((length) => length > LONG_SENTENCE_WORDS).length;
+  const longShare = percent(long, sentences.length);
+  const longParagraphs = paragraphs.filter((length) => length > LONG_PARAGRAPH_WORDS).length;
+
+  return [
+    {
+      id: 'reading_ease',
+      label: 'Reading ease',
+      ...(!english
+        ? { status: 'skip', message: 'Flesch reading ease is only defined for English text.' }
+        : !flesch
+          ? { status: 'skip', message: 'No prose to score.' }
+          : {
+            status: flesch.readingEase >= 60 ? 'pass' : flesch.readingEase >= 50 ? 'warn' : 'fail',
+            message: `Flesch reading ease ${flesch.readingEase} (${describeReadingEase(flesch.readingEase)}), about US grade ${flesch.gradeLevel}. Aim for 60 or more.`,
+          }),
+    },
+    {
+      id: 'sentence_length',
+      label: 'Sentence length',
+      status: longShare <= 25 ? 'pass' : longShare <= 40 ? 'warn' : 'fail',
+      message: `${plural(long, 'sentence')} of ${sentences.length} (${longShare}%) ${long === 1 ? 'is' : 'are'} over ${LONG_SENTENCE_WORDS} words; average ${average(sentences)} words. Keep long sentences to a quarter or less.`,
+    },
+    {
+      id: 'paragraph_length',
+      label: 'Paragraph length',
+      status: longParagraphs === 0 ? 'pass' : 'warn',
+      message: longParagraphs === 0
+        ? `No paragraph is over ${LONG_PARAGRAPH_WORDS} words; average ${average(paragraphs)} words.`
+        : `${plural(longParagraphs, 'paragraph')} ${longParagraphs === 1 ? 'is' : 'are'} over ${LONG_PARAGRAPH_WORDS} words. Split them for readers on phones.`,
+    },
+  ];
+}
+
+function structureChecks({ headings, words }) {
+  const h1 = headings.filter((heading) => heading.level === 1);
+  const skipped = headings.filter((heading, i) => i > 0 && heading.level > headings[i - 1].level + 1);
+  const subheadings = headings.filter((heading) => heading.level > 1);
+
+  return [
+    {
+      id: 'single_h1',
+      label: 'One H1 heading',
+      ...(h1.length === 1
+        ? { status: 'pass', message: `The H1 is "${h1[0].text}".` }
+        : h1.length === 0
+          ? { status: 'warn', message: 'No H1 heading. Make sure the page template renders the title as one.' }
+          : { status: 'fail', message: `${h1.length} H1 headings; a page should have exactly one.` }),
+    },
+    {
+      id: 'heading_hierarchy',
+      label: 'Heading hierarchy',
+      ...(skipped.length === 0
+        ? { status: 'pass', message: headings.length ? 'No heading levels are skipped.' : 'No headings.' }
+        : { status: 'warn', message: `Skipped heading levels at ${skipped.map((heading) => `H${heading.level} "${heading.text}"`).join(', ')}.` }),
+    },
+    {
+      id: 'subheadings',
+      label: 'Subheadings',
+      ...(words <= SUBHEADING_AFTER_WORDS
+        ? { status: 'skip', message: `Short texts (${SUBHEADING_AFTER_WORDS} words or fewer) do not need subheadings.` }
+        : subheadings.length > 0
+          ? { status: 'pass', message: `${plural(subheadings.length, 'subheading')} break up ${words} words.` }
+          : { status: 'warn', message: `${words} words without a subheading. Add H2s so readers and search engines can scan the text.` }),
+    },
+  ];
+}
+
+function keywordChecks({ keyword, text, title, headings, firstParagraph, description }) {
+  if (!keyword) {
+    return [{ id: 'keyword', label: 'Target keyword', status: 'skip', message: 'No target keyword given.' }];
+  }
+
+  const pattern = keywordPattern(keyword);
+  const occurrences = countMatches(text, pattern);
+  const density = percent(occurrences * countWords(keyword), countWords(text));
+  const inTitle = countMatches(title || '', pattern) > 0 || headings.some((heading) => heading.level === 1 && countMatches(heading.text, pattern) > 0);
+
+  return [
+    {
+      id: 'keyword_density',
+      label: 'Keyword density',
+      status: occurrences === 0 || density > KEYWORD_DENSITY.stuffed ? 'fail'
+        : density < KEYWORD_DENSITY.min || density > KEYWORD_DENSITY.max ? 'warn' : 'pass',
+      message: occurrences === 0
+        ? `"${keyword}" does not appear in the text.`
+        : `"${keyword}" appears ${plural(occurrences, 'time')} (${density}% of words). Aim for ${KEYWORD_DENSITY.min}–${KEYWORD_DENSITY.max}%${density > KEYWORD_DENSITY.max ? '; more reads as keyword stuffing' : ''}.`,
+    },
+    {
+      id: 'keyword_title',
+      label: 'Keyword in title',
+      status: inTitle ? 'pass' : 'warn',
+      message: inTitle ? `The title or H1 contains "${keyword}".` : `Neither the title nor the H1 contains "${keyword}".`,
+    },
+    {
+      id: 'keyword_intro',
+      label: 'Keyword in first paragraph',
+      status: countMatches(firstParagraph, pattern) > 0 ? 'pass' : 'warn',
+      message: countMatches(firstParagraph, pattern) > 0 ? `The first paragraph mentions "${keyword}".` : `Mention "${keyword}" in the first paragraph.`,
+    },
+    {
+      id: 'keyword_subheading',
+      label: 'Keyword in a subheading',
+      ...(!headings.some((heading) => heading.level > 1)
+        ? { status: 'skip', message: 'No subheadings.' }
+        : headings.some((heading) => heading.level > 1 && countMatches(heading.text, pattern) > 0)
+          ? { status: 'pass', message: `A subheading contains "${keyword}".` }
+          : { status: 'warn', message: `No subheading contains "${keyword}".` }),
+    },
+    {
+      id: 'keyword_description',
+      label: 'Keyword in meta description',
+      ...(!description
+        ? { status: 'skip', message: 'No meta description.' }
+        : countMatches(description, pattern) > 0
+          ? { status: 'pass', message: `The meta description contains "${keyword}".` }
+          : { status: 'warn', message: `The meta description does not contain "${keyword}".` }),
+    },
+  ];
+}
+
+function lengthCheck({ id, label, value, limits, missing, cutOff }) {
+  if (!value) return { id, label, status: 'warn', message: missing };
+  const length = Array.from(value).length;
+  if (length > limits.max) {
+    return { id, label, status: 'warn', message: `${length} characters; over ${limits.max} ${cutOff}.` };
+  }
+  if (length < limits.min) {
+    return { id, label, status: 'warn', message: `${length} characters; under ${limits.min} leaves room unused in search results.` };
+  }
+  return { id, label, status: 'pass', message: `${length} characters (${limits.min}–${limits.max}).` };
+}
+
+function metaChecks({ title, description }) {
+  return [
+    lengthCheck({
+      id: 'meta_title',
+      label: 'Meta title length',
+      value: title,
+      limits: TITLE_LENGTH,
+      missing: 'No meta title. Search engines will pick one themselves, usually the H1.',
+      cutOff: 'is usually cut off in search results',
+    }),
+    lengthCheck({
+      id: 'meta_description',
+      label: 'Meta description length',
+      value: description,
+      limits: DESCRIPTION_LENGTH,
+      missing: 'No meta description. Search engines will show an excerpt of the text instead.',
+      cutOff: 'is usually cut off in search results',
+    }),
+  ];
+}
+
+function linkChecks({ links, images }) {
+  const missingAlt = images.filter((image) => !image.alt);
+  return [
+    {
+      id: 'internal_links',
+      label: 'Internal links',
+      status: links.internal > 0 ? 'pass' : 'warn',
+      message: `${plural(links.internal, 'internal link')} and ${plural(links.external, 'external link')}.${links.internal > 0 ? '' : ' Link to related pages on the site.'}`,
+    },
+    {
+      id: 'image_alt',
+      label: 'Image alt text',
+      ...(images.length === 0
+        ? { status: 'skip', message: 'No images.' }
+        : missingAlt.length === 0
+          ? { status: 'pass', message: `All ${plural(images.length, 'image')} have alt text.` }
+          : { status: 'fail', message: `${missingAlt.length} of ${plural(images.length, 'image')} without alt text: ${missingAlt.map((image) => image.src || '(no src)').join(', ')}.` }),
+    },
+  ];
+}
+
+// `page` is the outline of the source the text was extracted from (see
+// ./page.js); without one it is read from `content` as Markdown. `keyword`
+// is the optional target keyword and `language` the detected language.
+export function analyzeSeo({ content, page, keyword, language, siteUrl = process.env.SITE_URL }) {
+  const outline = page || outlinePage(content);
+  const text = markdownToText(content);
+  const blocks = parseStructure(text);
+  const headings = blocks
+    .filter((block) => block.type === 'heading')
+    .map(({ level, text }) => ({ level, text: stripMarkup(text).trim() }));
+  const paragraphTexts = blocks
+    .filter((block) => block.type === 'paragraph')
+    .map((block) => stripMarkup(text.slice(block.start, block.end)).trim())
+    .filter((text) => countWords(text) > 0);
+
+  const prose = paragraphTexts.join('\n\n');
+  const sentences = paragraphTexts.flatMap(splitSentences);
+  const sentenceLengths = sentences.map(countWords);
+  const paragraphLengths = paragraphTexts.map(countWords);
+  const words = countWords(prose);
+  const english = isEnglishOnly(language);
+  const flesch = english ? fleschScores(sentences) : null;
+
+  const hosts = siteHosts(outline, siteUrl);
+  const linkKinds = outline.links.map((link) => isInternal(link.href, hosts)).filter((kind) => kind !== null);
+  const links = { internal: linkKinds.filter(Boolean).length, external: linkKinds.filter((kind) => !kind).length };
+  const target = typeof keyword === 'string' && keyword.trim() ? keyword.trim() : null;
+
+  const groups = [
+    ['Readability', readabilityChecks({ sentences: sentenceLengths, paragraphs: paragraphLengths, flesch, english })],
+    ['Structure', structureChecks({ headings, words })],
+    ['Keyword', keywordChecks({
+      keyword: target,
+      text: [...headings.map((heading) => heading.text), prose].join('\n\n'),
+      title: outline.title,
+      headings,
+      firstParagraph: paragraphTexts[0] || '',
+      description: outline.description,
+    })],
+    ['Meta tags', metaChecks(outline)],
+    ['Links and images', linkChecks({ links, images: outline.images })],
+  ];
+  const checks = groups.flatMap(([group, items]) => items.map((check) => ({ group, ...check })));
+  const scored = checks.filter((check) => check.status !== 'skip');
+
+  return {
+    score: scored.length ? Math.round((scored.reduce((sum, check) => sum + POINTS[check.status], 0) / scored.length) * 100) : null,
+    keyword: target,
+    words,
+    readability: {
+      sentences: sentences.length,
+      paragraphs: paragraphTexts.length,
+      averageSentenceWords: average(sentenceLengths),
+      averageParagraphWords: average(paragraphLengths),
+      readingEase: flesch?.readingEase ?? null,
+      gradeLevel: flesch?.gradeLevel ?? null,
+    },
+    sentenceLengths: distribution(sentenceLengths, SENTENCE_BUCKETS),
+    paragraphLengths: distribution(paragraphLengths, PARAGRAPH_BUCKETS),
+    headings,
+    meta: { title: outline.title || null, description: outline.description || null },
+    links,
+    images: { total: outline.images.length, missingAlt: outline.images.filter((image) => !image.alt).length },
+    checks,
+  };
+}
@@ -0,0 +1,102 @@
+// lib/seo/page.js
+import { decodeEntities } from '../extract/html.js';
+
+// What a search engine sees of a page besides its text: the meta title and
+// description, links and images. Extraction turns HTML into plain text, so
+// these are read from the source before it is converted and passed along
+// with the text as a "page outline".
+const MAX_ITEMS = 500;
+const MAX_TEXT = 1000;
+
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i'));
+  if (!match) return null;
+  return decodeEntities(match[1] ?? match[2] ?? match[3]).trim();
+}
+
+const stripTags = (html) => decodeEntities(html.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+
+function htmlLinks(html) {
+  return [...html.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi)]
+    .map(([, attributes, text]) => ({ href: attribute(attributes, 'href'), text: stripTags(text) }))
+    .filter((link) => link.href);
+}
+
+// Word documents embed their images as data URIs; the outline only needs
+// to say which image it is.
+const embedded = (src) => src.startsWith('data:') ? '(embedded image)' : src;
+
+function htmlImages(html) {
+  return [...html.matchAll(/<img\b[^>]*>/gi)]
+    .map(([tag]) => ({ src: embedded(attribute(tag, 'src') || ''), alt: attribute(tag, 'alt') }));
+}
+
+function metaContent(html, name) {
+  const tag = [...html.matchAll(/<meta\b[^>]*>/gi)]
+    .map(([match]) => match)
+    .find((match) => [attribute(match, 'name'), attribute(match, 'property')].some((value) => value?.toLowerCase() === name));
+  return tag ? attribute(tag, 'content') : null;
+}
+
+function outlineHtml(html) {
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  return {
+    title: (title && stripTags(title[1])) || metaContent(html, 'og:title') || null,
+    description: metaContent(html, 'description') || metaContent(html, 'og:description') || null,
+    links: htmlLinks(html),
+    images: htmlImages(html),
+  };
+}
+
+// `title:` and `description:` from YAML front matter, unquoted.
+function frontMatter(markdown) {
+  const block = markdown.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n---\r?\n/)?.[1] || '';
+  const field = (name) => {
+    const value = block.match(new RegExp(`^${name}:[ \\t]*(.+)$`, 'mi'))?.[1].trim();
+    return value ? value.replace(/^(["'])(.*)\1$/, '$2') : null;
+  };
+  return {
+    title: field('title') || field('meta_title') || field('seo_title'),
+    description: field('description') || field('meta_description') || field('excerpt'),
+  };
+}
+
+// Inline Markdown links and images, plus any HTML written into the Markdown.
+function outlineMarkdown(markdown) {
+  const links = [...markdown.matchAll(/(?<!!)\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^)]*["'])?\s*\)/g)]
+    .map(([, text, href]) => ({ href, text: text.trim() }));
+  const autolinks = [...markdown.matchAll(/<(https?:\/\/[^>\s]+)>/g)]
+    .map(([, href]) => ({ href, text: href }));
+  const images = [...markdown.matchAll(/!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^)]*["'])?\s*\)/g)]
+    .map(([, alt, src]) => ({ src, alt: alt.trim() }));
+
+  return {
+    ...frontMatter(markdown),
+    links: [...links, ...autolinks, ...htmlLinks(markdown)],
+    images: [...images, ...htmlImages(markdown)],
+  };
+}
+
+// The page outline of `source`: { title, description, links: [{ href,
+// text }], images: [{ src, alt }] }. Plain text is read as Markdown, which
+// finds nothing but does no harm.
+export function outlinePage(source, format = 'markdown') {
+  return format === 'html' ? outlineHtml(source) : outlineMarkdown(source);
+}
+
+const clip = (value) => typeof value === 'string' && value.trim() ? value.trim().slice(0, MAX_TEXT) : null;
+
+// A page outline sent by a client, reduced to the fields and sizes above.
+// Anything that is not an outline becomes null.
+export function normalizePage(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return null;
+  const list = (value) => Array.isArray(value) ? value.filter((item) => item && typeof item === 'object').slice(0, MAX_ITEMS) : [];
+
+  return {
+    title: clip(input.title),
+    description: clip(input.description),
+    url: clip(input.url),
+    links: list(input.links).map((link) => ({ href: clip(link.href), text: clip(link.text) || '' })).filter((link) => link.href),
+    images: list(input.images).map((image) => ({ src: clip(image.src) || '', alt: typeof image.alt === 'string' ? image.alt.trim().slice(0, MAX_TEXT) : null })),
+  };
+}
@@ -0,0 +1,73 @@
+// lib/seo/readability.js
+
+// Sentence, word and syllable counts for the prose of a document, and the
+// Flesch scores computed from them. The Flesch formulas were fitted to
+// English, so they are only meaningful for English text; the counts and
+// length distributions work in any language.
+
+// Markdown and stray HTML that is markup rather than words.
+export function stripMarkup(text) {
+  return text
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/^\s{0,3}(?:[-*+]|\d+[.)]|>)\s+/gm, '')
+    .replace(/[*_`~]+/g, '');
+}
+
+export function countWords(text) {
+  return (text.match(/[\p{L}\p{M}\p{N}][\p{L}\p{M}\p{N}'’-]*/gu) || []).length;
+}
+
+// Sentences end at ., ! or ? (or the danda) followed by a space, and at
+// line ends, which separate list items.
+export function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?।॥])["'”’)]*\s+|\n+/u)
+    .map((sentence) => sentence.trim())
+    .filter((sentence) => countWords(sentence) > 0);
+}
+
+// Vowel groups, less a silent final "e"; good to within a syllable or so
+// per word, which averages out over a document.
+export function countSyllables(word) {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters.length === 0) return 0;
+  if (letters.length <= 3) return 1;
+  const trimmed = letters.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, (ending) => ending[0]).replace(/^y/, '');
+  return Math.max(1, (trimmed.match(/[aeiouy]+/g) || []).length);
+}
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Flesch reading ease (0-100, higher is easier; 60-70 is plain English)
+// and the Flesch-Kincaid US grade level.
+export function fleschScores(sentences) {
+  const words = sentences.flatMap((sentence) => sentence.match(/[\p{L}\p{M}\p{N}][\p{L}\p{M}\p{N}'’-]*/gu) || []);
+  if (sentences.length === 0 || words.length === 0) return null;
+
+  const wordsPerSentence = words.length / sentences.length;
+  const syllablesPerWord = words.reduce((sum, word) => sum + countSyllables(word), 0) / words.length;
+  return {
+    readingEase: round(Math.min(100, Math.max(0, 206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord))),
+    gradeLevel: round(Math.max(0, 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59)),
+  };
+}
+
+export function describeReadingEase(score) {
+  if (score >= 80) return 'easy';
+  if (score >= 60) return 'plain English';
+  if (score >= 50) return 'fairly difficult';
+  if (score >= 30) return 'difficult';
+  return 'very difficult';
+}
+
+// How many of `values` fall in each of `buckets` ({ label, max }, the last
+// without a max).
+export function distribution(values, buckets) {
+  return buckets.map((bucket, i) => {
+    const min = i === 0 ? 0 : buckets[i - 1].max + 1;
+    const max = bucket.max ?? Infinity;
+    return { label: bucket.label, count: values.filter((value) => value >= min && value <= max).length };
+  });
+}
@@ -0,0 +1,86 @@
+// lib/storage/route.js
+import { withAuth } from '../auth/withAuth.js';
+
+// API handler for a versioned collection (see versioned.js), serving both
+// the collection route (GET lists, POST creates) and the record route
+// (GET ?version=n, PUT saves a new version). `validate(body)` returns
+// { data, errors }. Reading needs `reviews:read`, writing `permission`.
+//
+// `names` word the responses: `one` and `many` are the response keys
+// ("claim", "claims"), `title` names a record in messages ("Approved
+// claim") and `collection` the whole ("the approved-claims library").
+export function versionedRoute({ store, validate, permission, names }) {
+  const { one, many, title, collection } = names;
+  const capitalized = one[0].toUpperCase() + one.slice(1);
+
+  function notFound(res, id, version) {
+    return res.status(404).json({
+      error: `${capitalized} not found`,
+      message: `${title} "${id}"${version ? ` version ${version}` : ''} does not exist`
+    });
+  }
+
+  function invalid(res, errors) {
+    return res.status(400).json({
+      error: `Invalid ${one}`,
+      message: errors.join('; '),
+      details: errors
+    });
+  }
+
+  async function handleCollection(req, res) {
+    if (req.method === 'GET') {
+      return res.status(200).json({ [many]: await store.list() });
+    }
+
+    if (req.method === 'POST') {
+      const { data, errors } = validate(req.body);
+      if (!data) return invalid(res, errors);
+      return res.status(201).json({ [one]: await store.create(data, { createdBy: req.user.username }) });
+    }
+
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET and POST requests'
+    });
+  }
+
+  async function handleRecord(req, res) {
+    const { id, version } = req.query;
+
+    if (req.method === 'GET') {
+      const record = await store.get(id, version ? Number.parseInt(version, 10) : undefined);
+      if (!record) return notFound(res, id, version);
+      return res.status(200).json({ [one]: record, versions: await store.versions(id) });
+    }
+
+    // Saving never overwrites: it adds a new version.
+    if (req.method === 'PUT') {
+      const { data, errors } = validate(req.body);
+      if (!data) return invalid(res, errors);
+
+      const record = await store.update(id, data, { createdBy: req.user.username });
+      if (!record) return notFound(res, id);
+      return res.status(200).json({ [one]: record, versions: await store.versions(id) });
+    }
+
+    res.setHeader('Allow', 'GET, PUT');
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET and PUT requests'
+    });
+  }
+
+  return withAuth(async function handler(req, res) {
+    try {
+      return await (req.query.id === undefined ? handleCollection(req, res) : handleRecord(req, res));
+    } catch (error) {
+      console.error(`${capitalized} API error:`, error);
+      return res.status(500).json({
+        error: `${capitalized} storage failed`,
+        message: `An error occurred while accessing ${collection}. Please try again.`
+      });
+    }
+  }, { permission: (req) => req.method === 'GET' ? 'reviews:read' : permission });
+}
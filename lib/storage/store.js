@@ -0,0 +1,156 @@
+// lib/storage/store.js
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// A small file-backed document store: one directory per collection and one
+// JSON file per record under DATA_DIR (default ./.data). Good enough for a
+// single server; writes are atomic (temp file + rename) and serialised per
+// record within the process.
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), '.data');
+
+const locks = new Map();
+
+async function withLock(key, fn) {
+  const previous = locks.get(key) || Promise.resolve();
+  const run = previous.catch(() => {}).then(fn);
+  locks.set(key, run);
+  try {
+    return await run;
+  } finally {
+    if (locks.get(key) === run) locks.delete(key);
+  }
+}
+
+function safeId(id) {
+  if (typeof id !== 'string' || !/^[A-Za-z0-9_-]{1,128}$/.test(id)) return null;
+  return id;
+}
+
+const tempFile = (file) => `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+async function writeJson(file, value) {
+  const temp = tempFile(file);
+  await fs.writeFile(temp, JSON.stringify(value, null, 2));
+  await fs.rename(temp, file);
+}
+
+// Like writeJson, but fails with EEXIST instead of replacing the file. The
+// link is atomic across processes, so exactly one concurrent writer wins.
+async function writeNewJson(file, value) {
+  const temp = tempFile(file);
+  await fs.writeFile(temp, JSON.stringify(value, null, 2));
+  try {
+    await fs.link(temp, file);
+  } finally {
+    await fs.unlink(temp);
+  }
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+export function collection(name) {
+  const dir = path.join(DATA_DIR, name);
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+  const ensureDir = () => fs.mkdir(dir, { recursive: true });
+
+  async function ids() {
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return files.filter((file) => file.endsWith('.json')).map((file) => file.slice(0, -'.json'.length));
+  }
+
+  return {
+    async get(id) {
+      const key = safeId(id);
+      return key ? readJson(fileFor(key)) : null;
+    },
+
+    // The ids of every record, without reading them.
+    ids,
+
+    async list() {
+      const records = await Promise.all((await ids()).map((id) => readJson(fileFor(id))));
+      return records.filter(Boolean);
+    },
+
+    async insert(record) {
+      const id = safeId(record.id) || crypto.randomUUID();
+      const stored = { ...record, id };
+      await ensureDir();
+      await withLock(`${name}/${id}`, () => writeJson(fileFor(id), stored));
+      return stored;
+    },
+
+    // Stores a record under its id only if there is none yet; returns
+    // null, without writing, when the id is taken, even by another process.
+    async create(record) {
+      const key = safeId(record.id);
+      if (!key) throw new Error(`Invalid record id "${record.id}"`);
+      const stored = { ...record, id: key };
+      await ensureDir();
+      return withLock(`${name}/${key}`, async () => {
+        try {
+          await writeNewJson(fileFor(key), stored);
+          return stored;
+        } catch (error) {
+          if (error.code === 'EEXIST') return null;
+          throw error;
+        }
+      });
+    },
+
+    // Read-modify-write under the record's lock. `fn` receives the current
+    // record and returns the new one; returns null if the record is missing.
+    async update(id, fn) {
+      const key = safeId(id);
+      if (!key) return null;
+      return withLock(`${name}/${key}`, async () => {
+        const current = await readJson(fileFor(key));
+        if (!current) return null;
+        const next = { ...(await fn(current)), id: key };
+        await writeJson(fileFor(key), next);
+        return next;
+      });
+    },
+
+    // Like update, but creates the record from `fn(null)` if it is missing.
+    async upsert(id, fn) {
+      const key = safeId(id);
+      if (!key) throw new Error(`Invalid record id "${id}"`);
+      await ensureDir();
+      return withLock(`${name}/${key}`, async () => {
+        const current = await readJson(fileFor(key));
+        const next = { ...(await fn(current)), id: key };
+        await writeJson(fileFor(key), next);
+        return next;
+      });
+    },
+
+    async remove(id) {
+      const key = safeId(id);
+      if (!key) return false;
+      return withLock(`${name}/${key}`, async () => {
+        try {
+          await fs.unlink(fileFor(key));
+          return true;
+        } catch (error) {
+          if (error.code === 'ENOENT') return false;
+          throw error;
+        }
+      });
+    },
+  };
+}
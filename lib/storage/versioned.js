@@ -0,0 +1,117 @@
+// lib/storage/versioned.js
+import { collection } from './store.js';
+
+// A collection of versioned records, used for brand profiles, checklists,
+// the product catalogue and the approved-claims library. Saving never
+// overwrites: it appends a version, and reviews record the versions they
+// used, so a past review can always be explained. A record is
+// { id, createdAt, versions: [{ version, createdAt, createdBy, data }] }.
+//
+// - `fields`: the data fields kept in a version
+// - `defaults`: built-in records (data with an `id`)
+// - `label`: the field shown for each entry of the version history
+// - `slug(data)`: the id of a new record; taken ids get a "-2", "-3", ...
+//   suffix. Without it new records get random ids.
+// - `compare`: the sort order of `list()`
+export function versionedCollection(name, { fields, defaults = [], label = 'name', slug, compare }) {
+  const records = collection(name);
+
+  const pickData = (source) => Object.fromEntries(fields.map((field) => [field, source[field]]));
+
+  // Built-in records are served from memory until they are first saved, so
+  // reading never writes (the data directory may be read-only).
+  const builtIn = new Map(defaults.map((entry) => [entry.id, {
+    id: entry.id,
+    createdAt: null,
+    versions: [{ version: 1, createdAt: null, data: pickData(entry) }],
+  }]));
+
+  async function load(id) {
+    return (await records.get(id)) || builtIn.get(id) || null;
+  }
+
+  // The data of one version, flattened with its id and version number.
+  function resolve(record, version) {
+    const entry = version
+      ? record.versions.find((candidate) => candidate.version === version)
+      : record.versions[record.versions.length - 1];
+    if (!entry) return null;
+
+    return {
+      id: record.id,
+      version: entry.version,
+      latestVersion: record.versions[record.versions.length - 1].version,
+      updatedAt: entry.createdAt,
+      updatedBy: entry.createdBy,
+      ...entry.data,
+    };
+  }
+
+  async function freeId(data) {
+    if (!slug) return undefined;
+    const base = slug(data);
+    let id = base;
+    for (let n = 2; await load(id); n++) id = `${base}-${n}`;
+    return id;
+  }
+
+  return {
+    // The latest version of every record.
+    async list() {
+      const stored = await records.list();
+      const unsaved = [...builtIn.values()].filter((record) => !stored.some((candidate) => candidate.id === record.id));
+      const resolved = [...stored, ...unsaved].map((record) => resolve(record));
+      return compare ? resolved.sort(compare) : resolved;
+    },
+
+    // One record at `version` (default the latest), or null.
+    async get(id, version) {
+      const record = await load(id);
+      return record ? resolve(record, version) : null;
+    },
+
+    async versions(id) {
+      const record = await load(id);
+      if (!record) return null;
+      return record.versions.map(({ version, createdAt, createdBy, data }) => ({
+        version,
+        createdAt,
+        createdBy,
+        [label]: data[label],
+      }));
+    },
+
+    async create(data, { createdBy } = {}) {
+      const now = new Date().toISOString();
+      const record = await records.insert({
+        id: await freeId(data),
+        createdAt: now,
+        versions: [{ version: 1, createdAt: now, createdBy, data: pickData(data) }],
+      });
+      return resolve(record);
+    },
+
+    // Appends a version; returns null if the record does not exist. The
+    // first save of a built-in record stores it along with its original.
+    async update(id, data, { createdBy } = {}) {
+      const append = (current) => {
+        const version = current.versions[current.versions.length - 1].version + 1;
+        return {
+          ...current,
+          createdAt: current.createdAt || new Date().toISOString(),
+          versions: [...current.versions, { version, createdAt: new Date().toISOString(), createdBy, data: pickData(data) }],
+        };
+      };
+      const record = builtIn.has(id)
+        ? await records.upsert(id, (current) => append(current || builtIn.get(id)))
+        : await records.update(id, append);
+      return record ? resolve(record) : null;
+    },
+  };
+}
+
+// A readable id from a name, e.g. "Cold-Pressed Groundnut Oil" becomes
+// "cold-pressed-groundnut-oil".
+export function slugify(text, fallback) {
+  return text.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60).replace(/-+$/, '') || fallback;
+}
@@ -0,0 +1,165 @@
+// lib/webhooks/deliveries.js
+import { collection } from '../storage/store.js';
+import { SIGNATURE_HEADER, signPayload } from './signature.js';
+
+// Review results are POSTed to WEBHOOK_OUTBOUND_URL, signed with
+// WEBHOOK_OUTBOUND_SECRET. A delivery that fails with a network error, a
+// timeout, 408, 429 or a 5xx is retried with exponential backoff (honouring
+// Retry-After) up to WEBHOOK_MAX_ATTEMPTS times; any other 4xx means the
+// receiver rejected it, so it is not retried. Like the batch queue this
+// runs in the server process and resumes pending deliveries after a
+// restart the next time a webhook arrives.
+const deliveries = collection('webhook-deliveries');
+
+const DELIVERY_TIMEOUT_MS = 10000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const RETRYABLE_STATUSES = [408, 429];
+
+export function outboundConfig(env = process.env) {
+  if (!env.WEBHOOK_OUTBOUND_URL || !env.WEBHOOK_OUTBOUND_SECRET) return null;
+  return {
+    url: env.WEBHOOK_OUTBOUND_URL,
+    secret: env.WEBHOOK_OUTBOUND_SECRET,
+    maxAttempts: Number.parseInt(env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+    backoffMs: (Number.parseInt(env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30) * 1000,
+  };
+}
+
+const state = globalThis.__olixirWebhookDeliveries || (globalThis.__olixirWebhookDeliveries = {
+  running: false,
+  again: false,
+  timer: null,
+  wakeAt: Infinity,
+});
+
+// Doubling delays with ±20% jitter, so receivers that come back up are
+// not hit by every queued delivery at once.
+function backoff(attempts, baseMs) {
+  const delay = Math.min(baseMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+function retryAfterMs(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : date - Date.now();
+}
+
+function wakeAt(time) {
+  if (state.timer && state.wakeAt <= time) return;
+  clearTimeout(state.timer);
+  state.wakeAt = time;
+  state.timer = setTimeout(() => {
+    state.timer = null;
+    state.wakeAt = Infinity;
+    processDeliveries();
+  }, Math.max(0, time - Date.now()));
+  state.timer.unref?.();
+}
+
+export async function listDeliveries({ limit = 50 } = {}) {
+  return (await deliveries.list())
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit)
+    .map(({ payload, ...delivery }) => ({ ...delivery, event: payload.event }));
+}
+
+// Queue `payload` for delivery; returns null when no outbound webhook is
+// configured.
+export async function enqueueDelivery(payload, { eventId } = {}) {
+  const config = outboundConfig();
+  if (!config) return null;
+
+  const delivery = await deliveries.insert({
+    createdAt: new Date().toISOString(),
+    eventId,
+    url: config.url,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+  });
+  processDeliveries();
+  return delivery;
+}
+
+async function attempt(delivery, config) {
+  const body = JSON.stringify({ ...delivery.payload, deliveryId: delivery.id });
+  const attempts = delivery.attempts + 1;
+  let status = null;
+  let retryAfter = null;
+  let error = null;
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Olixir-Webhooks/1.0',
+        'X-Olixir-Event': delivery.payload.event,
+        'X-Olixir-Delivery': delivery.id,
+        [SIGNATURE_HEADER]: signPayload(config.secret, body),
+      },
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    status = response.status;
+    retryAfter = retryAfterMs(response.headers.get('retry-after'));
+    await response.body?.cancel();
+  } catch (cause) {
+    error = cause.name === 'TimeoutError' ? 'Timed out' : cause.message;
+  }
+
+  const now = new Date().toISOString();
+  if (status >= 200 && status < 300) {
+    return deliveries.update(delivery.id, (current) => ({
+      ...current, status: 'delivered', attempts, lastStatus: status, lastError: undefined, deliveredAt: now, nextAttemptAt: undefined,
+    }));
+  }
+
+  const retryable = status === null || status >= 500 || RETRYABLE_STATUSES.includes(status);
+  const lastError = error || `Receiver responded with status ${status}`;
+  if (!retryable || attempts >= config.maxAttempts) {
+    console.error(`Webhook delivery ${delivery.id} failed after ${attempts} attempt(s): ${lastError}`);
+    return deliveries.update(delivery.id, (current) => ({
+      ...current, status: 'failed', attempts, lastStatus: status, lastError, failedAt: now, nextAttemptAt: undefined,
+    }));
+  }
+
+  const delay = Math.min(Math.max(retryAfter ?? 0, backoff(attempts, config.backoffMs)), MAX_BACKOFF_MS);
+  return deliveries.update(delivery.id, (current) => ({
+    ...current, attempts, lastStatus: status, lastError, nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+  }));
+}
+
+// Send every delivery that is due, one at a time, then sleep until the
+// next retry. Safe to call at any time.
+export async function processDeliveries() {
+  if (state.running) {
+    state.again = true;
+    return;
+  }
+  state.running = true;
+  state.again = false;
+  try {
+    const config = outboundConfig();
+    if (!config) return;
+
+    const pending = (await deliveries.list()).filter((delivery) => delivery.status === 'pending');
+    for (const delivery of pending.filter((candidate) => Date.parse(candidate.nextAttemptAt) <= Date.now())) {
+      await attempt(delivery, config);
+    }
+
+    const next = (await deliveries.list())
+      .filter((delivery) => delivery.status === 'pending')
+      .reduce((earliest, delivery) => Math.min(earliest, Date.parse(delivery.nextAttemptAt)), Infinity);
+    if (next !== Infinity) wakeAt(next);
+  } catch (error) {
+    console.error('Webhook delivery queue failed:', error);
+  } finally {
+    state.running = false;
+  }
+  if (state.again) processDeliveries();
+}
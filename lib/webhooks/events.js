@@ -0,0 +1,202 @@
+// lib/webhooks/events.js
+import { getChecklist } from '../checklists/store.js';
+import { getProfile } from '../profiles/store.js';
+import { reviewWithCache } from '../review/cache.js';
+import { reviewSections } from '../review/schema.js';
+import { countBySeverity, getReview, saveReview } from '../reviews/store.js';
+import { getRulepack } from '../rulepacks/index.js';
+import { outlinePage } from '../seo/page.js';
+import { collection } from '../storage/store.js';
+import { enqueueDelivery, processDeliveries } from './deliveries.js';
+import { SOURCES, toText } from './sources.js';
+
+// Inbound CMS events are stored and answered at once, then reviewed one
+// at a time in the background: CMSs give up on (and retry) webhooks that
+// take more than a few seconds. A post that was reviewed before becomes a
+// new revision of its last review, so the history shows what changed.
+const events = collection('webhook-events');
+
+const MAX_ATTEMPTS = 3;
+const QUOTA_BACKOFF_MS = 60 * 1000;
+
+const state = globalThis.__olixirWebhookEvents || (globalThis.__olixirWebhookEvents = {
+  running: false,
+  again: false,
+  recovered: false,
+});
+
+// Store ids must be short and safe; CMS delivery ids are usually UUIDs.
+function eventId(source, deliveryId) {
+  if (typeof deliveryId !== 'string' || !deliveryId) return undefined;
+  return `${source}_${deliveryId.replace(/[^A-Za-z0-9_-]/g, '-')}`.slice(0, 128);
+}
+
+export async function getEvent(id) {
+  return events.get(id);
+}
+
+export async function listEvents({ limit = 50 } = {}) {
+  return (await events.list())
+    .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt))
+    .slice(0, limit)
+    .map(({ content, ...event }) => event);
+}
+
+// Record a parsed event. Returns { event, duplicate } — a CMS resending a
+// delivery it already made gets the original event back.
+export async function receiveEvent({ source, deliveryId, parsed, settings }) {
+  const id = eventId(source, deliveryId);
+  const existing = id ? await events.get(id) : null;
+  if (existing) return { event: existing, duplicate: true };
+
+  const event = await events.insert({
+    id,
+    source,
+    deliveryId,
+    receivedAt: new Date().toISOString(),
+    event: parsed.event,
+    post: parsed.post,
+    content: parsed.content,
+    format: parsed.format,
+    settings,
+    status: 'queued',
+    attempts: 0,
+  });
+  processEvents();
+  return { event, duplicate: false };
+}
+
+async function update(id, changes) {
+  return events.update(id, (current) => ({ ...current, ...changes }));
+}
+
+// The last review of the same post, to file this one as its next revision.
+async function previousReview(event) {
+  const earlier = (await events.list())
+    .filter((candidate) =>
+      candidate.id !== event.id &&
+      candidate.source === event.source &&
+      candidate.post.id === event.post.id &&
+      candidate.reviewId
+    )
+    .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt))[0];
+  return earlier ? getReview(earlier.reviewId) : null;
+}
+
+function reviewUrl(reviewId) {
+  return process.env.APP_URL ? `${process.env.APP_URL.replace(/\/$/, '')}/reviews/${reviewId}` : null;
+}
+
+async function reviewEvent(event) {
+  const source = SOURCES[event.source];
+  const body = event.content ?? await source.fetchContent(event.post, process.env);
+  const content = toText(body || '', event.format);
+  if (!content.trim()) return update(event.id, { status: 'failed', error: 'The post has no text to review', content: undefined });
+
+  const { profileId, profileVersion, checklistId, checklistVersion, markets, rulepacks } = event.settings;
+  const profile = await getProfile(profileId, profileVersion);
+  if (!profile) return update(event.id, { status: 'failed', error: `Brand profile "${profileId}" no longer exists` });
+  const checklist = await getChecklist(checklistId, checklistVersion);
+  if (!checklist) return update(event.id, { status: 'failed', error: `Checklist "${checklistId}" no longer exists` });
+
+  const review = await reviewWithCache({
+    content,
+    filename: event.post.title,
+    profile,
+    checklist,
+    markets,
+    rulepacks: rulepacks.map(getRulepack).filter(Boolean),
+    page: { ...outlinePage(body, event.format), title: event.post.title, url: event.post.url },
+  });
+
+  if (review.model.code === 'quota_exceeded' && event.attempts + 1 < MAX_ATTEMPTS) {
+    await update(event.id, { status: 'queued', attempts: event.attempts + 1, retryAt: new Date(Date.now() + QUOTA_BACKOFF_MS).toISOString() });
+    setTimeout(processEvents, QUOTA_BACKOFF_MS).unref?.();
+    return null;
+  }
+
+  const saved = await saveReview({
+    content,
+    review,
+    previous: await previousReview(event),
+    submittedBy: `webhook:${event.source}`,
+  });
+  const findingCounts = countBySeverity(review.findings);
+  const delivery = await enqueueDelivery({
+    event: 'review.completed',
+    source: event.source,
+    trigger: event.event,
+    post: event.post,
+    review: {
+      id: saved.id,
+      url: reviewUrl(saved.id),
+      revision: saved.revision,
+      riskLevel: review.riskLevel,
+      summary: review.summary,
+      findingCounts,
+      findings: review.findings.map(({ id, category, severity, quote, explanation, suggestion, approvedClaim, citations, facts }) => ({
+        id, category, severity, quote, explanation, suggestion, approvedClaim, citations, facts,
+      })),
+      profile: review.profile,
+      language: review.language,
+      seo: review.seo && { score: review.seo.score, checks: review.seo.checks },
+      checklist: { id: review.checklist.id, name: review.checklist.name, version: review.checklist.version, sections: reviewSections(review) },
+      markets: review.markets,
+      model: { status: review.model.status, provider: review.model.provider, model: review.model.model },
+      createdAt: saved.createdAt,
+    },
+  }, { eventId: event.id });
+
+  return update(event.id, {
+    status: 'done',
+    content: undefined,
+    attempts: event.attempts + 1,
+    reviewId: saved.id,
+    riskLevel: review.riskLevel,
+    findingCounts,
+    deliveryId: delivery?.id,
+    completedAt: saved.createdAt,
+  });
+}
+
+// Events left "running" by a previous process will never finish there.
+async function recover() {
+  state.recovered = true;
+  for (const event of await events.list()) {
+    if (event.status === 'running') await update(event.id, { status: 'queued' });
+  }
+  processDeliveries();
+}
+
+async function claimNext() {
+  const now = Date.now();
+  const queued = (await events.list())
+    .filter((event) => event.status === 'queued' && !(Date.parse(event.retryAt) > now))
+    .sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+  if (queued.length === 0) return null;
+  return update(queued[0].id, { status: 'running', retryAt: undefined });
+}
+
+// Review queued events one at a time. Safe to call at any time.
+export async function processEvents() {
+  if (state.running) {
+    state.again = true;
+    return;
+  }
+  state.running = true;
+  state.again = false;
+  try {
+    if (!state.recovered) await recover();
+    for (let event = await claimNext(); event; event = await claimNext()) {
+      await reviewEvent(event).catch(async (error) => {
+        console.error(`Webhook event ${event.id} failed:`, error);
+        await update(event.id, { status: 'failed', error: error.message, attempts: event.attempts + 1 }).catch(() => {});
+      });
+    }
+  } catch (error) {
+    console.error('Webhook event queue failed:', error);
+  } finally {
+    state.running = false;
+  }
+  if (state.again) processEvents();
+}
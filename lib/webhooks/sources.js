@@ -0,0 +1,181 @@
+// lib/webhooks/sources.js
+import { htmlToText } from '../extract/html.js';
+import { markdownToText } from '../extract/markdown.js';
+import { SIGNATURE_HEADER, verifySignature, verifyShopifySignature } from './signature.js';
+
+// How each CMS signs its requests and describes a post. `parse` turns a
+// verified request into { event, post: { id, title, url, status }, content,
+// format } or { ignore: reason } for events that need no review. When a
+// CMS leaves the body out, `fetchContent(post)` fetches it from the CMS.
+// Both are passed the environment for their settings.
+const FETCH_TIMEOUT_MS = 15000;
+const SHOPIFY_API_VERSION = '2024-10';
+
+// WordPress post types and statuses that are never published copy.
+const WORDPRESS_SKIPPED_TYPES = ['revision', 'attachment', 'nav_menu_item', 'wp_block', 'wp_template'];
+const WORDPRESS_SKIPPED_STATUSES = ['auto-draft', 'trash', 'inherit'];
+
+const SHOPIFY_TOPICS = {
+  'articles/create': 'post.created',
+  'articles/update': 'post.updated',
+  'products/create': 'product.created',
+  'products/update': 'product.updated',
+};
+
+export class WebhookPayloadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookPayloadError';
+  }
+}
+
+const text = (value) => typeof value === 'string' ? value : typeof value?.rendered === 'string' ? value.rendered : undefined;
+const stringId = (value) => value === undefined || value === null ? undefined : String(value);
+
+async function fetchJson(url, headers = {}) {
+  const response = await fetch(url, { headers: { Accept: 'application/json', ...headers }, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!response.ok) throw new Error(`Fetching ${url} failed with status ${response.status}`);
+  return response.json();
+}
+
+// WordPress has no built-in webhooks; plugins such as WP Webhooks send
+// either the REST API post object or the raw WP_Post fields, so both
+// shapes are accepted. Sent with our signature header.
+const wordpress = {
+  secret: (env) => env.WEBHOOK_WORDPRESS_SECRET,
+  verify: (secret, body, headers) => verifySignature(secret, body, headers[SIGNATURE_HEADER]),
+  deliveryId: (headers) => headers['x-olixir-delivery'],
+
+  parse(payload) {
+    const post = payload.post && typeof payload.post === 'object' ? payload.post : payload;
+    const type = post.post_type || post.type || payload.post_type;
+    const status = post.post_status || post.status;
+    const id = stringId(post.ID ?? post.id ?? payload.post_id);
+    if (WORDPRESS_SKIPPED_TYPES.includes(type)) return { ignore: `post type "${type}" is not reviewed` };
+    if (WORDPRESS_SKIPPED_STATUSES.includes(status)) return { ignore: `post status "${status}" is not reviewed` };
+    if (!id) throw new WebhookPayloadError('The payload has no post ID');
+
+    return {
+      event: typeof payload.event === 'string' ? payload.event : 'post.updated',
+      post: {
+        id,
+        type: type === 'page' ? 'page' : 'post',
+        title: text(post.post_title ?? post.title) || `Post ${id}`,
+        url: payload.post_permalink || post.link || text(post.guid) || null,
+        status: status || null,
+      },
+      content: text(post.post_content ?? post.content),
+      format: 'html',
+    };
+  },
+
+  async fetchContent(post, env) {
+    if (!env.WORDPRESS_URL) throw new Error('The payload has no post content and WORDPRESS_URL is not set');
+    const auth = env.WORDPRESS_USERNAME && env.WORDPRESS_APP_PASSWORD
+      ? { Authorization: `Basic ${Buffer.from(`${env.WORDPRESS_USERNAME}:${env.WORDPRESS_APP_PASSWORD}`).toString('base64')}` }
+      : {};
+    const url = `${env.WORDPRESS_URL.replace(/\/$/, '')}/wp-json/wp/v2/${post.type === 'page' ? 'pages' : 'posts'}/${encodeURIComponent(post.id)}?context=${auth.Authorization ? 'edit' : 'view'}`;
+    const data = await fetchJson(url, auth);
+    // `raw` of a classic-editor post is bare text with blank lines between
+    // paragraphs; `rendered` has them wrapped in <p> tags.
+    return data.content?.rendered ?? data.content?.raw ?? '';
+  },
+};
+
+// The store's myshopify.com domain, from SHOPIFY_SHOP_DOMAIN. The
+// X-Shopify-Shop-Domain header is not covered by the signature, so it is
+// only compared with this, never used as the host the access token is
+// sent to.
+function shopDomain(env) {
+  return (env.SHOPIFY_SHOP_DOMAIN || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/+$/, '');
+}
+
+// Shopify blog articles and product descriptions, signed with
+// X-Shopify-Hmac-Sha256. Only configured together with the shop domain.
+const shopify = {
+  secret: (env) => shopDomain(env) && env.WEBHOOK_SHOPIFY_SECRET,
+  verify: (secret, body, headers) => verifyShopifySignature(secret, body, headers['x-shopify-hmac-sha256']),
+  deliveryId: (headers) => headers['x-shopify-webhook-id'],
+
+  parse(payload, headers, env) {
+    const shop = shopDomain(env);
+    const sentFor = String(headers['x-shopify-shop-domain'] || '').toLowerCase();
+    if (sentFor !== shop) {
+      throw new WebhookPayloadError(`The request is for shop "${sentFor}", not the configured SHOPIFY_SHOP_DOMAIN`);
+    }
+
+    const topic = headers['x-shopify-topic'];
+    const event = SHOPIFY_TOPICS[topic];
+    if (!event) return { ignore: `topic "${topic}" is not reviewed` };
+    const id = stringId(payload.id);
+    if (!id) throw new WebhookPayloadError('The payload has no article or product ID');
+
+    const kind = topic.startsWith('products/') ? 'products' : 'articles';
+    return {
+      event,
+      post: {
+        id,
+        type: kind === 'products' ? 'product' : 'article',
+        blogId: stringId(payload.blog_id),
+        shop,
+        title: payload.title || `${kind === 'products' ? 'Product' : 'Article'} ${id}`,
+        url: `https://${shop}/admin/${kind}/${id}`,
+        status: payload.published_at ? 'published' : 'draft',
+      },
+      content: typeof payload.body_html === 'string' ? payload.body_html : undefined,
+      format: 'html',
+    };
+  },
+
+  async fetchContent(post, env) {
+    const shop = shopDomain(env);
+    if (!shop || !env.SHOPIFY_ACCESS_TOKEN) {
+      throw new Error('The payload has no body and SHOPIFY_SHOP_DOMAIN or SHOPIFY_ACCESS_TOKEN is not set');
+    }
+    const path = post.type === 'product'
+      ? `products/${post.id}.json`
+      : `blogs/${post.blogId}/articles/${post.id}.json`;
+    const data = await fetchJson(`https://${shop}/admin/api/${SHOPIFY_API_VERSION}/${path}`, {
+      'X-Shopify-Access-Token': env.SHOPIFY_ACCESS_TOKEN,
+    });
+    return (data.product || data.article)?.body_html || '';
+  },
+};
+
+// Any other system: { event, id, title, url, content } with `content` as
+// plain text or Markdown, or `html` instead. Sent with our signature header.
+const generic = {
+  secret: (env) => env.WEBHOOK_SECRET,
+  verify: (secret, body, headers) => verifySignature(secret, body, headers[SIGNATURE_HEADER]),
+  deliveryId: (headers) => headers['x-olixir-delivery'],
+
+  parse(payload) {
+    const id = stringId(payload.id);
+    if (!id) throw new WebhookPayloadError('"id" is required');
+    const html = typeof payload.html === 'string';
+    if (!html && typeof payload.content !== 'string') throw new WebhookPayloadError('"content" or "html" is required');
+
+    return {
+      event: typeof payload.event === 'string' ? payload.event : 'post.updated',
+      post: {
+        id,
+        title: typeof payload.title === 'string' ? payload.title : `Document ${id}`,
+        url: typeof payload.url === 'string' ? payload.url : null,
+        status: typeof payload.status === 'string' ? payload.status : null,
+      },
+      content: html ? payload.html : payload.content,
+      format: html ? 'html' : 'markdown',
+    };
+  },
+
+  async fetchContent() {
+    throw new Error('The payload has no content');
+  },
+};
+
+export const SOURCES = { wordpress, shopify, generic };
+
+// The reviewable text of a CMS body.
+export function toText(content, format) {
+  return format === 'html' ? htmlToText(content) : markdownToText(content);
+}
@@ -0,0 +1,13 @@
+// lib/workflow/errors.js
+
+// A workflow change that is not allowed in the review's current state.
+// `status` is the HTTP status the API responds with.
+export class WorkflowError extends Error {
+  constructor(message, { code = 'invalid_request', status = 400, details } = {}) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
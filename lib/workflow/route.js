@@ -0,0 +1,52 @@
+// lib/workflow/route.js
+import { withAuth } from '../auth/withAuth.js';
+import { updateReview } from '../reviews/store.js';
+import { WorkflowError } from './errors.js';
+
+// API handler for one kind of workflow change. `change(review, req)`
+// returns the review's next workflow (see workflow.js); it runs under the
+// review's lock, so concurrent sign-offs cannot overwrite each other.
+// `permission` is passed to withAuth, and the signed-in user is recorded
+// as the actor of the change.
+export function workflowRoute({ methods, change, permission = 'workflow:submit', successStatus = 200 }) {
+  return withAuth(async function handler(req, res) {
+    if (!methods.includes(req.method)) {
+      res.setHeader('Allow', methods.join(', '));
+      return res.status(405).json({
+        error: 'Method not allowed',
+        message: `This endpoint only accepts ${methods.join(' and ')} requests`
+      });
+    }
+
+    req.body = { ...req.body, actor: req.user.username };
+
+    try {
+      const review = await updateReview(req.query.id, (current) => ({
+        ...current,
+        workflow: change(current, req),
+      }));
+      if (!review) {
+        return res.status(404).json({
+          error: 'Review not found',
+          message: `Review "${req.query.id}" does not exist`
+        });
+      }
+      return res.status(successStatus).json({ workflow: review.workflow });
+    } catch (error) {
+      if (error instanceof WorkflowError) {
+        return res.status(error.status).json({
+          error: 'Workflow change rejected',
+          code: error.code,
+          message: error.message,
+          details: error.details
+        });
+      }
+
+      console.error('Workflow API error:', error);
+      return res.status(500).json({
+        error: 'Workflow update failed',
+        message: 'An error occurred while updating the review. Please try again.'
+      });
+    }
+  }, { permission });
+}
@@ -0,0 +1,170 @@
+// lib/workflow/workflow.js
+import { WorkflowError } from './errors.js';
+
+// Editorial sign-off on top of a stored review. Every function here takes
+// the review and returns its next `workflow`; nothing is saved.
+export const STATUSES = ['draft', 'in_review', 'changes_requested', 'approved', 'published'];
+
+export const STATUS_LABELS = {
+  draft: 'Draft',
+  in_review: 'In review',
+  changes_requested: 'Changes requested',
+  approved: 'Approved',
+  published: 'Published',
+};
+
+// Allowed next statuses. Approval can be withdrawn until the post is
+// published; after that a new revision has to go through review again.
+export const TRANSITIONS = {
+  draft: ['in_review'],
+  in_review: ['changes_requested', 'approved', 'draft'],
+  changes_requested: ['in_review', 'draft'],
+  approved: ['published', 'changes_requested'],
+  published: [],
+};
+
+// Statuses only a compliance reviewer may move a document to, and the
+// resolutions a writer may record on their own.
+export const SIGN_OFF_STATUSES = ['changes_requested', 'approved', 'published'];
+export const WRITER_RESOLUTIONS = ['fixed'];
+
+export const RESOLUTIONS = ['fixed', 'accepted_risk', 'false_positive'];
+
+export const RESOLUTION_LABELS = {
+  fixed: 'Fixed',
+  accepted_risk: 'Accepted risk',
+  false_positive: 'False positive',
+};
+
+const MAX_COMMENT_LENGTH = 5000;
+
+export function workflowOf(review) {
+  return {
+    status: 'draft',
+    reviewers: [],
+    resolutions: {},
+    comments: {},
+    history: [],
+    ...review.workflow,
+  };
+}
+
+// A new revision starts as a draft with the same reviewers.
+export function initialWorkflow(previous) {
+  return { ...workflowOf({}), reviewers: previous ? workflowOf(previous).reviewers : [] };
+}
+
+export function unresolvedFindings(review, severity = 'HIGH') {
+  const { resolutions } = workflowOf(review);
+  return review.findings.filter((finding) => finding.severity === severity && !resolutions[finding.id]);
+}
+
+function requireFinding(review, findingId) {
+  if (!review.findings.some((finding) => finding.id === findingId)) {
+    throw new WorkflowError(`Finding "${findingId}" does not exist in this review`, { code: 'not_found', status: 404 });
+  }
+}
+
+function entry(actor, fields) {
+  return { at: new Date().toISOString(), actor: actor || null, ...fields };
+}
+
+export function transition(review, { status, actor, note }) {
+  const workflow = workflowOf(review);
+
+  if (!STATUSES.includes(status)) {
+    throw new WorkflowError(`"status" must be one of ${STATUSES.join(', ')}`);
+  }
+  if (!TRANSITIONS[workflow.status].includes(status)) {
+    throw new WorkflowError(
+      `Cannot move from ${STATUS_LABELS[workflow.status]} to ${STATUS_LABELS[status]}`,
+      { code: 'invalid_transition', status: 409 }
+    );
+  }
+
+  // Checked again at publishing, in case a finding was reopened after
+  // approval.
+  if (status === 'approved' || status === 'published') {
+    const unresolved = unresolvedFindings(review);
+    if (unresolved.length > 0) {
+      throw new WorkflowError(
+        `${unresolved.length} HIGH finding(s) must be resolved before the document can be ${status}`,
+        { code: 'unresolved_findings', status: 409, details: unresolved.map((finding) => finding.id) }
+      );
+    }
+  }
+
+  return {
+    ...workflow,
+    status,
+    history: [...workflow.history, entry(actor, { action: 'status', from: workflow.status, to: status, note: note || undefined })],
+  };
+}
+
+export function assignReviewers(review, { reviewers, actor }) {
+  if (!Array.isArray(reviewers) || reviewers.some((reviewer) => typeof reviewer !== 'string')) {
+    throw new WorkflowError('"reviewers" must be an array of names');
+  }
+
+  const workflow = workflowOf(review);
+  const names = [...new Set(reviewers.map((reviewer) => reviewer.trim()).filter(Boolean))];
+  return {
+    ...workflow,
+    reviewers: names,
+    history: [...workflow.history, entry(actor, { action: 'reviewers', reviewers: names })],
+  };
+}
+
+// `state: null` reopens the finding. Accepting a risk needs a
+// justification so the decision can be audited later. Reopening a HIGH
+// finding of an approved document withdraws the approval: the document
+// goes back to changes requested.
+export function resolveFinding(review, findingId, { state, justification, actor }) {
+  requireFinding(review, findingId);
+  if (state !== null && !RESOLUTIONS.includes(state)) {
+    throw new WorkflowError(`"state" must be one of ${RESOLUTIONS.join(', ')}, or null to reopen`);
+  }
+  const reason = typeof justification === 'string' ? justification.trim() : '';
+  if (state === 'accepted_risk' && !reason) {
+    throw new WorkflowError('Accepting a risk requires a "justification"');
+  }
+
+  const workflow = workflowOf(review);
+  if (workflow.status === 'published') {
+    throw new WorkflowError('Findings of a published document can no longer be changed', { code: 'invalid_transition', status: 409 });
+  }
+
+  const resolutions = { ...workflow.resolutions };
+  if (state) resolutions[findingId] = entry(actor, { state, justification: reason || undefined });
+  else delete resolutions[findingId];
+
+  const history = [...workflow.history, entry(actor, { action: 'resolution', findingId, state })];
+  const reopened = review.findings.find((finding) => finding.id === findingId && finding.severity === 'HIGH' && !state);
+  if (workflow.status === 'approved' && reopened) {
+    return {
+      ...workflow,
+      status: 'changes_requested',
+      resolutions,
+      history: [...history, entry(actor, { action: 'status', from: 'approved', to: 'changes_requested', note: `HIGH finding ${findingId} reopened` })],
+    };
+  }
+
+  return { ...workflow, resolutions, history };
+}
+
+export function addComment(review, findingId, { text, actor }) {
+  requireFinding(review, findingId);
+  const body = typeof text === 'string' ? text.trim() : '';
+  if (!body) throw new WorkflowError('Comment "text" cannot be empty');
+  if (body.length > MAX_COMMENT_LENGTH) throw new WorkflowError(`Comments are limited to ${MAX_COMMENT_LENGTH} characters`);
+
+  const workflow = workflowOf(review);
+  const thread = workflow.comments[findingId] || [];
+  return {
+    ...workflow,
+    comments: {
+      ...workflow.comments,
+      [findingId]: [...thread, entry(actor, { id: `C${thread.length + 1}`, text: body })],
+    },
+  };
+}
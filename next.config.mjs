@@ -1,6 +1,10 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
+  // pdf.js and PDFKit load their worker and font data at runtime, so they
+  // have to be required from node_modules rather than bundled into the API
+  // routes.
+  serverExternalPackages: ['pdfjs-dist', 'pdfkit'],
 };
 
 export default nextConfig;
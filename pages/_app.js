@@ -0,0 +1,10 @@
+// pages/_app.js
+import { SessionProvider } from '../components/session.js';
+
+export default function App({ Component, pageProps }) {
+  return (
+    <SessionProvider>
+      <Component {...pageProps} />
+    </SessionProvider>
+  );
+}
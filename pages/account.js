@@ -0,0 +1,261 @@
+// pages/account.js
+import { useCallback, useEffect, useState } from 'react';
+import Layout from '../components/Layout.js';
+import { useSession } from '../components/session.js';
+import {
+  cardStyle,
+  cardTitleStyle,
+  inputStyle,
+  labelStyle,
+  messageStyle,
+  primaryButtonStyle,
+  secondaryButtonStyle,
+} from '../components/styles.js';
+import { ROLES, ROLE_LABELS } from '../lib/auth/roles.js';
+
+const EMPTY_USER = { username: '', name: '', password: '', role: 'writer' };
+
+const cellStyle = { padding: '8px 10px', borderBottom: '1px solid #e5e7eb', textAlign: 'left' };
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' },
+    body: options.body && JSON.stringify(options.body),
+  });
+  if (response.status === 204) return {};
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.message || 'Request failed');
+  return data;
+}
+
+function ApiTokens() {
+  const [tokens, setTokens] = useState([]);
+  const [name, setName] = useState('');
+  const [created, setCreated] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setTokens((await request('/api/tokens')).tokens);
+    } catch (err) {
+      setMessage(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const create = async () => {
+    setMessage(null);
+    try {
+      const data = await request('/api/tokens', { method: 'POST', body: { name } });
+      setCreated(data.token);
+      setName('');
+      await load();
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  const revoke = async (id) => {
+    setMessage(null);
+    try {
+      await request(`/api/tokens/${id}`, { method: 'DELETE' });
+      await load();
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  return (
+    <div style={cardStyle}>
+      <h2 style={cardTitleStyle}>🔑 API tokens</h2>
+      <p style={{ margin: '0 0 15px 0', fontSize: '14px', color: '#6b7280' }}>
+        Tokens let scripts call the API as you, with your role. Send them as
+        {' '}<code>Authorization: Bearer &lt;token&gt;</code>.
+      </p>
+
+      {message && <div style={messageStyle(false)}>{message}</div>}
+      {created && (
+        <div style={messageStyle(true)}>
+          Copy this token now; it will not be shown again:
+          <code style={{ display: 'block', marginTop: '6px', wordBreak: 'break-all' }}>{created}</code>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px', marginBottom: '15px' }}>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="What is this token for? (e.g. CI pipeline)"
+          style={inputStyle}
+        />
+        <button onClick={create} disabled={!name.trim()} style={primaryButtonStyle}>Create</button>
+      </div>
+
+      {tokens.length === 0 ? (
+        <p style={{ fontSize: '14px', color: '#6b7280' }}>You have no API tokens.</p>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+          <tbody>
+            {tokens.map((token) => (
+              <tr key={token.id}>
+                <td style={cellStyle}>{token.name}</td>
+                <td style={{ ...cellStyle, color: '#6b7280' }}>
+                  Created {new Date(token.createdAt).toLocaleDateString()}
+                  {' · '}{token.lastUsedAt ? `last used ${new Date(token.lastUsedAt).toLocaleString()}` : 'never used'}
+                </td>
+                <td style={{ ...cellStyle, textAlign: 'right' }}>
+                  <button onClick={() => revoke(token.id)} style={secondaryButtonStyle}>Revoke</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function UserManagement({ currentUserId }) {
+  const [users, setUsers] = useState([]);
+  const [form, setForm] = useState(EMPTY_USER);
+  const [message, setMessage] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setUsers((await request('/api/users')).users);
+    } catch (err) {
+      setMessage({ success: false, text: err.message });
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const update = async (id, changes, success) => {
+    setMessage(null);
+    try {
+      await request(`/api/users/${id}`, { method: 'PUT', body: changes });
+      if (success) setMessage({ success: true, text: success });
+      await load();
+    } catch (err) {
+      setMessage({ success: false, text: err.message });
+    }
+  };
+
+  const resetPassword = (user) => {
+    const password = window.prompt(`New password for ${user.username}:`);
+    if (password) update(user.id, { password }, `✅ Password changed for ${user.username}`);
+  };
+
+  const create = async () => {
+    setMessage(null);
+    try {
+      const data = await request('/api/users', { method: 'POST', body: form });
+      setForm(EMPTY_USER);
+      setMessage({ success: true, text: `✅ Created ${data.user.username}` });
+      await load();
+    } catch (err) {
+      setMessage({ success: false, text: err.message });
+    }
+  };
+
+  return (
+    <div style={cardStyle}>
+      <h2 style={cardTitleStyle}>👥 Users</h2>
+      {message && <div style={messageStyle(message.success)}>{message.text}</div>}
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', marginBottom: '25px' }}>
+        <thead>
+          <tr style={{ color: '#6b7280' }}>
+            <th style={cellStyle}>User</th>
+            <th style={cellStyle}>Role</th>
+            <th style={cellStyle}>Status</th>
+            <th style={cellStyle} />
+          </tr>
+        </thead>
+        <tbody>
+          {users.map((user) => (
+            <tr key={user.id} style={{ opacity: user.disabled ? 0.6 : 1 }}>
+              <td style={cellStyle}>
+                <strong>{user.name}</strong> <span style={{ color: '#6b7280' }}>@{user.username}{user.oidc ? ' · SSO' : ''}</span>
+              </td>
+              <td style={cellStyle}>
+                <select
+                  value={user.role}
+                  disabled={user.id === currentUserId}
+                  onChange={(e) => update(user.id, { role: e.target.value })}
+                  style={{ ...inputStyle, width: 'auto', padding: '4px 8px' }}
+                >
+                  {ROLES.map((role) => <option key={role} value={role}>{ROLE_LABELS[role]}</option>)}
+                </select>
+              </td>
+              <td style={cellStyle}>{user.disabled ? 'Disabled' : 'Active'}</td>
+              <td style={{ ...cellStyle, textAlign: 'right', whiteSpace: 'nowrap' }}>
+                {!user.oidc && (
+                  <button onClick={() => resetPassword(user)} style={{ ...secondaryButtonStyle, marginRight: '6px' }}>
+                    Reset password
+                  </button>
+                )}
+                {user.id !== currentUserId && (
+                  <button onClick={() => update(user.id, { disabled: !user.disabled })} style={secondaryButtonStyle}>
+                    {user.disabled ? 'Enable' : 'Disable'}
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h3 style={{ margin: '0 0 15px 0', fontSize: '1.1rem', color: '#1f2937' }}>Add a user</h3>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '15px', marginBottom: '15px' }}>
+        {[['username', 'Username'], ['name', 'Full name'], ['password', 'Initial password']].map(([name, label]) => (
+          <div key={name}>
+            <label style={labelStyle}>{label}</label>
+            <input
+              type={name === 'password' ? 'password' : 'text'}
+              value={form[name]}
+              onChange={(e) => setForm({ ...form, [name]: e.target.value })}
+              autoComplete={name === 'password' ? 'new-password' : 'off'}
+              style={inputStyle}
+            />
+          </div>
+        ))}
+        <div>
+          <label style={labelStyle}>Role</label>
+          <select value={form.role} onChange={(e) => setForm({ ...form, role: e.target.value })} style={inputStyle}>
+            {ROLES.map((role) => <option key={role} value={role}>{ROLE_LABELS[role]}</option>)}
+          </select>
+        </div>
+      </div>
+      <button onClick={create} style={primaryButtonStyle}>➕ Add user</button>
+    </div>
+  );
+}
+
+// The signed-in user's API tokens and, for admins, account management.
+export default function Account() {
+  const { user, can } = useSession();
+
+  return (
+    <Layout title="Account · Olixir Document Review System">
+      <div style={{ display: 'grid', gap: '30px' }}>
+        {user && (
+          <div style={cardStyle}>
+            <h2 style={cardTitleStyle}>👤 {user.name}</h2>
+            <p style={{ margin: 0, fontSize: '14px', color: '#374151' }}>
+              Signed in as <strong>{user.username}</strong> · {user.roleLabel}
+            </p>
+          </div>
+        )}
+        {user && <ApiTokens />}
+        {user && can('users:manage') && <UserManagement currentUserId={user.id} />}
+      </div>
+    </Layout>
+  );
+}
@@ -0,0 +1,46 @@
+// pages/api/auth/login.js
+import { AuthError } from '../../../lib/auth/errors.js';
+import { sessionCookie } from '../../../lib/auth/session.js';
+import { authenticate, publicUser } from '../../../lib/auth/users.js';
+import { clientIp } from '../../../lib/ratelimit/clientIp.js';
+import { loginWindows } from '../../../lib/ratelimit/index.js';
+import { withRateLimit } from '../../../lib/ratelimit/withRateLimit.js';
+
+// POST { username, password } sets the session cookie.
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts POST requests'
+    });
+  }
+
+  const { username, password } = req.body || {};
+
+  try {
+    const user = await authenticate(username, password);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Sign-in failed',
+        message: 'Unknown username or wrong password'
+      });
+    }
+
+    res.setHeader('Set-Cookie', sessionCookie(user));
+    return res.status(200).json({ user: publicUser(user) });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: 'Authentication unavailable', message: error.message });
+    }
+    console.error('Auth API error:', error);
+    return res.status(500).json({
+      error: 'Sign-in failed',
+      message: 'An error occurred while signing in. Please try again.'
+    });
+  }
+}
+
+export default withRateLimit(handler, {
+  windows: (req) => req.method === 'POST' ? loginWindows(clientIp(req)) : [],
+});
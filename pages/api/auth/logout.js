@@ -0,0 +1,15 @@
+// pages/api/auth/logout.js
+import { clearedSessionCookie } from '../../../lib/auth/session.js';
+
+export default function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts POST requests'
+    });
+  }
+
+  res.setHeader('Set-Cookie', clearedSessionCookie());
+  return res.status(204).end();
+}
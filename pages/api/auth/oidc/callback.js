@@ -0,0 +1,27 @@
+// pages/api/auth/oidc/callback.js
+import { AuthError } from '../../../../lib/auth/errors.js';
+import { OIDC_STATE_COOKIE, completeSignIn, oidcConfig } from '../../../../lib/auth/oidc.js';
+import { cookie, sessionCookie } from '../../../../lib/auth/session.js';
+
+// Where the identity provider sends the browser back. Errors go to the
+// login page rather than a JSON response, since a person is waiting.
+export default async function handler(req, res) {
+  const config = oidcConfig();
+  if (!config) return res.redirect(302, '/login');
+
+  const clearState = cookie(OIDC_STATE_COOKIE, '', { maxAge: 0, path: '/api/auth/oidc' });
+
+  try {
+    const { user, next } = await completeSignIn(config, {
+      query: req.query,
+      stateCookie: req.cookies[OIDC_STATE_COOKIE],
+    });
+    res.setHeader('Set-Cookie', [clearState, sessionCookie(user)]);
+    return res.redirect(302, next);
+  } catch (error) {
+    if (!(error instanceof AuthError)) console.error('OIDC callback error:', error);
+    const message = error instanceof AuthError ? error.message : 'Single sign-on failed. Please try again.';
+    res.setHeader('Set-Cookie', clearState);
+    return res.redirect(302, `/login?error=${encodeURIComponent(message)}`);
+  }
+}
@@ -0,0 +1,23 @@
+// pages/api/auth/oidc/login.js
+import { OIDC_STATE_COOKIE, beginSignIn, oidcConfig } from '../../../../lib/auth/oidc.js';
+import { cookie } from '../../../../lib/auth/session.js';
+
+// GET ?next=/path redirects the browser to the identity provider.
+export default async function handler(req, res) {
+  const config = oidcConfig();
+  if (!config) {
+    return res.status(404).json({
+      error: 'Single sign-on not configured',
+      message: 'Set OIDC_ISSUER, OIDC_CLIENT_ID and OIDC_REDIRECT_URI to enable it'
+    });
+  }
+
+  try {
+    const { url, stateCookie, maxAge } = await beginSignIn(config, { next: String(req.query.next || '/') });
+    res.setHeader('Set-Cookie', cookie(OIDC_STATE_COOKIE, stateCookie, { maxAge, path: '/api/auth/oidc' }));
+    return res.redirect(302, url);
+  } catch (error) {
+    console.error('OIDC sign-in error:', error);
+    return res.redirect(302, `/login?error=${encodeURIComponent('The identity provider could not be reached')}`);
+  }
+}
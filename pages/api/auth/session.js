@@ -0,0 +1,38 @@
+// pages/api/auth/session.js
+import { AuthError } from '../../../lib/auth/errors.js';
+import { oidcConfig } from '../../../lib/auth/oidc.js';
+import { ROLE_LABELS, permissionsFor } from '../../../lib/auth/roles.js';
+import { countUsers } from '../../../lib/auth/users.js';
+import { currentUser } from '../../../lib/auth/withAuth.js';
+
+// Who is signed in, and how to sign in if nobody is. Always 200, so the
+// app can decide between the login page, first-run setup and the app.
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET requests'
+    });
+  }
+
+  try {
+    const user = await currentUser(req);
+    const sso = oidcConfig();
+
+    return res.status(200).json({
+      user: user && { ...user, roleLabel: ROLE_LABELS[user.role], permissions: permissionsFor(user.role) },
+      setupRequired: !user && (await countUsers()) === 0,
+      sso: sso && { label: sso.label },
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: 'Authentication unavailable', message: error.message });
+    }
+    console.error('Auth API error:', error);
+    return res.status(500).json({
+      error: 'Session lookup failed',
+      message: 'An error occurred while checking your session. Please try again.'
+    });
+  }
+}
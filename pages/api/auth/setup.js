@@ -0,0 +1,40 @@
+// pages/api/auth/setup.js
+import { AuthError } from '../../../lib/auth/errors.js';
+import { sessionCookie } from '../../../lib/auth/session.js';
+import { createFirstAdmin, publicUser } from '../../../lib/auth/users.js';
+
+// POST { username, name, password } creates the first account, as an
+// admin, and signs it in. Refused once any account exists, including when
+// two requests race to be first.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts POST requests'
+    });
+  }
+
+  try {
+    const { username, name, password } = req.body || {};
+    const user = await createFirstAdmin({ username, name, password });
+    if (!user) {
+      return res.status(409).json({
+        error: 'Already set up',
+        message: 'An account already exists. Ask an admin to create yours.'
+      });
+    }
+
+    res.setHeader('Set-Cookie', sessionCookie(user));
+    return res.status(201).json({ user: publicUser(user) });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: 'Setup failed', code: error.code, message: error.message });
+    }
+    console.error('Auth API error:', error);
+    return res.status(500).json({
+      error: 'Setup failed',
+      message: 'An error occurred while creating the account. Please try again.'
+    });
+  }
+}
@@ -0,0 +1,58 @@
+// pages/api/batches/[id].js
+import { can } from '../../../lib/auth/roles.js';
+import { withAuth } from '../../../lib/auth/withAuth.js';
+import { processBatches, queuePause } from '../../../lib/batch/queue.js';
+import { cancelBatch, getBatch } from '../../../lib/batch/store.js';
+import { rankDocuments, summarizeBatch } from '../../../lib/batch/summary.js';
+
+// GET returns the batch with its documents ranked from riskiest to safest
+// and a summary; DELETE cancels the documents not yet started, and is
+// allowed to the batch's submitter and admins. While the whole queue is
+// paused, an unfinished batch reports that pause as its own.
+async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    if (req.method === 'GET' || req.method === 'DELETE') {
+      let batch = await getBatch(id);
+      if (!batch) {
+        return res.status(404).json({
+          error: 'Batch not found',
+          message: `Batch "${id}" does not exist`
+        });
+      }
+
+      if (req.method === 'DELETE') {
+        if (batch.submitter?.id !== req.user.id && !can(req.user, 'batches:manage')) {
+          return res.status(403).json({
+            error: 'Forbidden',
+            message: 'Only the person who submitted this batch or an admin can cancel it'
+          });
+        }
+        batch = await cancelBatch(id);
+      }
+
+      processBatches();
+      const summary = summarizeBatch(batch);
+      const pause = !summary.finished && !batch.pauseReason ? queuePause() : null;
+      return res.status(200).json({
+        batch: { ...batch, ...pause, documents: rankDocuments(batch.documents) },
+        summary,
+      });
+    }
+
+    res.setHeader('Allow', 'GET, DELETE');
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET and DELETE requests'
+    });
+  } catch (error) {
+    console.error('Batches API error:', error);
+    return res.status(500).json({
+      error: 'Batch failed',
+      message: 'An error occurred while accessing the batch. Please try again.'
+    });
+  }
+}
+
+export default withAuth(handler, { permission: (req) => req.method === 'DELETE' ? 'reviews:submit' : 'reviews:read' });
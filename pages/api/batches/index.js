@@ -0,0 +1,119 @@
+// pages/api/batches/index.js
+import { withAuth } from '../../../lib/auth/withAuth.js';
+import { processBatches } from '../../../lib/batch/queue.js';
+import { createBatch, listBatches } from '../../../lib/batch/store.js';
+import { BatchTooLargeError, MAX_DOCUMENTS, expandUploads, validateUploads } from '../../../lib/batch/uploads.js';
+import { DEFAULT_CHECKLIST_ID, getChecklist } from '../../../lib/checklists/store.js';
+import { DEFAULT_PROFILE_ID, getProfile } from '../../../lib/profiles/store.js';
+import { selectRulepacks } from '../../../lib/rulepacks/index.js';
+
+// A batch of uploads can be far larger than a single document.
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '50mb' },
+  },
+};
+
+// GET lists batches, newest first. POST { name, files: [{ filename, data }],
+// documents: [{ filename, content }], profileId, profileVersion,
+// checklistId, checklistVersion, markets, rulepacks } queues a batch: `files` are base64 uploads (zips are
+// unpacked), `documents` plain text. Responds 202 with the batch; poll
+// GET /api/batches/:id for progress.
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      processBatches();
+      return res.status(200).json({ batches: await listBatches({ submittedBy: req.query.mine ? req.user.username : undefined }) });
+    }
+
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return res.status(405).json({
+        error: 'Method not allowed',
+        message: 'This endpoint only accepts GET and POST requests'
+      });
+    }
+
+    const { name, files, documents, profileId, profileVersion, checklistId, checklistVersion, markets, rulepacks } = req.body || {};
+    if ((files !== undefined && !Array.isArray(files)) || (documents !== undefined && !Array.isArray(documents))) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: '"files" and "documents" must be arrays'
+      });
+    }
+    const uploadErrors = validateUploads({ files, documents });
+    if (uploadErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: uploadErrors.join('; '),
+        details: uploadErrors
+      });
+    }
+
+    const profile = await getProfile(profileId || DEFAULT_PROFILE_ID, Number.parseInt(profileVersion, 10) || undefined);
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Profile not found',
+        message: `Brand profile "${profileId}"${profileVersion ? ` version ${profileVersion}` : ''} does not exist`
+      });
+    }
+
+    const checklist = await getChecklist(checklistId || DEFAULT_CHECKLIST_ID, Number.parseInt(checklistVersion, 10) || undefined);
+    if (!checklist) {
+      return res.status(404).json({
+        error: 'Checklist not found',
+        message: `Checklist "${checklistId}"${checklistVersion ? ` version ${checklistVersion}` : ''} does not exist`
+      });
+    }
+
+    const selection = selectRulepacks({ markets: markets || undefined, rulepacks: rulepacks || undefined });
+    if (selection.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid markets',
+        message: selection.errors.join('; '),
+        details: selection.errors
+      });
+    }
+
+    let expanded;
+    try {
+      expanded = await expandUploads({ files, documents });
+    } catch (error) {
+      if (!(error instanceof BatchTooLargeError)) throw error;
+      return res.status(400).json({
+        error: 'Batch too large',
+        message: `A batch can contain at most ${MAX_DOCUMENTS} documents and this upload has ${error.count}. Split the upload into several batches.`
+      });
+    }
+    if (expanded.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'The batch contains no documents. Upload files or a zip of .txt, .md, .html, .docx or .pdf files.'
+      });
+    }
+
+    const batch = await createBatch({
+      name: ((typeof name === 'string' && name.trim()) || `${expanded.length} documents`).slice(0, 200),
+      documents: expanded,
+      settings: {
+        profileId: profile.id,
+        profileVersion: profile.version,
+        checklistId: checklist.id,
+        checklistVersion: checklist.version,
+        markets: selection.markets,
+        rulepacks: selection.rulepacks.map((rulepack) => rulepack.id),
+      },
+      submitter: req.user,
+    });
+    processBatches();
+    return res.status(202).json({ batch });
+  } catch (error) {
+    console.error('Batches API error:', error);
+    return res.status(500).json({
+      error: 'Batch failed',
+      message: 'An error occurred while queuing the batch. Please try again.'
+    });
+  }
+}
+
+export default withAuth(handler, { permission: (req) => req.method === 'POST' ? 'reviews:submit' : 'reviews:read' });
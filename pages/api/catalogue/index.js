@@ -0,0 +1,12 @@
+// pages/api/catalogue/index.js
+import { validateProduct } from '../../../lib/catalogue/schema.js';
+import { products } from '../../../lib/catalogue/store.js';
+import { versionedRoute } from '../../../lib/storage/route.js';
+
+// Also serves /api/catalogue/:id through [id].js.
+export default versionedRoute({
+  store: products,
+  validate: validateProduct,
+  permission: 'catalogue:edit',
+  names: { one: 'product', many: 'products', title: 'Product', collection: 'the product catalogue' },
+});
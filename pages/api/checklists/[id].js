@@ -0,0 +1,4 @@
+// pages/api/checklists/[id].js
+
+// index.js serves the record when the route has an id.
+export { default } from './index.js';
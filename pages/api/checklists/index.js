@@ -0,0 +1,12 @@
+// pages/api/checklists/index.js
+import { validateChecklist } from '../../../lib/checklists/schema.js';
+import { checklists } from '../../../lib/checklists/store.js';
+import { versionedRoute } from '../../../lib/storage/route.js';
+
+// Also serves /api/checklists/:id through [id].js.
+export default versionedRoute({
+  store: checklists,
+  validate: validateChecklist,
+  permission: 'checklists:edit',
+  names: { one: 'checklist', many: 'checklists', title: 'Checklist', collection: 'checklists' },
+});
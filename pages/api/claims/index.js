@@ -0,0 +1,12 @@
+// pages/api/claims/index.js
+import { validateClaim } from '../../../lib/claims/schema.js';
+import { claims } from '../../../lib/claims/store.js';
+import { versionedRoute } from '../../../lib/storage/route.js';
+
+// Also serves /api/claims/:id through [id].js.
+export default versionedRoute({
+  store: claims,
+  validate: validateClaim,
+  permission: 'claims:edit',
+  names: { one: 'claim', many: 'claims', title: 'Claim', collection: 'the approved-claims library' },
+});
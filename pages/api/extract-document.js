@@ -0,0 +1,59 @@
+// pages/api/extract-document.js
+import { withAuth } from '../../lib/auth/withAuth.js';
+import { UnsupportedFormatError, extractDocument } from '../../lib/extract/index.js';
+
+// Uploads arrive base64-encoded in JSON; 5MB of file is ~6.7MB encoded.
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '8mb' },
+  },
+};
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ 
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts POST requests'
+    });
+  }
+
+  const { filename, data } = req.body || {};
+
+  if (!filename || typeof data !== 'string' || data.length === 0) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      message: 'A filename and base64-encoded file data are required'
+    });
+  }
+
+  try {
+    const { content, format, page } = await extractDocument({ filename, buffer: Buffer.from(data, 'base64') });
+
+    if (content.trim().length < 10) {
+      return res.status(422).json({
+        error: 'No text found',
+        message: format === 'pdf'
+          ? 'No text could be extracted. Scanned PDFs are not supported; please upload a text-based PDF.'
+          : 'File appears to be empty or too short.'
+      });
+    }
+
+    return res.status(200).json({ success: true, filename, format, content, page: page || null });
+  } catch (error) {
+    if (error instanceof UnsupportedFormatError) {
+      return res.status(415).json({
+        error: 'Unsupported file type',
+        message: error.message
+      });
+    }
+
+    console.error('Extraction failed:', error);
+    return res.status(422).json({
+      error: 'Extraction failed',
+      message: 'The file could not be read. It may be corrupted or password-protected.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+export default withAuth(handler, { permission: 'reviews:submit' });
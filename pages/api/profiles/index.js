@@ -0,0 +1,12 @@
+// pages/api/profiles/index.js
+import { validateProfile } from '../../../lib/profiles/schema.js';
+import { profiles } from '../../../lib/profiles/store.js';
+import { versionedRoute } from '../../../lib/storage/route.js';
+
+// Also serves /api/profiles/:id through [id].js.
+export default versionedRoute({
+  store: profiles,
+  validate: validateProfile,
+  permission: 'profiles:edit',
+  names: { one: 'profile', many: 'profiles', title: 'Brand profile', collection: 'brand profiles' },
+});
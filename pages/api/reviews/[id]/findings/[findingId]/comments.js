@@ -0,0 +1,10 @@
+// pages/api/reviews/[id]/findings/[findingId]/comments.js
+import { workflowRoute } from '../../../../../../lib/workflow/route.js';
+import { addComment } from '../../../../../../lib/workflow/workflow.js';
+
+// POST { text }
+export default workflowRoute({
+  methods: ['POST'],
+  change: (review, req) => addComment(review, req.query.findingId, req.body),
+  successStatus: 201,
+});
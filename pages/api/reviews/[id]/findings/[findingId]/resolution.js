@@ -0,0 +1,17 @@
+// pages/api/reviews/[id]/findings/[findingId]/resolution.js
+import { workflowRoute } from '../../../../../../lib/workflow/route.js';
+import { WRITER_RESOLUTIONS, resolveFinding } from '../../../../../../lib/workflow/workflow.js';
+
+// PUT { state, justification } resolves the finding; DELETE reopens it.
+// Writers can mark a finding fixed; accepting the risk, dismissing it as a
+// false positive or reopening it is a reviewer's call.
+export default workflowRoute({
+  methods: ['PUT', 'DELETE'],
+  permission: (req) => req.method === 'PUT' && WRITER_RESOLUTIONS.includes(req.body?.state)
+    ? 'workflow:submit'
+    : 'workflow:approve',
+  change: (review, req) => resolveFinding(review, req.query.findingId, {
+    ...req.body,
+    state: req.method === 'DELETE' ? null : req.body.state,
+  }),
+});
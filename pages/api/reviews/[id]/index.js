@@ -0,0 +1,44 @@
+// pages/api/reviews/[id]/index.js
+import { withAuth } from '../../../../lib/auth/withAuth.js';
+import { deleteReview, getReview } from '../../../../lib/reviews/store.js';
+
+async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    if (req.method === 'GET') {
+      const review = await getReview(id);
+      if (!review) {
+        return res.status(404).json({
+          error: 'Review not found',
+          message: `Review "${id}" does not exist`
+        });
+      }
+      return res.status(200).json({ review });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!(await deleteReview(id))) {
+        return res.status(404).json({
+          error: 'Review not found',
+          message: `Review "${id}" does not exist`
+        });
+      }
+      return res.status(204).end();
+    }
+
+    res.setHeader('Allow', 'GET, DELETE');
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET and DELETE requests'
+    });
+  } catch (error) {
+    console.error('Reviews API error:', error);
+    return res.status(500).json({
+      error: 'Review history failed',
+      message: 'An error occurred while accessing the review. Please try again.'
+    });
+  }
+}
+
+export default withAuth(handler, { permission: (req) => req.method === 'DELETE' ? 'reviews:delete' : 'reviews:read' });
@@ -0,0 +1,56 @@
+// pages/api/reviews/[id]/report.js
+import { withAuth } from '../../../../lib/auth/withAuth.js';
+import { renderReportHtml } from '../../../../lib/report/html.js';
+import { renderReportPdf } from '../../../../lib/report/pdf.js';
+import { REPORT_FORMATS, buildReport, reportFilename } from '../../../../lib/report/report.js';
+import { getReview } from '../../../../lib/reviews/store.js';
+
+// GET ?format=html|pdf renders the compliance report of a stored review;
+// add &download=1 to save it as a file instead of opening it.
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET requests'
+    });
+  }
+
+  const { id, format = 'html', download } = req.query;
+  if (!REPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      error: 'Invalid format',
+      message: `"format" must be one of ${REPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  try {
+    const review = await getReview(id);
+    if (!review) {
+      return res.status(404).json({
+        error: 'Review not found',
+        message: `Review "${id}" does not exist`
+      });
+    }
+
+    const report = buildReport(review, { generatedBy: req.user.username });
+    const filename = reportFilename(review, format);
+    res.setHeader('Content-Disposition', `${download ? 'attachment' : 'inline'}; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      return res.status(200).send(await renderReportPdf(report));
+    }
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.status(200).send(renderReportHtml(report));
+  } catch (error) {
+    console.error('Report API error:', error);
+    return res.status(500).json({
+      error: 'Report failed',
+      message: 'An error occurred while generating the report. Please try again.'
+    });
+  }
+}
+
+export default withAuth(handler, { permission: 'reviews:read' });
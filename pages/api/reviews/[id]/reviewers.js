@@ -0,0 +1,10 @@
+// pages/api/reviews/[id]/reviewers.js
+import { workflowRoute } from '../../../../lib/workflow/route.js';
+import { assignReviewers } from '../../../../lib/workflow/workflow.js';
+
+// PUT { reviewers: ["name", ...] }
+export default workflowRoute({
+  methods: ['PUT'],
+  permission: 'workflow:approve',
+  change: (review, req) => assignReviewers(review, req.body),
+});
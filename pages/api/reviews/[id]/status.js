@@ -0,0 +1,11 @@
+// pages/api/reviews/[id]/status.js
+import { workflowRoute } from '../../../../lib/workflow/route.js';
+import { SIGN_OFF_STATUSES, transition } from '../../../../lib/workflow/workflow.js';
+
+// POST { status, note }. Writers can only move a document between draft
+// and in review; sign-off decisions need a compliance reviewer.
+export default workflowRoute({
+  methods: ['POST'],
+  permission: (req) => SIGN_OFF_STATUSES.includes(req.body?.status) ? 'workflow:approve' : 'workflow:submit',
+  change: (review, req) => transition(review, req.body),
+});
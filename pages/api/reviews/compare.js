@@ -0,0 +1,56 @@
+// pages/api/reviews/compare.js
+import { withAuth } from '../../../lib/auth/withAuth.js';
+import { compareReviews } from '../../../lib/review/compare.js';
+import { getReview } from '../../../lib/reviews/store.js';
+
+// GET /api/reviews/compare?to=<reviewId>[&from=<reviewId>]
+// Compares two stored reviews; `from` defaults to the revision `to` was
+// submitted as a new version of.
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET requests'
+    });
+  }
+
+  try {
+    const current = await getReview(req.query.to);
+    if (!current) {
+      return res.status(404).json({
+        error: 'Review not found',
+        message: `Review "${req.query.to}" does not exist`
+      });
+    }
+
+    const fromId = req.query.from || current.previousReviewId;
+    if (!fromId) {
+      return res.status(400).json({
+        error: 'Nothing to compare',
+        message: 'This review is the first revision of its document. Pass "from" to compare it with another review.'
+      });
+    }
+
+    const previous = await getReview(fromId);
+    if (!previous) {
+      return res.status(404).json({
+        error: 'Review not found',
+        message: `Review "${fromId}" does not exist`
+      });
+    }
+
+    return res.status(200).json({
+      filename: current.filename,
+      comparison: compareReviews(previous, current, { includeDiff: true }),
+    });
+  } catch (error) {
+    console.error('Reviews API error:', error);
+    return res.status(500).json({
+      error: 'Comparison failed',
+      message: 'An error occurred while comparing the reviews. Please try again.'
+    });
+  }
+}
+
+export default withAuth(handler, { permission: 'reviews:read' });
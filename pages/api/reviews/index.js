@@ -0,0 +1,57 @@
+// pages/api/reviews/index.js
+import { withAuth } from '../../../lib/auth/withAuth.js';
+import { listReviews } from '../../../lib/reviews/store.js';
+import { SEVERITIES } from '../../../lib/review/schema.js';
+import { STATUSES } from '../../../lib/workflow/workflow.js';
+
+// GET /api/reviews?q=&risk=HIGH,MEDIUM&status=in_review&from=2025-01-01&to=2025-01-31&documentId=&limit=&offset=
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET requests'
+    });
+  }
+
+  const { q, risk, status, from, to, documentId, limit, offset } = req.query;
+  const riskLevels = risk ? risk.split(',').map((level) => level.trim().toUpperCase()) : [];
+  const unknown = riskLevels.filter((level) => !SEVERITIES.includes(level));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid filter',
+      message: `Unknown risk level "${unknown[0]}". Use ${SEVERITIES.join(', ')}`
+    });
+  }
+
+  const statuses = status ? status.split(',').map((value) => value.trim()) : [];
+  const unknownStatus = statuses.find((value) => !STATUSES.includes(value));
+  if (unknownStatus) {
+    return res.status(400).json({
+      error: 'Invalid filter',
+      message: `Unknown status "${unknownStatus}". Use ${STATUSES.join(', ')}`
+    });
+  }
+
+  try {
+    const result = await listReviews({
+      q,
+      riskLevels,
+      statuses,
+      from,
+      to,
+      documentId,
+      limit: Number.parseInt(limit, 10) || undefined,
+      offset: Number.parseInt(offset, 10) || 0,
+    });
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Reviews API error:', error);
+    return res.status(500).json({
+      error: 'Review history failed',
+      message: 'An error occurred while loading past reviews. Please try again.'
+    });
+  }
+}
+
+export default withAuth(handler, { permission: 'reviews:read' });
@@ -0,0 +1,24 @@
+// pages/api/rulepacks.js
+import { withAuth } from '../../lib/auth/withAuth.js';
+import { MARKETS, RULEPACKS } from '../../lib/rulepacks/index.js';
+
+// The available regulatory rulepacks with their clauses, for clients that
+// let users choose markets or show the text behind a citation.
+function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET requests'
+    });
+  }
+
+  return res.status(200).json({
+    markets: MARKETS,
+    rulepacks: RULEPACKS.map((rulepack) => ({
+      ...rulepack,
+      clauses: rulepack.clauses.map(({ rules, ...clause }) => clause),
+    })),
+  });
+}
+
+export default withAuth(handler, { permission: 'reviews:read' });
@@ -0,0 +1,32 @@
+// pages/api/tokens/[id].js
+import { revokeToken } from '../../../lib/auth/tokens.js';
+import { withAuth } from '../../../lib/auth/withAuth.js';
+
+// DELETE revokes one of the signed-in user's tokens.
+async function handler(req, res) {
+  if (req.method !== 'DELETE') {
+    res.setHeader('Allow', 'DELETE');
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts DELETE requests'
+    });
+  }
+
+  try {
+    if (!(await revokeToken(req.user.id, req.query.id))) {
+      return res.status(404).json({
+        error: 'Token not found',
+        message: `API token "${req.query.id}" does not exist`
+      });
+    }
+    return res.status(204).end();
+  } catch (error) {
+    console.error('Tokens API error:', error);
+    return res.status(500).json({
+      error: 'Token storage failed',
+      message: 'An error occurred while revoking the API token. Please try again.'
+    });
+  }
+}
+
+export default withAuth(handler, { sessionOnly: true });
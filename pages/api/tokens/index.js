@@ -0,0 +1,36 @@
+// pages/api/tokens/index.js
+import { AuthError } from '../../../lib/auth/errors.js';
+import { createToken, listTokens, publicToken } from '../../../lib/auth/tokens.js';
+import { withAuth } from '../../../lib/auth/withAuth.js';
+
+// The signed-in user's API tokens. POST { name } returns the new token in
+// `token`; it cannot be retrieved again. Only a session can manage tokens.
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json({ tokens: (await listTokens(req.user.id)).map(publicToken) });
+    }
+
+    if (req.method === 'POST') {
+      const { token, record } = await createToken(req.user.id, req.body?.name);
+      return res.status(201).json({ token, record: publicToken(record) });
+    }
+
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET and POST requests'
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: 'Invalid token', code: error.code, message: error.message });
+    }
+    console.error('Tokens API error:', error);
+    return res.status(500).json({
+      error: 'Token storage failed',
+      message: 'An error occurred while accessing API tokens. Please try again.'
+    });
+  }
+}
+
+export default withAuth(handler, { sessionOnly: true });
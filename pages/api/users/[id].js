@@ -0,0 +1,55 @@
+// pages/api/users/[id].js
+import { AuthError } from '../../../lib/auth/errors.js';
+import { sessionCookie } from '../../../lib/auth/session.js';
+import { publicUser, updateUser } from '../../../lib/auth/users.js';
+import { withAuth } from '../../../lib/auth/withAuth.js';
+
+// PUT { name, role, password, disabled } changes any of those fields. A
+// new password signs the account out everywhere, except for an admin
+// changing their own password, who stays signed in here.
+async function handler(req, res) {
+  if (req.method !== 'PUT') {
+    res.setHeader('Allow', 'PUT');
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts PUT requests'
+    });
+  }
+
+  const { id } = req.query;
+  const { name, role, password, disabled } = req.body || {};
+
+  // An admin who demotes or disables themselves could leave nobody able
+  // to manage accounts.
+  if (id.toLowerCase() === req.user.id && ((role !== undefined && role !== 'admin') || disabled)) {
+    return res.status(400).json({
+      error: 'Invalid account',
+      message: 'You cannot remove your own admin role or disable your own account'
+    });
+  }
+
+  try {
+    const user = await updateUser(id, { name, role, password, disabled });
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: `User "${id}" does not exist`
+      });
+    }
+    if (password !== undefined && user.id === req.user.id && !req.user.tokenId) {
+      res.setHeader('Set-Cookie', sessionCookie(user));
+    }
+    return res.status(200).json({ user: publicUser(user) });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: 'Invalid account', code: error.code, message: error.message });
+    }
+    console.error('Users API error:', error);
+    return res.status(500).json({
+      error: 'Account storage failed',
+      message: 'An error occurred while updating the account. Please try again.'
+    });
+  }
+}
+
+export default withAuth(handler, { permission: 'users:manage' });
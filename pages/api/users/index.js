@@ -0,0 +1,36 @@
+// pages/api/users/index.js
+import { AuthError } from '../../../lib/auth/errors.js';
+import { createUser, listUsers, publicUser } from '../../../lib/auth/users.js';
+import { withAuth } from '../../../lib/auth/withAuth.js';
+
+// GET lists accounts; POST { username, name, password, role } creates one.
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json({ users: (await listUsers()).map(publicUser) });
+    }
+
+    if (req.method === 'POST') {
+      const { username, name, password, role } = req.body || {};
+      const user = await createUser({ username, name, password, role });
+      return res.status(201).json({ user: publicUser(user) });
+    }
+
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET and POST requests'
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: 'Invalid account', code: error.code, message: error.message });
+    }
+    console.error('Users API error:', error);
+    return res.status(500).json({
+      error: 'Account storage failed',
+      message: 'An error occurred while accessing accounts. Please try again.'
+    });
+  }
+}
+
+export default withAuth(handler, { permission: 'users:manage' });
@@ -0,0 +1,135 @@
+// pages/api/webhooks/[source].js
+import { DEFAULT_CHECKLIST_ID, getChecklist } from '../../../lib/checklists/store.js';
+import { DEFAULT_PROFILE_ID, getProfile } from '../../../lib/profiles/store.js';
+import { selectRulepacks } from '../../../lib/rulepacks/index.js';
+import { receiveEvent } from '../../../lib/webhooks/events.js';
+import { SOURCES, WebhookPayloadError } from '../../../lib/webhooks/sources.js';
+
+// Signatures are computed over the exact bytes sent, so the body is read
+// raw rather than parsed by Next.
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+const MAX_BODY_BYTES = 6 * 1024 * 1024;
+
+function readRawBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+const list = (value) => typeof value === 'string' && value ? value.split(',').map((item) => item.trim()).filter(Boolean) : undefined;
+
+// POST /api/webhooks/wordpress|shopify|generic, called by the CMS when a
+// post is created or updated. The review settings come from the query
+// string of the URL registered with the CMS
+// (?profile=&checklist=&markets=&rulepacks=).
+// Verified events are queued and answered with 202; the review is sent to
+// the outbound webhook when it is done.
+export default async function handler(req, res) {
+  const source = SOURCES[req.query.source];
+  const secret = source?.secret(process.env);
+  if (!secret) {
+    return res.status(404).json({
+      error: 'Webhook not found',
+      message: `No webhook is configured for "${req.query.source}"`
+    });
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts POST requests'
+    });
+  }
+
+  try {
+    const body = await readRawBody(req);
+    if (!source.verify(secret, body, req.headers)) {
+      return res.status(401).json({
+        error: 'Invalid signature',
+        message: 'The webhook signature is missing, expired or does not match'
+      });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      return res.status(400).json({ error: 'Invalid input', message: 'The body must be JSON' });
+    }
+
+    const parsed = source.parse(payload || {}, req.headers, process.env);
+    if (parsed.ignore) return res.status(200).json({ ignored: true, reason: parsed.ignore });
+
+    const profileId = req.query.profile || DEFAULT_PROFILE_ID;
+    const profile = await getProfile(profileId);
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Profile not found',
+        message: `Brand profile "${profileId}" does not exist`
+      });
+    }
+
+    const checklistId = req.query.checklist || DEFAULT_CHECKLIST_ID;
+    const checklist = await getChecklist(checklistId);
+    if (!checklist) {
+      return res.status(404).json({
+        error: 'Checklist not found',
+        message: `Checklist "${checklistId}" does not exist`
+      });
+    }
+
+    const selection = selectRulepacks({ markets: list(req.query.markets), rulepacks: list(req.query.rulepacks) });
+    if (selection.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid markets',
+        message: selection.errors.join('; '),
+        details: selection.errors
+      });
+    }
+
+    const { event, duplicate } = await receiveEvent({
+      source: req.query.source,
+      deliveryId: source.deliveryId(req.headers),
+      parsed,
+      settings: {
+        profileId: profile.id,
+        profileVersion: profile.version,
+        checklistId: checklist.id,
+        checklistVersion: checklist.version,
+        markets: selection.markets,
+        rulepacks: selection.rulepacks.map((rulepack) => rulepack.id),
+      },
+    });
+    return res.status(duplicate ? 200 : 202).json({ eventId: event.id, status: event.status, duplicate });
+  } catch (error) {
+    if (error instanceof WebhookPayloadError) {
+      return res.status(400).json({ error: 'Invalid input', message: error.message });
+    }
+    if (error.status === 413) {
+      return res.status(413).json({ error: 'Payload too large', message: 'Webhook bodies must be less than 6MB' });
+    }
+    console.error('Webhook error:', error);
+    return res.status(500).json({
+      error: 'Webhook failed',
+      message: 'An error occurred while receiving the webhook. Please try again.'
+    });
+  }
+}
@@ -0,0 +1,36 @@
+// pages/api/webhooks/index.js
+import { withAuth } from '../../../lib/auth/withAuth.js';
+import { listDeliveries, outboundConfig } from '../../../lib/webhooks/deliveries.js';
+import { listEvents, processEvents } from '../../../lib/webhooks/events.js';
+import { SOURCES } from '../../../lib/webhooks/sources.js';
+
+// Recent inbound events and outbound deliveries, for checking an
+// integration is working.
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET requests'
+    });
+  }
+
+  try {
+    processEvents();
+    const outbound = outboundConfig();
+    return res.status(200).json({
+      sources: Object.keys(SOURCES).filter((name) => SOURCES[name].secret(process.env)),
+      outbound: outbound && { url: outbound.url, maxAttempts: outbound.maxAttempts },
+      events: await listEvents(),
+      deliveries: await listDeliveries(),
+    });
+  } catch (error) {
+    console.error('Webhooks API error:', error);
+    return res.status(500).json({
+      error: 'Loading failed',
+      message: 'An error occurred while loading webhook activity. Please try again.'
+    });
+  }
+}
+
+export default withAuth(handler, { permission: 'users:manage' });
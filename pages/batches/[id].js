@@ -0,0 +1,153 @@
+// pages/batches/[id].js
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { useCallback, useEffect, useState } from 'react';
+import Layout from '../../components/Layout.js';
+import RiskBadge from '../../components/RiskBadge.js';
+import { useSession } from '../../components/session.js';
+import { cardStyle, cardTitleStyle, messageStyle, secondaryButtonStyle } from '../../components/styles.js';
+import { BATCH_STATUS_LABELS } from '../../lib/batch/summary.js';
+
+const POLL_INTERVAL_MS = 3000;
+
+const DOCUMENT_STATUS_LABELS = {
+  queued: 'Queued',
+  running: 'Reviewing…',
+  done: 'Reviewed',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+const cellStyle = { padding: '8px 10px', borderBottom: '1px solid #e5e7eb', textAlign: 'left', verticalAlign: 'top' };
+
+function Stat({ label, value, color = '#1f2937' }) {
+  return (
+    <div style={{ padding: '12px 16px', borderRadius: '12px', background: 'white', border: '1px solid #e5e7eb' }}>
+      <div style={{ fontSize: '1.5rem', fontWeight: '700', color }}>{value}</div>
+      <div style={{ fontSize: '12px', color: '#6b7280' }}>{label}</div>
+    </div>
+  );
+}
+
+// Progress of one batch, refreshed while it runs, with its documents
+// ranked from riskiest to safest.
+export default function BatchPage() {
+  const router = useRouter();
+  const { id } = router.query;
+  const { user, can } = useSession();
+  const [batch, setBatch] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async (method = 'GET') => {
+    try {
+      const response = await fetch(`/api/batches/${id}`, { method });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Loading failed');
+      setBatch(data.batch);
+      setSummary(data.summary);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    if (id) load();
+  }, [id, load]);
+
+  const finished = summary?.finished;
+  useEffect(() => {
+    if (!id || finished !== false) return;
+    const timer = setInterval(() => load(), POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [id, finished, load]);
+
+  return (
+    <Layout title={`${batch?.name || 'Batch'} · Olixir Document Review System`}>
+      <div style={cardStyle}>
+        <div style={{ marginBottom: '15px', fontSize: '14px' }}>
+          <Link href="/batches" style={{ color: '#667eea' }}>← All batches</Link>
+        </div>
+
+        {error && <div style={messageStyle(false)}>{error}</div>}
+        {!batch && !error && <p style={{ color: '#6b7280' }}>Loading...</p>}
+
+        {batch && summary && (
+          <>
+            <h2 style={cardTitleStyle}>📦 {batch.name}</h2>
+            <p style={{ margin: '0 0 20px 0', fontSize: '13px', color: '#6b7280' }}>
+              {BATCH_STATUS_LABELS[batch.status]} · submitted by {batch.submittedBy} on {new Date(batch.createdAt).toLocaleString()}
+              {' · '}{batch.settings.profileId} v{batch.settings.profileVersion}
+              {batch.settings.checklistId && ` · ${batch.settings.checklistId} v${batch.settings.checklistVersion}`}
+              {' · '}{batch.settings.markets.join(', ')}
+            </p>
+
+            {batch.pauseReason && !finished && (
+              <div style={{ ...messageStyle(false), backgroundColor: '#fffbeb', color: '#92400e', border: '1px solid #fcd34d' }}>
+                ⏸️ Paused: {batch.pauseReason}. Resumes at {new Date(batch.pausedUntil).toLocaleString()}.
+              </div>
+            )}
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(6, 1fr)', gap: '12px', marginBottom: '20px' }}>
+              <Stat label="Documents" value={summary.total} />
+              <Stat label="Reviewed" value={summary.statuses.done} />
+              <Stat label="Failed" value={summary.statuses.failed} color={summary.statuses.failed ? '#dc2626' : '#1f2937'} />
+              <Stat label="High risk" value={summary.riskLevels.HIGH} color="#dc2626" />
+              <Stat label="Medium risk" value={summary.riskLevels.MEDIUM} color="#d97706" />
+              <Stat label="Low risk" value={summary.riskLevels.LOW} color="#059669" />
+            </div>
+
+            <div style={{ height: '8px', borderRadius: '4px', background: '#e5e7eb', overflow: 'hidden', marginBottom: '20px' }}>
+              <div style={{
+                width: `${summary.total ? ((summary.total - summary.statuses.queued - summary.statuses.running) / summary.total) * 100 : 0}%`,
+                height: '100%',
+                background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                transition: 'width 0.3s ease'
+              }} />
+            </div>
+
+            {!finished && (batch.submitter?.id === user?.id || can('batches:manage')) && (
+              <button onClick={() => load('DELETE')} style={{ ...secondaryButtonStyle, marginBottom: '20px' }}>
+                ⛔ Cancel remaining documents
+              </button>
+            )}
+
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+              <thead>
+                <tr style={{ color: '#6b7280' }}>
+                  <th style={cellStyle}>#</th>
+                  <th style={cellStyle}>Document</th>
+                  <th style={cellStyle}>Risk</th>
+                  <th style={cellStyle}>Findings</th>
+                  <th style={cellStyle}>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {batch.documents.map((document, rank) => (
+                  <tr key={document.index}>
+                    <td style={{ ...cellStyle, color: '#6b7280' }}>{rank + 1}</td>
+                    <td style={cellStyle}>
+                      {document.reviewId
+                        ? <Link href={`/reviews/${document.reviewId}`} style={{ color: '#667eea' }}>{document.filename}</Link>
+                        : document.filename}
+                    </td>
+                    <td style={cellStyle}>{document.riskLevel && <RiskBadge level={document.riskLevel} />}</td>
+                    <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>
+                      {document.findingCounts && `🚨 ${document.findingCounts.HIGH} · ⚠️ ${document.findingCounts.MEDIUM} · ℹ️ ${document.findingCounts.LOW}`}
+                    </td>
+                    <td style={{ ...cellStyle, color: document.status === 'failed' ? '#dc2626' : '#374151' }}>
+                      {DOCUMENT_STATUS_LABELS[document.status]}
+                      {document.error && `: ${document.error}`}
+                      {document.model && document.model !== 'ok' && ' (rule checks only)'}
+                      {document.cached && ' (cached)'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
+    </Layout>
+  );
+}
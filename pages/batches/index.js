@@ -0,0 +1,201 @@
+// pages/batches/index.js
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { useEffect, useState } from 'react';
+import Layout from '../../components/Layout.js';
+import {
+  cardStyle,
+  cardTitleStyle,
+  inputStyle,
+  labelStyle,
+  messageStyle,
+  primaryButtonStyle,
+} from '../../components/styles.js';
+import { BATCH_STATUS_LABELS } from '../../lib/batch/summary.js';
+import { DEFAULT_MARKETS, MARKETS } from '../../lib/rulepacks/index.js';
+
+const UPLOAD_EXTENSIONS = ['zip', 'txt', 'md', 'markdown', 'html', 'htm', 'docx', 'pdf'];
+
+function readAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve({ filename: file.name, data: e.target.result.split(',')[1] });
+    reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
+    reader.readAsDataURL(file);
+  });
+}
+
+// Upload many documents (or a zip of them) for review, and the list of
+// earlier batches.
+export default function Batches() {
+  const router = useRouter();
+  const [batches, setBatches] = useState([]);
+  const [profiles, setProfiles] = useState([]);
+  const [profileId, setProfileId] = useState('');
+  const [checklists, setChecklists] = useState([]);
+  const [checklistId, setChecklistId] = useState('');
+  const [markets, setMarkets] = useState(DEFAULT_MARKETS);
+  const [name, setName] = useState('');
+  const [files, setFiles] = useState([]);
+  const [error, setError] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+
+  useEffect(() => {
+    fetch('/api/batches')
+      .then((response) => response.ok ? response.json() : { batches: [] })
+      .then((data) => setBatches(data.batches));
+    fetch('/api/profiles')
+      .then((response) => response.ok ? response.json() : { profiles: [] })
+      .then((data) => {
+        setProfiles(data.profiles);
+        setProfileId((current) => current || data.profiles[0]?.id || '');
+      });
+    fetch('/api/checklists')
+      .then((response) => response.ok ? response.json() : { checklists: [] })
+      .then((data) => {
+        setChecklists(data.checklists);
+        setChecklistId((current) => current || data.checklists[0]?.id || '');
+      });
+  }, []);
+
+  const submit = async () => {
+    setIsUploading(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/batches', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name,
+          files: await Promise.all(files.map(readAsBase64)),
+          profileId: profileId || undefined,
+          checklistId: checklistId || undefined,
+          markets,
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Upload failed');
+      router.push(`/batches/${data.batch.id}`);
+    } catch (err) {
+      setError(err.message);
+      setIsUploading(false);
+    }
+  };
+
+  return (
+    <Layout title="Batch Review · Olixir Document Review System">
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '30px' }}>
+        <div style={cardStyle}>
+          <h2 style={cardTitleStyle}>📦 New batch</h2>
+
+          <div style={{ marginBottom: '20px' }}>
+            <label style={labelStyle}>Name:</label>
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Blog archive audit"
+              style={inputStyle}
+            />
+          </div>
+
+          {profiles.length > 0 && (
+            <div style={{ marginBottom: '20px' }}>
+              <label style={labelStyle}>Brand profile:</label>
+              <select value={profileId} onChange={(e) => setProfileId(e.target.value)} style={inputStyle}>
+                {profiles.map((profile) => (
+                  <option key={profile.id} value={profile.id}>{profile.name} (v{profile.version})</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {checklists.length > 0 && (
+            <div style={{ marginBottom: '20px' }}>
+              <label style={labelStyle}>Checklist:</label>
+              <select value={checklistId} onChange={(e) => setChecklistId(e.target.value)} style={inputStyle}>
+                {checklists.map((checklist) => (
+                  <option key={checklist.id} value={checklist.id}>{checklist.name} (v{checklist.version})</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div style={{ marginBottom: '20px' }}>
+            <label style={labelStyle}>Target markets:</label>
+            <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap' }}>
+              {Object.entries(MARKETS).map(([code, marketName]) => (
+                <label key={code} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px', color: '#374151' }}>
+                  <input
+                    type="checkbox"
+                    checked={markets.includes(code)}
+                    disabled={markets.length === 1 && markets.includes(code)}
+                    onChange={(e) => setMarkets((current) =>
+                      e.target.checked ? [...current, code] : current.filter((market) => market !== code)
+                    )}
+                  />
+                  {marketName}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div style={{ marginBottom: '20px' }}>
+            <label style={labelStyle}>Documents (several files, or a .zip of .txt, .md, .html, .docx and .pdf files):</label>
+            <input
+              type="file"
+              multiple
+              accept={UPLOAD_EXTENSIONS.map((ext) => `.${ext}`).join(',')}
+              onChange={(e) => setFiles([...e.target.files])}
+              style={{ display: 'block', width: '100%', fontSize: '14px', color: '#374151' }}
+            />
+            {files.length > 0 && (
+              <p style={{ margin: '8px 0 0 0', fontSize: '13px', color: '#6b7280' }}>
+                {files.length} file{files.length === 1 ? '' : 's'} selected
+              </p>
+            )}
+          </div>
+
+          {error && <div style={messageStyle(false)}>{error}</div>}
+
+          <button
+            onClick={submit}
+            disabled={files.length === 0 || isUploading}
+            style={{ ...primaryButtonStyle, width: '100%', opacity: files.length === 0 ? 0.6 : 1 }}
+          >
+            {isUploading ? 'Uploading...' : '🚀 Queue batch review'}
+          </button>
+        </div>
+
+        <div style={cardStyle}>
+          <h2 style={cardTitleStyle}>🗃️ Batches</h2>
+          {batches.length === 0 && <p style={{ color: '#6b7280', fontSize: '14px' }}>No batches yet.</p>}
+          {batches.map((batch) => (
+            <Link
+              key={batch.id}
+              href={`/batches/${batch.id}`}
+              style={{
+                display: 'block',
+                padding: '12px 15px',
+                marginBottom: '10px',
+                borderRadius: '10px',
+                border: '2px solid #e5e7eb',
+                background: 'white',
+                color: 'inherit',
+                textDecoration: 'none'
+              }}
+            >
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '10px' }}>
+                <span style={{ fontWeight: '600', color: '#1f2937' }}>{batch.name}</span>
+                <span style={{ fontSize: '13px' }}>{BATCH_STATUS_LABELS[batch.status]}</span>
+              </div>
+              <div style={{ marginTop: '4px', fontSize: '12px', color: '#6b7280' }}>
+                {batch.done}/{batch.total} finished · 🚨 {batch.high} high risk
+                {' · '}{batch.submittedBy} · {new Date(batch.createdAt).toLocaleString()}
+              </div>
+            </Link>
+          ))}
+        </div>
+      </div>
+    </Layout>
+  );
+}
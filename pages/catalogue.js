@@ -0,0 +1,233 @@
+// pages/catalogue.js
+import { useCallback, useEffect, useState } from 'react';
+import Layout from '../components/Layout.js';
+import { useSession } from '../components/session.js';
+import {
+  cardStyle,
+  cardTitleStyle,
+  inputStyle,
+  labelStyle,
+  messageStyle,
+  primaryButtonStyle,
+  secondaryButtonStyle,
+} from '../components/styles.js';
+
+const TEXT_FIELDS = [
+  { name: 'name', label: 'Product name' },
+  { name: 'extraction', label: 'Extraction method' },
+  { name: 'smokePointC', label: 'Smoke point (°C)', type: 'number' },
+  { name: 'packaging', label: 'Packaging material' },
+];
+
+const LIST_FIELDS = [
+  { name: 'aliases', label: 'Other names the product goes by (e.g. peanut oil, मूंगफली का तेल)' },
+  { name: 'nutrition', label: 'Verified nutrition and fatty-acid data' },
+  { name: 'packSizes', label: 'Pack sizes (e.g. 500 ml, 1 L)' },
+  { name: 'certifications', label: 'Certifications' },
+  { name: 'approvedClaims', label: 'Approved benefit statements' },
+];
+
+const EMPTY_FORM = Object.fromEntries([
+  ...TEXT_FIELDS.map((field) => [field.name, '']),
+  ...LIST_FIELDS.map((field) => [field.name, '']),
+]);
+
+// List fields are edited as one entry per line.
+function toForm(product) {
+  return {
+    ...Object.fromEntries(TEXT_FIELDS.map((field) => [field.name, product[field.name] ?? ''])),
+    ...Object.fromEntries(LIST_FIELDS.map((field) => [field.name, (product[field.name] || []).join('\n')])),
+  };
+}
+
+function fromForm(form) {
+  return {
+    ...Object.fromEntries(TEXT_FIELDS.map((field) => [field.name, form[field.name]])),
+    ...Object.fromEntries(LIST_FIELDS.map((field) => [field.name, form[field.name].split('\n')])),
+  };
+}
+
+export default function Catalogue() {
+  const { can } = useSession();
+  const canEdit = can('catalogue:edit');
+  const [products, setProducts] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [message, setMessage] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadProducts = useCallback(async () => {
+    const response = await fetch('/api/catalogue');
+    const data = await response.json();
+    if (response.ok) setProducts(data.products);
+    return data.products || [];
+  }, []);
+
+  const openProduct = useCallback(async (id, version) => {
+    setMessage(null);
+    const response = await fetch(`/api/catalogue/${id}${version ? `?version=${version}` : ''}`);
+    const data = await response.json();
+    if (!response.ok) {
+      setMessage({ success: false, text: data.message });
+      return;
+    }
+    setSelected(data.product);
+    setVersions(data.versions);
+    setForm(toForm(data.product));
+  }, []);
+
+  useEffect(() => {
+    loadProducts().then((list) => {
+      if (list[0]) openProduct(list[0].id);
+    });
+  }, [loadProducts, openProduct]);
+
+  const newProduct = () => {
+    setSelected(null);
+    setVersions([]);
+    setForm(EMPTY_FORM);
+    setMessage(null);
+  };
+
+  const saveProduct = async () => {
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      const response = await fetch(selected ? `/api/catalogue/${selected.id}` : '/api/catalogue', {
+        method: selected ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(fromForm(form)),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Saving failed');
+
+      await loadProducts();
+      await openProduct(data.product.id);
+      setMessage({ success: true, text: `✅ Saved as version ${data.product.version}` });
+    } catch (err) {
+      setMessage({ success: false, text: err.message });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const viewingOldVersion = selected && selected.version !== selected.latestVersion;
+
+  return (
+    <Layout title="Product Catalogue · Olixir Document Review System">
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: '1fr 2fr',
+        gap: '30px'
+      }}>
+        <div style={cardStyle}>
+          <h2 style={cardTitleStyle}>📦 Product Catalogue</h2>
+          {products.map((product) => (
+            <div
+              key={product.id}
+              onClick={() => openProduct(product.id)}
+              style={{
+                padding: '12px 15px',
+                marginBottom: '10px',
+                borderRadius: '10px',
+                cursor: 'pointer',
+                border: `2px solid ${selected?.id === product.id ? '#667eea' : '#e5e7eb'}`,
+                background: 'white'
+              }}
+            >
+              <div style={{ fontWeight: '600', color: '#1f2937' }}>{product.name}</div>
+              <div style={{ fontSize: '12px', color: '#6b7280' }}>
+                Version {product.version} · {product.updatedAt ? `updated ${new Date(product.updatedAt).toLocaleDateString()}` : 'built in'}
+              </div>
+            </div>
+          ))}
+          {canEdit && (
+            <button onClick={newProduct} style={{ ...secondaryButtonStyle, width: '100%' }}>
+              ➕ New product
+            </button>
+          )}
+        </div>
+
+        <div style={cardStyle}>
+          <h2 style={cardTitleStyle}>
+            {selected ? `${canEdit ? '✏️' : '📦'} ${selected.name}` : '➕ New product'}
+          </h2>
+
+          <p style={{ margin: '0 0 20px 0', fontSize: '13px', color: '#6b7280' }}>
+            When a document names this product, the review checks it against these facts and reports
+            contradictions as factual accuracy findings.
+            {!canEdit && ' Only admins can edit the catalogue.'}
+          </p>
+
+          {versions.length > 0 && (
+            <div style={{ marginBottom: '20px' }}>
+              <label style={labelStyle}>Version history:</label>
+              <select
+                value={selected?.version || ''}
+                onChange={(e) => openProduct(selected.id, e.target.value)}
+                style={inputStyle}
+              >
+                {[...versions].reverse().map((version) => (
+                  <option key={version.version} value={version.version}>
+                    v{version.version} · {version.createdAt ? new Date(version.createdAt).toLocaleString() : 'built in'}
+                    {version.createdBy ? ` · ${version.createdBy}` : ''}
+                  </option>
+                ))}
+              </select>
+              {viewingOldVersion && (
+                <p style={{ margin: '8px 0 0 0', fontSize: '13px', color: '#92400e' }}>
+                  You are viewing an older version. Saving it creates version {selected.latestVersion + 1}.
+                </p>
+              )}
+            </div>
+          )}
+
+          {message && <div style={messageStyle(message.success)}>{message.text}</div>}
+
+          {TEXT_FIELDS.map((field) => (
+            <div key={field.name} style={{ marginBottom: '15px' }}>
+              <label style={labelStyle}>{field.label}</label>
+              {field.multiline ? (
+                <textarea
+                  value={form[field.name]}
+                  onChange={(e) => setForm({ ...form, [field.name]: e.target.value })}
+                  rows={3}
+                  readOnly={!canEdit}
+                  style={{ ...inputStyle, resize: 'vertical' }}
+                />
+              ) : (
+                <input
+                  type={field.type || 'text'}
+                  value={form[field.name]}
+                  onChange={(e) => setForm({ ...form, [field.name]: e.target.value })}
+                  readOnly={!canEdit}
+                  style={inputStyle}
+                />
+              )}
+            </div>
+          ))}
+
+          {LIST_FIELDS.map((field) => (
+            <div key={field.name} style={{ marginBottom: '15px' }}>
+              <label style={labelStyle}>{field.label} <span style={{ color: '#9ca3af', fontWeight: '400' }}>(one per line)</span></label>
+              <textarea
+                value={form[field.name]}
+                onChange={(e) => setForm({ ...form, [field.name]: e.target.value })}
+                rows={4}
+                readOnly={!canEdit}
+                style={{ ...inputStyle, resize: 'vertical' }}
+              />
+            </div>
+          ))}
+
+          {canEdit && (
+            <button onClick={saveProduct} disabled={isSaving} style={{ ...primaryButtonStyle, width: '100%' }}>
+              {isSaving ? 'Saving...' : selected ? '💾 Save new version' : '💾 Create product'}
+            </button>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+}
@@ -0,0 +1,292 @@
+// pages/checklists.js
+import { useCallback, useEffect, useState } from 'react';
+import Layout from '../components/Layout.js';
+import { categoryColor } from '../components/findingStyles.js';
+import { useSession } from '../components/session.js';
+import {
+  cardStyle,
+  cardTitleStyle,
+  inputStyle,
+  labelStyle,
+  messageStyle,
+  primaryButtonStyle,
+  secondaryButtonStyle,
+} from '../components/styles.js';
+
+const EMPTY_SECTION = { id: '', label: '', instructions: '', maxLength: '' };
+
+const EMPTY_FORM = { name: '', description: '', sections: [EMPTY_SECTION] };
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  borderRadius: '6px',
+  border: '1px solid #d1d5db',
+  background: 'white',
+  fontSize: '12px',
+  cursor: 'pointer'
+};
+
+function toForm(checklist) {
+  return {
+    name: checklist.name || '',
+    description: checklist.description || '',
+    sections: checklist.sections.map((section) => ({ ...EMPTY_SECTION, ...section, maxLength: section.maxLength ?? '' })),
+  };
+}
+
+export default function Checklists() {
+  const { can } = useSession();
+  const canEdit = can('checklists:edit');
+  const [checklists, setChecklists] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [message, setMessage] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadChecklists = useCallback(async () => {
+    const response = await fetch('/api/checklists');
+    const data = await response.json();
+    if (response.ok) setChecklists(data.checklists);
+    return data.checklists || [];
+  }, []);
+
+  const openChecklist = useCallback(async (id, version) => {
+    setMessage(null);
+    const response = await fetch(`/api/checklists/${id}${version ? `?version=${version}` : ''}`);
+    const data = await response.json();
+    if (!response.ok) {
+      setMessage({ success: false, text: data.message });
+      return;
+    }
+    setSelected(data.checklist);
+    setVersions(data.versions);
+    setForm(toForm(data.checklist));
+  }, []);
+
+  useEffect(() => {
+    loadChecklists().then((list) => {
+      if (list[0]) openChecklist(list[0].id);
+    });
+  }, [loadChecklists, openChecklist]);
+
+  const newChecklist = () => {
+    setSelected(null);
+    setVersions([]);
+    setForm(EMPTY_FORM);
+    setMessage(null);
+  };
+
+  const setSection = (index, changes) => setForm({
+    ...form,
+    sections: form.sections.map((section, i) => i === index ? { ...section, ...changes } : section),
+  });
+
+  const moveSection = (index, offset) => {
+    const sections = [...form.sections];
+    [sections[index], sections[index + offset]] = [sections[index + offset], sections[index]];
+    setForm({ ...form, sections });
+  };
+
+  const removeSection = (index) => setForm({ ...form, sections: form.sections.filter((_, i) => i !== index) });
+
+  const saveChecklist = async () => {
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      const response = await fetch(selected ? `/api/checklists/${selected.id}` : '/api/checklists', {
+        method: selected ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(form),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Saving failed');
+
+      await loadChecklists();
+      await openChecklist(data.checklist.id);
+      setMessage({ success: true, text: `✅ Saved as version ${data.checklist.version}` });
+    } catch (err) {
+      setMessage({ success: false, text: err.message });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const viewingOldVersion = selected && selected.version !== selected.latestVersion;
+
+  return (
+    <Layout title="Review Checklists · Olixir Document Review System">
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: '1fr 2fr',
+        gap: '30px'
+      }}>
+        <div style={cardStyle}>
+          <h2 style={cardTitleStyle}>📋 Checklists</h2>
+          {checklists.map((checklist) => (
+            <div
+              key={checklist.id}
+              onClick={() => openChecklist(checklist.id)}
+              style={{
+                padding: '12px 15px',
+                marginBottom: '10px',
+                borderRadius: '10px',
+                cursor: 'pointer',
+                border: `2px solid ${selected?.id === checklist.id ? '#667eea' : '#e5e7eb'}`,
+                background: 'white'
+              }}
+            >
+              <div style={{ fontWeight: '600', color: '#1f2937' }}>{checklist.name}</div>
+              {checklist.description && (
+                <div style={{ fontSize: '13px', color: '#4b5563' }}>{checklist.description}</div>
+              )}
+              <div style={{ fontSize: '12px', color: '#6b7280' }}>
+                {checklist.sections.length} sections · version {checklist.version} · {checklist.updatedAt ? `updated ${new Date(checklist.updatedAt).toLocaleDateString()}` : 'built in'}
+              </div>
+            </div>
+          ))}
+          {canEdit && (
+            <button onClick={newChecklist} style={{ ...secondaryButtonStyle, width: '100%' }}>
+              ➕ New checklist
+            </button>
+          )}
+        </div>
+
+        <div style={cardStyle}>
+          <h2 style={cardTitleStyle}>
+            {selected ? `${canEdit ? '✏️' : '📋'} ${selected.name}` : '➕ New checklist'}
+          </h2>
+
+          <p style={{ margin: '0 0 20px 0', fontSize: '13px', color: '#6b7280' }}>
+            Each section is one review criterion. The model reports findings under the sections of the
+            checklist chosen for a review, and results are grouped by them.
+            {!canEdit && ' Only admins can edit checklists.'}
+          </p>
+
+          {versions.length > 0 && (
+            <div style={{ marginBottom: '20px' }}>
+              <label style={labelStyle}>Version history:</label>
+              <select
+                value={selected?.version || ''}
+                onChange={(e) => openChecklist(selected.id, e.target.value)}
+                style={inputStyle}
+              >
+                {[...versions].reverse().map((version) => (
+                  <option key={version.version} value={version.version}>
+                    v{version.version} · {version.createdAt ? new Date(version.createdAt).toLocaleString() : 'built in'}
+                    {version.createdBy ? ` · ${version.createdBy}` : ''}
+                  </option>
+                ))}
+              </select>
+              {viewingOldVersion && (
+                <p style={{ margin: '8px 0 0 0', fontSize: '13px', color: '#92400e' }}>
+                  You are viewing an older version. Saving it creates version {selected.latestVersion + 1}.
+                </p>
+              )}
+            </div>
+          )}
+
+          {message && <div style={messageStyle(message.success)}>{message.text}</div>}
+
+          <div style={{ marginBottom: '15px' }}>
+            <label style={labelStyle}>Name</label>
+            <input
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              readOnly={!canEdit}
+              style={inputStyle}
+            />
+          </div>
+
+          <div style={{ marginBottom: '15px' }}>
+            <label style={labelStyle}>Used for</label>
+            <input
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              placeholder="e.g. Recipes and cooking guides"
+              readOnly={!canEdit}
+              style={inputStyle}
+            />
+          </div>
+
+          <label style={labelStyle}>Sections</label>
+          {form.sections.map((section, index) => (
+            <div
+              key={index}
+              style={{
+                padding: '12px 14px',
+                marginBottom: '12px',
+                borderRadius: '10px',
+                border: '1px solid #e5e7eb',
+                borderLeft: `4px solid ${categoryColor(section.id || section.label)}`
+              }}
+            >
+              <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr', gap: '10px', marginBottom: '10px' }}>
+                <input
+                  value={section.label}
+                  onChange={(e) => setSection(index, { label: e.target.value })}
+                  placeholder="Label, e.g. Allergen notes"
+                  readOnly={!canEdit}
+                  style={inputStyle}
+                />
+                <input
+                  value={section.id}
+                  onChange={(e) => setSection(index, { id: e.target.value })}
+                  placeholder="id (from label)"
+                  title="Category id findings are reported under"
+                  readOnly={!canEdit}
+                  style={{ ...inputStyle, fontFamily: 'monospace' }}
+                />
+                <input
+                  type="number"
+                  min="1"
+                  value={section.maxLength}
+                  onChange={(e) => setSection(index, { maxLength: e.target.value })}
+                  placeholder="Max characters"
+                  title="Flag text longer than this many characters (optional)"
+                  readOnly={!canEdit}
+                  style={inputStyle}
+                />
+              </div>
+              <textarea
+                value={section.instructions}
+                onChange={(e) => setSection(index, { instructions: e.target.value })}
+                placeholder="What the reviewer should look for, one point per line"
+                rows={4}
+                readOnly={!canEdit}
+                style={{ ...inputStyle, resize: 'vertical' }}
+              />
+              {canEdit && (
+                <div style={{ display: 'flex', gap: '6px', marginTop: '8px' }}>
+                  <button onClick={() => moveSection(index, -1)} disabled={index === 0} style={smallButtonStyle}>↑</button>
+                  <button onClick={() => moveSection(index, 1)} disabled={index === form.sections.length - 1} style={smallButtonStyle}>↓</button>
+                  <button
+                    onClick={() => removeSection(index)}
+                    disabled={form.sections.length === 1}
+                    style={{ ...smallButtonStyle, color: '#dc2626' }}
+                  >
+                    Remove
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+
+          {canEdit && (
+            <>
+              <button
+                onClick={() => setForm({ ...form, sections: [...form.sections, EMPTY_SECTION] })}
+                style={{ ...secondaryButtonStyle, width: '100%', marginBottom: '15px' }}
+              >
+                ➕ Add section
+              </button>
+              <button onClick={saveChecklist} disabled={isSaving} style={{ ...primaryButtonStyle, width: '100%' }}>
+                {isSaving ? 'Saving...' : selected ? '💾 Save new version' : '💾 Create checklist'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+}
@@ -0,0 +1,302 @@
+// pages/claims.js
+import { useCallback, useEffect, useState } from 'react';
+import Layout from '../components/Layout.js';
+import { useSession } from '../components/session.js';
+import {
+  cardStyle,
+  cardTitleStyle,
+  inputStyle,
+  labelStyle,
+  messageStyle,
+  primaryButtonStyle,
+  secondaryButtonStyle,
+} from '../components/styles.js';
+import { isApproved } from '../lib/claims/match.js';
+import { CLAIM_STATUSES, CLAIM_STATUS_LABELS } from '../lib/claims/schema.js';
+import { DEFAULT_MARKETS, MARKETS } from '../lib/rulepacks/index.js';
+
+const TEXT_FIELDS = [
+  { name: 'text', label: 'Approved wording', multiline: true },
+  { name: 'substantiation', label: 'Substantiation (study or test report reference)', multiline: true },
+  { name: 'approvedOn', label: 'Date approved', type: 'date' },
+  { name: 'approvedBy', label: 'Approved by' },
+];
+
+const LIST_FIELDS = [
+  { name: 'keywords', label: 'Claims this wording replaces (e.g. boosts immunity, dandruff)' },
+];
+
+const EMPTY_FORM = {
+  ...Object.fromEntries([...TEXT_FIELDS, ...LIST_FIELDS].map((field) => [field.name, ''])),
+  status: 'draft',
+  markets: DEFAULT_MARKETS,
+  products: [],
+};
+
+// List fields are edited as one entry per line.
+function toForm(claim) {
+  return {
+    ...Object.fromEntries(TEXT_FIELDS.map((field) => [field.name, claim[field.name] ?? ''])),
+    ...Object.fromEntries(LIST_FIELDS.map((field) => [field.name, (claim[field.name] || []).join('\n')])),
+    status: claim.status || 'draft',
+    markets: claim.markets || [],
+    products: claim.products || [],
+  };
+}
+
+function fromForm(form) {
+  return {
+    ...Object.fromEntries(TEXT_FIELDS.map((field) => [field.name, form[field.name]])),
+    ...Object.fromEntries(LIST_FIELDS.map((field) => [field.name, form[field.name].split('\n')])),
+    status: form.status,
+    markets: form.markets,
+    products: form.products,
+  };
+}
+
+const toggle = (list, value, checked) => checked ? [...list, value] : list.filter((item) => item !== value);
+
+const checkboxLabelStyle = { display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px', color: '#374151' };
+
+export default function Claims() {
+  const { can } = useSession();
+  const canEdit = can('claims:edit');
+  const [claims, setClaims] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [message, setMessage] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadClaims = useCallback(async () => {
+    const response = await fetch('/api/claims');
+    const data = await response.json();
+    if (response.ok) setClaims(data.claims);
+    return data.claims || [];
+  }, []);
+
+  const openClaim = useCallback(async (id, version) => {
+    setMessage(null);
+    const response = await fetch(`/api/claims/${id}${version ? `?version=${version}` : ''}`);
+    const data = await response.json();
+    if (!response.ok) {
+      setMessage({ success: false, text: data.message });
+      return;
+    }
+    setSelected(data.claim);
+    setVersions(data.versions);
+    setForm(toForm(data.claim));
+  }, []);
+
+  useEffect(() => {
+    loadClaims().then((list) => {
+      if (list[0]) openClaim(list[0].id);
+    });
+    fetch('/api/catalogue')
+      .then((response) => response.ok ? response.json() : { products: [] })
+      .then((data) => setProducts(data.products));
+  }, [loadClaims, openClaim]);
+
+  const newClaim = () => {
+    setSelected(null);
+    setVersions([]);
+    setForm(EMPTY_FORM);
+    setMessage(null);
+  };
+
+  const saveClaim = async () => {
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      const response = await fetch(selected ? `/api/claims/${selected.id}` : '/api/claims', {
+        method: selected ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(fromForm(form)),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Saving failed');
+
+      await loadClaims();
+      await openClaim(data.claim.id);
+      setMessage({ success: true, text: `✅ Saved as version ${data.claim.version}` });
+    } catch (err) {
+      setMessage({ success: false, text: err.message });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const viewingOldVersion = selected && selected.version !== selected.latestVersion;
+
+  return (
+    <Layout title="Approved Claims · Olixir Document Review System">
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: '1fr 2fr',
+        gap: '30px'
+      }}>
+        <div style={cardStyle}>
+          <h2 style={cardTitleStyle}>✅ Approved Claims</h2>
+          {claims.map((claim) => (
+            <div
+              key={claim.id}
+              onClick={() => openClaim(claim.id)}
+              style={{
+                padding: '12px 15px',
+                marginBottom: '10px',
+                borderRadius: '10px',
+                cursor: 'pointer',
+                border: `2px solid ${selected?.id === claim.id ? '#667eea' : '#e5e7eb'}`,
+                background: 'white'
+              }}
+            >
+              <div style={{ fontWeight: '600', color: '#1f2937' }}>{claim.text}</div>
+              <div style={{ fontSize: '12px', color: '#6b7280' }}>
+                {claim.markets.join(', ')} · {isApproved(claim) ? `approved ${claim.approvedOn}` : 'draft, not suggested to writers'} · version {claim.version}
+              </div>
+            </div>
+          ))}
+          {canEdit && (
+            <button onClick={newClaim} style={{ ...secondaryButtonStyle, width: '100%' }}>
+              ➕ New claim
+            </button>
+          )}
+        </div>
+
+        <div style={cardStyle}>
+          <h2 style={cardTitleStyle}>
+            {selected ? `${canEdit ? '✏️' : '✅'} Approved claim` : '➕ New approved claim'}
+          </h2>
+
+          <p style={{ margin: '0 0 20px 0', fontSize: '13px', color: '#6b7280' }}>
+            When a review flags a claim this wording replaces, it is suggested instead of the model-written
+            rewrite, with its substantiation attached. It is only offered for content published in the
+            markets it is approved in.
+            {!canEdit && ' Only compliance reviewers can edit approved claims.'}
+          </p>
+
+          {versions.length > 0 && (
+            <div style={{ marginBottom: '20px' }}>
+              <label style={labelStyle}>Version history:</label>
+              <select
+                value={selected?.version || ''}
+                onChange={(e) => openClaim(selected.id, e.target.value)}
+                style={inputStyle}
+              >
+                {[...versions].reverse().map((version) => (
+                  <option key={version.version} value={version.version}>
+                    v{version.version} · {version.createdAt ? new Date(version.createdAt).toLocaleString() : 'built in'}
+                    {version.createdBy ? ` · ${version.createdBy}` : ''}
+                  </option>
+                ))}
+              </select>
+              {viewingOldVersion && (
+                <p style={{ margin: '8px 0 0 0', fontSize: '13px', color: '#92400e' }}>
+                  You are viewing an older version. Saving it creates version {selected.latestVersion + 1}.
+                </p>
+              )}
+            </div>
+          )}
+
+          {message && <div style={messageStyle(message.success)}>{message.text}</div>}
+
+          {TEXT_FIELDS.map((field) => (
+            <div key={field.name} style={{ marginBottom: '15px' }}>
+              <label style={labelStyle}>{field.label}</label>
+              {field.multiline ? (
+                <textarea
+                  value={form[field.name]}
+                  onChange={(e) => setForm({ ...form, [field.name]: e.target.value })}
+                  rows={3}
+                  readOnly={!canEdit}
+                  style={{ ...inputStyle, resize: 'vertical' }}
+                />
+              ) : (
+                <input
+                  type={field.type || 'text'}
+                  value={form[field.name]}
+                  onChange={(e) => setForm({ ...form, [field.name]: e.target.value })}
+                  readOnly={!canEdit}
+                  style={inputStyle}
+                />
+              )}
+            </div>
+          ))}
+
+          <div style={{ marginBottom: '15px' }}>
+            <label style={labelStyle}>Status</label>
+            <select
+              value={form.status}
+              onChange={(e) => setForm({ ...form, status: e.target.value })}
+              disabled={!canEdit}
+              style={inputStyle}
+            >
+              {CLAIM_STATUSES.map((status) => (
+                <option key={status} value={status}>{CLAIM_STATUS_LABELS[status]}</option>
+              ))}
+            </select>
+            <p style={{ margin: '6px 0 0 0', fontSize: '12px', color: '#6b7280' }}>
+              Drafts can be saved without an approval. Approved claims need the date and approver, and only they are suggested.
+            </p>
+          </div>
+
+          {LIST_FIELDS.map((field) => (
+            <div key={field.name} style={{ marginBottom: '15px' }}>
+              <label style={labelStyle}>{field.label} <span style={{ color: '#9ca3af', fontWeight: '400' }}>(one per line)</span></label>
+              <textarea
+                value={form[field.name]}
+                onChange={(e) => setForm({ ...form, [field.name]: e.target.value })}
+                rows={4}
+                readOnly={!canEdit}
+                style={{ ...inputStyle, resize: 'vertical' }}
+              />
+            </div>
+          ))}
+
+          <div style={{ marginBottom: '15px' }}>
+            <label style={labelStyle}>Approved in markets</label>
+            <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap' }}>
+              {Object.entries(MARKETS).map(([code, name]) => (
+                <label key={code} style={checkboxLabelStyle}>
+                  <input
+                    type="checkbox"
+                    checked={form.markets.includes(code)}
+                    onChange={(e) => setForm({ ...form, markets: toggle(form.markets, code, e.target.checked) })}
+                    disabled={!canEdit}
+                  />
+                  {name}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div style={{ marginBottom: '20px' }}>
+            <label style={labelStyle}>
+              Products <span style={{ color: '#9ca3af', fontWeight: '400' }}>(none ticked: any product)</span>
+            </label>
+            <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap' }}>
+              {products.map((product) => (
+                <label key={product.id} style={checkboxLabelStyle}>
+                  <input
+                    type="checkbox"
+                    checked={form.products.includes(product.id)}
+                    onChange={(e) => setForm({ ...form, products: toggle(form.products, product.id, e.target.checked) })}
+                    disabled={!canEdit}
+                  />
+                  {product.name}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {canEdit && (
+            <button onClick={saveClaim} disabled={isSaving} style={{ ...primaryButtonStyle, width: '100%' }}>
+              {isSaving ? 'Saving...' : selected ? '💾 Save new version' : '💾 Create claim'}
+            </button>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+}
@@ -0,0 +1,129 @@
+// pages/compare.js
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { useEffect, useState } from 'react';
+import Layout from '../components/Layout.js';
+import RiskBadge from '../components/RiskBadge.js';
+import SideBySideDiff from '../components/SideBySideDiff.js';
+import { SEVERITY_ICONS, categoryColor } from '../components/findingStyles.js';
+import { cardStyle, cardTitleStyle, messageStyle } from '../components/styles.js';
+
+const RISK_CHANGES = {
+  up: { label: 'Risk went up', icon: '⬆️', color: '#dc2626' },
+  down: { label: 'Risk went down', icon: '⬇️', color: '#059669' },
+  same: { label: 'Risk unchanged', icon: '➡️', color: '#6b7280' },
+};
+
+const GROUPS = [
+  { key: 'resolved', title: '✅ Resolved', color: '#059669', empty: 'No findings were resolved.' },
+  { key: 'persisting', title: '⏳ Still present', color: '#d97706', empty: 'No findings carried over.' },
+  { key: 'new', title: '🆕 New', color: '#dc2626', empty: 'No new findings.' },
+];
+
+function FindingRow({ finding, labels, resolved }) {
+  return (
+    <div style={{
+      padding: '8px 12px',
+      marginBottom: '8px',
+      background: 'white',
+      borderRadius: '8px',
+      borderLeft: `4px solid ${categoryColor(finding.category)}`,
+      fontSize: '13px',
+      lineHeight: '1.5',
+      color: '#374151'
+    }}>
+      <div style={{ fontWeight: '600' }}>
+        {SEVERITY_ICONS[finding.severity]} {labels[finding.category] || finding.category} · {finding.severity}
+      </div>
+      <div style={{ fontStyle: 'italic', textDecoration: resolved ? 'line-through' : 'none' }}>
+        “{finding.quote}”
+      </div>
+      <div style={{ color: '#6b7280' }}>{finding.explanation}</div>
+    </div>
+  );
+}
+
+// Findings and text of one revision of a document against an earlier one.
+export default function Compare() {
+  const router = useRouter();
+  const { from, to } = router.query;
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!to) return;
+    const params = new URLSearchParams({ to });
+    if (from) params.set('from', from);
+    fetch(`/api/reviews/compare?${params}`)
+      .then(async (response) => {
+        const body = await response.json();
+        if (!response.ok) throw new Error(body.message || 'Comparison failed');
+        setData(body);
+      })
+      .catch((err) => setError(err.message));
+  }, [from, to]);
+
+  const comparison = data?.comparison;
+  const change = comparison && RISK_CHANGES[comparison.risk.change];
+
+  return (
+    <Layout title="Compare Revisions · Olixir Document Review System">
+      <div style={{ ...cardStyle, marginBottom: '30px' }}>
+        {to && (
+          <div style={{ marginBottom: '15px', fontSize: '14px' }}>
+            <Link href={`/reviews/${to}`} style={{ color: '#667eea' }}>← Back to review</Link>
+          </div>
+        )}
+
+        {error && <div style={messageStyle(false)}>{error}</div>}
+        {!comparison && !error && <p style={{ color: '#6b7280' }}>Loading...</p>}
+
+        {comparison && (
+          <>
+            <h2 style={cardTitleStyle}>
+              🔀 {data.filename}: revision {comparison.previous.revision} → {comparison.current.revision}
+            </h2>
+
+            <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '20px', flexWrap: 'wrap' }}>
+              <RiskBadge level={comparison.risk.previous} />
+              <span>→</span>
+              <RiskBadge level={comparison.risk.current} />
+              <span style={{ fontWeight: '600', color: change.color }}>{change.icon} {change.label}</span>
+              <span style={{ marginLeft: 'auto', fontSize: '14px', color: '#374151' }}>
+                {comparison.counts.resolved} resolved · {comparison.counts.persisting} still present · {comparison.counts.new} new
+              </span>
+            </div>
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '20px' }}>
+              {GROUPS.map((group) => (
+                <div key={group.key}>
+                  <h3 style={{ margin: '0 0 10px 0', fontSize: '15px', color: group.color }}>
+                    {group.title} ({comparison[group.key].length})
+                  </h3>
+                  {comparison[group.key].length === 0 && (
+                    <p style={{ fontSize: '13px', color: '#6b7280' }}>{group.empty}</p>
+                  )}
+                  {comparison[group.key].map((entry, i) => (
+                    <FindingRow
+                      key={i}
+                      finding={group.key === 'persisting' ? entry.current : entry}
+                      labels={comparison.labels}
+                      resolved={group.key === 'resolved'}
+                    />
+                  ))}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+
+      {comparison && (
+        <div style={cardStyle}>
+          <h2 style={cardTitleStyle}>📄 Text changes</h2>
+          <SideBySideDiff rows={comparison.diff} />
+        </div>
+      )}
+    </Layout>
+  );
+}
@@ -0,0 +1,176 @@
+// pages/history.js
+import Link from 'next/link';
+import { useCallback, useEffect, useState } from 'react';
+import Layout from '../components/Layout.js';
+import RiskBadge from '../components/RiskBadge.js';
+import { StatusBadge } from '../components/WorkflowPanel.js';
+import {
+  cardStyle,
+  cardTitleStyle,
+  inputStyle,
+  labelStyle,
+  messageStyle,
+  secondaryButtonStyle,
+} from '../components/styles.js';
+import { STATUSES, STATUS_LABELS } from '../lib/workflow/workflow.js';
+
+const PAGE_SIZE = 25;
+const EMPTY_FILTERS = { q: '', risk: '', status: '', from: '', to: '' };
+
+export default function History() {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [reviews, setReviews] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async (current, nextOffset) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ limit: String(PAGE_SIZE), offset: String(nextOffset) });
+      for (const [key, value] of Object.entries(current)) {
+        if (value) params.set(key, value);
+      }
+      const response = await fetch(`/api/reviews?${params}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Loading failed');
+
+      setReviews(data.reviews);
+      setTotal(data.total);
+      setOffset(nextOffset);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // Search as the filters change, debounced for typing.
+  useEffect(() => {
+    const timer = setTimeout(() => load(filters, 0), 250);
+    return () => clearTimeout(timer);
+  }, [filters, load]);
+
+  const setFilter = (name) => (e) => setFilters({ ...filters, [name]: e.target.value });
+
+  return (
+    <Layout title="Review History · Olixir Document Review System">
+      <div style={cardStyle}>
+        <h2 style={cardTitleStyle}>🗂️ Review History</h2>
+
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: '3fr 1fr 1fr 1fr 1fr',
+          gap: '15px',
+          marginBottom: '20px'
+        }}>
+          <div>
+            <label style={labelStyle}>Search documents and findings:</label>
+            <input
+              value={filters.q}
+              onChange={setFilter('q')}
+              placeholder="e.g. glass bottle"
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <label style={labelStyle}>Risk level:</label>
+            <select value={filters.risk} onChange={setFilter('risk')} style={inputStyle}>
+              <option value="">Any</option>
+              <option value="HIGH">High</option>
+              <option value="MEDIUM">Medium</option>
+              <option value="LOW">Low</option>
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>Status:</label>
+            <select value={filters.status} onChange={setFilter('status')} style={inputStyle}>
+              <option value="">Any</option>
+              {STATUSES.map((status) => (
+                <option key={status} value={status}>{STATUS_LABELS[status]}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>From:</label>
+            <input type="date" value={filters.from} onChange={setFilter('from')} style={inputStyle} />
+          </div>
+          <div>
+            <label style={labelStyle}>To:</label>
+            <input type="date" value={filters.to} onChange={setFilter('to')} style={inputStyle} />
+          </div>
+        </div>
+
+        {error && <div style={messageStyle(false)}>{error}</div>}
+
+        <p style={{ margin: '0 0 15px 0', fontSize: '13px', color: '#6b7280' }}>
+          {isLoading ? 'Loading...' : `${total} review${total === 1 ? '' : 's'}`}
+        </p>
+
+        {reviews.map((review) => (
+          <Link
+            key={review.id}
+            href={`/reviews/${review.id}`}
+            style={{
+              display: 'block',
+              padding: '14px 16px',
+              marginBottom: '10px',
+              borderRadius: '10px',
+              border: '2px solid #e5e7eb',
+              background: 'white',
+              color: 'inherit',
+              textDecoration: 'none'
+            }}
+          >
+            <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+              <RiskBadge level={review.riskLevel} />
+              <span style={{ fontWeight: '600', color: '#1f2937' }}>{review.filename}</span>
+              <StatusBadge status={review.status} />
+              {review.revision > 1 && (
+                <span style={{ fontSize: '12px', color: '#6b7280' }}>revision {review.revision}</span>
+              )}
+              <span style={{ marginLeft: 'auto', fontSize: '12px', color: '#6b7280' }}>
+                {new Date(review.createdAt).toLocaleString()}
+              </span>
+            </div>
+            <div style={{ marginTop: '6px', fontSize: '12px', color: '#6b7280' }}>
+              🚨 {review.findingCounts.HIGH} · ⚠️ {review.findingCounts.MEDIUM} · ℹ️ {review.findingCounts.LOW}
+              {' · '}{review.profile?.name} v{review.profile?.version}
+              {review.markets?.length > 0 && ` · ${review.markets.join(', ')}`}
+              {review.model?.model && ` · ${review.model.model}`}
+            </div>
+            {review.snippet && (
+              <div style={{ marginTop: '6px', fontSize: '13px', color: '#374151', fontStyle: 'italic' }}>
+                {review.snippet}
+              </div>
+            )}
+          </Link>
+        ))}
+
+        {total > PAGE_SIZE && (
+          <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginTop: '15px' }}>
+            <button
+              onClick={() => load(filters, Math.max(0, offset - PAGE_SIZE))}
+              disabled={offset === 0 || isLoading}
+              style={secondaryButtonStyle}
+            >
+              ← Newer
+            </button>
+            <span style={{ fontSize: '13px', color: '#6b7280' }}>
+              {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+            </span>
+            <button
+              onClick={() => load(filters, offset + PAGE_SIZE)}
+              disabled={offset + PAGE_SIZE >= total || isLoading}
+              style={secondaryButtonStyle}
+            >
+              Older →
+            </button>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
@@ -1,14 +1,83 @@
 // pages/index.js
-import { useState } from 'react';
-import Head from 'next/head';
-import mammoth from 'mammoth';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { useEffect, useRef, useState } from 'react';
+import { applyDecisions } from '../lib/document/revise.js';
+import { baseName, downloadBlob } from '../lib/download.js';
+import { readNdjson } from '../lib/ndjson.js';
+import { formatReviewAsText } from '../lib/review/format.js';
+import { describeLanguage, isEnglishOnly } from '../lib/language/detect.js';
+import { riskLevelFor } from '../lib/review/schema.js';
+import { DEFAULT_MARKETS, MARKETS } from '../lib/rulepacks/index.js';
+import Layout from '../components/Layout.js';
+import RiskBadge from '../components/RiskBadge.js';
+import { inputStyle, labelStyle, messageStyle } from '../components/styles.js';
+import ReviewWorkspace from '../components/ReviewWorkspace.js';
+
+const UPLOAD_EXTENSIONS = ['txt', 'md', 'markdown', 'html', 'htm', 'docx', 'pdf'];
 
 export default function Home() {
+  const router = useRouter();
   const [content, setContent] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
   const [results, setResults] = useState(null);
   const [error, setError] = useState(null);
   const [file, setFile] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [reviewedContent, setReviewedContent] = useState('');
+  const [decisions, setDecisions] = useState({});
+  const abortRef = useRef(null);
+  const [profiles, setProfiles] = useState([]);
+  const [profileId, setProfileId] = useState('');
+  const [checklists, setChecklists] = useState([]);
+  const [checklistId, setChecklistId] = useState('');
+  const [markets, setMarkets] = useState(DEFAULT_MARKETS);
+  const [revisionOf, setRevisionOf] = useState(null);
+  const [keyword, setKeyword] = useState('');
+  const [page, setPage] = useState(null);
+
+  useEffect(() => {
+    fetch('/api/profiles')
+      .then((response) => response.ok ? response.json() : { profiles: [] })
+      .then((data) => {
+        setProfiles(data.profiles);
+        setProfileId((current) => current || data.profiles[0]?.id || '');
+      })
+      .catch(() => setProfiles([]));
+    fetch('/api/checklists')
+      .then((response) => response.ok ? response.json() : { checklists: [] })
+      .then((data) => {
+        setChecklists(data.checklists);
+        setChecklistId((current) => current || data.checklists[0]?.id || '');
+      })
+      .catch(() => setChecklists([]));
+  }, []);
+
+  // `/?revisionOf=<reviewId>` starts a new revision of a stored review.
+  useEffect(() => {
+    const { revisionOf: reviewId } = router.query;
+    if (!reviewId) return;
+    fetch(`/api/reviews/${reviewId}`)
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'Could not load the previous review');
+        const { id, filename, revision, content: previousContent, checklist } = data.review;
+        setRevisionOf({ id, filename, revision: revision || 1 });
+        setContent(previousContent);
+        setPage(null);
+        if (checklist) setChecklistId(checklist.id);
+      })
+      .catch((err) => setError(err.message));
+  }, [router.query]);
+
+  // Continue editing the reviewed text, with accepted rewrites applied, as
+  // the next revision of the same document.
+  const startRevision = () => {
+    const { text } = applyDecisions(reviewedContent, results.findings, decisions);
+    setRevisionOf({ id: results.reviewId, filename: results.filename, revision: results.revision || 1 });
+    setContent(text);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
 
   // Handle file upload
   const handleFileUpload = async (event) => {
@@ -17,12 +86,13 @@ export default function Home() {
 
     setFile(uploadedFile);
     setError(null);
+    setPage(null);
     
     try {
       const text = await readFileAsText(uploadedFile);
       setContent(text);
     } catch (err) {
-      setError('Error reading file content');
+      setError(err.message || 'Error reading file content');
     }
   };
 
@@ -30,35 +100,84 @@ export default function Home() {
   return new Promise((resolve, reject) => {
     const fileExtension = file.name.toLowerCase().split('.').pop();
     
-    // Only allow .txt files
-    if (fileExtension !== 'txt') {
-      reject(new Error('Please upload only .txt files, or copy-paste your content directly into the text box below.'));
+    if (!UPLOAD_EXTENSIONS.includes(fileExtension)) {
+      reject(new Error(`Please upload a ${UPLOAD_EXTENSIONS.map((ext) => `.${ext}`).join(', ')} file, or copy-paste your content directly into the text box below.`));
       return;
     }
     
     const reader = new FileReader();
-    reader.onload = (e) => {
-      const text = e.target.result;
-      if (text.trim().length < 10) {
-        reject(new Error('File appears to be empty or too short.'));
-      } else {
-        resolve(text.trim());
+
+    // Plain text is read in the browser; everything else is converted to
+    // structured text by the extraction API.
+    if (fileExtension === 'txt') {
+      reader.onload = (e) => {
+        const text = e.target.result;
+        if (text.trim().length < 10) {
+          reject(new Error('File appears to be empty or too short.'));
+        } else {
+          resolve(text.trim());
+        }
+      };
+      reader.onerror = () => reject(new Error('Failed to read the text file.'));
+      reader.readAsText(file, 'UTF-8');
+      return;
+    }
+
+    reader.onload = async (e) => {
+      try {
+        const response = await fetch('/api/extract-document', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            filename: file.name,
+            data: e.target.result.split(',')[1]
+          }),
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'Failed to read the file.');
+        // Meta tags, links and images, which the extracted text no longer has.
+        setPage(data.page);
+        resolve(data.content);
+      } catch (err) {
+        reject(err);
       }
     };
-    reader.onerror = () => reject(new Error('Failed to read the text file.'));
-    reader.readAsText(file, 'UTF-8');
+    reader.onerror = () => reject(new Error('Failed to read the file.'));
+    reader.readAsDataURL(file);
   });
 };
 
-  const processDocument = async () => {
+  // `force` skips the server's cache of earlier reviews of the same text.
+  const processDocument = async ({ force = false } = {}) => {
     if (!content.trim()) {
       setError('Please enter some content to analyze');
       return;
     }
 
+    const controller = new AbortController();
+    abortRef.current = controller;
+
     setIsProcessing(true);
     setError(null);
     setResults(null);
+    setProgress(null);
+    setReviewedContent(content);
+    setDecisions({});
+
+    const filename = file?.name || revisionOf?.filename || 'manual-input.txt';
+    const checklist = checklists.find((candidate) => candidate.id === checklistId);
+    let partial = { filename, summary: '', findings: [], riskLevel: 'LOW', checklist, model: { status: 'ok' }, partial: true };
+    let nextId = 1;
+
+    const addFindings = (findings, summary) => {
+      partial = {
+        ...partial,
+        summary: [partial.summary, summary].filter(Boolean).join('\n\n'),
+        findings: [...partial.findings, ...findings.map((finding) => ({ ...finding, id: `P${nextId++}` }))]
+      };
+      partial.riskLevel = riskLevelFor(partial.findings);
+      setResults(partial);
+    };
 
     try {
       const response = await fetch('/api/review-document', {
@@ -66,20 +185,63 @@ export default function Home() {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ 
           content, 
-          filename: file?.name || 'manual-input.txt' 
+          filename,
+          profileId: profileId || undefined,
+          checklistId: checklistId || undefined,
+          markets,
+          keyword: keyword.trim() || undefined,
+          page: page || undefined,
+          previousReviewId: revisionOf?.id,
+          force,
+          stream: true
         }),
+        signal: controller.signal
       });
 
-      const data = await response.json();
-      if (!response.ok) throw new Error(data.message || 'Processing failed');
-      setResults(data);
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.message || 'Processing failed');
+      }
+
+      let finished = false;
+      await readNdjson(response, (event) => {
+        switch (event.type) {
+          case 'rules':
+            addFindings(event.findings);
+            break;
+          case 'chunk':
+            addFindings(event.findings, event.summary);
+            break;
+          case 'progress':
+            setProgress(event);
+            break;
+          case 'result':
+            finished = true;
+            setResults(event);
+            break;
+          case 'error':
+            throw new Error(event.message || 'Processing failed');
+        }
+      });
+
+      if (!finished) throw new Error('The review ended unexpectedly. Please try again.');
     } catch (err) {
-      setError(err.message);
+      if (err.name === 'AbortError') {
+        setError('Review cancelled. Showing the findings received so far.');
+      } else {
+        setError(err.message);
+      }
     } finally {
+      abortRef.current = null;
       setIsProcessing(false);
+      setProgress(null);
     }
   };
 
+  const cancelProcessing = () => {
+    abortRef.current?.abort();
+  };
+
   const copyToClipboard = (text) => {
     navigator.clipboard.writeText(text);
     setError(null);
@@ -90,392 +252,596 @@ export default function Home() {
   };
 
   const downloadMarkdown = () => {
-    if (!results?.sections?.correctedDocument) return;
+    if (!results) return;
     
-    const blob = new Blob([results.sections.correctedDocument], { type: 'text/markdown' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `corrected_${file?.name || 'document'}.md`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    const { text } = applyDecisions(reviewedContent, results.findings, decisions);
+    downloadBlob(new Blob([text], { type: 'text/markdown' }), `revised_${baseName(file?.name)}.md`);
   };
 
   return (
-    <>
-      <Head>
-        <title>Olixir Document Review System</title>
-        <meta name="description" content="AI-powered document review for Olixir content" />
-        <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap" rel="stylesheet" />
-      </Head>
-
+    <Layout>
       <div style={{
-        minHeight: '100vh',
-        background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
-        fontFamily: "'Inter', -apple-system, BlinkMacSystemFont, sans-serif",
-        margin: 0,
-        padding: 0
+        display: 'grid',
+        gridTemplateColumns: '1fr 1fr',
+        gap: '30px',
+        marginBottom: '30px'
       }}>
-        {/* Header */}
+        {/* Input Section */}
         <div style={{
           background: 'rgba(255, 255, 255, 0.95)',
           backdropFilter: 'blur(10px)',
-          borderBottom: '1px solid rgba(255, 255, 255, 0.2)',
-          padding: '20px 0',
-          textAlign: 'center',
-          boxShadow: '0 4px 20px rgba(0, 0, 0, 0.1)'
+          borderRadius: '20px',
+          padding: '30px',
+          boxShadow: '0 8px 32px rgba(0, 0, 0, 0.1)',
+          border: '1px solid rgba(255, 255, 255, 0.2)'
         }}>
-          <h1 style={{
-            margin: '0 0 10px 0',
-            fontSize: '2.5rem',
-            fontWeight: '700',
-            background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
-            WebkitBackgroundClip: 'text',
-            WebkitTextFillColor: 'transparent',
-            letterSpacing: '-0.02em'
-          }}>
-            Olixir Document Review System
-          </h1>
-          <p style={{
-            margin: 0,
-            fontSize: '1.1rem',
-            color: '#6b7280',
-            fontWeight: '400'
+          <h2 style={{
+            margin: '0 0 25px 0',
+            fontSize: '1.5rem',
+            fontWeight: '600',
+            color: '#1f2937',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '10px'
           }}>
-            AI-powered content analysis for compliance and quality assurance
-          </p>
+            📝 Document Input
+          </h2>
+
+          {/* Revision */}
+          {revisionOf && (
+            <div style={{ ...messageStyle(true), backgroundColor: '#eef2ff', color: '#3730a3', border: '1px solid #c7d2fe' }}>
+              New revision of {revisionOf.filename} (revision {revisionOf.revision}). The results will be compared with it.{' '}
+              <button
+                onClick={() => setRevisionOf(null)}
+                style={{ border: 'none', background: 'none', color: '#667eea', cursor: 'pointer', textDecoration: 'underline', padding: 0, fontSize: '14px' }}
+              >
+                Review as a new document instead
+              </button>
+            </div>
+          )}
+
+          {/* Brand Profile */}
+          {profiles.length > 0 && (
+            <div style={{ marginBottom: '20px' }}>
+              <label style={labelStyle}>Brand profile:</label>
+              <select
+                value={profileId}
+                onChange={(e) => setProfileId(e.target.value)}
+                style={inputStyle}
+              >
+                {profiles.map((profile) => (
+                  <option key={profile.id} value={profile.id}>
+                    {profile.name} (v{profile.version})
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {/* Checklist */}
+          {checklists.length > 0 && (
+            <div style={{ marginBottom: '20px' }}>
+              <label style={labelStyle}>Checklist:</label>
+              <select
+                value={checklistId}
+                onChange={(e) => setChecklistId(e.target.value)}
+                style={inputStyle}
+              >
+                {checklists.map((checklist) => (
+                  <option key={checklist.id} value={checklist.id}>
+                    {checklist.name} (v{checklist.version}){checklist.description ? ` · ${checklist.description}` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {/* Target Markets */}
+          <div style={{ marginBottom: '20px' }}>
+            <label style={labelStyle}>Target markets:</label>
+            <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap' }}>
+              {Object.entries(MARKETS).map(([code, name]) => (
+                <label key={code} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px', color: '#374151' }}>
+                  <input
+                    type="checkbox"
+                    checked={markets.includes(code)}
+                    disabled={markets.length === 1 && markets.includes(code)}
+                    onChange={(e) => setMarkets((current) =>
+                      e.target.checked ? [...current, code] : current.filter((market) => market !== code)
+                    )}
+                  />
+                  {name}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {/* SEO Keyword */}
+          <div style={{ marginBottom: '20px' }}>
+            <label style={labelStyle}>Target keyword (optional, for the SEO analysis):</label>
+            <input
+              type="text"
+              value={keyword}
+              onChange={(e) => setKeyword(e.target.value)}
+              placeholder="e.g. cold-pressed groundnut oil"
+              maxLength={100}
+              style={inputStyle}
+            />
+          </div>
+
+          {/* Text Area */}
+          <div style={{ marginBottom: '20px' }}>
+            <label style={{
+              display: 'block',
+              marginBottom: '10px',
+              fontWeight: '500',
+              color: '#374151'
+            }}>
+              Upload a .txt, .md, .html, .docx or .pdf file, or paste content directly:
+            </label>
+            <input
+              type="file"
+              accept={UPLOAD_EXTENSIONS.map((ext) => `.${ext}`).join(',')}
+              onChange={handleFileUpload}
+              style={{
+                display: 'block',
+                width: '100%',
+                marginBottom: '12px',
+                fontSize: '14px',
+                color: '#374151'
+              }}
+            />
+            <textarea
+              value={content}
+              onChange={(e) => setContent(e.target.value)}
+              placeholder="Paste your document content here for analysis..."
+              style={{
+                width: '100%',
+                height: '300px',
+                padding: '15px',
+                border: '2px solid #e5e7eb',
+                borderRadius: '12px',
+                fontSize: '14px',
+                fontFamily: "'Inter', monospace",
+                resize: 'vertical',
+                outline: 'none',
+                transition: 'border-color 0.3s ease',
+                background: '#fefefe'
+              }}
+              onFocus={(e) => e.target.style.borderColor = '#667eea'}
+              onBlur={(e) => e.target.style.borderColor = '#e5e7eb'}
+            />
+          </div>
+
+          {/* Error Display */}
+          {error && (
+            <div style={{
+              backgroundColor: error.includes('✅') ? '#d1fae5' : '#fef2f2',
+              color: error.includes('✅') ? '#065f46' : '#dc2626',
+              padding: '15px',
+              borderRadius: '10px',
+              marginBottom: '20px',
+              border: `1px solid ${error.includes('✅') ? '#a7f3d0' : '#fecaca'}`,
+              fontSize: '14px',
+              fontWeight: '500'
+            }}>
+              {error}
+            </div>
+          )}
+
+          {/* Analyze Button */}
+          <button
+            onClick={() => processDocument()}
+            disabled={!content.trim() || isProcessing}
+            style={{
+              width: '100%',
+              padding: '15px',
+              background: isProcessing ? 
+                'linear-gradient(135deg, #9ca3af 0%, #6b7280 100%)' : 
+                'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+              color: 'white',
+              border: 'none',
+              borderRadius: '12px',
+              fontSize: '16px',
+              fontWeight: '600',
+              cursor: isProcessing ? 'not-allowed' : 'pointer',
+              transition: 'all 0.3s ease',
+              boxShadow: isProcessing ? 'none' : '0 4px 15px rgba(102, 126, 234, 0.4)',
+              transform: isProcessing ? 'scale(0.98)' : 'scale(1)'
+            }}
+            onMouseOver={(e) => {
+              if (!isProcessing) {
+                e.target.style.transform = 'scale(1.02)';
+                e.target.style.boxShadow = '0 6px 20px rgba(102, 126, 234, 0.6)';
+              }
+            }}
+            onMouseOut={(e) => {
+              if (!isProcessing) {
+                e.target.style.transform = 'scale(1)';
+                e.target.style.boxShadow = '0 4px 15px rgba(102, 126, 234, 0.4)';
+              }
+            }}
+          >
+            {isProcessing ? '🔄 Analyzing Document...' : '🚀 Analyze Document'}
+          </button>
+
+          {isProcessing && (
+            <button
+              onClick={cancelProcessing}
+              style={{
+                width: '100%',
+                marginTop: '12px',
+                padding: '12px',
+                background: 'white',
+                color: '#dc2626',
+                border: '2px solid #fecaca',
+                borderRadius: '12px',
+                fontSize: '14px',
+                fontWeight: '600',
+                cursor: 'pointer'
+              }}
+            >
+              ✖ Cancel Review
+            </button>
+          )}
         </div>
 
-        {/* Main Content */}
+        {/* Results Section */}
         <div style={{
-          maxWidth: '1200px',
-          margin: '0 auto',
-          padding: '40px 20px'
+          background: 'rgba(255, 255, 255, 0.95)',
+          backdropFilter: 'blur(10px)',
+          borderRadius: '20px',
+          padding: '30px',
+          boxShadow: '0 8px 32px rgba(0, 0, 0, 0.1)',
+          border: '1px solid rgba(255, 255, 255, 0.2)'
         }}>
-          <div style={{
-            display: 'grid',
-            gridTemplateColumns: '1fr 1fr',
-            gap: '30px',
-            marginBottom: '30px'
+          <h2 style={{
+            margin: '0 0 25px 0',
+            fontSize: '1.5rem',
+            fontWeight: '600',
+            color: '#1f2937',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '10px'
           }}>
-            {/* Input Section */}
+            📊 Analysis Results
+          </h2>
+
+          {/* Progress */}
+          {isProcessing && (
+            <div style={{ marginBottom: '20px' }}>
+              <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                fontSize: '13px',
+                color: '#6b7280',
+                marginBottom: '8px'
+              }}>
+                <span>{progress ? 'Reviewing with the model...' : 'Running rule-based checks...'}</span>
+                {progress && <span>{progress.completed} / {progress.total} parts</span>}
+              </div>
+              <div style={{
+                height: '8px',
+                background: '#e5e7eb',
+                borderRadius: '999px',
+                overflow: 'hidden'
+              }}>
+                <div style={{
+                  height: '100%',
+                  width: `${progress ? Math.round((progress.completed / progress.total) * 100) : 5}%`,
+                  background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                  transition: 'width 0.3s ease'
+                }} />
+              </div>
+            </div>
+          )}
+
+          {!results ? (
             <div style={{
-              background: 'rgba(255, 255, 255, 0.95)',
-              backdropFilter: 'blur(10px)',
-              borderRadius: '20px',
-              padding: '30px',
-              boxShadow: '0 8px 32px rgba(0, 0, 0, 0.1)',
-              border: '1px solid rgba(255, 255, 255, 0.2)'
+              textAlign: 'center',
+              color: '#6b7280',
+              padding: '60px 20px',
+              background: 'linear-gradient(135deg, #f3f4f6 0%, #e5e7eb 100%)',
+              borderRadius: '15px',
+              border: '2px dashed #d1d5db'
             }}>
-              <h2 style={{
-                margin: '0 0 25px 0',
-                fontSize: '1.5rem',
-                fontWeight: '600',
-                color: '#1f2937',
-                display: 'flex',
-                alignItems: 'center',
-                gap: '10px'
+              <div style={{
+                fontSize: '48px',
+                marginBottom: '20px',
+                opacity: '0.7'
+              }}>📄</div>
+              <p style={{
+                margin: 0,
+                fontSize: '16px',
+                fontWeight: '500'
               }}>
-                📝 Document Input
-              </h2>
-
-              {/* Text Area */}
-              <div style={{ marginBottom: '20px' }}>
-                <label style={{
-                  display: 'block',
-                  marginBottom: '10px',
-                  fontWeight: '500',
-                  color: '#374151'
+                Upload and analyze a document to see results
+              </p>
+            </div>
+          ) : (
+            <div>
+              {/* Risk Assessment */}
+              <div style={{
+                padding: '20px',
+                borderRadius: '15px',
+                marginBottom: '25px',
+                background: results.riskLevel === 'HIGH' ? 
+                  'linear-gradient(135deg, #fef2f2 0%, #fee2e2 100%)' :
+                  results.riskLevel === 'MEDIUM' ? 
+                  'linear-gradient(135deg, #fffbeb 0%, #fef3c7 100%)' :
+                  'linear-gradient(135deg, #f0fdf4 0%, #dcfce7 100%)',
+                border: `2px solid ${
+                  results.riskLevel === 'HIGH' ? '#fca5a5' :
+                  results.riskLevel === 'MEDIUM' ? '#fcd34d' : '#86efac'
+                }`
+              }}>
+                <div style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '12px',
+                  marginBottom: '10px'
                 }}>
-                  Upload .txt file or paste content directly:
-                </label>
-                <textarea
-                  value={content}
-                  onChange={(e) => setContent(e.target.value)}
-                  placeholder="Paste your document content here for analysis..."
+                  <div style={{
+                    fontSize: '24px'
+                  }}>
+                    {results.riskLevel === 'HIGH' ? '🚨' :
+                     results.riskLevel === 'MEDIUM' ? '⚠️' : '✅'}
+                  </div>
+                  <h3 style={{
+                    margin: 0,
+                    fontSize: '18px',
+                    fontWeight: '600',
+                    color: results.riskLevel === 'HIGH' ? '#dc2626' :
+                           results.riskLevel === 'MEDIUM' ? '#d97706' : '#059669'
+                  }}>
+                    Risk Level: {results.riskLevel || 'MEDIUM'}{results.partial && ' (so far)'}
+                  </h3>
+                </div>
+                <p style={{
+                  margin: 0,
+                  fontSize: '14px',
+                  color: results.riskLevel === 'HIGH' ? '#b91c1c' :
+                         results.riskLevel === 'MEDIUM' ? '#92400e' : '#047857'
+                }}>
+                  {results.riskLevel === 'HIGH' && 'Immediate attention required for compliance'}
+                  {results.riskLevel === 'MEDIUM' && 'Some issues found, review recommended'}
+                  {results.riskLevel === 'LOW' && 'Minor or no issues found'}
+                </p>
+                {results.rulepacks?.length > 0 && (
+                  <p style={{ margin: '8px 0 0 0', fontSize: '12px', color: '#6b7280' }}>
+                    Checked against: {results.rulepacks.map((rulepack) => `${rulepack.name} (v${rulepack.version})`).join(', ')}
+                  </p>
+                )}
+                {results.language && !isEnglishOnly(results.language) && (
+                  <p style={{ margin: '4px 0 0 0', fontSize: '12px', color: '#6b7280' }}>
+                    🌐 Reviewed in {describeLanguage(results.language)}; findings are explained in English.
+                  </p>
+                )}
+              </div>
+
+              {/* Action Buttons */}
+              <div style={{
+                display: 'flex',
+                gap: '12px',
+                marginBottom: '25px'
+              }}>
+                <button
+                  onClick={() => copyToClipboard(formatReviewAsText(results))}
                   style={{
-                    width: '100%',
-                    height: '300px',
-                    padding: '15px',
-                    border: '2px solid #e5e7eb',
-                    borderRadius: '12px',
+                    flex: 1,
+                    padding: '12px 16px',
+                    background: 'linear-gradient(135deg, #10b981 0%, #059669 100%)',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '10px',
                     fontSize: '14px',
-                    fontFamily: "'Inter', monospace",
-                    resize: 'vertical',
-                    outline: 'none',
-                    transition: 'border-color 0.3s ease',
-                    background: '#fefefe'
+                    fontWeight: '500',
+                    cursor: 'pointer',
+                    transition: 'all 0.3s ease',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    gap: '8px'
                   }}
-                  onFocus={(e) => e.target.style.borderColor = '#667eea'}
-                  onBlur={(e) => e.target.style.borderColor = '#e5e7eb'}
-                />
+                >
+                  📋 Copy Analysis
+                </button>
+                <button
+                  onClick={downloadMarkdown}
+                  style={{
+                    flex: 1,
+                    padding: '12px 16px',
+                    background: 'linear-gradient(135deg, #3b82f6 0%, #2563eb 100%)',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '10px',
+                    fontSize: '14px',
+                    fontWeight: '500',
+                    cursor: 'pointer',
+                    transition: 'all 0.3s ease',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    gap: '8px'
+                  }}
+                >
+                  💾 Download revised .md
+                </button>
               </div>
 
-              {/* Error Display */}
-              {error && (
+              {/* Cached Result */}
+              {results.cached && !isProcessing && (
                 <div style={{
-                  backgroundColor: error.includes('✅') ? '#d1fae5' : '#fef2f2',
-                  color: error.includes('✅') ? '#065f46' : '#dc2626',
-                  padding: '15px',
-                  borderRadius: '10px',
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  gap: '12px',
+                  padding: '12px 15px',
+                  borderRadius: '12px',
                   marginBottom: '20px',
-                  border: `1px solid ${error.includes('✅') ? '#a7f3d0' : '#fecaca'}`,
+                  background: '#f0f9ff',
+                  border: '1px solid #bae6fd',
                   fontSize: '14px',
-                  fontWeight: '500'
+                  color: '#075985'
                 }}>
-                  {error}
+                  <span>⚡ Same text and settings as a review from {new Date(results.cachedAt).toLocaleString()}, so that result was reused.</span>
+                  <button
+                    onClick={() => processDocument({ force: true })}
+                    style={{
+                      padding: '6px 12px',
+                      background: 'white',
+                      color: '#075985',
+                      border: '1px solid #7dd3fc',
+                      borderRadius: '8px',
+                      fontSize: '13px',
+                      fontWeight: '500',
+                      cursor: 'pointer',
+                      whiteSpace: 'nowrap'
+                    }}
+                  >
+                    🔄 Re-review anyway
+                  </button>
                 </div>
               )}
 
-              {/* Analyze Button */}
-              <button
-                onClick={processDocument}
-                disabled={!content.trim() || isProcessing}
-                style={{
-                  width: '100%',
+              {/* Revision Comparison */}
+              {results.comparison && (
+                <div style={{
                   padding: '15px',
-                  background: isProcessing ? 
-                    'linear-gradient(135deg, #9ca3af 0%, #6b7280 100%)' : 
-                    'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
-                  color: 'white',
-                  border: 'none',
                   borderRadius: '12px',
-                  fontSize: '16px',
-                  fontWeight: '600',
-                  cursor: isProcessing ? 'not-allowed' : 'pointer',
-                  transition: 'all 0.3s ease',
-                  boxShadow: isProcessing ? 'none' : '0 4px 15px rgba(102, 126, 234, 0.4)',
-                  transform: isProcessing ? 'scale(0.98)' : 'scale(1)'
-                }}
-                onMouseOver={(e) => {
-                  if (!isProcessing) {
-                    e.target.style.transform = 'scale(1.02)';
-                    e.target.style.boxShadow = '0 6px 20px rgba(102, 126, 234, 0.6)';
-                  }
-                }}
-                onMouseOut={(e) => {
-                  if (!isProcessing) {
-                    e.target.style.transform = 'scale(1)';
-                    e.target.style.boxShadow = '0 4px 15px rgba(102, 126, 234, 0.4)';
-                  }
-                }}
-              >
-                {isProcessing ? '🔄 Analyzing Document...' : '🚀 Analyze Document'}
-              </button>
-            </div>
+                  marginBottom: '20px',
+                  background: '#eef2ff',
+                  border: '1px solid #c7d2fe',
+                  fontSize: '14px',
+                  color: '#3730a3'
+                }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+                    🔀 Compared with revision {results.comparison.previous.revision}:
+                    <RiskBadge level={results.comparison.risk.previous} /> → <RiskBadge level={results.comparison.risk.current} />
+                  </div>
+                  <div>
+                    {results.comparison.counts.resolved} resolved · {results.comparison.counts.persisting} still present · {results.comparison.counts.new} new
+                    {results.reviewId && (
+                      <>
+                        {' · '}
+                        <Link href={`/compare?to=${results.reviewId}`} style={{ color: '#667eea' }}>
+                          View comparison
+                        </Link>
+                      </>
+                    )}
+                  </div>
+                </div>
+              )}
 
-            {/* Results Section */}
-            <div style={{
-              background: 'rgba(255, 255, 255, 0.95)',
-              backdropFilter: 'blur(10px)',
-              borderRadius: '20px',
-              padding: '30px',
-              boxShadow: '0 8px 32px rgba(0, 0, 0, 0.1)',
-              border: '1px solid rgba(255, 255, 255, 0.2)'
-            }}>
-              <h2 style={{
-                margin: '0 0 25px 0',
-                fontSize: '1.5rem',
-                fontWeight: '600',
-                color: '#1f2937',
-                display: 'flex',
-                alignItems: 'center',
-                gap: '10px'
-              }}>
-                📊 Analysis Results
-              </h2>
+              {results.reviewId && !isProcessing && (
+                <button
+                  onClick={startRevision}
+                  style={{
+                    width: '100%',
+                    padding: '10px 16px',
+                    marginBottom: '20px',
+                    background: 'white',
+                    color: '#374151',
+                    border: '2px solid #e5e7eb',
+                    borderRadius: '10px',
+                    fontSize: '14px',
+                    fontWeight: '500',
+                    cursor: 'pointer'
+                  }}
+                >
+                  📝 Edit the revised draft and review it as revision {(results.revision || 1) + 1}
+                </button>
+              )}
 
-              {!results ? (
+              {/* Usage Info */}
+              {results.usage && (
                 <div style={{
-                  textAlign: 'center',
+                  fontSize: '12px',
                   color: '#6b7280',
-                  padding: '60px 20px',
-                  background: 'linear-gradient(135deg, #f3f4f6 0%, #e5e7eb 100%)',
-                  borderRadius: '15px',
-                  border: '2px dashed #d1d5db'
+                  background: 'linear-gradient(135deg, #f9fafb 0%, #f3f4f6 100%)',
+                  padding: '12px 16px',
+                  borderRadius: '10px',
+                  border: '1px solid #e5e7eb',
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center'
                 }}>
-                  <div style={{
-                    fontSize: '48px',
-                    marginBottom: '20px',
-                    opacity: '0.7'
-                  }}>📄</div>
-                  <p style={{
-                    margin: 0,
-                    fontSize: '16px',
-                    fontWeight: '500'
-                  }}>
-                    Upload and analyze a document to see results
-                  </p>
-                </div>
-              ) : (
-                <div>
-                  {/* Risk Assessment */}
-                  <div style={{
-                    padding: '20px',
-                    borderRadius: '15px',
-                    marginBottom: '25px',
-                    background: results.sections?.riskLevel === 'HIGH' ? 
-                      'linear-gradient(135deg, #fef2f2 0%, #fee2e2 100%)' :
-                      results.sections?.riskLevel === 'MEDIUM' ? 
-                      'linear-gradient(135deg, #fffbeb 0%, #fef3c7 100%)' :
-                      'linear-gradient(135deg, #f0fdf4 0%, #dcfce7 100%)',
-                    border: `2px solid ${
-                      results.sections?.riskLevel === 'HIGH' ? '#fca5a5' :
-                      results.sections?.riskLevel === 'MEDIUM' ? '#fcd34d' : '#86efac'
-                    }`
-                  }}>
-                    <div style={{
-                      display: 'flex',
-                      alignItems: 'center',
-                      gap: '12px',
-                      marginBottom: '10px'
-                    }}>
-                      <div style={{
-                        fontSize: '24px'
-                      }}>
-                        {results.sections?.riskLevel === 'HIGH' ? '🚨' :
-                         results.sections?.riskLevel === 'MEDIUM' ? '⚠️' : '✅'}
-                      </div>
-                      <h3 style={{
-                        margin: 0,
-                        fontSize: '18px',
-                        fontWeight: '600',
-                        color: results.sections?.riskLevel === 'HIGH' ? '#dc2626' :
-                               results.sections?.riskLevel === 'MEDIUM' ? '#d97706' : '#059669'
-                      }}>
-                        Risk Level: {results.sections?.riskLevel || 'MEDIUM'}
-                      </h3>
-                    </div>
-                    <p style={{
-                      margin: 0,
-                      fontSize: '14px',
-                      color: results.sections?.riskLevel === 'HIGH' ? '#b91c1c' :
-                             results.sections?.riskLevel === 'MEDIUM' ? '#92400e' : '#047857'
-                    }}>
-                      {results.sections?.riskLevel === 'HIGH' && 'Immediate attention required for compliance'}
-                      {results.sections?.riskLevel === 'MEDIUM' && 'Some issues found, review recommended'}
-                      {results.sections?.riskLevel === 'LOW' && 'Minor or no issues found'}
-                    </p>
-                  </div>
-
-                  {/* Action Buttons */}
-                  <div style={{
-                    display: 'flex',
-                    gap: '12px',
-                    marginBottom: '25px'
-                  }}>
-                    <button
-                      onClick={() => copyToClipboard(results.analysis)}
-                      style={{
-                        flex: 1,
-                        padding: '12px 16px',
-                        background: 'linear-gradient(135deg, #10b981 0%, #059669 100%)',
-                        color: 'white',
-                        border: 'none',
-                        borderRadius: '10px',
-                        fontSize: '14px',
-                        fontWeight: '500',
-                        cursor: 'pointer',
-                        transition: 'all 0.3s ease',
-                        display: 'flex',
-                        alignItems: 'center',
-                        justifyContent: 'center',
-                        gap: '8px'
-                      }}
-                    >
-                      📋 Copy Analysis
-                    </button>
-                    <button
-                      onClick={downloadMarkdown}
-                      style={{
-                        flex: 1,
-                        padding: '12px 16px',
-                        background: 'linear-gradient(135deg, #3b82f6 0%, #2563eb 100%)',
-                        color: 'white',
-                        border: 'none',
-                        borderRadius: '10px',
-                        fontSize: '14px',
-                        fontWeight: '500',
-                        cursor: 'pointer',
-                        transition: 'all 0.3s ease',
-                        display: 'flex',
-                        alignItems: 'center',
-                        justifyContent: 'center',
-                        gap: '8px'
-                      }}
-                    >
-                      💾 Download .md
-                    </button>
-                  </div>
-
-                  {/* Usage Info */}
-                  {results.usage && (
-                    <div style={{
-                      fontSize: '12px',
-                      color: '#6b7280',
-                      background: 'linear-gradient(135deg, #f9fafb 0%, #f3f4f6 100%)',
-                      padding: '12px 16px',
-                      borderRadius: '10px',
-                      border: '1px solid #e5e7eb',
-                      display: 'flex',
-                      justifyContent: 'space-between',
-                      alignItems: 'center'
-                    }}>
-                      <span>📈 Characters: {results.usage.charactersProcessed}</span>
-                      <span>⏱️ Requests left: {results.usage.requestsRemaining}</span>
-                    </div>
+                  <span>📈 Characters: {results.usage.charactersProcessed}</span>
+                  {results.reviewId && (
+                    <Link href={`/reviews/${results.reviewId}`} style={{ color: '#667eea' }}>
+                      🗂️ Saved to history
+                    </Link>
+                  )}
+                  {results.reviewId && (
+                    <a href={`/api/reviews/${results.reviewId}/report?format=pdf`} target="_blank" rel="noreferrer" style={{ color: '#667eea' }}>
+                      📄 PDF report
+                    </a>
+                  )}
+                  {results.usage.requestsRemaining !== null && (
+                    <span>⏱️ Requests left: {results.usage.requestsRemaining}</span>
                   )}
                 </div>
               )}
             </div>
-          </div>
+          )}
+        </div>
+      </div>
 
-          {/* Full Analysis Display */}
-          {results && (
+      {/* Annotated Document */}
+      {results && (
+        <div style={{
+          background: 'rgba(255, 255, 255, 0.95)',
+          backdropFilter: 'blur(10px)',
+          borderRadius: '20px',
+          padding: '30px',
+          boxShadow: '0 8px 32px rgba(0, 0, 0, 0.1)',
+          border: '1px solid rgba(255, 255, 255, 0.2)'
+        }}>
+          <h2 style={{
+            margin: '0 0 25px 0',
+            fontSize: '1.5rem',
+            fontWeight: '600',
+            color: '#1f2937',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '10px'
+          }}>
+            📋 Annotated Document
+          </h2>
+          {results.model?.status !== 'ok' && (
             <div style={{
-              background: 'rgba(255, 255, 255, 0.95)',
-              backdropFilter: 'blur(10px)',
-              borderRadius: '20px',
-              padding: '30px',
-              boxShadow: '0 8px 32px rgba(0, 0, 0, 0.1)',
-              border: '1px solid rgba(255, 255, 255, 0.2)'
+              backgroundColor: '#fffbeb',
+              color: '#92400e',
+              padding: '12px 15px',
+              borderRadius: '10px',
+              marginBottom: '20px',
+              border: '1px solid #fcd34d',
+              fontSize: '13px',
+              fontWeight: '500'
             }}>
-              <h2 style={{
-                margin: '0 0 25px 0',
-                fontSize: '1.5rem',
-                fontWeight: '600',
-                color: '#1f2937',
-                display: 'flex',
-                alignItems: 'center',
-                gap: '10px'
-              }}>
-                📋 Complete Analysis Report
-              </h2>
-              <div style={{
-                background: 'linear-gradient(135deg, #f8fafc 0%, #f1f5f9 100%)',
-                padding: '25px',
-                borderRadius: '15px',
-                border: '1px solid #e2e8f0',
-                maxHeight: '500px',
-                overflow: 'auto'
-              }}>
-                <pre style={{
-                  margin: 0,
-                  fontSize: '13px',
-                  lineHeight: '1.6',
-                  whiteSpace: 'pre-wrap',
-                  color: '#374151',
-                  fontFamily: "'Inter', monospace"
-                }}>
-                  {results.analysis}
-                </pre>
-              </div>
+              ⚠️ {results.model?.error}: {results.model?.message}
             </div>
           )}
+          <p style={{
+            margin: '0 0 20px 0',
+            fontSize: '14px',
+            lineHeight: '1.6',
+            color: '#374151',
+            whiteSpace: 'pre-wrap'
+          }}>
+            {results.summary}
+          </p>
+          <ReviewWorkspace
+            content={reviewedContent}
+            findings={results.findings}
+            checklist={results.checklist}
+            filename={results.filename}
+            decisions={decisions}
+            onDecisionsChange={results.partial ? undefined : setDecisions}
+            seo={results.seo}
+          />
         </div>
-      </div>
-    </>
+      )}
+    </Layout>
   );
 }
\ No newline at end of file
@@ -0,0 +1,106 @@
+// pages/login.js
+import { useRouter } from 'next/router';
+import { useEffect, useState } from 'react';
+import Layout from '../components/Layout.js';
+import { useSession } from '../components/session.js';
+import {
+  cardStyle,
+  cardTitleStyle,
+  inputStyle,
+  labelStyle,
+  messageStyle,
+  primaryButtonStyle,
+  secondaryButtonStyle,
+} from '../components/styles.js';
+
+// Only same-site paths, so a crafted link cannot send people elsewhere.
+function safeNext(next) {
+  return typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') ? next : '/';
+}
+
+// Sign-in, or on a fresh install, creating the first admin account.
+export default function Login() {
+  const router = useRouter();
+  const session = useSession();
+  const next = safeNext(router.query.next);
+  const [form, setForm] = useState({ username: '', name: '', password: '' });
+  const [message, setMessage] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (session.user) router.replace(next);
+  }, [session.user, next, router]);
+
+  useEffect(() => {
+    if (router.query.error) setMessage(String(router.query.error));
+  }, [router.query.error]);
+
+  const setup = session.setupRequired;
+
+  const submit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setMessage(null);
+    try {
+      const response = await fetch(setup ? '/api/auth/setup' : '/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(form),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Sign-in failed');
+      await session.refresh();
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const field = (name, label, type = 'text') => (
+    <div style={{ marginBottom: '15px' }}>
+      <label style={labelStyle}>{label}</label>
+      <input
+        type={type}
+        value={form[name]}
+        onChange={(e) => setForm({ ...form, [name]: e.target.value })}
+        autoComplete={type === 'password' ? (setup ? 'new-password' : 'current-password') : name}
+        style={inputStyle}
+      />
+    </div>
+  );
+
+  return (
+    <Layout title="Sign in · Olixir Document Review System" requireAuth={false}>
+      <div style={{ ...cardStyle, maxWidth: '420px', margin: '0 auto' }}>
+        <h2 style={cardTitleStyle}>{setup ? '🛠️ Create the admin account' : '🔐 Sign in'}</h2>
+
+        {setup && (
+          <p style={{ margin: '0 0 20px 0', fontSize: '14px', color: '#6b7280' }}>
+            No accounts exist yet. The first account is an admin, who can then add writers and reviewers.
+          </p>
+        )}
+
+        {(message || session.error) && <div style={messageStyle(false)}>{message || session.error}</div>}
+
+        <form onSubmit={submit}>
+          {field('username', 'Username')}
+          {setup && field('name', 'Full name')}
+          {field('password', 'Password', 'password')}
+          <button type="submit" disabled={isSubmitting || session.loading} style={{ ...primaryButtonStyle, width: '100%' }}>
+            {isSubmitting ? 'Signing in...' : setup ? 'Create account' : 'Sign in'}
+          </button>
+        </form>
+
+        {session.sso && !setup && (
+          <a
+            href={`/api/auth/oidc/login?next=${encodeURIComponent(next)}`}
+            style={{ ...secondaryButtonStyle, display: 'block', textAlign: 'center', textDecoration: 'none', marginTop: '12px' }}
+          >
+            {session.sso.label}
+          </a>
+        )}
+      </div>
+    </Layout>
+  );
+}
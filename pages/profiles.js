@@ -0,0 +1,232 @@
+// pages/profiles.js
+import { useCallback, useEffect, useState } from 'react';
+import Layout from '../components/Layout.js';
+import { useSession } from '../components/session.js';
+import {
+  cardStyle,
+  cardTitleStyle,
+  inputStyle,
+  labelStyle,
+  messageStyle,
+  primaryButtonStyle,
+  secondaryButtonStyle,
+} from '../components/styles.js';
+
+const TEXT_FIELDS = [
+  { name: 'name', label: 'Brand name' },
+  { name: 'background', label: 'Company background', multiline: true },
+  { name: 'positioning', label: 'Positioning' },
+  { name: 'targetMarket', label: 'Target market' },
+  { name: 'packaging', label: 'Packaging' },
+];
+
+const LIST_FIELDS = [
+  { name: 'products', label: 'Products' },
+  { name: 'forbiddenPackaging', label: 'Packaging materials we never use (e.g. glass)' },
+  { name: 'forbiddenClaims', label: 'Forbidden claims' },
+  { name: 'toneGuidelines', label: 'Tone guidelines' },
+];
+
+const EMPTY_FORM = Object.fromEntries([
+  ...TEXT_FIELDS.map((field) => [field.name, '']),
+  ...LIST_FIELDS.map((field) => [field.name, '']),
+]);
+
+// List fields are edited as one entry per line.
+function toForm(profile) {
+  return {
+    ...Object.fromEntries(TEXT_FIELDS.map((field) => [field.name, profile[field.name] || ''])),
+    ...Object.fromEntries(LIST_FIELDS.map((field) => [field.name, (profile[field.name] || []).join('\n')])),
+  };
+}
+
+function fromForm(form) {
+  return {
+    ...Object.fromEntries(TEXT_FIELDS.map((field) => [field.name, form[field.name]])),
+    ...Object.fromEntries(LIST_FIELDS.map((field) => [field.name, form[field.name].split('\n')])),
+  };
+}
+
+export default function Profiles() {
+  const { can } = useSession();
+  const canEdit = can('profiles:edit');
+  const [profiles, setProfiles] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [message, setMessage] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadProfiles = useCallback(async () => {
+    const response = await fetch('/api/profiles');
+    const data = await response.json();
+    if (response.ok) setProfiles(data.profiles);
+    return data.profiles || [];
+  }, []);
+
+  const openProfile = useCallback(async (id, version) => {
+    setMessage(null);
+    const response = await fetch(`/api/profiles/${id}${version ? `?version=${version}` : ''}`);
+    const data = await response.json();
+    if (!response.ok) {
+      setMessage({ success: false, text: data.message });
+      return;
+    }
+    setSelected(data.profile);
+    setVersions(data.versions);
+    setForm(toForm(data.profile));
+  }, []);
+
+  useEffect(() => {
+    loadProfiles().then((list) => {
+      if (list[0]) openProfile(list[0].id);
+    });
+  }, [loadProfiles, openProfile]);
+
+  const newProfile = () => {
+    setSelected(null);
+    setVersions([]);
+    setForm(EMPTY_FORM);
+    setMessage(null);
+  };
+
+  const saveProfile = async () => {
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      const response = await fetch(selected ? `/api/profiles/${selected.id}` : '/api/profiles', {
+        method: selected ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(fromForm(form)),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Saving failed');
+
+      await loadProfiles();
+      await openProfile(data.profile.id);
+      setMessage({ success: true, text: `✅ Saved as version ${data.profile.version}` });
+    } catch (err) {
+      setMessage({ success: false, text: err.message });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const viewingOldVersion = selected && selected.version !== selected.latestVersion;
+
+  return (
+    <Layout title="Brand Profiles · Olixir Document Review System">
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: '1fr 2fr',
+        gap: '30px'
+      }}>
+        <div style={cardStyle}>
+          <h2 style={cardTitleStyle}>🏷️ Brand Profiles</h2>
+          {profiles.map((profile) => (
+            <div
+              key={profile.id}
+              onClick={() => openProfile(profile.id)}
+              style={{
+                padding: '12px 15px',
+                marginBottom: '10px',
+                borderRadius: '10px',
+                cursor: 'pointer',
+                border: `2px solid ${selected?.id === profile.id ? '#667eea' : '#e5e7eb'}`,
+                background: 'white'
+              }}
+            >
+              <div style={{ fontWeight: '600', color: '#1f2937' }}>{profile.name}</div>
+              <div style={{ fontSize: '12px', color: '#6b7280' }}>
+                Version {profile.version} · {profile.updatedAt ? `updated ${new Date(profile.updatedAt).toLocaleDateString()}` : 'built in'}
+              </div>
+            </div>
+          ))}
+          {canEdit && (
+            <button onClick={newProfile} style={{ ...secondaryButtonStyle, width: '100%' }}>
+              ➕ New profile
+            </button>
+          )}
+        </div>
+
+        <div style={cardStyle}>
+          <h2 style={cardTitleStyle}>
+            {selected ? `${canEdit ? '✏️' : '🏷️'} ${selected.name}` : '➕ New brand profile'}
+          </h2>
+
+          {!canEdit && (
+            <p style={{ margin: '0 0 20px 0', fontSize: '13px', color: '#6b7280' }}>
+              Only admins can edit brand profiles.
+            </p>
+          )}
+
+          {versions.length > 0 && (
+            <div style={{ marginBottom: '20px' }}>
+              <label style={labelStyle}>Version history:</label>
+              <select
+                value={selected?.version || ''}
+                onChange={(e) => openProfile(selected.id, e.target.value)}
+                style={inputStyle}
+              >
+                {[...versions].reverse().map((version) => (
+                  <option key={version.version} value={version.version}>
+                    v{version.version} · {version.createdAt ? new Date(version.createdAt).toLocaleString() : 'built in'}
+                    {version.createdBy ? ` · ${version.createdBy}` : ''}
+                  </option>
+                ))}
+              </select>
+              {viewingOldVersion && (
+                <p style={{ margin: '8px 0 0 0', fontSize: '13px', color: '#92400e' }}>
+                  You are viewing an older version. Saving it creates version {selected.latestVersion + 1}.
+                </p>
+              )}
+            </div>
+          )}
+
+          {message && <div style={messageStyle(message.success)}>{message.text}</div>}
+
+          {TEXT_FIELDS.map((field) => (
+            <div key={field.name} style={{ marginBottom: '15px' }}>
+              <label style={labelStyle}>{field.label}</label>
+              {field.multiline ? (
+                <textarea
+                  value={form[field.name]}
+                  onChange={(e) => setForm({ ...form, [field.name]: e.target.value })}
+                  rows={3}
+                  readOnly={!canEdit}
+                  style={{ ...inputStyle, resize: 'vertical' }}
+                />
+              ) : (
+                <input
+                  value={form[field.name]}
+                  onChange={(e) => setForm({ ...form, [field.name]: e.target.value })}
+                  readOnly={!canEdit}
+                  style={inputStyle}
+                />
+              )}
+            </div>
+          ))}
+
+          {LIST_FIELDS.map((field) => (
+            <div key={field.name} style={{ marginBottom: '15px' }}>
+              <label style={labelStyle}>{field.label} <span style={{ color: '#9ca3af', fontWeight: '400' }}>(one per line)</span></label>
+              <textarea
+                value={form[field.name]}
+                onChange={(e) => setForm({ ...form, [field.name]: e.target.value })}
+                rows={4}
+                readOnly={!canEdit}
+                style={{ ...inputStyle, resize: 'vertical' }}
+              />
+            </div>
+          ))}
+
+          {canEdit && (
+            <button onClick={saveProfile} disabled={isSaving} style={{ ...primaryButtonStyle, width: '100%' }}>
+              {isSaving ? 'Saving...' : selected ? '💾 Save new version' : '💾 Create profile'}
+            </button>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+}
@@ -0,0 +1,157 @@
+// pages/reviews/[id].js
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { useCallback, useEffect, useState } from 'react';
+import Layout from '../../components/Layout.js';
+import ReviewWorkspace from '../../components/ReviewWorkspace.js';
+import RiskBadge from '../../components/RiskBadge.js';
+import WorkflowPanel from '../../components/WorkflowPanel.js';
+import { cardStyle, cardTitleStyle, messageStyle, secondaryButtonStyle } from '../../components/styles.js';
+import { describeLanguage } from '../../lib/language/detect.js';
+import { workflowOf } from '../../lib/workflow/workflow.js';
+
+// A past review re-opened from the history, in the same annotated view as
+// a fresh one, with its approval workflow.
+export default function ReviewPage() {
+  const router = useRouter();
+  const { id } = router.query;
+  const [review, setReview] = useState(null);
+  const [error, setError] = useState(null);
+  const [decisions, setDecisions] = useState({});
+  const [revisions, setRevisions] = useState([]);
+  const [workflowError, setWorkflowError] = useState(null);
+
+  // Send one workflow change and show the updated workflow. Returns whether
+  // it was accepted.
+  const updateWorkflow = useCallback(async (path, method, body) => {
+    setWorkflowError(null);
+    try {
+      const response = await fetch(`/api/reviews/${id}/${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Update failed');
+      setReview((current) => ({ ...current, workflow: data.workflow }));
+      return true;
+    } catch (err) {
+      setWorkflowError(err.message);
+      return false;
+    }
+  }, [id]);
+
+  useEffect(() => {
+    if (!id) return;
+    fetch(`/api/reviews/${id}`)
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'Loading failed');
+        setReview({ ...data.review, workflow: workflowOf(data.review) });
+        setDecisions({});
+
+        const history = await fetch(`/api/reviews?documentId=${data.review.documentId || data.review.id}`);
+        if (history.ok) setRevisions((await history.json()).reviews);
+      })
+      .catch((err) => setError(err.message));
+  }, [id]);
+
+  return (
+    <Layout title={`${review?.filename || 'Review'} · Olixir Document Review System`}>
+      <div style={cardStyle}>
+        <div style={{ marginBottom: '15px', fontSize: '14px' }}>
+          <Link href="/history" style={{ color: '#667eea' }}>← Back to history</Link>
+        </div>
+
+        {error && <div style={messageStyle(false)}>{error}</div>}
+        {!review && !error && <p style={{ color: '#6b7280' }}>Loading...</p>}
+
+        {review && (
+          <>
+            <h2 style={cardTitleStyle}>
+              📋 {review.filename} <RiskBadge level={review.riskLevel} />
+            </h2>
+            <p style={{ margin: '0 0 15px 0', fontSize: '13px', color: '#6b7280' }}>
+              Revision {review.revision || 1} · reviewed {new Date(review.createdAt).toLocaleString()}
+              {' · '}{review.profile?.name} v{review.profile?.version}
+              {review.checklist && <>{' · '}{review.checklist.name} checklist v{review.checklist.version}</>}
+              {review.language && ` · ${describeLanguage(review.language)}`}
+              {review.rulepacks?.length > 0 && ` · ${review.rulepacks.map((rulepack) => rulepack.name).join(', ')}`}
+              {review.model?.model && ` · ${review.model.provider} ${review.model.model}`}
+            </p>
+
+            <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '20px' }}>
+              <Link href={`/?revisionOf=${review.id}`} style={{ ...secondaryButtonStyle, textDecoration: 'none' }}>
+                📝 Review a new revision
+              </Link>
+              {review.previousReviewId && (
+                <Link href={`/compare?to=${review.id}`} style={{ ...secondaryButtonStyle, textDecoration: 'none' }}>
+                  🔀 Compare with revision {(review.revision || 1) - 1}
+                </Link>
+              )}
+              <a href={`/api/reviews/${review.id}/report?format=pdf`} target="_blank" rel="noreferrer" style={{ ...secondaryButtonStyle, textDecoration: 'none' }}>
+                📄 PDF report
+              </a>
+              <a href={`/api/reviews/${review.id}/report?format=html`} target="_blank" rel="noreferrer" style={{ ...secondaryButtonStyle, textDecoration: 'none' }}>
+                🌐 HTML report
+              </a>
+              {revisions.length > 1 && (
+                <span style={{ fontSize: '13px', color: '#6b7280' }}>
+                  Revisions:{' '}
+                  {[...revisions].reverse().map((revision) => (
+                    revision.id === review.id
+                      ? <strong key={revision.id} style={{ marginRight: '6px' }}>{revision.revision}</strong>
+                      : (
+                        <Link key={revision.id} href={`/reviews/${revision.id}`} style={{ color: '#667eea', marginRight: '6px' }}>
+                          {revision.revision}
+                        </Link>
+                      )
+                  ))}
+                </span>
+              )}
+            </div>
+
+            <WorkflowPanel
+              key={review.id}
+              review={review}
+              onTransition={(status, note) => updateWorkflow('status', 'POST', { status, note })}
+              onReviewersChange={(reviewers) => updateWorkflow('reviewers', 'PUT', { reviewers })}
+            />
+            {workflowError && <div style={messageStyle(false)}>{workflowError}</div>}
+
+            {review.model?.status !== 'ok' && (
+              <div style={{ ...messageStyle(false), backgroundColor: '#fffbeb', color: '#92400e', border: '1px solid #fcd34d' }}>
+                ⚠️ {review.model?.error}: {review.model?.message}
+              </div>
+            )}
+
+            <p style={{
+              margin: '0 0 20px 0',
+              fontSize: '14px',
+              lineHeight: '1.6',
+              color: '#374151',
+              whiteSpace: 'pre-wrap'
+            }}>
+              {review.summary}
+            </p>
+
+            <ReviewWorkspace
+              content={review.content}
+              findings={review.findings}
+              checklist={review.checklist}
+              filename={review.filename}
+              decisions={decisions}
+              onDecisionsChange={setDecisions}
+              workflow={review.workflow}
+              onResolve={(findingId, state, justification) => state
+                ? updateWorkflow(`findings/${findingId}/resolution`, 'PUT', { state, justification })
+                : updateWorkflow(`findings/${findingId}/resolution`, 'DELETE', {})}
+              onComment={(findingId, text) => updateWorkflow(`findings/${findingId}/comments`, 'POST', { text })}
+              seo={review.seo}
+            />
+          </>
+        )}
+      </div>
+    </Layout>
+  );
+}
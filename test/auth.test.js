@@ -0,0 +1,85 @@
+// test/auth.test.js
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, test } from 'node:test';
+
+// The store reads DATA_DIR when it is first imported.
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'olixir-auth-'));
+process.env.AUTH_SECRET = 'test-secret';
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const { SESSION_COOKIE, sessionCookie } = await import('../lib/auth/session.js');
+const { createToken } = await import('../lib/auth/tokens.js');
+const { countUsers, createFirstAdmin, createUser, updateUser } = await import('../lib/auth/users.js');
+const { currentUser } = await import('../lib/auth/withAuth.js');
+const { collection } = await import('../lib/storage/store.js');
+const { default: tokensHandler } = await import('../pages/api/tokens/index.js');
+
+function sessionRequest(user, extra = {}) {
+  const value = sessionCookie(user).split(';')[0].slice(`${SESSION_COOKIE}=`.length);
+  return { headers: {}, cookies: { [SESSION_COOKIE]: value }, ...extra };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    setHeader() {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+test('creating a record that exists leaves it unchanged', async () => {
+  const notes = collection('notes');
+
+  assert.deepEqual(await notes.create({ id: 'first', text: 'one' }), { id: 'first', text: 'one' });
+  assert.equal(await notes.create({ id: 'first', text: 'two' }), null);
+  assert.deepEqual(await notes.get('first'), { id: 'first', text: 'one' });
+});
+
+test('only one of several concurrent first-run setups creates an account', async () => {
+  await assert.rejects(createFirstAdmin({ username: 'x', password: 'password123' }), /Usernames/);
+
+  const results = await Promise.all(['ana', 'bo', 'cy'].map((username) => createFirstAdmin({ username, password: 'password123' })));
+
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.equal(results.find(Boolean).role, 'admin');
+  assert.equal(await countUsers(), 1);
+  assert.equal(await createFirstAdmin({ username: 'dee', password: 'password123' }), null);
+});
+
+test('changing the password ends sessions signed in with the old one', async () => {
+  const user = await createUser({ username: 'writer1', password: 'password123' });
+  const before = sessionRequest(user);
+  assert.equal((await currentUser(before)).id, 'writer1');
+
+  const updated = await updateUser('writer1', { password: 'new-password' });
+  assert.equal(await currentUser(before), null);
+  assert.equal((await currentUser(sessionRequest(updated))).id, 'writer1');
+
+  await updateUser('writer1', { name: 'Writer One' });
+  assert.equal((await currentUser(sessionRequest(updated))).name, 'Writer One');
+});
+
+test('API tokens cannot create tokens; sessions can', async () => {
+  const user = await createUser({ username: 'writer2', password: 'password123' });
+  const { token } = await createToken(user.id, 'CI');
+
+  const byToken = response();
+  await tokensHandler({ method: 'POST', headers: { authorization: `Bearer ${token}` }, cookies: {}, body: { name: 'Another' } }, byToken);
+  assert.equal(byToken.statusCode, 403);
+
+  const bySession = response();
+  await tokensHandler(sessionRequest(user, { method: 'POST', body: { name: 'Another' } }), bySession);
+  assert.equal(bySession.statusCode, 201);
+  assert.match(bySession.body.token, /^olx_/);
+});
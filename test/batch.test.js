@@ -0,0 +1,81 @@
+// test/batch.test.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import JSZip from 'jszip';
+import { quotaBackoffSeconds } from '../lib/batch/queue.js';
+import { BatchTooLargeError, MAX_DOCUMENTS, expandUploads, validateUploads } from '../lib/batch/uploads.js';
+
+async function zipOf(files) {
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(files)) zip.file(name, content);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+// Rewrites the uncompressed size recorded for every entry, as a zip bomb
+// would, so only the streamed size shows how large the entry really is.
+function forgeSizes(buffer, size) {
+  const forged = Buffer.from(buffer);
+  for (let offset = 0; offset < forged.length - 4; offset++) {
+    const signature = forged.readUInt32LE(offset);
+    if (signature === 0x04034b50) forged.writeUInt32LE(size, offset + 22);
+    if (signature === 0x02014b50) forged.writeUInt32LE(size, offset + 24);
+  }
+  return forged;
+}
+
+test('uploads that are not objects with string fields are reported', () => {
+  assert.deepEqual(validateUploads({ files: [{ filename: 'a.txt', data: '' }], documents: [{ content: 'Text' }] }), []);
+
+  const errors = validateUploads({
+    files: [null, { filename: 'a.zip' }],
+    documents: ['Text', { filename: 3, content: 'Text' }, { filename: 'b.txt' }],
+  });
+  assert.deepEqual(errors.map((error) => error.split(' ')[0]), ['files[0]', 'files[1]', 'documents[0]', 'documents[1]', 'documents[2]']);
+});
+
+test('zips are unpacked in path order without junk or unsupported files', async () => {
+  const data = (await zipOf({
+    'blog/b.md': '# Second post\n\nCold-pressed and unrefined.',
+    'blog/a.txt': 'First post about groundnut oil.',
+    'blog/logo.png': 'not text',
+    '__MACOSX/blog/._a.txt': 'metadata',
+    'blog/empty.txt': ' ',
+  })).toString('base64');
+
+  const documents = await expandUploads({
+    files: [{ filename: 'blog.zip', data }, { filename: 'broken.zip', data: 'bm90IGEgemlw' }],
+    documents: [{ content: 'Inline copy about sesame oil.' }, { filename: 'blank.txt', content: '  ' }],
+  });
+
+  assert.deepEqual(documents.map(({ filename, error }) => [filename, error]), [
+    ['document-1.txt', undefined],
+    ['blank.txt', 'Document is empty'],
+    ['blog/a.txt', undefined],
+    ['blog/b.md', undefined],
+    ['blog/empty.txt', 'No text found'],
+    ['broken.zip', 'Not a readable zip file'],
+  ]);
+  assert.equal(documents[3].content, '# Second post\n\nCold-pressed and unrefined.');
+});
+
+test('zip entries larger than 5MB are refused even when their size is forged', async () => {
+  const data = forgeSizes(await zipOf({ 'big.txt': 'a'.repeat(6 * 1024 * 1024) }), 100).toString('base64');
+  const [document] = await expandUploads({ files: [{ filename: 'bomb.zip', data }] });
+
+  assert.deepEqual(document, { filename: 'big.txt', error: 'Document is larger than 5MB' });
+});
+
+test('batches over the document limit are refused before anything is read', async () => {
+  const documents = Array.from({ length: MAX_DOCUMENTS + 1 }, () => ({ content: 'Copy' }));
+
+  await assert.rejects(expandUploads({ documents }), (error) => error instanceof BatchTooLargeError && error.count === MAX_DOCUMENTS + 1);
+});
+
+test('provider quota pauses follow the retry delay, double and stay capped', () => {
+  assert.equal(quotaBackoffSeconds(37, 0), 37);
+  assert.equal(quotaBackoffSeconds(37, 1), 74);
+  assert.equal(quotaBackoffSeconds(undefined, 0), 30);
+  assert.equal(quotaBackoffSeconds(1, 0), 30);
+  assert.equal(quotaBackoffSeconds(undefined, 6), 300);
+  assert.equal(quotaBackoffSeconds(86400, 0), 300);
+});
@@ -0,0 +1,76 @@
+// test/cache.test.js
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, test } from 'node:test';
+
+// The store reads DATA_DIR when it is first imported.
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'olixir-cache-'));
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const { default: defaultProfile } = await import('../lib/profiles/defaultProfile.js');
+const { createMockProvider } = await import('../lib/providers/mock.js');
+const { normalizeContent, reviewWithCache } = await import('../lib/review/cache.js');
+
+const content = 'Our cold-pressed oil boosts immunity and is the healthiest oil. Its important to recieve it fresh.';
+
+// A mock provider that counts its calls.
+function countingProvider() {
+  const provider = createMockProvider();
+  const generate = provider.generate;
+  provider.calls = 0;
+  provider.generate = (...args) => {
+    provider.calls++;
+    return generate(...args);
+  };
+  return provider;
+}
+
+const review = (provider, options = {}) => reviewWithCache({ provider, content, catalogue: [], claims: [], ...options });
+
+test('only line endings, composition and trailing spaces are normalized', () => {
+  assert.equal(normalizeContent('\n Café oil  \r\nis fresh\t\r\n\n'), 'Café oil\nis fresh');
+});
+
+test('a draft submitted again is answered from the cache', async () => {
+  const provider = countingProvider();
+  const first = await review(provider);
+  const calls = provider.calls;
+  const second = await review(provider, { filename: 'again.md' });
+
+  assert.equal(first.cached, false);
+  assert.equal(second.cached, true);
+  assert.equal(provider.calls, calls);
+  assert.equal(second.filename, 'again.md');
+  assert.ok(second.cachedAt);
+  assert.deepEqual(second.findings, first.findings);
+});
+
+test('cached findings are re-anchored on text that differs in whitespace', async () => {
+  const provider = countingProvider();
+  const first = await review(provider);
+  const shifted = `\n\n${content}  \n`;
+  const second = await review(provider, { content: shifted });
+
+  assert.equal(second.cached, true);
+  assert.equal(second.findings.length, first.findings.length);
+  for (const finding of second.findings) assert.equal(shifted.slice(finding.start, finding.end), finding.quote);
+});
+
+test('new settings or force get a fresh review', async () => {
+  const provider = countingProvider();
+  await review(provider);
+
+  assert.equal((await review(provider, { force: true })).cached, false);
+  assert.equal((await review(provider, { profile: { ...defaultProfile, version: 2 } })).cached, false);
+  assert.equal((await review(provider, { markets: ['EU'] })).cached, false);
+});
+
+test('reviews where the model failed are not cached', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const provider = { name: 'broken', model: 'broken', generate: async () => { throw new Error('Provider is down'); } };
+
+  assert.equal((await review(provider)).model.status, 'failed');
+  assert.equal((await review(provider)).cached, false);
+});
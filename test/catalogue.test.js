@@ -0,0 +1,67 @@
+// test/catalogue.test.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { checkFacts } from '../lib/catalogue/checks.js';
+import { factIndex, findMentions, productFacts, productsMentioned } from '../lib/catalogue/facts.js';
+import { validateProduct } from '../lib/catalogue/schema.js';
+
+const groundnut = {
+  id: 'groundnut-oil',
+  version: 3,
+  name: 'Wood-pressed groundnut oil',
+  aliases: ['groundnut oil', 'मूंगफली का तेल'],
+  extraction: 'Wood-pressed, unrefined',
+  smokePointC: 160,
+  nutrition: [],
+  packSizes: ['500 ml', '1 L', '5 L'],
+  packaging: '',
+};
+const coconut = { id: 'coconut-oil', version: 1, name: 'Wood-pressed coconut oil', aliases: ['coconut oil'], smokePointC: 177, packSizes: ['1 L'] };
+const products = [groundnut, coconut];
+
+test('only the facts a product has are listed, each with its own id', () => {
+  assert.deepEqual(productFacts(groundnut).map((fact) => [fact.id, fact.value]), [
+    ['groundnut-oil.extraction', 'Wood-pressed, unrefined'],
+    ['groundnut-oil.smokePointC', '160 °C'],
+    ['groundnut-oil.packSizes', '500 ml; 1 L; 5 L'],
+  ]);
+  assert.equal(factIndex(products).get('coconut-oil.packSizes').version, 1);
+});
+
+test('products are found by name or alias as whole words in any script', () => {
+  const content = 'Our groundnut oil and मूंगफली का तेल; not groundnut oils. Coconut Oil too.';
+
+  assert.deepEqual(findMentions(content, products).map((mention) => content.slice(mention.start, mention.end)), ['groundnut oil', 'मूंगफली का तेल', 'Coconut Oil']);
+  assert.deepEqual(productsMentioned('Fry in coconut oil.', products), [coconut]);
+});
+
+test('stated smoke points are checked against the product they describe', () => {
+  const findings = checkFacts([
+    'Groundnut oil has a smoke point of 230°C, so it suits deep frying.',
+    'Coconut oil: smoke point around 450 °F, or 177 °C.',
+    'The smoking point of our groundnut oil is about 165 °C.',
+  ].join('\n\n'), products);
+
+  assert.deepEqual(findings.map((finding) => [finding.quote, finding.suggestion, finding.facts[0].id]), [
+    ['230°C', '160°C', 'groundnut-oil.smokePointC'],
+    ['450 °F', '351°F', 'coconut-oil.smokePointC'],
+  ]);
+  assert.equal(findings[0].ruleId, 'catalogue:smoke-point');
+});
+
+test('pack sizes are checked only where the text is about packs', () => {
+  const findings = checkFacts('Groundnut oil comes in 500 ml and 2 litre bottles.\n\nHeat groundnut oil in the pan and add 250 ml of water, then let it simmer gently.\n\nCoconut oil: 1 L pack.', products);
+
+  assert.deepEqual(findings.map((finding) => [finding.quote, finding.ruleId]), [['2 litre', 'catalogue:pack-size']]);
+  assert.match(findings[0].explanation, /500 ml, 1 L, 5 L packs/);
+  assert.deepEqual(checkFacts('Available in 2 litre bottles.', products), []);
+});
+
+test('products need a name and a positive smoke point if any', () => {
+  assert.deepEqual(validateProduct({ name: ' Til oil ', smokePointC: '' }).data.smokePointC, null);
+  assert.deepEqual(validateProduct({ name: '', smokePointC: -4, aliases: 'til' }).errors, [
+    '"aliases" must be a list of strings',
+    '"smokePointC" must be a temperature in °C',
+    '"name" is required',
+  ]);
+});
@@ -0,0 +1,56 @@
+// test/chunking.test.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createMockProvider } from '../lib/providers/mock.js';
+import { splitIntoChunks } from '../lib/review/chunking.js';
+import { reviewDocument } from '../lib/review/pipeline.js';
+
+const paragraph = (n) => `## Section ${n}\n\nCold-pressed oil from the farm, pressed slowly to keep its flavour and colour for every kitchen.`;
+
+test('chunks are contiguous slices of the document', () => {
+  const content = Array.from({ length: 20 }, (_, i) => paragraph(i + 1)).join('\n\n');
+  const chunks = splitIntoChunks(content, { maxChars: 300 });
+
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks[0].start, 0);
+  assert.equal(chunks.at(-1).end, content.length);
+  chunks.forEach((chunk, i) => {
+    assert.ok(chunk.text.length <= 300);
+    assert.equal(content.slice(chunk.start, chunk.end), chunk.text);
+    if (i > 0) assert.equal(chunk.start, chunks[i - 1].end);
+  });
+});
+
+test('a paragraph longer than a chunk is cut at a sentence end', () => {
+  const content = 'One sentence of plain text here. '.repeat(30).trim();
+  const chunks = splitIntoChunks(content, { maxChars: 200 });
+
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks.map((chunk) => chunk.text).join(''), content);
+  for (const chunk of chunks.slice(0, -1)) assert.match(chunk.text, /\.\s?$/);
+});
+
+test('model findings in later chunks are mapped back to document offsets', async () => {
+  const sections = Array.from({ length: 12 }, (_, i) => paragraph(i + 1));
+  sections[3] += ' It boosts immunity.';
+  sections[10] += ' The healthiest oil you can buy.';
+  const content = sections.join('\n\n');
+
+  const review = await reviewDocument({
+    content,
+    provider: createMockProvider(),
+    rules: [],
+    chunkChars: 400,
+    concurrency: 1,
+  });
+
+  assert.equal(review.model.status, 'ok');
+  assert.ok(review.model.chunks > 2);
+  const quotes = review.findings.map((finding) => finding.quote);
+  assert.ok(quotes.includes('boosts immunity'));
+  assert.ok(quotes.includes('healthiest oil'));
+  assert.ok(review.findings.some((finding) => finding.source === 'model' && finding.start > 400));
+  for (const finding of review.findings) {
+    assert.equal(content.slice(finding.start, finding.end), finding.quote);
+  }
+});
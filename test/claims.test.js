@@ -0,0 +1,61 @@
+// test/claims.test.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import defaultClaims from '../lib/claims/defaultClaims.js';
+import { applyApprovedClaims, isApproved } from '../lib/claims/match.js';
+import { validateClaim } from '../lib/claims/schema.js';
+
+const claim = {
+  text: 'Part of a balanced diet and healthy lifestyle',
+  substantiation: 'General dietary statement with no health claim',
+  keywords: ['boosts immunity'],
+  markets: ['in'],
+};
+
+const finding = {
+  category: 'unsubstantiated_claim',
+  quote: 'boosts immunity',
+  suggestion: 'is good for you',
+};
+
+test('drafts can be saved without an approval date or approver', () => {
+  const { data, errors } = validateClaim(claim);
+
+  assert.deepEqual(errors, []);
+  assert.equal(data.status, 'draft');
+  assert.equal(data.approvedOn, '');
+  assert.deepEqual(data.markets, ['IN']);
+  assert.deepEqual(validateClaim({ ...claim, approvedOn: '', approvedBy: '' }).errors, []);
+});
+
+test('approved claims need a valid approval date and an approver', () => {
+  assert.deepEqual(validateClaim({ ...claim, status: 'approved' }).errors, [
+    '"approvedOn" is required for an approved claim',
+    '"approvedBy" is required for an approved claim',
+  ]);
+  assert.deepEqual(validateClaim({ ...claim, status: 'approved', approvedOn: '2025-02-30x', approvedBy: 'Legal' }).errors, [
+    '"approvedOn" must be a date (YYYY-MM-DD)',
+  ]);
+  assert.deepEqual(validateClaim({ ...claim, status: 'approved', approvedOn: '2025-02-03', approvedBy: 'Legal' }).errors, []);
+  assert.match(validateClaim({ ...claim, status: 'signed' }).errors[0], /"status" must be one of draft, approved/);
+});
+
+test('only approved claims replace suggestions', () => {
+  const draft = { ...validateClaim(claim).data, id: 'balanced-diet', version: 1 };
+  const approved = { ...draft, status: 'approved', approvedOn: '2025-02-03', approvedBy: 'Legal' };
+
+  assert.deepEqual(applyApprovedClaims([finding], [draft], { markets: ['IN'] }), [finding]);
+
+  const [replaced] = applyApprovedClaims([finding], [approved], { markets: ['IN'] });
+  assert.equal(replaced.suggestion, approved.text);
+  assert.equal(replaced.approvedClaim.approvedBy, 'Legal');
+  assert.deepEqual(applyApprovedClaims([finding], [approved], { markets: ['IN', 'EU'] }), [finding]);
+});
+
+test('the example claims are valid drafts', () => {
+  for (const example of defaultClaims) {
+    const { data, errors } = validateClaim(example);
+    assert.deepEqual(errors, [], example.id);
+    assert.equal(isApproved(data), false);
+  }
+});
@@ -0,0 +1,101 @@
+// test/cli.test.js
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { globToRegExp, resolveFiles } from '../lib/cli/files.js';
+import { failsThreshold, sourcePosition } from '../lib/cli/formats.js';
+
+const BIN = fileURLToPath(new URL('../bin/olixir-review.js', import.meta.url));
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'olixir-cli-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+for (const [file, text] of Object.entries({
+  'content/oil.md': '# Oils\n\nOur cold-pressed oil **boosts immunity**.\n\nIts important to recieve it fresh.\n',
+  'content/recipes/ghee.txt': 'Ghee for festive sweets.',
+  'content/logo.png': 'not text',
+  'content/.drafts/old.md': 'Old draft.',
+  'node_modules/pkg/readme.md': 'A dependency.',
+})) {
+  fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+  fs.writeFileSync(path.join(root, file), text);
+}
+
+// Runs the CLI in `root` with the mock provider; resolves with its exit
+// code and output whatever the code.
+async function run(...args) {
+  try {
+    const { stdout } = await promisify(execFile)(process.execPath, ['--disable-warning=MODULE_TYPELESS_PACKAGE_JSON', BIN, ...args], {
+      cwd: root,
+      env: { ...process.env, LLM_PROVIDER: 'mock', DATA_DIR: path.join(root, '.data'), NO_COLOR: '1' },
+      timeout: 60000,
+    });
+    return { code: 0, stdout, stderr: '' };
+  } catch (error) {
+    if (typeof error.code !== 'number') throw error;
+    return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+  }
+}
+
+test('globs span folders with ** and alternatives with braces', () => {
+  const regex = globToRegExp('content/**/*.{md,txt}');
+
+  assert.ok(regex.test('content/oil.md'));
+  assert.ok(regex.test('content/recipes/ghee.txt'));
+  assert.ok(!regex.test('content/logo.png'));
+  assert.ok(!globToRegExp('content/*.md').test('content/recipes/oil.md'));
+});
+
+test('files, folders and globs resolve to reviewable files outside dot folders and node_modules', () => {
+  assert.deepEqual(resolveFiles(['.'], { cwd: root }).files, ['content/oil.md', 'content/recipes/ghee.txt']);
+  assert.deepEqual(resolveFiles(['content/**/*.txt', 'content/oil.md'], { cwd: root }).files, ['content/oil.md', 'content/recipes/ghee.txt']);
+  assert.deepEqual(resolveFiles(['missing/*.md', 'content/logo.png'], { cwd: root }), { files: ['content/logo.png'], unmatched: ['missing/*.md'] });
+});
+
+test('findings are placed on the same occurrence in the original file', () => {
+  const source = '# Oil\n\nCold-pressed **oil**.\n\nMore oil.';
+  const content = '# Oil\n\nCold-pressed oil.\n\nMore oil.';
+  const second = { quote: 'oil', start: content.indexOf('oil', 10) };
+
+  assert.deepEqual(sourcePosition(source, content, second), { line: 3, column: 16, endLine: 3, endColumn: 19 });
+  assert.equal(sourcePosition(source, content, { quote: 'Cold-pressed oil', start: 7 }), null);
+  assert.equal(sourcePosition(null, content, second), null);
+});
+
+test('the threshold counts findings at or above the given severity', () => {
+  const results = [{ review: { findings: [{ severity: 'MEDIUM' }] } }, { file: 'broken.pdf', error: 'No text found' }];
+
+  assert.equal(failsThreshold(results, 'MEDIUM'), true);
+  assert.equal(failsThreshold(results, 'HIGH'), false);
+  assert.equal(failsThreshold(results, 'NEVER'), false);
+});
+
+test('the CLI reports SARIF with source positions and fails on findings', async () => {
+  const { code, stdout } = await run('content', '--format', 'sarif', '--fail-on', 'LOW');
+  const [sarifRun] = JSON.parse(stdout).runs;
+  const claim = sarifRun.results.find((result) => result.locations[0].physicalLocation.region?.snippet.text === 'boosts immunity');
+
+  assert.equal(code, 1);
+  assert.equal(claim.level, 'error');
+  assert.equal(claim.locations[0].physicalLocation.artifactLocation.uri, 'content/oil.md');
+  assert.deepEqual([claim.locations[0].physicalLocation.region.startLine, claim.locations[0].physicalLocation.region.startColumn], [3, 24]);
+  assert.ok(sarifRun.tool.driver.rules.some((rule) => rule.id === claim.ruleId));
+});
+
+test('the CLI exit code separates findings from errors', async () => {
+  const passed = await run('content/recipes/ghee.txt', '--format', 'json');
+  assert.equal(passed.code, 0);
+  assert.equal(JSON.parse(passed.stdout).results[0].file, 'content/recipes/ghee.txt');
+
+  assert.equal((await run('content', '--fail-on', 'never')).code, 0);
+
+  const missing = await run('drafts/*.md');
+  assert.equal(missing.code, 2);
+  assert.match(missing.stderr, /No reviewable files match "drafts\/\*\.md"/);
+
+  assert.equal((await run('content', '--format', 'xml')).code, 2);
+});
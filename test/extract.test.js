@@ -0,0 +1,85 @@
+// test/extract.test.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { Document, HeadingLevel, Packer, Paragraph } from 'docx';
+import PDFDocument from 'pdfkit';
+import { UnsupportedFormatError, extractDocument } from '../lib/extract/index.js';
+import { htmlToText } from '../lib/extract/html.js';
+
+test('text outside block tags is kept', () => {
+  assert.equal(htmlToText('<div>This oil cures cancer.</div><p>Second para.</p>'), 'This oil cures cancer.\n\nSecond para.');
+  assert.equal(
+    htmlToText('<h2>Why groundnut oil</h2>\n\nOur oil cures acne in a week.\n\nSecond paragraph.'),
+    '## Why groundnut oil\n\nOur oil cures acne in a week.\n\nSecond paragraph.'
+  );
+  assert.equal(htmlToText('Before <p>inside</p> after'), 'Before\n\ninside\n\nafter');
+});
+
+test('nested blocks are separated', () => {
+  assert.equal(htmlToText('<blockquote><p>One.</p><p>Two.</p></blockquote>'), 'One.\n\nTwo.');
+  assert.equal(htmlToText('<ul><li><p>First</p><p>More</p></li></ul>'), '- First\n\nMore');
+});
+
+test('headings, lists, line breaks and preformatted text keep their shape', () => {
+  const html = '<html><head><title>Oils</title><style>p { color: red }</style></head><body>'
+    + '<h1>Tips &amp; tricks</h1><!-- note --><ul><li>Store <b>cool</b></li><li>Keep<br>dry</li></ul>'
+    + '<pre>  indented\n    code</pre><p>One<p>Two</body></html>';
+
+  assert.equal(htmlToText(html), '# Tips & tricks\n\n- Store cool\n- Keep dry\n\n  indented\n    code\n\nOne\n\nTwo');
+});
+
+test('a line break followed by a newline is one line break', () => {
+  assert.equal(htmlToText('<p>Store away from sunlight.<br />\nUse within six months.</p>\n'), 'Store away from sunlight.\nUse within six months.');
+});
+
+test('classic-editor content without paragraph tags is split on blank lines', () => {
+  const content = '<h2>Cooking with mustard oil</h2>\nIt has a sharp taste.\nUse it for pickles.\n\nIt prevents heart disease.';
+
+  assert.equal(htmlToText(content), '## Cooking with mustard oil\n\nIt has a sharp taste.\nUse it for pickles.\n\nIt prevents heart disease.');
+});
+
+test('markdown is reviewed as written, without front matter', async () => {
+  const source = '---\ntitle: Oils\n---\n# Oils\n\nSee [the shop](https://example.com).';
+  const { format, content, page } = await extractDocument({ filename: 'post.md', buffer: Buffer.from(source) });
+
+  assert.equal(format, 'markdown');
+  assert.equal(content, '# Oils\n\nSee [the shop](https://example.com).');
+  assert.equal(page.title, 'Oils');
+  assert.deepEqual(page.links, [{ href: 'https://example.com', text: 'the shop' }]);
+});
+
+test('word documents become headings and paragraphs', async () => {
+  const document = new Document({
+    sections: [{
+      children: [
+        new Paragraph({ text: 'Sesame oil', heading: HeadingLevel.HEADING_1 }),
+        new Paragraph({ text: 'Pressed from roasted seeds.' }),
+      ],
+    }],
+  });
+  const { format, content } = await extractDocument({ filename: 'draft.docx', buffer: await Packer.toBuffer(document) });
+
+  assert.equal(format, 'docx');
+  assert.equal(content, '# Sesame oil\n\nPressed from roasted seeds.');
+});
+
+test('PDF text is rebuilt into headings and paragraphs', async () => {
+  const pdf = new PDFDocument();
+  const chunks = [];
+  pdf.on('data', (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve) => pdf.on('end', resolve));
+  pdf.fontSize(24).text('Coconut oil');
+  pdf.moveDown();
+  pdf.fontSize(12).text('Cold-pressed from fresh coconuts.');
+  pdf.text('Solid below 24 degrees.');
+  pdf.end();
+  await done;
+
+  const { format, content } = await extractDocument({ filename: 'label.pdf', buffer: Buffer.concat(chunks) });
+  assert.equal(format, 'pdf');
+  assert.equal(content, '# Coconut oil\n\nCold-pressed from fresh coconuts. Solid below 24 degrees.');
+});
+
+test('unsupported files are rejected', async () => {
+  await assert.rejects(extractDocument({ filename: 'photo.png', buffer: Buffer.from('') }), UnsupportedFormatError);
+});
@@ -0,0 +1,62 @@
+// test/language.test.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { describeLanguage, detectLanguage } from '../lib/language/detect.js';
+import { DISEASE_CLAIMS } from '../lib/language/lexicon.js';
+import { runRules, validateRules } from '../lib/rules/engine.js';
+import defaultRules from '../lib/rules/defaultRules.js';
+import { getRulepack, rulesForRulepacks } from '../lib/rulepacks/index.js';
+
+const diseaseRules = defaultRules.filter((rule) => rule.id.startsWith('medical-claim-') && rule.type === 'proximity');
+const flagged = (content, rules = diseaseRules) => runRules(content, rules).map((finding) => finding.quote);
+
+test('the language is detected from the share of each script', () => {
+  assert.equal(detectLanguage('यह तेल ठंडी जगह पर रखें।').code, 'hi');
+  assert.equal(detectLanguage('இந்த எண்ணெயை குளிர்ந்த இடத்தில் வைக்கவும்.').code, 'ta');
+  assert.equal(detectLanguage('ఈ నూనెను చల్లని ప్రదేశంలో ఉంచండి.').code, 'te');
+  assert.equal(detectLanguage('Yeh tel sabse accha hai aur khana bhi tasty banata hai.').code, 'hi-Latn');
+  assert.equal(detectLanguage('Store in a cool, dry place.').code, 'en');
+
+  const mixed = detectLanguage('Cold-pressed groundnut oil. यह तेल ठंडी जगह पर रखें और धूप से बचाएं।');
+  assert.deepEqual(mixed.languages.map((language) => language.code), ['hi', 'en']);
+  assert.equal(describeLanguage(mixed), 'Hindi and English');
+});
+
+test('every script has a disease claim rule', () => {
+  assert.deepEqual(diseaseRules.map((rule) => rule.id), Object.keys(DISEASE_CLAIMS).map((script) => `medical-claim-${script}`));
+  assert.doesNotThrow(() => validateRules(diseaseRules));
+});
+
+test('disease claims are flagged whatever the word order and particles', () => {
+  assert.deepEqual(flagged('यह तेल मधुमेह को जड़ से ठीक करता है।'), ['मधुमेह को जड़ से ठीक करता']);
+  assert.deepEqual(flagged('ठीक करे डायबिटीज, सिर्फ़ एक चम्मच से।'), ['ठीक करे डायबिटीज']);
+  assert.deepEqual(flagged('रूसी को हमेशा के लिए खत्म करे।'), ['रूसी को हमेशा के लिए खत्म']);
+  assert.deepEqual(flagged('Yeh tel diabetes ko jad se theek karta hai.'), ['diabetes ko jad se theek karta']);
+  assert.deepEqual(flagged('இந்த எண்ணெய் நீரிழிவு நோயை குணப்படுத்தும்.'), ['நீரிழிவு நோயை குணப்படுத்தும்']);
+  assert.deepEqual(flagged('புற்றுநோயைத் தடுக்கும் எண்ணெய்.'), ['புற்றுநோயைத் தடுக்கும்']);
+  assert.deepEqual(flagged('ఈ నూనె మధుమేహాన్ని పూర్తిగా నయం చేస్తుంది.'), ['మధుమేహాన్ని పూర్తిగా నయం']);
+  assert.deepEqual(flagged('క్యాన్సర్‌ను నివారిస్తుంది.'), ['క్యాన్సర్‌ను నివారిస్తుంది']);
+});
+
+test('diseases and verbs that are not a claim together are not flagged', () => {
+  for (const content of [
+    'हमारा तेल ठीक है। कैंसर के बारे में डॉक्टर से बात करें।',
+    'लड़कियों में मुंहासे आम हैं।',
+    'रोग प्रतिरोधक क्षमता बढ़ाता है।',
+    'Is recipe mein sugar kam karein.',
+    'நோய் எதிர்ப்பு சக்தியை அதிகரிக்கும்.',
+    'రోగనిరోధక శక్తిని పెంచుతుంది.',
+    'यह तेल मधुमेह के मरीज़ों के लिए नहीं है, और यह नुस्खा हर उम्र के लोगों के लिए ठीक है, चाहे वे कहीं भी हों, बस ठीक से पकाएं।',
+  ]) {
+    assert.deepEqual(flagged(content), [], content);
+  }
+});
+
+test('the FSSAI rulepack cites its clause for regional disease claims', () => {
+  const rules = rulesForRulepacks([getRulepack('fssai')]).filter((rule) => rule.id.startsWith('fssai-disease-claim-'));
+  const [finding] = runRules('బాదం నూనె కీళ్ల నొప్పులను నయం చేస్తుంది.', rules);
+
+  assert.equal(finding.ruleId, 'fssai-disease-claim-telugu');
+  assert.equal(finding.quote, 'కీళ్ల నొప్పులను నయం');
+  assert.equal(finding.citations[0].rulepack, 'fssai');
+});
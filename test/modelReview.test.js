@@ -0,0 +1,49 @@
+// test/modelReview.test.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import defaultProfile from '../lib/profiles/defaultProfile.js';
+import { createMockProvider } from '../lib/providers/mock.js';
+import { ReviewOutputError } from '../lib/review/errors.js';
+import { reviewWithModel } from '../lib/review/modelReview.js';
+
+const content = 'Our cold-pressed oil boosts immunity and is the healthiest oil. Its important to recieve it fresh.';
+
+test('findings from the model carry offsets into the document', async () => {
+  const review = await reviewWithModel({ provider: createMockProvider(), content, profile: defaultProfile });
+
+  assert.equal(review.attempts, 1);
+  assert.ok(review.findings.length > 0);
+  for (const finding of review.findings) {
+    assert.equal(content.slice(finding.start, finding.end), finding.quote);
+    assert.equal(finding.source, 'model');
+  }
+});
+
+test('invalid output is sent back until it matches the schema', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const prompts = [];
+  const provider = createMockProvider({ fixture: 'malformed' });
+  const generate = provider.generate;
+  provider.generate = (prompt, options) => {
+    prompts.push(prompt);
+    return generate(prompt, options);
+  };
+
+  const review = await reviewWithModel({ provider, content, profile: defaultProfile });
+
+  // Unparseable JSON, then a quote that is not in the document, then valid.
+  assert.equal(review.attempts, 3);
+  assert.equal(review.summary, 'Looks fine after repair');
+  assert.deepEqual(review.findings, []);
+  assert.ok(prompts[2].includes('text that does not exist'));
+});
+
+test('output that never matches the schema is an error', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const provider = { name: 'broken', generate: async () => '{"summary": "No findings list"}' };
+
+  await assert.rejects(
+    reviewWithModel({ provider, content, profile: defaultProfile }),
+    (error) => error instanceof ReviewOutputError && error.validationErrors.length > 0
+  );
+});
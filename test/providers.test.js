@@ -0,0 +1,57 @@
+// test/providers.test.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ProviderAbortError, ProviderConfigError, ProviderQuotaError, ProviderTimeoutError } from '../lib/providers/errors.js';
+import { createGeminiProvider } from '../lib/providers/gemini.js';
+import { getProvider } from '../lib/providers/index.js';
+import { createMockProvider } from '../lib/providers/mock.js';
+
+function quotaResponse(details) {
+  const error = { code: 429, message: 'Resource has been exhausted (e.g. check quota).', status: 'RESOURCE_EXHAUSTED', details };
+  return new Response(JSON.stringify({ error }), { status: 429, statusText: 'Too Many Requests' });
+}
+
+test('the mock provider reports fixture findings where their quote occurs', async () => {
+  const provider = getProvider({ LLM_PROVIDER: 'mock' });
+  const content = 'Our oil boosts immunity and tastes great.';
+  const { findings } = JSON.parse(await provider.generate('prompt', { content }));
+
+  assert.equal(provider.name, 'mock');
+  assert.ok(findings.length > 0);
+  for (const finding of findings) assert.equal(content.slice(finding.start, finding.start + finding.quote.length), finding.quote);
+});
+
+test('the mock provider can be cancelled and rejects unknown fixtures', async () => {
+  const controller = new AbortController();
+  const pending = createMockProvider({ delay: 1000 }).generate('prompt', { signal: controller.signal });
+  controller.abort();
+
+  await assert.rejects(pending, ProviderAbortError);
+  assert.throws(() => createMockProvider({ fixture: '/nonexistent/fixture.json' }), ProviderConfigError);
+  assert.throws(() => getProvider({ LLM_PROVIDER: 'nope' }), ProviderConfigError);
+  assert.throws(() => getProvider({ LLM_PROVIDER: 'gemini' }), ProviderConfigError);
+});
+
+test('a Gemini request that runs past its timeout is a timeout error', async (t) => {
+  t.mock.method(globalThis, 'fetch', (url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new DOMException('This operation was aborted', 'AbortError')));
+  }));
+  const provider = createGeminiProvider({ apiKey: 'key', timeout: 10 });
+
+  await assert.rejects(provider.generate('prompt'), ProviderTimeoutError);
+});
+
+test('Gemini per-minute limits retry after the server delay, daily quotas the next day', async (t) => {
+  const provider = createGeminiProvider({ apiKey: 'key', timeout: 100 });
+  const retry = { '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '37s' };
+  const violation = (quotaId) => ({ '@type': 'type.googleapis.com/google.rpc.QuotaFailure', violations: [{ quotaId }] });
+
+  t.mock.method(globalThis, 'fetch', async () => quotaResponse([violation('GenerateRequestsPerMinutePerProjectPerModel-FreeTier'), retry]));
+  await assert.rejects(provider.generate('prompt'), (error) => error instanceof ProviderQuotaError && error.retryAfter === 37);
+
+  t.mock.method(globalThis, 'fetch', async () => quotaResponse(undefined));
+  await assert.rejects(provider.generate('prompt'), (error) => error instanceof ProviderQuotaError && error.retryAfter === 60);
+
+  t.mock.method(globalThis, 'fetch', async () => quotaResponse([violation('GenerateRequestsPerDayPerProjectPerModel-FreeTier'), retry]));
+  await assert.rejects(provider.generate('prompt'), (error) => error instanceof ProviderQuotaError && error.retryAfter === 86400);
+});
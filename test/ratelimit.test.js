@@ -0,0 +1,107 @@
+// test/ratelimit.test.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { clientIp } from '../lib/ratelimit/clientIp.js';
+import { DAY_MS, MINUTE_MS, consume, rateLimitConfig, reviewWindows } from '../lib/ratelimit/index.js';
+import { createMemoryStore } from '../lib/ratelimit/memory.js';
+import { createRedisStore } from '../lib/ratelimit/redis.js';
+import { withRateLimit } from '../lib/ratelimit/withRateLimit.js';
+
+process.env.RATE_LIMIT_STORE = 'memory';
+
+const NOON = Date.UTC(2025, 0, 1, 12, 0, 30);
+
+function response() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+test('limits come from the environment and 0 switches a window off', () => {
+  const config = rateLimitConfig({ RATE_LIMIT_PER_MINUTE: '0', RATE_LIMIT_USER_DAILY: 'lots' });
+
+  assert.equal(config.reviewsPerMinute, 0);
+  assert.equal(config.reviewsPerUserPerDay, 200);
+  assert.deepEqual(reviewWindows({ id: 'ana' }, config).map((window) => window.key), ['review:minute:user:ana', 'review:day:user:ana']);
+  assert.deepEqual(reviewWindows({ id: 'ana', tokenId: 't1' }, config).map((window) => window.windowMs), [MINUTE_MS, DAY_MS, DAY_MS]);
+});
+
+test('a request over a limit does not count against the later windows', async () => {
+  const store = createMemoryStore();
+  const windows = [
+    { key: 'minute', limit: 2, windowMs: MINUTE_MS, label: 'Minute' },
+    { key: 'day', limit: 10, windowMs: DAY_MS, label: 'Day' },
+  ];
+
+  const first = await consume(store, windows, NOON);
+  assert.deepEqual([first.allowed, first.window.key, first.remaining], [true, 'minute', 1]);
+  await consume(store, windows, NOON);
+
+  const rejected = await consume(store, windows, NOON);
+  assert.deepEqual([rejected.allowed, rejected.window.key, rejected.resetAt], [false, 'minute', Date.UTC(2025, 0, 1, 12, 1)]);
+
+  const nextMinute = await consume(store, windows, NOON + MINUTE_MS);
+  assert.deepEqual([nextMinute.allowed, nextMinute.window.key, nextMinute.remaining], [true, 'minute', 1]);
+  assert.equal(await store.increment(`day:${Date.UTC(2025, 0, 1)}`, DAY_MS), 4);
+});
+
+test('the memory store stays within its key limit', async () => {
+  const store = createMemoryStore({ maxKeys: 3 });
+  for (const key of ['a', 'b', 'c', 'd', 'e']) await store.increment(key, MINUTE_MS);
+
+  assert.equal(await store.increment('e', MINUTE_MS), 2);
+  assert.equal(await store.increment('a', MINUTE_MS), 1);
+});
+
+test('forwarded addresses are only believed through trusted proxies', () => {
+  const req = { headers: { 'x-forwarded-for': '6.6.6.6, 203.0.113.7', 'x-real-ip': '198.51.100.2' }, socket: { remoteAddress: '::ffff:10.0.0.1' } };
+
+  assert.equal(clientIp(req, {}), '10.0.0.1');
+  assert.equal(clientIp(req, { TRUSTED_PROXY_COUNT: '1' }), '203.0.113.7');
+  assert.equal(clientIp(req, { TRUSTED_PROXY_COUNT: '5' }), '6.6.6.6');
+  assert.equal(clientIp(req, { TRUSTED_IP_HEADER: 'X-Real-IP' }), '198.51.100.2');
+});
+
+test('the redis store sets the expiry and increments in one pipeline', async (t) => {
+  const fetch = t.mock.method(globalThis, 'fetch', async () => Response.json([{ result: 'OK' }, { result: 3 }]));
+  const store = createRedisStore({ url: 'https://redis.example/', token: 'secret' });
+
+  assert.equal(await store.increment('login:ip', 5000), 3);
+  const [url, { headers, body }] = fetch.mock.calls[0].arguments;
+  assert.equal(url, 'https://redis.example/pipeline');
+  assert.equal(headers.Authorization, 'Bearer secret');
+  assert.deepEqual(JSON.parse(body), [['SET', 'olixir:ratelimit:login:ip', '0', 'PX', '5000', 'NX'], ['INCR', 'olixir:ratelimit:login:ip']]);
+
+  t.mock.method(globalThis, 'fetch', async () => Response.json([{ result: 'OK' }, { error: 'WRONGTYPE' }]));
+  await assert.rejects(store.increment('login:ip', 5000), /WRONGTYPE/);
+});
+
+test('routes over their limit answer 429 with Retry-After', async () => {
+  const handler = withRateLimit((req, res) => res.status(200).json({ ok: true }), {
+    windows: () => [{ key: 'route', limit: 1, windowMs: DAY_MS, label: 'Test limit' }],
+  });
+
+  const allowed = response();
+  await handler({ headers: {} }, allowed);
+  assert.equal(allowed.statusCode, 200);
+  assert.equal(allowed.headers['RateLimit-Remaining'], '0');
+
+  const rejected = response();
+  await handler({ headers: {} }, rejected);
+  assert.equal(rejected.statusCode, 429);
+  assert.ok(Number(rejected.headers['Retry-After']) > 0);
+  assert.match(rejected.body.message, /^Test limit of 1 reached/);
+});
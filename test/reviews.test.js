@@ -0,0 +1,59 @@
+// test/reviews.test.js
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, test } from 'node:test';
+
+// The store reads DATA_DIR when it is first imported.
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'olixir-reviews-'));
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const { collection } = await import('../lib/storage/store.js');
+const { deleteReview, listReviews, saveReview, updateReview } = await import('../lib/reviews/store.js');
+
+const review = (summary, findings = []) => ({ summary, riskLevel: findings.length ? 'HIGH' : 'LOW', findings });
+const finding = { severity: 'HIGH', quote: 'cures dandruff', explanation: 'A medicinal claim', suggestion: 'cares for your scalp' };
+
+test('reviews saved before the index existed are listed and searchable', async () => {
+  await collection('reviews').insert({
+    id: 'legacy',
+    createdAt: '2025-01-01T00:00:00.000Z',
+    content: 'Sesame oil in a glass bottle.',
+    ...review('Older review'),
+  });
+
+  const { total, reviews } = await listReviews({ q: 'bottle' });
+
+  assert.equal(total, 1);
+  assert.equal(reviews[0].id, 'legacy');
+  assert.equal(reviews[0].snippet, 'Sesame oil in a glass bottle.');
+  assert.ok(await collection('review-index').get('legacy'));
+});
+
+test('search matches every word anywhere in the document or its findings', async () => {
+  const saved = await saveReview({ content: 'Cold-pressed groundnut oil cures dandruff.', review: review('Hair oil post', [finding]), submittedBy: 'writer' });
+  await saveReview({ content: 'Unrelated copy about ghee.', review: review('Ghee'), submittedBy: 'writer' });
+
+  assert.deepEqual((await listReviews({ q: 'GROUND PRESSED' })).reviews.map((entry) => entry.id), [saved.id]);
+  assert.deepEqual((await listReviews({ q: 'scalp' })).reviews.map((entry) => entry.id), [saved.id]);
+  assert.equal((await listReviews({ q: 'medicinal' })).reviews[0].snippet, 'Finding: “cures dandruff” A medicinal claim');
+  assert.equal((await listReviews({ q: 'groundnut ghee' })).total, 0);
+  assert.equal((await listReviews({ riskLevels: ['HIGH'] })).total, 1);
+
+  const [listed] = (await listReviews({ q: 'groundnut' })).reviews;
+  assert.equal(listed.content, undefined);
+  assert.equal(listed.words, undefined);
+  assert.equal(listed.characters, 'Cold-pressed groundnut oil cures dandruff.'.length);
+});
+
+test('updates and deletions are reflected in the list', async () => {
+  const saved = await saveReview({ content: 'Mustard oil for pickles.', review: review('Mustard'), submittedBy: 'writer' });
+  await updateReview(saved.id, (current) => ({ ...current, workflow: { ...current.workflow, status: 'in_review' } }));
+
+  assert.deepEqual((await listReviews({ statuses: ['in_review'] })).reviews.map((entry) => entry.id), [saved.id]);
+
+  assert.equal(await deleteReview(saved.id), true);
+  assert.equal((await listReviews({ q: 'mustard' })).total, 0);
+  assert.equal(await collection('review-index').get(saved.id), null);
+});
@@ -0,0 +1,72 @@
+// test/rules.test.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import defaultRules from '../lib/rules/defaultRules.js';
+import { runRules, validateRules } from '../lib/rules/engine.js';
+
+const quotes = (findings) => findings.map((finding) => finding.quote);
+
+const glassRule = {
+  id: 'glass',
+  type: 'proximity',
+  category: 'packaging',
+  severity: 'HIGH',
+  terms: ['glass'],
+  near: ['bottle', 'jar'],
+  window: 3,
+  explanation: 'We do not use glass packaging.',
+};
+
+test('default rules flag medical, proof and absolute claims', () => {
+  const content = 'This oil cures dandruff. It is clinically proven and 100% effective.';
+  const findings = runRules(content, defaultRules);
+
+  assert.deepEqual(quotes(findings), ['cures dandruff', 'clinically proven', '100% effective']);
+  for (const finding of findings) {
+    assert.equal(content.slice(finding.start, finding.end), finding.quote);
+    assert.equal(finding.source, 'rule');
+  }
+  assert.equal(findings[0].severity, 'HIGH');
+  assert.equal(findings[0].ruleId, 'medical-claim');
+});
+
+test('regional claims match inflected forms', () => {
+  const findings = runRules('यह तेल कैंसर ठीक करता है और डायबिटीज ठीक करती है।', defaultRules);
+
+  assert.deepEqual(quotes(findings), ['कैंसर ठीक करता', 'डायबिटीज ठीक करती']);
+});
+
+test('phrases match whole words only', () => {
+  assert.deepEqual(runRules('A guaranteed resultset is not a claim.', defaultRules), []);
+});
+
+test('proximity rules need both words within the window of the same sentence', () => {
+  assert.deepEqual(quotes(runRules('Sold in a glass bottle.', [glassRule])), ['glass bottle']);
+  assert.deepEqual(quotes(runRules('The bottle is clear glass.', [glassRule])), ['bottle is clear glass']);
+  assert.deepEqual(runRules('Glass is pretty. The bottle is plastic.', [glassRule]), []);
+  assert.deepEqual(runRules('Glass was never one of the things we put in a bottle.', [glassRule]), []);
+});
+
+test('an overlapping match from a later rule is dropped but raises the severity', () => {
+  const later = { ...glassRule, id: 'glass-any', type: 'phrase', phrases: ['glass'], severity: 'LOW' };
+  const first = { ...glassRule, severity: 'MEDIUM' };
+  const stricter = { ...later, id: 'glass-strict', severity: 'HIGH' };
+  const findings = runRules('Sold in a glass bottle.', [first, later, stricter]);
+
+  assert.equal(findings.length, 1);
+  assert.equal(findings[0].ruleId, 'glass');
+  assert.equal(findings[0].severity, 'HIGH');
+});
+
+test('proximity checks report every match in a large document', () => {
+  const content = 'Keep the glass jar and steel bottles in the store. '.repeat(20000);
+  const findings = runRules(content, [glassRule]);
+
+  assert.equal(findings.length, 20000);
+});
+
+test('invalid rules are rejected', () => {
+  assert.throws(() => validateRules([{ ...glassRule, window: 0 }]), /positive "window"/);
+  assert.throws(() => validateRules([glassRule, glassRule]), /unique "id"/);
+  assert.throws(() => validateRules([{ ...glassRule, category: 'nope' }]), /unknown category/);
+});
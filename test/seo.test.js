@@ -0,0 +1,80 @@
+// test/seo.test.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { detectLanguage } from '../lib/language/detect.js';
+import { analyzeSeo } from '../lib/seo/analyze.js';
+import { normalizePage, outlinePage } from '../lib/seo/page.js';
+import { countSyllables, fleschScores, splitSentences } from '../lib/seo/readability.js';
+
+const post = `---
+title: "Wood-pressed groundnut oil for everyday Indian cooking"
+description: Why wood-pressed groundnut oil suits Indian cooking, how it is made, and how to store it so it stays fresh for months.
+---
+# Wood-pressed groundnut oil
+
+Wood-pressed groundnut oil keeps the taste of the nut. We press it slowly. It is good for frying.
+
+## How to store groundnut oil
+
+Keep it in a cool place. See [our storage guide](/blog/storage) and [FSSAI](https://fssai.gov.in).
+
+![Groundnut oil in a glass bottle](/images/bottle.jpg)
+![](/images/press.jpg)
+`;
+
+const statusOf = (seo, id) => seo.checks.find((check) => check.id === id).status;
+
+test('the page outline comes from front matter, links and images', () => {
+  const outline = outlinePage(post);
+
+  assert.equal(outline.title, 'Wood-pressed groundnut oil for everyday Indian cooking');
+  assert.deepEqual(outline.links.map((link) => link.href), ['/blog/storage', 'https://fssai.gov.in']);
+  assert.deepEqual(outline.images, [{ src: '/images/bottle.jpg', alt: 'Groundnut oil in a glass bottle' }, { src: '/images/press.jpg', alt: '' }]);
+
+  const html = outlinePage('<title>Oil &amp; ghee</title><meta content="All about oil" name="description"><a href="/a">A</a><img src="data:image/png;base64,AA">', 'html');
+  assert.deepEqual(html, { title: 'Oil & ghee', description: 'All about oil', links: [{ href: '/a', text: 'A' }], images: [{ src: '(embedded image)', alt: null }] });
+});
+
+test('client outlines are reduced to known fields', () => {
+  assert.equal(normalizePage('title'), null);
+  assert.deepEqual(normalizePage({ title: '  Oil  ', links: [{ href: '/a' }, { text: 'no href' }, null], images: [{ src: 'a.png', alt: 3 }], extra: true }), {
+    title: 'Oil',
+    description: null,
+    url: null,
+    links: [{ href: '/a', text: '' }],
+    images: [{ src: 'a.png', alt: null }],
+  });
+});
+
+test('readability counts sentences and syllables', () => {
+  assert.deepEqual(splitSentences('Fresh oil. Is it good? Yes!\n- Store cool'), ['Fresh oil.', 'Is it good?', 'Yes!', '- Store cool']);
+  assert.deepEqual(['oil', 'pressed', 'cooking', 'bottle', 'flavour'].map(countSyllables), [1, 1, 2, 2, 2]);
+  assert.ok(fleschScores(['We press it slowly.']).readingEase > 80);
+  assert.equal(fleschScores([]), null);
+});
+
+test('a well-formed post passes the structure, keyword and link checks', () => {
+  const seo = analyzeSeo({ content: post, keyword: 'groundnut oil', language: detectLanguage(post), siteUrl: 'https://www.olixir.example' });
+
+  assert.deepEqual(seo.links, { internal: 1, external: 1 });
+  assert.deepEqual(seo.headings.map((heading) => heading.level), [1, 2]);
+  for (const id of ['single_h1', 'heading_hierarchy', 'keyword_title', 'keyword_intro', 'keyword_subheading', 'keyword_description', 'meta_title', 'meta_description', 'internal_links']) {
+    assert.equal(statusOf(seo, id), 'pass', id);
+  }
+  assert.equal(statusOf(seo, 'image_alt'), 'fail');
+  assert.equal(statusOf(seo, 'subheadings'), 'skip');
+  assert.ok(seo.score > 50 && seo.score < 100);
+});
+
+test('keyword stuffing fails and non-English text is not Flesch scored', () => {
+  const stuffed = analyzeSeo({ content: 'Groundnut oil. Groundnut oil is groundnut oil.', keyword: 'groundnut oil' });
+  assert.equal(statusOf(stuffed, 'keyword_density'), 'fail');
+  assert.match(stuffed.checks.find((check) => check.id === 'keyword_density').message, /keyword stuffing/);
+  assert.ok(!stuffed.checks.some((check) => check.id === 'keyword'));
+
+  const hindi = 'यह तेल ठंडी जगह पर रखें। धूप से बचाएं।';
+  const seo = analyzeSeo({ content: hindi, language: detectLanguage(hindi) });
+  assert.equal(statusOf(seo, 'reading_ease'), 'skip');
+  assert.equal(seo.readability.sentences, 2);
+  assert.equal(statusOf(seo, 'keyword'), 'skip');
+});
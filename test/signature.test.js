@@ -0,0 +1,66 @@
+// test/signature.test.js
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { test } from 'node:test';
+import { signPayload, verifyShopifySignature, verifySignature } from '../lib/webhooks/signature.js';
+import { SOURCES, WebhookPayloadError, toText } from '../lib/webhooks/sources.js';
+
+const secret = 'webhook-secret';
+const body = JSON.stringify({ id: 42, title: 'Cold-pressed oils', content: 'Pressed slowly.' });
+
+test('a signed body verifies', () => {
+  assert.equal(verifySignature(secret, body, signPayload(secret, body)), true);
+});
+
+test('a changed body, wrong secret or malformed header does not verify', () => {
+  const header = signPayload(secret, body);
+
+  assert.equal(verifySignature(secret, `${body} `, header), false);
+  assert.equal(verifySignature('other-secret', body, header), false);
+  assert.equal(verifySignature(secret, body, undefined), false);
+  assert.equal(verifySignature(secret, body, 'v1=abc'), false);
+  assert.equal(verifySignature(secret, body, header.replace(/v1=(.)/, (match, first) => `v1=${first === '0' ? '1' : '0'}`)), false);
+});
+
+test('signatures expire after five minutes', () => {
+  const now = Date.now();
+  const timestamp = Math.floor(now / 1000) - 301;
+
+  assert.equal(verifySignature(secret, body, signPayload(secret, body, timestamp), now), false);
+  assert.equal(verifySignature(secret, body, signPayload(secret, body, timestamp + 2), now), true);
+});
+
+test('Shopify signatures are the base64 HMAC of the body', () => {
+  const header = crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+  assert.equal(verifyShopifySignature(secret, body, header), true);
+  assert.equal(verifyShopifySignature(secret, `${body} `, header), false);
+  assert.equal(verifyShopifySignature(secret, body, undefined), false);
+});
+
+test('Shopify requests must come from the configured shop', () => {
+  const env = { SHOPIFY_SHOP_DOMAIN: 'olixir.myshopify.com', WEBHOOK_SHOPIFY_SECRET: secret };
+  const headers = { 'x-shopify-topic': 'articles/update', 'x-shopify-shop-domain': 'olixir.myshopify.com' };
+
+  assert.ok(!SOURCES.shopify.secret({ WEBHOOK_SHOPIFY_SECRET: secret }));
+  const { post } = SOURCES.shopify.parse({ id: 7, title: 'Oils' }, headers, env);
+  assert.equal(post.url, 'https://olixir.myshopify.com/admin/articles/7');
+  assert.throws(
+    () => SOURCES.shopify.parse({ id: 7 }, { ...headers, 'x-shopify-shop-domain': 'attacker.example' }, env),
+    WebhookPayloadError
+  );
+});
+
+test('classic-editor WordPress posts keep their paragraphs', async (t) => {
+  const raw = 'Pressed slowly from roasted seeds.\n\nStore away from sunlight.\nUse within six months.';
+  const rendered = '<p>Pressed slowly from roasted seeds.</p>\n<p>Store away from sunlight.<br />\nUse within six months.</p>\n';
+  const expected = 'Pressed slowly from roasted seeds.\n\nStore away from sunlight.\nUse within six months.';
+  const fetch = t.mock.method(globalThis, 'fetch', async () => Response.json({ id: 5, content: { raw, rendered } }));
+
+  const fetched = await SOURCES.wordpress.fetchContent({ id: '5', type: 'post' }, { WORDPRESS_URL: 'https://blog.example/' });
+  assert.equal(fetch.mock.calls[0].arguments[0], 'https://blog.example/wp-json/wp/v2/posts/5?context=view');
+  assert.equal(toText(fetched, 'html'), expected);
+
+  const { content, format } = SOURCES.wordpress.parse({ ID: 5, post_type: 'post', post_status: 'publish', post_content: raw });
+  assert.equal(toText(content, format), expected);
+});
@@ -0,0 +1,82 @@
+// test/workflow.test.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { WorkflowError } from '../lib/workflow/errors.js';
+import { addComment, resolveFinding, transition } from '../lib/workflow/workflow.js';
+
+const findings = [
+  { id: 'F1', severity: 'HIGH', quote: 'cures dandruff' },
+  { id: 'F2', severity: 'LOW', quote: 'recieve' },
+];
+
+// Applies workflow changes in order, as the API does, and returns the
+// review.
+function apply(review, ...changes) {
+  return changes.reduce((current, change) => ({ ...current, workflow: change(current) }), review);
+}
+
+const move = (status) => (review) => transition(review, { status, actor: 'reviewer' });
+const resolve = (findingId, state, justification) => (review) => resolveFinding(review, findingId, { state, justification, actor: 'writer' });
+
+function rejects(fn, code) {
+  assert.throws(fn, (error) => error instanceof WorkflowError && error.code === code);
+}
+
+test('documents move through review to publication', () => {
+  const review = apply({ findings }, resolve('F1', 'fixed'), move('in_review'), move('approved'), move('published'));
+
+  assert.equal(review.workflow.status, 'published');
+  assert.deepEqual(review.workflow.history.filter((entry) => entry.action === 'status').map((entry) => entry.to), ['in_review', 'approved', 'published']);
+});
+
+test('only allowed transitions are accepted', () => {
+  rejects(() => apply({ findings: [] }, move('approved')), 'invalid_transition');
+  rejects(() => apply({ findings: [] }, move('in_review'), move('approved'), move('published'), move('draft')), 'invalid_transition');
+  assert.throws(() => apply({ findings: [] }, move('done')), WorkflowError);
+});
+
+test('an unresolved HIGH finding blocks approval', () => {
+  const inReview = apply({ findings }, move('in_review'));
+
+  rejects(() => apply(inReview, move('approved')), 'unresolved_findings');
+  assert.equal(apply(inReview, resolve('F1', 'false_positive'), move('approved')).workflow.status, 'approved');
+});
+
+test('reopening a HIGH finding withdraws approval', () => {
+  const approved = apply({ findings }, resolve('F1', 'fixed'), move('in_review'), move('approved'));
+
+  assert.equal(apply(approved, resolve('F2', null)).workflow.status, 'approved');
+  const reopened = apply(approved, resolve('F1', null));
+  assert.equal(reopened.workflow.status, 'changes_requested');
+  assert.equal(reopened.workflow.history.at(-1).from, 'approved');
+});
+
+test('publishing checks HIGH findings again', () => {
+  const approved = apply({ findings }, resolve('F1', 'fixed'), move('in_review'), move('approved'));
+  const reopened = { ...approved, workflow: { ...approved.workflow, resolutions: {} } };
+
+  rejects(() => apply(reopened, move('published')), 'unresolved_findings');
+});
+
+test('accepting a risk needs a justification', () => {
+  assert.throws(() => apply({ findings }, resolve('F1', 'accepted_risk')), /justification/);
+  const review = apply({ findings }, resolve('F1', 'accepted_risk', 'Legal signed off'));
+  assert.equal(review.workflow.resolutions.F1.justification, 'Legal signed off');
+});
+
+test('findings of a published document are frozen', () => {
+  const published = apply({ findings }, resolve('F1', 'fixed'), move('in_review'), move('approved'), move('published'));
+
+  rejects(() => apply(published, resolve('F1', null)), 'invalid_transition');
+});
+
+test('comments are threaded per finding', () => {
+  const review = apply(
+    { findings },
+    (current) => addComment(current, 'F1', { text: 'Removed the claim', actor: 'writer' }),
+    (current) => addComment(current, 'F1', { text: ' Thanks ', actor: 'reviewer' })
+  );
+
+  assert.deepEqual(review.workflow.comments.F1.map((comment) => [comment.id, comment.text]), [['C1', 'Removed the claim'], ['C2', 'Thanks']]);
+  rejects(() => addComment(review, 'F9', { text: 'Where?' }), 'not_found');
+});